@@ -0,0 +1,123 @@
+// Benchmark for the HNSW embedding index (electron/ann.cjs) against the
+// exact full scan it replaces.
+//
+// Usage: node bench/ann.bench.cjs [itemCount=100000] [queryCount=200]
+//
+// Vectors are synthetic 384-dimensional embeddings (same size as
+// all-MiniLM-L6-v2) drawn around a few hundred cluster centres, which is
+// closer to real note/snippet embeddings than uniform noise.
+
+const { HnswIndex, dot } = require("../electron/ann.cjs");
+
+const DIM = 384;
+const K = 10;
+const itemCount = parseInt(process.argv[2] || "100000", 10);
+const queryCount = parseInt(process.argv[3] || "200", 10);
+const EF_SEARCH_VALUES = [64, 128, 256];
+
+function createRandom(seed) {
+  let t = seed >>> 0;
+  return () => {
+    t = (t + 0x6d2b79f5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const random = createRandom(7);
+const gaussian = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+function normalize(v) {
+  let norm = 0;
+  for (let i = 0; i < v.length; i++) norm += v[i] * v[i];
+  norm = Math.sqrt(norm) || 1;
+  for (let i = 0; i < v.length; i++) v[i] /= norm;
+  return v;
+}
+
+const centres = Array.from({ length: 300 }, () => normalize(Float32Array.from({ length: DIM }, gaussian)));
+
+function sampleVector() {
+  const centre = centres[Math.floor(random() * centres.length)];
+  const v = new Float32Array(DIM);
+  for (let i = 0; i < DIM; i++) v[i] = centre[i] + gaussian() * 0.06;
+  return normalize(v);
+}
+
+function exactTopK(vectors, query, k) {
+  const scores = new Float32Array(vectors.length);
+  for (let i = 0; i < vectors.length; i++) scores[i] = dot(query, vectors[i]);
+  const order = Array.from(scores.keys());
+  order.sort((a, b) => scores[b] - scores[a]);
+  return order.slice(0, k);
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+function summarize(label, timings) {
+  const sorted = timings.slice().sort((a, b) => a - b);
+  const mean = timings.reduce((a, b) => a + b, 0) / timings.length;
+  console.log(
+    `${label.padEnd(14)} mean ${mean.toFixed(2)} ms   p50 ${percentile(sorted, 0.5).toFixed(2)} ms   ` +
+    `p95 ${percentile(sorted, 0.95).toFixed(2)} ms`
+  );
+}
+
+function main() {
+  console.log(`Generating ${itemCount} vectors (${DIM} dims) and ${queryCount} queries...`);
+  const vectors = Array.from({ length: itemCount }, sampleVector);
+  const queries = Array.from({ length: queryCount }, sampleVector);
+
+  const index = new HnswIndex(DIM);
+  let start = process.hrtime.bigint();
+  let lastReport = Date.now();
+  for (let i = 0; i < vectors.length; i++) {
+    index.add(String(i), vectors[i]);
+    if (Date.now() - lastReport > 10000) {
+      console.log(`  built ${i + 1}/${itemCount}`);
+      lastReport = Date.now();
+    }
+  }
+  const buildMs = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(`HNSW build: ${(buildMs / 1000).toFixed(1)} s (${(buildMs / itemCount).toFixed(2)} ms/item)`);
+
+  start = process.hrtime.bigint();
+  const serialized = index.serialize();
+  const serializeMs = Number(process.hrtime.bigint() - start) / 1e6;
+  start = process.hrtime.bigint();
+  HnswIndex.deserialize(serialized);
+  const loadMs = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(
+    `Index file: ${(serialized.length / 1024 / 1024).toFixed(1)} MB, ` +
+    `serialize ${serializeMs.toFixed(0)} ms, load ${loadMs.toFixed(0)} ms`
+  );
+
+  const exactTimings = [];
+  const truths = queries.map(query => {
+    const t = process.hrtime.bigint();
+    const truth = exactTopK(vectors, query, K);
+    exactTimings.push(Number(process.hrtime.bigint() - t) / 1e6);
+    return new Set(truth.map(String));
+  });
+
+  console.log(`\nQuery latency, top-${K} over ${itemCount} items:`);
+  summarize("full scan", exactTimings);
+
+  for (const ef of EF_SEARCH_VALUES) {
+    const annTimings = [];
+    let hits = 0;
+    queries.forEach((query, i) => {
+      const t = process.hrtime.bigint();
+      const found = index.search(query, K, ef);
+      annTimings.push(Number(process.hrtime.bigint() - t) / 1e6);
+      hits += found.filter(f => truths[i].has(f.id)).length;
+    });
+    summarize(`HNSW ef=${ef}`, annTimings);
+    console.log(`${"".padEnd(14)} recall@${K} ${((hits / (queryCount * K)) * 100).toFixed(1)}%`);
+  }
+}
+
+main();
@@ -0,0 +1,423 @@
+// Approximate nearest-neighbour index (HNSW) over normalized embeddings.
+//
+// Hierarchical Navigable Small World graphs (Malkov & Yashunin, 2016):
+// every vector is a node on layer 0 and, with exponentially decreasing
+// probability, on higher layers too. Searches greedily descend from the
+// sparse top layer and run a best-first search of width `ef` on layer 0.
+//
+// Vectors are expected to be L2-normalized, so distance is 1 - dot product.
+// Removal is a tombstone: removed nodes still route searches but are never
+// returned. Once too many tombstones pile up the owner should rebuild.
+
+const FILE_MAGIC = "ADHNSW1\n";
+
+const DEFAULT_OPTIONS = {
+  M: 16,
+  efConstruction: 64,
+  efSearch: 128,
+};
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+// Deterministic PRNG (mulberry32) so rebuilding the same data gives the same graph
+function createRandom(seed) {
+  let t = seed >>> 0;
+  return () => {
+    t = (t + 0x6d2b79f5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Binary heap of { node, dist } ordered by dist (min-heap, or max-heap
+ * when `max` is true)
+ */
+class DistanceHeap {
+  constructor(max = false) {
+    this.items = [];
+    this.sign = max ? -1 : 1;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(entry) {
+    const items = this.items;
+    items.push(entry);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.sign * (items[parent].dist - entry.dist) <= 0) break;
+      items[i] = items[parent];
+      i = parent;
+    }
+    items[i] = entry;
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      // Sift the former last element down from the root
+      const n = items.length;
+      let i = 0;
+      for (;;) {
+        const l = 2 * i + 1;
+        if (l >= n) break;
+        const r = l + 1;
+        const child = r < n && this.sign * (items[r].dist - items[l].dist) < 0 ? r : l;
+        if (this.sign * (items[child].dist - last.dist) >= 0) break;
+        items[i] = items[child];
+        i = child;
+      }
+      items[i] = last;
+    }
+    return top;
+  }
+}
+
+class HnswIndex {
+  constructor(dim, options = {}) {
+    this.dim = dim;
+    this.M = options.M || DEFAULT_OPTIONS.M;
+    this.maxM0 = this.M * 2;
+    this.efConstruction = options.efConstruction || DEFAULT_OPTIONS.efConstruction;
+    this.efSearch = options.efSearch || DEFAULT_OPTIONS.efSearch;
+    this.levelMult = 1 / Math.log(this.M);
+    this.random = createRandom(options.seed || 42);
+
+    this.ids = [];          // node -> external id
+    this.vectors = [];      // node -> Float32Array
+    this.neighbors = [];    // node -> [layer0 Int32 list, layer1, ...]
+    this.deleted = [];      // node -> boolean
+    this.nodeById = new Map();
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    this.deletedCount = 0;
+
+    this.visited = new Uint32Array(1024);
+    this.visitMark = 0;
+  }
+
+  /** Number of live (not removed) vectors */
+  get size() {
+    return this.ids.length - this.deletedCount;
+  }
+
+  /** Share of nodes that are tombstones */
+  get deletedRatio() {
+    return this.ids.length === 0 ? 0 : this.deletedCount / this.ids.length;
+  }
+
+  has(id) {
+    return this.nodeById.has(id);
+  }
+
+  nextVisitMark() {
+    if (this.visited.length < this.ids.length) {
+      const grown = new Uint32Array(Math.max(this.ids.length, this.visited.length * 2));
+      this.visited = grown;
+      this.visitMark = 0;
+    }
+    this.visitMark++;
+    if (this.visitMark === 0xffffffff) {
+      this.visited.fill(0);
+      this.visitMark = 1;
+    }
+    return this.visitMark;
+  }
+
+  randomLevel() {
+    return Math.floor(-Math.log(1 - this.random()) * this.levelMult);
+  }
+
+  /**
+   * Best-first search of a single layer. Returns up to `ef` closest nodes
+   * as a max-heap (farthest on top).
+   */
+  searchLayer(query, entryNodes, ef, level) {
+    const mark = this.nextVisitMark();
+    const visited = this.visited;
+    const candidates = new DistanceHeap(false);
+    const results = new DistanceHeap(true);
+
+    for (const node of entryNodes) {
+      visited[node] = mark;
+      const entry = { node, dist: 1 - dot(query, this.vectors[node]) };
+      candidates.push(entry);
+      results.push(entry);
+    }
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.dist > results.peek().dist) break;
+
+      const links = this.neighbors[current.node][level];
+      if (!links) continue;
+      for (let i = 0; i < links.length; i++) {
+        const next = links[i];
+        if (visited[next] === mark) continue;
+        visited[next] = mark;
+        const dist = 1 - dot(query, this.vectors[next]);
+        if (results.size < ef || dist < results.peek().dist) {
+          const entry = { node: next, dist };
+          candidates.push(entry);
+          results.push(entry);
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Neighbour selection heuristic from the HNSW paper: prefer candidates
+   * that are closer to the base node than to any neighbour already chosen,
+   * which keeps links spread out instead of clustered.
+   */
+  selectNeighbors(candidates, maxLinks) {
+    const sorted = candidates.slice().sort((a, b) => a.dist - b.dist);
+    const selected = [];
+    const pruned = [];
+    for (const candidate of sorted) {
+      if (selected.length >= maxLinks) break;
+      const vec = this.vectors[candidate.node];
+      let keep = true;
+      for (const chosen of selected) {
+        if (1 - dot(vec, this.vectors[chosen.node]) < candidate.dist) {
+          keep = false;
+          break;
+        }
+      }
+      if (keep) selected.push(candidate);
+      else pruned.push(candidate);
+    }
+    // Top up with the closest pruned candidates so nodes keep enough links
+    for (const candidate of pruned) {
+      if (selected.length >= maxLinks) break;
+      selected.push(candidate);
+    }
+    return selected;
+  }
+
+  connect(node, level, selected) {
+    const maxLinks = level === 0 ? this.maxM0 : this.M;
+    this.neighbors[node][level] = selected.map(s => s.node);
+
+    for (const { node: other, dist } of selected) {
+      const links = this.neighbors[other][level];
+      if (links.length < maxLinks) {
+        links.push(node);
+        continue;
+      }
+      // Neighbour is full: keep its closest links including the new node.
+      // (Running the full heuristic here costs O(M^2) dot products per
+      // link and dominates build time for little recall gain.)
+      const otherVec = this.vectors[other];
+      const candidates = links.map(n => ({ node: n, dist: 1 - dot(otherVec, this.vectors[n]) }));
+      candidates.push({ node, dist });
+      candidates.sort((a, b) => a.dist - b.dist);
+      this.neighbors[other][level] = candidates.slice(0, maxLinks).map(c => c.node);
+    }
+  }
+
+  /**
+   * Insert (or replace) the vector for an id
+   */
+  add(id, vector) {
+    if (vector.length !== this.dim) {
+      throw new Error(`Vector dimension ${vector.length} does not match index dimension ${this.dim}`);
+    }
+    if (this.nodeById.has(id)) this.remove(id);
+
+    const vec = vector instanceof Float32Array ? vector : Float32Array.from(vector);
+    const node = this.ids.length;
+    const level = this.randomLevel();
+
+    this.ids.push(id);
+    this.vectors.push(vec);
+    this.deleted.push(false);
+    this.neighbors.push(Array.from({ length: level + 1 }, () => []));
+    this.nodeById.set(id, node);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+      return;
+    }
+
+    // Greedy descent through the layers above the new node's level
+    let entry = this.entryPoint;
+    for (let l = this.maxLevel; l > level; l--) {
+      const nearest = this.searchLayer(vec, [entry], 1, l);
+      entry = nearest.peek().node;
+    }
+
+    let entryNodes = [entry];
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const found = this.searchLayer(vec, entryNodes, this.efConstruction, l).items;
+      const selected = this.selectNeighbors(found, this.M);
+      this.connect(node, l, selected);
+      entryNodes = found.map(f => f.node);
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = node;
+    }
+  }
+
+  /**
+   * Remove an id. The node stays in the graph as a tombstone.
+   */
+  remove(id) {
+    const node = this.nodeById.get(id);
+    if (node === undefined) return false;
+    this.nodeById.delete(id);
+    this.deleted[node] = true;
+    this.deletedCount++;
+    return true;
+  }
+
+  /**
+   * Find the k nearest live vectors. Returns [{ id, similarity }] sorted by
+   * descending similarity.
+   */
+  search(query, k = 10, ef = this.efSearch) {
+    if (this.entryPoint === -1 || this.size === 0) return [];
+    const q = query instanceof Float32Array ? query : Float32Array.from(query);
+
+    let entry = this.entryPoint;
+    for (let l = this.maxLevel; l > 0; l--) {
+      const nearest = this.searchLayer(q, [entry], 1, l);
+      entry = nearest.peek().node;
+    }
+
+    // Widen the beam when many nodes are tombstones so we still find k live ones
+    const width = Math.max(ef, k) + Math.ceil(this.deletedCount > 0 ? k * this.deletedRatio * 4 : 0);
+    const found = this.searchLayer(q, [entry], width, 0).items;
+
+    return found
+      .filter(f => !this.deleted[f.node])
+      .sort((a, b) => a.dist - b.dist)
+      .slice(0, k)
+      .map(f => ({ id: this.ids[f.node], similarity: 1 - f.dist }));
+  }
+
+  /**
+   * Serialize to a Buffer. Tombstoned nodes are kept so neighbour indices
+   * stay valid; `meta` is stored alongside for the owner's bookkeeping.
+   */
+  serialize(meta = {}) {
+    const n = this.ids.length;
+    const header = Buffer.from(JSON.stringify({
+      dim: this.dim,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      ids: this.ids,
+      deleted: this.deleted.map((d, i) => (d ? i : -1)).filter(i => i >= 0),
+      meta,
+    }));
+
+    let linkInts = 0;
+    for (const layers of this.neighbors) {
+      linkInts += 1;
+      for (const links of layers) linkInts += 1 + links.length;
+    }
+
+    const magic = Buffer.from(FILE_MAGIC);
+    const vectors = Buffer.alloc(n * this.dim * 4);
+    const links = Buffer.alloc(linkInts * 4);
+
+    for (let i = 0; i < n; i++) {
+      const v = this.vectors[i];
+      Buffer.from(v.buffer, v.byteOffset, v.byteLength).copy(vectors, i * this.dim * 4);
+    }
+    let offset = 0;
+    for (const layers of this.neighbors) {
+      links.writeInt32LE(layers.length, offset); offset += 4;
+      for (const list of layers) {
+        links.writeInt32LE(list.length, offset); offset += 4;
+        for (const node of list) { links.writeInt32LE(node, offset); offset += 4; }
+      }
+    }
+
+    const sizes = Buffer.alloc(12);
+    sizes.writeUInt32LE(header.length, 0);
+    sizes.writeUInt32LE(vectors.length, 4);
+    sizes.writeUInt32LE(links.length, 8);
+    return Buffer.concat([magic, sizes, header, vectors, links]);
+  }
+
+  /**
+   * Rebuild an index from serialize() output. Returns { index, meta }.
+   */
+  static deserialize(buffer) {
+    const magicLength = Buffer.byteLength(FILE_MAGIC);
+    if (buffer.length < magicLength + 12 || buffer.toString("utf8", 0, magicLength) !== FILE_MAGIC) {
+      throw new Error("Not an HNSW index file");
+    }
+    let offset = magicLength;
+    const headerLength = buffer.readUInt32LE(offset);
+    const vectorsLength = buffer.readUInt32LE(offset + 4);
+    const linksLength = buffer.readUInt32LE(offset + 8);
+    offset += 12;
+    if (buffer.length !== offset + headerLength + vectorsLength + linksLength) {
+      throw new Error("HNSW index file is truncated");
+    }
+
+    const header = JSON.parse(buffer.toString("utf8", offset, offset + headerLength));
+    offset += headerLength;
+
+    const index = new HnswIndex(header.dim, header);
+    index.ids = header.ids;
+    index.entryPoint = header.entryPoint;
+    index.maxLevel = header.maxLevel;
+    index.deleted = new Array(header.ids.length).fill(false);
+    header.deleted.forEach(i => { index.deleted[i] = true; });
+    index.deletedCount = header.deleted.length;
+
+    // Copy into an aligned buffer so each vector can be a Float32Array view
+    const aligned = new Float32Array(vectorsLength / 4);
+    Buffer.from(aligned.buffer).set(buffer.subarray(offset, offset + vectorsLength));
+    offset += vectorsLength;
+    for (let i = 0; i < header.ids.length; i++) {
+      index.vectors.push(aligned.subarray(i * header.dim, (i + 1) * header.dim));
+    }
+
+    for (let i = 0; i < header.ids.length; i++) {
+      const layerCount = buffer.readInt32LE(offset); offset += 4;
+      const layers = [];
+      for (let l = 0; l < layerCount; l++) {
+        const count = buffer.readInt32LE(offset); offset += 4;
+        const list = new Array(count);
+        for (let j = 0; j < count; j++) { list[j] = buffer.readInt32LE(offset); offset += 4; }
+        layers.push(list);
+      }
+      index.neighbors.push(layers);
+      if (!index.deleted[i]) index.nodeById.set(header.ids[i], i);
+    }
+
+    return { index, meta: header.meta || {} };
+  }
+}
+
+module.exports = {
+  HnswIndex,
+  dot,
+};
@@ -0,0 +1,236 @@
+// Portable vault archives (.tar.gz) for moving a vault between machines
+// and keeping offline backups.
+//
+// Layout:
+//   data/<table>.ndjson   one JSON row per line (items, item_tags,
+//                         item_versions, duplicate_dismissals, settings,
+//                         collections, collection_items)
+//   blobs/<hash><ext>     vault copies of file items
+//   thumbnails/<name>     generated thumbnails
+//   manifest.json         format and schema version, row counts and the
+//                         size and sha256 of every other entry
+//
+// File paths in rows are archive-relative (blobs/..., thumbnails/...) and
+// embeddings are base64-encoded Float32 BLOBs. The manifest is written
+// last; readers extract everything, then verify it against the manifest
+// before any row is used. Merging into a vault lives in storage.cjs.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const readline = require("readline");
+const { writeTarGz, extractTarGz } = require("./tar.cjs");
+const { hashFile } = require("./integrity.cjs");
+
+const ARCHIVE_FORMAT = "altdump-vault";
+const ARCHIVE_FORMAT_VERSION = 1;
+const MANIFEST_NAME = "manifest.json";
+const BLOBS_DIR = "blobs";
+const THUMBNAILS_DIR = "thumbnails";
+
+// Exported tables, in import order
+const ARCHIVE_TABLES = {
+  items: "SELECT * FROM items ORDER BY created_at",
+  item_tags: `
+    SELECT it.item_id, t.name AS tag, it.created_at
+    FROM item_tags it JOIN tags t ON t.id = it.tag_id
+    ORDER BY it.item_id, t.name
+  `,
+  item_versions: "SELECT item_id, title, content, created_at FROM item_versions ORDER BY item_id, id",
+  duplicate_dismissals: "SELECT item_id, other_id, created_at FROM duplicate_dismissals",
+  settings: "SELECT key, value FROM settings ORDER BY key",
+  collections: "SELECT id, name, parent_id, position, created_at, updated_at FROM collections ORDER BY created_at",
+  collection_items: `
+    SELECT collection_id, item_id, position, added_at
+    FROM collection_items ORDER BY collection_id, position
+  `,
+};
+
+function dataEntryName(table) {
+  return `data/${table}.ndjson`;
+}
+
+function makeTempDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+/**
+ * Export the whole vault (trashed items included) to a .tar.gz.
+ *
+ * options:
+ *   vaultDir       absolute VAULT_DIR
+ *   outPath        archive to write
+ *   schemaVersion  vault.db schema version, recorded in the manifest
+ *   decodeRow      (table, row) => row, e.g. decrypts encrypted columns
+ *   readFile       (filePath) => Buffer for vault files that can't be
+ *                  streamed as they are (encrypted); null streams them
+ *   onProgress     ({ phase, done, total }) => void
+ *
+ * Returns { filePath, size, items, files, missingFiles }.
+ */
+async function exportVault(db, options) {
+  const {
+    vaultDir,
+    outPath,
+    schemaVersion,
+    decodeRow = (table, row) => row,
+    readFile = null,
+    onProgress = () => {},
+  } = options;
+  const vaultRoot = path.resolve(vaultDir);
+  const stagingDir = makeTempDir("altdump-export-");
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    formatVersion: ARCHIVE_FORMAT_VERSION,
+    schemaVersion,
+    exportedAt: new Date().toISOString(),
+    counts: {},
+    entries: {},
+  };
+
+  // Vault files to include, keyed by archive entry name
+  const files = new Map();
+  const missingFiles = [];
+  const addFile = (stored, dir) => {
+    if (!stored) return null;
+    const source = path.resolve(vaultRoot, stored);
+    const name = `${dir}/${path.basename(source)}`;
+    if (!files.has(name)) {
+      if (fs.existsSync(source)) files.set(name, source);
+      else missingFiles.push(source);
+    }
+    return name;
+  };
+
+  try {
+    onProgress({ phase: "rows", done: 0, total: Object.keys(ARCHIVE_TABLES).length });
+    Object.keys(ARCHIVE_TABLES).forEach((table, i) => {
+      const filePath = path.join(stagingDir, `${table}.ndjson`);
+      const fd = fs.openSync(filePath, "w");
+      let count = 0;
+      try {
+        for (const stored of db.prepare(ARCHIVE_TABLES[table]).iterate()) {
+          const row = decodeRow(table, stored);
+          if (table === "items") {
+            row.raw_path = addFile(row.raw_path, BLOBS_DIR);
+            row.thumbnail_path = addFile(row.thumbnail_path, THUMBNAILS_DIR);
+            row.embedding = row.embedding ? Buffer.from(row.embedding).toString("base64") : null;
+          }
+          fs.writeSync(fd, JSON.stringify(row) + "\n");
+          count++;
+        }
+      } finally {
+        fs.closeSync(fd);
+      }
+      manifest.counts[table] = count;
+      onProgress({ phase: "rows", done: i + 1, total: Object.keys(ARCHIVE_TABLES).length });
+    });
+    manifest.counts.files = files.size;
+
+    const total = Object.keys(ARCHIVE_TABLES).length + files.size;
+    let done = 0;
+    async function* entries() {
+      for (const table of Object.keys(ARCHIVE_TABLES)) {
+        yield { name: dataEntryName(table), file: path.join(stagingDir, `${table}.ndjson`) };
+      }
+      for (const [name, file] of files) yield readFile ? { name, data: readFile(file) } : { name, file };
+      yield { name: MANIFEST_NAME, data: JSON.stringify(manifest, null, 2) };
+    }
+    await writeTarGz(outPath, entries(), {
+      onEntry: (entry, info) => {
+        if (entry.name === MANIFEST_NAME) return;
+        manifest.entries[entry.name] = info;
+        onProgress({ phase: "files", done: ++done, total });
+      },
+    });
+  } catch (err) {
+    fs.rmSync(outPath, { force: true });
+    throw err;
+  } finally {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+  }
+
+  return {
+    filePath: outPath,
+    size: fs.statSync(outPath).size,
+    items: manifest.counts.items,
+    files: files.size,
+    missingFiles,
+  };
+}
+
+/**
+ * Extract an archive into a temporary directory and verify it against its
+ * manifest. Throws if the archive is not a vault archive, was written by a
+ * newer schema than `supportedVersion`, or any entry is missing or
+ * corrupted.
+ *
+ * Returns { manifest, dir, rows(table), filePath(entryName), cleanup() };
+ * rows() is an async iterator over a table's NDJSON rows.
+ */
+async function openVaultArchive(archivePath, { supportedVersion, onProgress = () => {} }) {
+  const dir = makeTempDir("altdump-import-");
+  const cleanup = () => fs.rmSync(dir, { recursive: true, force: true });
+
+  try {
+    onProgress({ phase: "extracting", done: 0, total: 1 });
+    await extractTarGz(archivePath, dir).catch((err) => {
+      throw new Error(`Not a readable vault archive: ${err.message}`);
+    });
+
+    const manifestPath = path.join(dir, MANIFEST_NAME);
+    if (!fs.existsSync(manifestPath)) throw new Error("Not an AltDump vault archive (no manifest)");
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+    if (manifest.format !== ARCHIVE_FORMAT) throw new Error("Not an AltDump vault archive");
+    if (manifest.formatVersion > ARCHIVE_FORMAT_VERSION || manifest.schemaVersion > supportedVersion) {
+      throw new Error(
+        `This archive was exported by a newer version of AltDump (schema v${manifest.schemaVersion}, ` +
+        `this build supports up to v${supportedVersion}). Update AltDump to import it.`
+      );
+    }
+
+    const names = Object.keys(manifest.entries || {});
+    for (let i = 0; i < names.length; i++) {
+      onProgress({ phase: "verifying", done: i, total: names.length });
+      const name = names[i];
+      const expected = manifest.entries[name];
+      const filePath = path.resolve(dir, name);
+      if (!filePath.startsWith(dir + path.sep) || !fs.existsSync(filePath)) {
+        throw new Error(`Archive is incomplete: ${name} is missing`);
+      }
+      if (fs.statSync(filePath).size !== expected.size || (await hashFile(filePath)) !== expected.sha256) {
+        throw new Error(`Archive is corrupted: checksum mismatch for ${name}`);
+      }
+    }
+    onProgress({ phase: "verifying", done: names.length, total: names.length });
+
+    return {
+      manifest,
+      dir,
+      async *rows(table) {
+        const name = dataEntryName(table);
+        if (!manifest.entries[name]) return;
+        const lines = readline.createInterface({
+          input: fs.createReadStream(path.join(dir, name)),
+          crlfDelay: Infinity,
+        });
+        for await (const line of lines) {
+          if (line.trim()) yield JSON.parse(line);
+        }
+      },
+      // Verified path of a blob or thumbnail entry, or null if not in the archive
+      filePath(entryName) {
+        return entryName && manifest.entries[entryName] ? path.join(dir, entryName) : null;
+      },
+      cleanup,
+    };
+  } catch (err) {
+    cleanup();
+    throw err;
+  }
+}
+
+module.exports = {
+  exportVault,
+  openVaultArchive,
+};
@@ -0,0 +1,285 @@
+// Vault backups to a user-chosen local folder.
+//
+// Layout of the backup folder:
+//   altdump-<timestamp>/vault.db     online copy of vault.db (SQLite backup
+//                                    API, safe while the vault is in use)
+//   altdump-<timestamp>/backup.json  { createdAt, schemaVersion, items,
+//                                    encrypted, files }
+//   altdump-<timestamp>/vault.key    key file of an encrypted vault
+//   blobs/<vault-relative path>      vault files, thumbnails and link
+//                                    snapshots, shared by all backups
+//   blobs/keys/<key id>/<path>       the same for files encrypted with that
+//                                    vault key
+//
+// Vault files are content-addressed, so each backup only copies files the
+// blob store does not have yet. Link snapshots are rewritten in place when a
+// page is saved again; a changed one replaces its blob, which older backups
+// then share. A backup is written to a `.partial` directory and renamed once
+// complete; rotation keeps the newest N backups and then removes blobs no
+// remaining backup lists. backup.json lists blob names (relative to blobs/).
+
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { fileKeyId } = require("./encryption.cjs");
+
+const BACKUP_PREFIX = "altdump-";
+const PARTIAL_SUFFIX = ".partial";
+const BLOBS_DIR = "blobs";
+const BACKUP_DB = "vault.db";
+const BACKUP_MANIFEST = "backup.json";
+const BACKUP_KEY_FILE = "vault.key";
+const KEYED_BLOBS_DIR = "keys";
+// Saved pages of link items, <item id>.html (see storage.cjs)
+const LINK_SNAPSHOTS_DIR = "links";
+
+function backupStamp(date) {
+  return date.toISOString().replace(/[:.]/g, "-");
+}
+
+// Encrypted copies of a file are kept apart per key, so restoring an older
+// plain backup never picks up a blob encrypted since
+function blobName(relative, keyId) {
+  const name = relative.split(path.sep).join("/");
+  return keyId ? `${KEYED_BLOBS_DIR}/${Buffer.from(keyId, "base64").toString("hex")}/${name}` : name;
+}
+
+function vaultPathOfBlob(name) {
+  const parts = name.split("/");
+  return parts[0] === KEYED_BLOBS_DIR ? parts.slice(2).join("/") : name;
+}
+
+function readManifest(backupDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(backupDir, BACKUP_MANIFEST), "utf8"));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Complete backups in a folder, newest first:
+ * [{ id, dir, createdAt, schemaVersion, items, files }]
+ */
+function listBackups(folder) {
+  if (!folder || !fs.existsSync(folder)) return [];
+  return fs.readdirSync(folder, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && entry.name.startsWith(BACKUP_PREFIX) && !entry.name.endsWith(PARTIAL_SUFFIX))
+    .map(entry => {
+      const dir = path.join(folder, entry.name);
+      const manifest = readManifest(dir);
+      return manifest && { id: entry.name, dir, ...manifest, files: manifest.files.length };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.id.localeCompare(a.id));
+}
+
+/**
+ * Back up the open vault database and its files into `folder`.
+ *
+ * options:
+ *   vaultDir       absolute VAULT_DIR
+ *   folder         backup folder (created if needed)
+ *   keep           number of backups to keep after this one (>= 1)
+ *   schemaVersion  recorded in backup.json
+ *   keyFile        vault.key of an encrypted vault, copied if it exists
+ *   onProgress     ({ phase, done, total }) => void
+ *
+ * Returns the new backup ({ id, dir, createdAt, ... }) and the number of
+ * rotated-out backups as `removed`.
+ */
+async function createBackup(db, options) {
+  const { vaultDir, folder, keep, schemaVersion, keyFile, onProgress = () => {} } = options;
+  const vaultRoot = path.resolve(vaultDir);
+  const createdAt = new Date();
+  const id = `${BACKUP_PREFIX}${backupStamp(createdAt)}`;
+  const partialDir = path.join(folder, id + PARTIAL_SUFFIX);
+  const blobsDir = path.join(folder, BLOBS_DIR);
+  fs.mkdirSync(partialDir, { recursive: true });
+
+  try {
+    onProgress({ phase: "database", done: 0, total: 1 });
+    await db.backup(path.join(partialDir, BACKUP_DB));
+    const encrypted = Boolean(keyFile) && fs.existsSync(keyFile);
+    if (encrypted) fs.copyFileSync(keyFile, path.join(partialDir, BACKUP_KEY_FILE));
+
+    // Files as the backed-up database references them
+    const snapshot = new Database(path.join(partialDir, BACKUP_DB), { readonly: true });
+    let items;
+    let stored;
+    try {
+      items = snapshot.prepare("SELECT COUNT(*) AS count FROM items").get().count;
+      stored = snapshot.prepare("SELECT id, type, raw_path, thumbnail_path FROM items").all();
+    } finally {
+      snapshot.close();
+    }
+    const files = new Set();
+    for (const row of stored) {
+      for (const value of [row.raw_path, row.thumbnail_path]) {
+        if (!value) continue;
+        const relative = path.relative(vaultRoot, path.resolve(vaultRoot, value));
+        if (!relative.startsWith("..") && !path.isAbsolute(relative)) files.add(relative);
+      }
+      // The metadata naming a link's snapshot is encrypted in an encrypted
+      // vault, so snapshots are found by item id
+      if (row.type === "link") {
+        const snapshotPath = path.join(LINK_SNAPSHOTS_DIR, `${row.id}.html`);
+        if (fs.existsSync(path.join(vaultRoot, snapshotPath))) files.add(snapshotPath);
+      }
+    }
+
+    let done = 0;
+    const blobs = [];
+    for (const relative of files) {
+      onProgress({ phase: "files", done: done++, total: files.size });
+      const source = path.join(vaultRoot, relative);
+      if (!fs.existsSync(source)) {
+        blobs.push(blobName(relative, null));
+        continue;
+      }
+      const name = blobName(relative, fileKeyId(source));
+      const target = path.join(blobsDir, name);
+      blobs.push(name);
+      const sourceStat = fs.statSync(source);
+      const targetStat = fs.existsSync(target) && fs.statSync(target);
+      if (targetStat && targetStat.size === sourceStat.size && targetStat.mtimeMs >= sourceStat.mtimeMs) continue;
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.copyFileSync(source, target + PARTIAL_SUFFIX);
+      fs.renameSync(target + PARTIAL_SUFFIX, target);
+    }
+    onProgress({ phase: "files", done: files.size, total: files.size });
+
+    const manifest = {
+      createdAt: createdAt.toISOString(),
+      schemaVersion,
+      items,
+      encrypted,
+      files: blobs,
+    };
+    fs.writeFileSync(path.join(partialDir, BACKUP_MANIFEST), JSON.stringify(manifest, null, 2));
+    fs.renameSync(partialDir, path.join(folder, id));
+
+    const removed = rotateBackups(folder, keep);
+    return { id, dir: path.join(folder, id), ...manifest, files: files.size, removed };
+  } catch (err) {
+    fs.rmSync(partialDir, { recursive: true, force: true });
+    throw err;
+  }
+}
+
+/**
+ * Keep the newest `keep` backups, then drop blobs only older backups used
+ * and leftovers of interrupted runs. Returns the number of backups removed.
+ */
+function rotateBackups(folder, keep) {
+  const backups = listBackups(folder);
+  const expired = backups.slice(Math.max(1, keep));
+  for (const backup of expired) {
+    fs.rmSync(backup.dir, { recursive: true, force: true });
+  }
+
+  for (const entry of fs.readdirSync(folder)) {
+    if (entry.startsWith(BACKUP_PREFIX) && entry.endsWith(PARTIAL_SUFFIX)) {
+      fs.rmSync(path.join(folder, entry), { recursive: true, force: true });
+    }
+  }
+
+  const referenced = new Set();
+  for (const backup of backups.slice(0, Math.max(1, keep))) {
+    const manifest = readManifest(backup.dir);
+    if (manifest) manifest.files.forEach(file => referenced.add(file));
+  }
+  const blobsDir = path.join(folder, BLOBS_DIR);
+  const sweep = (dir) => {
+    if (!fs.existsSync(dir)) return;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        sweep(fullPath);
+      } else if (!referenced.has(path.relative(blobsDir, fullPath).split(path.sep).join("/"))) {
+        fs.rmSync(fullPath, { force: true });
+      }
+    }
+  };
+  sweep(blobsDir);
+  return expired.length;
+}
+
+/**
+ * Check a backup before restoring it: the database must pass SQLite's
+ * integrity check and not be newer than `supportedVersion`. Files missing
+ * from the blob store are reported as warnings.
+ *
+ * Returns { ok, errors, warnings, items, schemaVersion, encrypted }.
+ */
+function validateBackup(backupDir, { supportedVersion }) {
+  const result = { ok: false, errors: [], warnings: [], items: 0, schemaVersion: null, encrypted: false };
+  const manifest = readManifest(backupDir);
+  if (!manifest) {
+    result.errors.push("backup.json is missing or unreadable");
+    return result;
+  }
+  result.encrypted = Boolean(manifest.encrypted);
+  if (result.encrypted && !fs.existsSync(path.join(backupDir, BACKUP_KEY_FILE))) {
+    result.errors.push("vault.key is missing from this backup of an encrypted vault");
+  }
+
+  let snapshot = null;
+  try {
+    snapshot = new Database(path.join(backupDir, BACKUP_DB), { readonly: true, fileMustExist: true });
+    const check = snapshot.pragma("integrity_check", { simple: true });
+    if (check !== "ok") result.errors.push(`Database integrity check failed: ${check}`);
+    result.schemaVersion = snapshot.pragma("user_version", { simple: true });
+    if (result.schemaVersion > supportedVersion) {
+      result.errors.push(
+        `Backup was made by a newer version of AltDump (schema v${result.schemaVersion}, ` +
+        `this build supports up to v${supportedVersion})`
+      );
+    }
+    result.items = snapshot.prepare("SELECT COUNT(*) AS count FROM items").get().count;
+  } catch (err) {
+    result.errors.push(`Database cannot be opened: ${err.message}`);
+  } finally {
+    if (snapshot) snapshot.close();
+  }
+
+  const blobsDir = path.join(path.dirname(backupDir), BLOBS_DIR);
+  const missing = manifest.files.filter(file => !fs.existsSync(path.join(blobsDir, file)));
+  if (missing.length > 0) result.warnings.push(`${missing.length} files are missing from the backup`);
+
+  result.ok = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Copy a backup's database to `dbPath`, its key file to `keyPath` (or
+ * remove the key for a plain backup) and its files into the vault.
+ * Existing vault files are kept unless they are encrypted differently;
+ * link snapshots are always replaced. The vault database must be closed.
+ */
+function restoreBackupFiles(backupDir, { vaultDir, dbPath, keyPath }) {
+  const manifest = readManifest(backupDir);
+  const blobsDir = path.join(path.dirname(backupDir), BLOBS_DIR);
+  let restored = 0;
+  for (const file of manifest.files) {
+    const source = path.join(blobsDir, file);
+    const relative = vaultPathOfBlob(file);
+    const target = path.join(vaultDir, relative);
+    const inPlace = relative.startsWith(`${LINK_SNAPSHOTS_DIR}/`);
+    if (!fs.existsSync(source) || (!inPlace && fs.existsSync(target) && fileKeyId(source) === fileKeyId(target))) continue;
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(source, target);
+    restored++;
+  }
+  fs.copyFileSync(path.join(backupDir, BACKUP_DB), dbPath);
+  if (manifest.encrypted) fs.copyFileSync(path.join(backupDir, BACKUP_KEY_FILE), keyPath);
+  else fs.rmSync(keyPath, { force: true });
+  return restored;
+}
+
+module.exports = {
+  createBackup,
+  listBackups,
+  validateBackup,
+  restoreBackupFiles,
+};
@@ -0,0 +1,120 @@
+// Clipboard capture for the clipboard inbox (the watcher runs in main.cjs,
+// entries are stored by storage.cjs).
+//
+// Electron has no clipboard change event, so the watcher polls:
+// readClipboardChange() compares the clipboard with the previous snapshot
+// and returns what was copied since. Text wins over images when both are
+// offered (office apps put a rendered picture next to copied text).
+// Content that password managers mark as concealed or transient is never
+// read. frontmostApp() names the application in front, which is usually
+// the one the copy came from; it is best effort and null when unknown.
+
+const crypto = require("crypto");
+const path = require("path");
+const { execFile } = require("child_process");
+
+// Markers password managers and other apps set on content that clipboard
+// history tools must not keep (macOS pasteboard types, Windows formats,
+// KDE hint)
+const CONCEALED_FORMATS = [
+  "org.nspasteboard.ConcealedType",
+  "org.nspasteboard.TransientType",
+  "org.nspasteboard.AutoGeneratedType",
+  "ExcludeClipboardContentFromMonitorProcessing",
+  "x-kde-passwordManagerHint",
+];
+const FRONTMOST_APP_TIMEOUT_MS = 3000;
+
+function isConcealed(clipboard, formats) {
+  return CONCEALED_FORMATS.some(format => {
+    if (formats.includes(format)) return true;
+    try {
+      return clipboard.has(format);
+    } catch (err) {
+      return false;
+    }
+  });
+}
+
+/**
+ * What was copied since `previous` (the signature of the last snapshot, or
+ * null). Returns null when nothing changed, otherwise
+ *   { signature, capture }
+ * where capture is { kind: "text", text }, { kind: "image", image: <PNG
+ * Buffer>, width, height } or null (empty or concealed content).
+ */
+function readClipboardChange(clipboard, previous) {
+  const formats = clipboard.availableFormats();
+  const text = clipboard.readText();
+  const hasImage = !text.trim() && formats.some(format => format.startsWith("image/"));
+  const image = hasImage ? clipboard.readImage() : null;
+
+  const hash = crypto.createHash("sha1").update(formats.join("\n")).update("\0").update(text);
+  if (image && !image.isEmpty()) hash.update(image.toBitmap());
+  const signature = hash.digest("hex");
+  if (signature === previous) return null;
+
+  if (isConcealed(clipboard, formats)) return { signature, capture: null };
+  if (text.trim()) return { signature, capture: { kind: "text", text } };
+  if (image && !image.isEmpty()) {
+    const { width, height } = image.getSize();
+    return { signature, capture: { kind: "image", image: image.toPNG(), width, height } };
+  }
+  return { signature, capture: null };
+}
+
+function run(command, args) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { timeout: FRONTMOST_APP_TIMEOUT_MS, windowsHide: true }, (err, stdout) => {
+      if (err) reject(err);
+      else resolve(String(stdout).trim());
+    });
+  });
+}
+
+/**
+ * Name of the frontmost application ("Safari", "chrome", "1Password"...),
+ * or null if it cannot be determined
+ */
+async function frontmostApp() {
+  try {
+    if (process.platform === "darwin") {
+      return (await run("osascript", [
+        "-e",
+        'tell application "System Events" to get name of first application process whose frontmost is true',
+      ])) || null;
+    }
+    if (process.platform === "win32") {
+      const script = [
+        'Add-Type -Namespace AltDump -Name Win32 -MemberDefinition \'',
+        '[DllImport("user32.dll")] public static extern IntPtr GetForegroundWindow();',
+        '[DllImport("user32.dll")] public static extern uint GetWindowThreadProcessId(IntPtr hWnd, out uint pid);\';',
+        "$pid_ = 0; [void][AltDump.Win32]::GetWindowThreadProcessId([AltDump.Win32]::GetForegroundWindow(), [ref]$pid_);",
+        "(Get-Process -Id $pid_).ProcessName",
+      ].join(" ");
+      return (await run("powershell.exe", ["-NoProfile", "-NonInteractive", "-Command", script])) || null;
+    }
+    // X11; Wayland compositors don't tell other clients which window is active
+    const pid = await run("xdotool", ["getactivewindow", "getwindowpid"]);
+    const command = await run("ps", ["-o", "comm=", "-p", pid]);
+    return command ? path.basename(command) : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Whether `appName` is one of `excludedApps` (case-insensitive; an entry
+ * matches names that contain it, so "keepass" covers KeePassXC)
+ */
+function isExcludedApp(appName, excludedApps) {
+  if (!appName) return false;
+  const name = appName.toLowerCase();
+  return excludedApps.some(entry => entry && name.includes(entry.toLowerCase()));
+}
+
+module.exports = {
+  readClipboardChange,
+  frontmostApp,
+  isExcludedApp,
+};
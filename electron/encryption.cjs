@@ -0,0 +1,191 @@
+// At-rest encryption for the vault.
+//
+// A random 256-bit data key encrypts everything; the passphrase only wraps
+// it. vault.key (in VAULT_DIR) holds the scrypt parameters and the wrapped
+// key, so the passphrase can be checked without touching the vault:
+//   { format, version, id, kdf: { name, salt, N, r, p }, key, state, createdAt }
+// `state` is "encrypting" while an existing vault is being converted and
+// "ready" once every row and file is encrypted.
+//
+// Encrypted values are AES-256-GCM:
+//   text   "enc:v1:" + base64(iv | tag | ciphertext), stored in TEXT columns
+//   files  MAGIC | key id | iv | tag | ciphertext
+// The key id in file headers lets backups tell copies made with another
+// key apart from identical ones. Text hashes (duplicate detection) are
+// HMACs under a separate subkey so they can't be used to guess content.
+
+const fs = require("fs");
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_FILE_NAME = "vault.key";
+const KEY_FILE_FORMAT = "altdump-key";
+const KEY_FILE_VERSION = 1;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// scrypt cost: ~128 MB and a few hundred ms per unlock
+const SCRYPT_PARAMS = { N: 2 ** 17, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 256 * 1024 * 1024;
+
+const CIPHER = "aes-256-gcm";
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_ID_LENGTH = 16;
+const TEXT_PREFIX = "enc:v1:";
+const FILE_MAGIC = Buffer.from("ALTDENC1");
+const FILE_HEADER_LENGTH = FILE_MAGIC.length + KEY_ID_LENGTH;
+// Bytes an encrypted file is larger than its content
+const FILE_OVERHEAD = FILE_HEADER_LENGTH + IV_LENGTH + TAG_LENGTH;
+
+class VaultLockedError extends Error {
+  constructor() {
+    super("The vault is locked. Unlock it in the AltDump window first.");
+    this.name = "VaultLockedError";
+  }
+}
+
+function encrypt(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  if (aad) cipher.setAAD(aad);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+function decrypt(key, sealed, aad) {
+  const decipher = crypto.createDecipheriv(CIPHER, key, sealed.subarray(0, IV_LENGTH));
+  if (aad) decipher.setAAD(aad);
+  decipher.setAuthTag(sealed.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  return Buffer.concat([decipher.update(sealed.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+}
+
+// Separate keys for encryption and text hashes, derived from the data key
+function deriveKeys(dataKey, keyId) {
+  const derive = (info) => Buffer.from(crypto.hkdfSync("sha256", dataKey, keyId, info, 32));
+  return { id: keyId, encryptionKey: derive("altdump-encryption"), hashKey: derive("altdump-text-hash") };
+}
+
+async function passphraseKey(passphrase, kdf) {
+  return scrypt(String(passphrase).normalize("NFC"), Buffer.from(kdf.salt, "base64"), 32, {
+    N: kdf.N, r: kdf.r, p: kdf.p, maxmem: SCRYPT_MAXMEM,
+  });
+}
+
+/**
+ * New data key wrapped with `passphrase`. Returns { keys, keyFile }; the
+ * key file starts in the "encrypting" state.
+ */
+async function createVaultKey(passphrase) {
+  if (String(passphrase || "").length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+  const dataKey = crypto.randomBytes(32);
+  const keyId = crypto.randomBytes(KEY_ID_LENGTH);
+  const kdf = { name: "scrypt", salt: crypto.randomBytes(16).toString("base64"), ...SCRYPT_PARAMS };
+  const wrapped = encrypt(await passphraseKey(passphrase, kdf), dataKey, Buffer.from(KEY_FILE_FORMAT));
+  const keyFile = {
+    format: KEY_FILE_FORMAT,
+    version: KEY_FILE_VERSION,
+    id: keyId.toString("base64"),
+    kdf,
+    key: wrapped.toString("base64"),
+    state: "encrypting",
+    createdAt: new Date().toISOString(),
+  };
+  return { keys: deriveKeys(dataKey, keyId), keyFile };
+}
+
+/**
+ * Unwrap the data key; throws "Wrong passphrase" if it doesn't match
+ */
+async function unlockVaultKey(keyFile, passphrase) {
+  if (keyFile.format !== KEY_FILE_FORMAT || keyFile.version > KEY_FILE_VERSION) {
+    throw new Error("vault.key was written by a newer version of AltDump");
+  }
+  const wrappingKey = await passphraseKey(passphrase, keyFile.kdf);
+  let dataKey;
+  try {
+    dataKey = decrypt(wrappingKey, Buffer.from(keyFile.key, "base64"), Buffer.from(KEY_FILE_FORMAT));
+  } catch (err) {
+    throw new Error("Wrong passphrase");
+  }
+  return deriveKeys(dataKey, Buffer.from(keyFile.id, "base64"));
+}
+
+function readKeyFile(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+// Written via a temporary file: a torn vault.key would lock the vault for good
+function writeKeyFile(filePath, keyFile) {
+  const tmpPath = filePath + ".tmp";
+  fs.writeFileSync(tmpPath, JSON.stringify(keyFile, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+function isEncryptedText(value) {
+  return typeof value === "string" && value.startsWith(TEXT_PREFIX);
+}
+
+function encryptText(keys, text) {
+  return TEXT_PREFIX + encrypt(keys.encryptionKey, Buffer.from(String(text), "utf8")).toString("base64");
+}
+
+function decryptText(keys, value) {
+  return decrypt(keys.encryptionKey, Buffer.from(value.slice(TEXT_PREFIX.length), "base64")).toString("utf8");
+}
+
+function textHash(keys, normalizedText) {
+  return crypto.createHmac("sha256", keys.hashKey).update(normalizedText, "utf8").digest("hex");
+}
+
+function isEncryptedBuffer(data) {
+  return data.length >= FILE_OVERHEAD && data.subarray(0, FILE_MAGIC.length).equals(FILE_MAGIC);
+}
+
+function encryptBuffer(keys, data) {
+  return Buffer.concat([FILE_MAGIC, keys.id, encrypt(keys.encryptionKey, data, keys.id)]);
+}
+
+function decryptBuffer(keys, data) {
+  const keyId = data.subarray(FILE_MAGIC.length, FILE_HEADER_LENGTH);
+  if (!keyId.equals(keys.id)) throw new Error("File was encrypted with a different vault key");
+  return decrypt(keys.encryptionKey, data.subarray(FILE_HEADER_LENGTH), keyId);
+}
+
+/**
+ * Key id (base64) of an encrypted file, or null for a plain one
+ */
+function fileKeyId(filePath) {
+  const header = Buffer.alloc(FILE_HEADER_LENGTH);
+  const fd = fs.openSync(filePath, "r");
+  let read;
+  try {
+    read = fs.readSync(fd, header, 0, FILE_HEADER_LENGTH, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  if (read < FILE_HEADER_LENGTH || !header.subarray(0, FILE_MAGIC.length).equals(FILE_MAGIC)) return null;
+  return header.subarray(FILE_MAGIC.length).toString("base64");
+}
+
+module.exports = {
+  KEY_FILE_NAME,
+  MIN_PASSPHRASE_LENGTH,
+  FILE_OVERHEAD,
+  VaultLockedError,
+  createVaultKey,
+  unlockVaultKey,
+  readKeyFile,
+  writeKeyFile,
+  isEncryptedText,
+  encryptText,
+  decryptText,
+  textHash,
+  isEncryptedBuffer,
+  encryptBuffer,
+  decryptBuffer,
+  fileKeyId,
+};
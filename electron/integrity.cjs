@@ -0,0 +1,237 @@
+// Vault integrity checker and garbage collector.
+//
+// Reconciles the `items` table with the files in VAULT_DIR: vault copies
+// are stored as `<sha256><ext>` at the top level, thumbnails under
+// `thumbnails/` and link snapshots under `links/`. A check reports
+//   - orphaned files      vault copies no item (trashed ones included) uses
+//   - missing files       items whose raw_path no longer exists
+//   - hash mismatches     stored files whose content changed on disk
+//   - missing thumbnails  items whose thumbnail file is gone
+//   - stale thumbnails    thumbnails no item refers to
+//   - missing snapshots   links whose saved snapshot is gone
+//   - stale snapshots     snapshots no link refers to
+// and, unless run as a dry run, repairs what it can: missing files are
+// re-linked to a vault copy with the right hash, missing thumbnails are
+// regenerated by re-queueing enrichment, and orphaned files, stale
+// thumbnails and stale snapshots are moved to `quarantine/<timestamp>/`
+// rather than deleted. Hash mismatches and missing snapshots are only
+// reported; the original content is gone.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Top-level vault entries that are not item files
+const RESERVED_VAULT_FILES = [
+  /^vault\.db(-wal|-shm|-journal)?$/,
+  /^embeddings\.hnsw((\.\d+)?\.tmp)?$/,
+  /^vault\.key(\.tmp)?$/,
+];
+const THUMBNAILS_DIR = "thumbnails";
+const LINKS_DIR = "links";
+const QUARANTINE_DIR = "quarantine";
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("error", reject)
+      .on("data", chunk => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+function listFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isFile())
+    .map(entry => path.join(dir, entry.name));
+}
+
+// Vault-relative path of a link's saved snapshot, from its metadata JSON
+function snapshotPathOf(metadata) {
+  try {
+    const snapshot = JSON.parse(metadata || "{}").snapshot;
+    return snapshot && typeof snapshot.path === "string" ? snapshot.path : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function fileSize(filePath) {
+  try {
+    return fs.statSync(filePath).size;
+  } catch (err) {
+    return 0;
+  }
+}
+
+/**
+ * Check the vault and optionally repair it.
+ *
+ * options:
+ *   vaultDir             absolute VAULT_DIR
+ *   dryRun               report only (default true)
+ *   regenerateThumbnail  (itemId) => void, queues thumbnail generation
+ *   openValue            (value) => value, decrypts titles and metadata of
+ *                        encrypted vaults
+ *   hashStoredFile       (filePath) => Promise<sha256 of the content>,
+ *                        hashFile by default
+ *   onProgress           ({ phase, done, total }) => void
+ *
+ * Returns a report; with dryRun false, `repairs` lists what was changed.
+ */
+async function checkVault(db, options) {
+  const {
+    vaultDir,
+    dryRun = true,
+    regenerateThumbnail = () => {},
+    openValue = value => value,
+    hashStoredFile = hashFile,
+    onProgress = () => {},
+  } = options;
+  const vaultRoot = path.resolve(vaultDir);
+  const resolveStored = (stored) => (stored ? path.resolve(vaultRoot, stored) : null);
+
+  const report = {
+    dryRun,
+    checkedAt: new Date().toISOString(),
+    checkedItems: 0,
+    checkedFiles: 0,
+    orphanedFiles: [],
+    missingFiles: [],
+    hashMismatches: [],
+    missingThumbnails: [],
+    staleThumbnails: [],
+    missingSnapshots: [],
+    staleSnapshots: [],
+    repairs: [],
+    quarantineDir: null,
+  };
+
+  const rows = db.prepare(
+    "SELECT id, title, type, raw_path, thumbnail_path, hash, metadata FROM items"
+  ).all().map(row => ({
+    ...row,
+    title: openValue(row.title),
+    snapshotPath: row.type === "link" ? snapshotPathOf(openValue(row.metadata)) : null,
+  }));
+  report.checkedItems = rows.length;
+
+  const referencedFiles = new Set();
+  const referencedThumbnails = new Set();
+  const referencedSnapshots = new Set();
+  for (const row of rows) {
+    if (row.raw_path) referencedFiles.add(resolveStored(row.raw_path));
+    if (row.thumbnail_path) referencedThumbnails.add(resolveStored(row.thumbnail_path));
+    if (row.snapshotPath) referencedSnapshots.add(resolveStored(row.snapshotPath));
+  }
+
+  const vaultFiles = listFiles(vaultRoot).filter(
+    file => !RESERVED_VAULT_FILES.some(pattern => pattern.test(path.basename(file)))
+  );
+  const thumbnailFiles = listFiles(path.join(vaultRoot, THUMBNAILS_DIR));
+  const snapshotFiles = listFiles(path.join(vaultRoot, LINKS_DIR));
+  report.checkedFiles = vaultFiles.length + thumbnailFiles.length + snapshotFiles.length;
+
+  // Items whose stored file is missing or changed
+  const fileRows = rows.filter(row => row.raw_path);
+  for (let i = 0; i < fileRows.length; i++) {
+    const row = fileRows[i];
+    const filePath = resolveStored(row.raw_path);
+    onProgress({ phase: "files", done: i, total: fileRows.length });
+
+    if (!fs.existsSync(filePath)) {
+      report.missingFiles.push({ itemId: row.id, title: row.title, path: filePath, hash: row.hash });
+      continue;
+    }
+    if (!row.hash) continue;
+    try {
+      const actual = await hashStoredFile(filePath);
+      if (actual !== row.hash) {
+        report.hashMismatches.push({
+          itemId: row.id, title: row.title, path: filePath, expected: row.hash, actual,
+        });
+      }
+    } catch (err) {
+      report.hashMismatches.push({
+        itemId: row.id, title: row.title, path: filePath, expected: row.hash, actual: null, error: err.message,
+      });
+    }
+  }
+  onProgress({ phase: "files", done: fileRows.length, total: fileRows.length });
+
+  for (const row of rows) {
+    if (row.thumbnail_path && !fs.existsSync(resolveStored(row.thumbnail_path))) {
+      report.missingThumbnails.push({ itemId: row.id, title: row.title, path: resolveStored(row.thumbnail_path) });
+    }
+    if (row.snapshotPath && !fs.existsSync(resolveStored(row.snapshotPath))) {
+      report.missingSnapshots.push({ itemId: row.id, title: row.title, path: resolveStored(row.snapshotPath) });
+    }
+  }
+
+  for (const file of vaultFiles) {
+    if (!referencedFiles.has(file)) report.orphanedFiles.push({ path: file, size: fileSize(file) });
+  }
+  for (const file of thumbnailFiles) {
+    if (!referencedThumbnails.has(file)) report.staleThumbnails.push({ path: file, size: fileSize(file) });
+  }
+  for (const file of snapshotFiles) {
+    if (!referencedSnapshots.has(file)) report.staleSnapshots.push({ path: file, size: fileSize(file) });
+  }
+
+  if (!dryRun) await repairVault(db, report, { vaultRoot, regenerateThumbnail, hashStoredFile });
+  return report;
+}
+
+/**
+ * Apply repairs for a report produced by checkVault
+ */
+async function repairVault(db, report, { vaultRoot, regenerateThumbnail, hashStoredFile }) {
+  const setRawPath = db.prepare("UPDATE items SET raw_path = ? WHERE id = ?");
+
+  // Re-link missing files to an orphaned vault copy with the same hash
+  // (e.g. a vault moved between machines keeps stale absolute paths)
+  for (const missing of report.missingFiles) {
+    if (!missing.hash) continue;
+    const candidate = report.orphanedFiles.find(
+      orphan => !orphan.relinked && path.basename(orphan.path).startsWith(missing.hash)
+    );
+    if (!candidate || (await hashStoredFile(candidate.path)) !== missing.hash) continue;
+    setRawPath.run(candidate.path, missing.itemId);
+    candidate.relinked = true;
+    missing.relinkedTo = candidate.path;
+    report.repairs.push({ action: "relink", itemId: missing.itemId, path: candidate.path });
+  }
+
+  for (const missing of report.missingThumbnails) {
+    regenerateThumbnail(missing.itemId);
+    report.repairs.push({ action: "regenerate-thumbnail", itemId: missing.itemId, path: missing.path });
+  }
+
+  const toQuarantine = [
+    ...report.orphanedFiles.filter(orphan => !orphan.relinked),
+    ...report.staleThumbnails,
+    ...report.staleSnapshots,
+  ];
+  if (toQuarantine.length === 0) return;
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  report.quarantineDir = path.join(vaultRoot, QUARANTINE_DIR, stamp);
+  for (const file of toQuarantine) {
+    const target = path.join(report.quarantineDir, path.relative(vaultRoot, file.path));
+    try {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.renameSync(file.path, target);
+      report.repairs.push({ action: "quarantine", path: file.path, target });
+    } catch (err) {
+      console.error("[INTEGRITY] Failed to quarantine", file.path, err.message);
+    }
+  }
+}
+
+module.exports = {
+  checkVault,
+  hashFile,
+  RESERVED_VAULT_FILES,
+};
@@ -0,0 +1,252 @@
+// Persistent background job queue backed by the vault's SQLite `jobs` table
+// (created by migration v5, see migrations.cjs).
+//
+// Jobs survive restarts: anything left `running` by a crash is re-queued on
+// start. Failed jobs are retried with exponential backoff up to
+// `max_attempts`, then marked `failed`; a handler that cannot run yet
+// (e.g. no network) throws JobDeferredError to be re-queued later without
+// using up an attempt. Jobs run one at a time so heavy
+// enrichment (OCR, PDF parsing, ffmpeg, embeddings) never competes with
+// itself for the CPU.
+
+const RETRY_BASE_DELAY_MS = 5000;
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+class JobCancelledError extends Error {
+  constructor(jobId) {
+    super(`Job ${jobId} was cancelled`);
+    this.name = "JobCancelledError";
+  }
+}
+
+// Thrown by a handler to run the job again after `delayMs`; the attempt
+// is not counted
+class JobDeferredError extends Error {
+  constructor(message, delayMs) {
+    super(message);
+    this.name = "JobDeferredError";
+    this.delayMs = delayMs;
+  }
+}
+
+/**
+ * Create a job queue.
+ *
+ * handlers: { [type]: async (job, ctx) => void } where ctx provides
+ *   - ctx.progress(step)      report the current step to listeners
+ *   - ctx.throwIfCancelled()  abort between steps if the job was cancelled
+ * onEvent: called with { jobId, type, itemId, status, step, attempts, error }
+ *   for every state change (queued, running, progress, done, retrying,
+ *   deferred, failed, cancelled)
+ */
+function createJobQueue(db, { handlers, onEvent = () => {} }) {
+  let started = false;
+  let running = null;      // job currently executing
+  let activeRun = null;    // promise of the runNext() call in progress
+  let wakeTimer = null;
+  const cancelled = new Set();
+
+  const now = () => new Date().toISOString();
+  const emit = (job, status, extra = {}) => {
+    try {
+      onEvent({
+        jobId: job.id,
+        type: job.type,
+        itemId: job.item_id,
+        status,
+        attempts: job.attempts,
+        ...extra,
+      });
+    } catch (err) {
+      console.error("[JOBS] Event listener failed:", err && err.message);
+    }
+  };
+
+  const setStatus = db.prepare(
+    "UPDATE jobs SET status = ?, attempts = ?, last_error = ?, run_after = ?, updated_at = ? WHERE id = ?"
+  );
+
+  function enqueue(type, itemId = null, payload = {}, options = {}) {
+    const timestamp = now();
+    const result = db.prepare(`
+      INSERT INTO jobs (type, item_id, status, payload, max_attempts, run_after, created_at, updated_at)
+      VALUES (?, ?, 'queued', ?, ?, ?, ?, ?)
+    `).run(
+      type,
+      itemId,
+      JSON.stringify(payload),
+      options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+      options.runAfter || timestamp,
+      timestamp,
+      timestamp
+    );
+    const job = db.prepare("SELECT * FROM jobs WHERE id = ?").get(result.lastInsertRowid);
+    emit(job, "queued");
+    wake();
+    return job.id;
+  }
+
+  /**
+   * Cancel queued and running jobs for an item (or a single job id).
+   * A running job stops at its next ctx.throwIfCancelled() checkpoint.
+   */
+  function cancel({ itemId, jobId }) {
+    const jobs = jobId
+      ? db.prepare("SELECT * FROM jobs WHERE id = ? AND status IN ('queued', 'running')").all(jobId)
+      : db.prepare("SELECT * FROM jobs WHERE item_id = ? AND status IN ('queued', 'running')").all(itemId);
+
+    for (const job of jobs) {
+      if (running && running.id === job.id) {
+        cancelled.add(job.id);
+      } else {
+        setStatus.run("cancelled", job.attempts, null, job.run_after, now(), job.id);
+        emit(job, "cancelled");
+      }
+    }
+    return jobs.length;
+  }
+
+  /**
+   * Re-queue failed or cancelled jobs for an item with a fresh attempt budget
+   */
+  function retry(itemId) {
+    const jobs = db.prepare(
+      "SELECT * FROM jobs WHERE item_id = ? AND status IN ('failed', 'cancelled')"
+    ).all(itemId);
+    for (const job of jobs) {
+      setStatus.run("queued", 0, null, now(), now(), job.id);
+      emit({ ...job, attempts: 0 }, "queued");
+    }
+    wake();
+    return jobs.length;
+  }
+
+  function pendingJobsForItem(itemId) {
+    return db.prepare(
+      "SELECT * FROM jobs WHERE item_id = ? AND status IN ('queued', 'running') ORDER BY id"
+    ).all(itemId);
+  }
+
+  function wake(delayMs = 0) {
+    if (!started || running) return;
+    if (wakeTimer) clearTimeout(wakeTimer);
+    wakeTimer = setTimeout(() => {
+      wakeTimer = null;
+      const run = runNext();
+      const clear = () => {
+        if (activeRun === run) activeRun = null;
+      };
+      activeRun = run;
+      run.then(clear, (err) => {
+        clear();
+        console.error("[JOBS] Queue error:", err && err.message);
+      });
+    }, delayMs);
+  }
+
+  async function runNext() {
+    if (!started || running) return;
+
+    const job = db.prepare(
+      "SELECT * FROM jobs WHERE status = 'queued' AND run_after <= ? ORDER BY id LIMIT 1"
+    ).get(now());
+
+    if (!job) {
+      // Sleep until the next delayed retry, if any
+      const next = db.prepare(
+        "SELECT run_after FROM jobs WHERE status = 'queued' ORDER BY run_after LIMIT 1"
+      ).get();
+      if (next) wake(Math.max(0, new Date(next.run_after).getTime() - Date.now()));
+      return;
+    }
+
+    const handler = handlers[job.type];
+    const attempts = job.attempts + 1;
+    running = job;
+    setStatus.run("running", attempts, null, job.run_after, now(), job.id);
+    job.attempts = attempts;
+    emit(job, "running");
+
+    const ctx = {
+      payload: JSON.parse(job.payload || "{}"),
+      progress: (step) => emit(job, "progress", { step }),
+      throwIfCancelled: () => {
+        if (cancelled.has(job.id)) throw new JobCancelledError(job.id);
+      },
+    };
+
+    try {
+      if (!handler) throw new Error(`No handler for job type "${job.type}"`);
+      await handler(job, ctx);
+      db.prepare("DELETE FROM jobs WHERE id = ?").run(job.id);
+      emit(job, "done");
+    } catch (err) {
+      const message = (err && err.message) || String(err);
+      if (err instanceof JobCancelledError) {
+        setStatus.run("cancelled", attempts, null, job.run_after, now(), job.id);
+        emit(job, "cancelled");
+      } else if (err instanceof JobDeferredError) {
+        const runAfter = new Date(Date.now() + err.delayMs).toISOString();
+        job.attempts = attempts - 1;
+        setStatus.run("queued", job.attempts, message, runAfter, now(), job.id);
+        console.log(`[JOBS] ${job.type} #${job.id} deferred for ${err.delayMs} ms:`, message);
+        emit(job, "deferred", { error: message });
+      } else if (attempts < job.max_attempts) {
+        const delay = RETRY_BASE_DELAY_MS * 2 ** (attempts - 1);
+        const runAfter = new Date(Date.now() + delay).toISOString();
+        setStatus.run("queued", attempts, message, runAfter, now(), job.id);
+        console.warn(`[JOBS] ${job.type} #${job.id} failed (attempt ${attempts}), retrying in ${delay} ms:`, message);
+        emit(job, "retrying", { error: message });
+      } else {
+        setStatus.run("failed", attempts, message, job.run_after, now(), job.id);
+        console.error(`[JOBS] ${job.type} #${job.id} failed permanently:`, message);
+        emit(job, "failed", { error: message });
+      }
+    } finally {
+      cancelled.delete(job.id);
+      running = null;
+      wake();
+    }
+  }
+
+  function start() {
+    if (started) return;
+    started = true;
+    // Jobs interrupted by a crash or quit go back to the queue
+    const interrupted = db.prepare(
+      "UPDATE jobs SET status = 'queued', updated_at = ? WHERE status = 'running'"
+    ).run(now());
+    if (interrupted.changes > 0) {
+      console.log("[JOBS] Re-queued", interrupted.changes, "interrupted jobs");
+    }
+    wake();
+  }
+
+  /**
+   * Stop picking up jobs. Resolves once the job running at the time (if
+   * any) has finished, e.g. before the database is closed.
+   */
+  function stop() {
+    started = false;
+    if (wakeTimer) {
+      clearTimeout(wakeTimer);
+      wakeTimer = null;
+    }
+    return activeRun || Promise.resolve();
+  }
+
+  return {
+    enqueue,
+    cancel,
+    retry,
+    pendingJobsForItem,
+    start,
+    stop,
+  };
+}
+
+module.exports = {
+  createJobQueue,
+  JobCancelledError,
+  JobDeferredError,
+};
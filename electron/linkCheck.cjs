@@ -0,0 +1,142 @@
+// Link health checks (storage.checkLinks).
+//
+// runLinkChecks() works through a list of URLs with a small pool of
+// concurrent requests, at most `perHostConcurrency` at a time against one
+// host and with a pause between requests to the same host, so checking a
+// vault full of links from one site doesn't hammer it. linkHealth() turns
+// a check's outcome into the `health` entry stored in the item's metadata:
+//
+//   state       ok | redirected (moved permanently) | error | dead
+//   httpStatus, finalUrl, redirects, error, failures, checkedAt
+//
+// 404 and 410 are dead straight away; other failures only after
+// DEAD_AFTER_FAILURES checks in a row, since servers have bad days.
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_PER_HOST_CONCURRENCY = 1;
+const DEFAULT_PER_HOST_INTERVAL_MS = 1000;
+const DEAD_AFTER_FAILURES = 3;
+const GONE_STATUSES = new Set([404, 410]);
+const PERMANENT_REDIRECTS = new Set([301, 308]);
+// The name no longer resolves: as good as a 404, if the network is up
+const DEAD_ERROR_CODES = new Set(["ENOTFOUND"]);
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (err) {
+    return "";
+  }
+}
+
+/**
+ * Check every target ({ id, url }) with `check(url)`; resolves to
+ * [{ id, url, result }] or [{ id, url, error }] in completion order.
+ * options: concurrency, perHostConcurrency, perHostIntervalMs,
+ * onResult(outcome) after each check, isCancelled() to stop early (checks
+ * already running finish).
+ */
+function runLinkChecks(targets, check, options = {}) {
+  const concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+  const perHostConcurrency = options.perHostConcurrency || DEFAULT_PER_HOST_CONCURRENCY;
+  const perHostInterval = options.perHostIntervalMs ?? DEFAULT_PER_HOST_INTERVAL_MS;
+  const onResult = options.onResult || (() => {});
+  const isCancelled = options.isCancelled || (() => false);
+
+  const waiting = [...targets];
+  const activeByHost = new Map();
+  const nextStartByHost = new Map();
+  const outcomes = [];
+  let active = 0;
+  let timer = null;
+
+  return new Promise((resolve) => {
+    const finish = () => {
+      if (timer) clearTimeout(timer);
+      resolve(outcomes);
+    };
+
+    const pump = () => {
+      if (isCancelled()) waiting.length = 0;
+      if (waiting.length === 0 && active === 0) return finish();
+
+      const now = Date.now();
+      let soonest = Infinity;
+      for (let i = 0; i < waiting.length && active < concurrency;) {
+        const target = waiting[i];
+        const host = hostOf(target.url);
+        const busy = (activeByHost.get(host) || 0) >= perHostConcurrency;
+        const readyAt = nextStartByHost.get(host) || 0;
+        if (busy || readyAt > now) {
+          if (!busy) soonest = Math.min(soonest, readyAt);
+          i++;
+          continue;
+        }
+        waiting.splice(i, 1);
+        active++;
+        activeByHost.set(host, (activeByHost.get(host) || 0) + 1);
+        nextStartByHost.set(host, now + perHostInterval);
+        run(target, host);
+      }
+      // Everything left waits for a host's pause to end (or a running check)
+      if (timer) clearTimeout(timer);
+      timer = soonest < Infinity && active < concurrency ? setTimeout(pump, soonest - now) : null;
+    };
+
+    const run = async (target, host) => {
+      let outcome;
+      try {
+        outcome = { ...target, result: await check(target.url) };
+      } catch (error) {
+        outcome = { ...target, error };
+      }
+      active--;
+      activeByHost.set(host, activeByHost.get(host) - 1);
+      outcomes.push(outcome);
+      try {
+        onResult(outcome);
+      } catch (err) {
+        console.error("[LINKCHECK] Result handler failed:", err);
+      }
+      pump();
+    };
+
+    pump();
+  });
+}
+
+/**
+ * The `health` entry for a check outcome ({ result } or { error }, see
+ * runLinkChecks); `previous` is the entry from the last check
+ */
+function linkHealth(outcome, previous = {}, checkedAt = new Date().toISOString()) {
+  if (outcome.result) {
+    const { status, url, redirects = [] } = outcome.result;
+    const moved = redirects.length > 0 && redirects.every(hop => PERMANENT_REDIRECTS.has(hop.status));
+    const health = {
+      httpStatus: status,
+      finalUrl: redirects.length > 0 ? url : null,
+      redirects,
+      checkedAt,
+    };
+    if (status >= 200 && status < 400) return { ...health, state: moved ? "redirected" : "ok", failures: 0 };
+    if (GONE_STATUSES.has(status)) return { ...health, state: "dead", failures: (previous.failures || 0) + 1 };
+    return failedHealth(health, `HTTP ${status}`, previous);
+  }
+  const error = outcome.error || {};
+  const health = { httpStatus: null, finalUrl: null, redirects: [], checkedAt };
+  if (DEAD_ERROR_CODES.has(error.code)) {
+    return { ...health, state: "dead", error: error.message, failures: (previous.failures || 0) + 1 };
+  }
+  return failedHealth(health, error.message || String(error), previous);
+}
+
+function failedHealth(health, message, previous) {
+  const failures = (previous.failures || 0) + 1;
+  return { ...health, state: failures >= DEAD_AFTER_FAILURES ? "dead" : "error", error: message, failures };
+}
+
+module.exports = {
+  runLinkChecks,
+  linkHealth,
+};
@@ -0,0 +1,392 @@
+// Link previews for link items (the `link` background job in storage.cjs).
+//
+// createLinkFetcher() does the network side: pages and the resources a
+// preview or snapshot needs, with timeouts and size caps. Storage uses one
+// fetcher at a time and setLinkFetcher() swaps it, so tests can point it
+// at a local HTTP server or a stub. Failures are LinkFetchErrors; `offline`
+// is set when the host could not be reached at all, which storage treats as
+// "try again later" rather than a broken link. checkUrl() is the cheap
+// request behind link health checks (see linkCheck.cjs).
+//
+// The rest works on HTML strings without a DOM: parsePageMetadata() reads
+// title, description, site name, favicon and Open Graph image,
+// extractReadableText() keeps the article text for search and embeddings,
+// and buildSnapshot() produces a single-file copy of the page with scripts
+// removed and stylesheets and images inlined.
+
+const PAGE_TIMEOUT_MS = 15000;
+const MAX_PAGE_BYTES = 5 * 1024 * 1024;
+const MAX_ARTICLE_CHARS = 100000;
+// Snapshot budget: resources above the per-file cap or past the total stay remote
+const MAX_SNAPSHOT_RESOURCE_BYTES = 2 * 1024 * 1024;
+const MAX_SNAPSHOT_BYTES = 20 * 1024 * 1024;
+const MAX_SNAPSHOT_RESOURCES = 100;
+const MAX_REDIRECTS = 10;
+const USER_AGENT = "Mozilla/5.0 (compatible; AltDump link preview)";
+
+// Error codes that mean the network (or DNS) is unavailable
+const OFFLINE_ERROR_CODES = new Set([
+  "ENOTFOUND", "EAI_AGAIN", "ENETUNREACH", "ENETDOWN", "EHOSTUNREACH", "UND_ERR_CONNECT_TIMEOUT",
+]);
+
+// Removed with their content before text extraction
+const NON_CONTENT_TAGS = [
+  "script", "style", "noscript", "template", "svg", "iframe", "object", "nav", "header", "footer", "aside", "form", "button", "select",
+];
+
+// Tags that end a line of readable text
+const BLOCK_TAG = /<\/?(?:p|div|br|li|ul|ol|h[1-6]|tr|table|section|article|main|blockquote|pre|figure|figcaption|dd|dt|hr)\b[^>]*>/gi;
+
+const NAMED_ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " ", ndash: "–", mdash: "—", hellip: "…",
+  lsquo: "‘", rsquo: "’", ldquo: "“", rdquo: "”", laquo: "«", raquo: "»", copy: "©", reg: "®", trade: "™", middot: "·", bull: "•",
+};
+
+class LinkFetchError extends Error {
+  constructor(message, { offline = false, status = null, code = null } = {}) {
+    super(message);
+    this.name = "LinkFetchError";
+    this.offline = offline;
+    this.status = status;
+    this.code = code;
+  }
+}
+
+async function readBody(response, maxBytes) {
+  if (!response.body || typeof response.body.getReader !== "function") {
+    const data = Buffer.from(await response.arrayBuffer());
+    return { data: data.subarray(0, maxBytes), truncated: data.length > maxBytes };
+  }
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return { data: Buffer.concat(chunks), truncated: false };
+    chunks.push(Buffer.from(value));
+    size += value.length;
+    if (size > maxBytes) {
+      await reader.cancel().catch(() => {});
+      return { data: Buffer.concat(chunks).subarray(0, maxBytes), truncated: true };
+    }
+  }
+}
+
+function charsetOf(contentType, data) {
+  const header = /charset=["']?([\w-]+)/i.exec(contentType || "");
+  if (header) return header[1];
+  const meta = /<meta[^>]+charset=["']?([\w-]+)/i.exec(data.subarray(0, 4096).toString("latin1"));
+  return meta ? meta[1] : "utf-8";
+}
+
+function decodeText(data, contentType) {
+  try {
+    return new TextDecoder(charsetOf(contentType, data)).decode(data);
+  } catch (err) {
+    return new TextDecoder("utf-8").decode(data);
+  }
+}
+
+/**
+ * Fetcher used for link previews. options.fetch replaces the global fetch
+ * (same interface), options.timeoutMs limits each request.
+ *
+ *   fetchPage(url)  -> { url, contentType, html, text }  (url after redirects;
+ *                      html for HTML pages, text for plain text, else null)
+ *   fetchResource(url, maxBytes) -> { data, contentType } or null when it
+ *                      fails or is larger than maxBytes
+ *   checkUrl(url)   -> { status, url, redirects }  (final HTTP status and
+ *                      URL; redirects lists each hop as { url, status })
+ */
+function createLinkFetcher(options = {}) {
+  const fetchImpl = options.fetch || globalThis.fetch;
+  const timeoutMs = options.timeoutMs || PAGE_TIMEOUT_MS;
+
+  async function request(url, accept, options = {}) {
+    try {
+      return await fetchImpl(url, {
+        method: options.method || "GET",
+        redirect: options.redirect || "follow",
+        signal: AbortSignal.timeout(timeoutMs),
+        headers: { "User-Agent": USER_AGENT, Accept: accept },
+      });
+    } catch (err) {
+      if (err && err.name === "TimeoutError") throw new LinkFetchError(`Timed out loading ${url}`, { code: "TIMEOUT" });
+      const code = err && ((err.cause && err.cause.code) || err.code);
+      throw new LinkFetchError(`Cannot reach ${url}: ${code || (err && err.message)}`, {
+        offline: OFFLINE_ERROR_CODES.has(code),
+        code: code || null,
+      });
+    }
+  }
+
+  async function fetchPage(url) {
+    const response = await request(url, "text/html,application/xhtml+xml,text/plain;q=0.9,*/*;q=0.8");
+    if (!response.ok) {
+      throw new LinkFetchError(`${url} returned HTTP ${response.status}`, { status: response.status });
+    }
+    const contentType = response.headers.get("content-type") || "";
+    const isHtml = /html/i.test(contentType);
+    const isText = /^text\//i.test(contentType);
+    let body = null;
+    if (isHtml || isText) {
+      const { data } = await readBody(response, MAX_PAGE_BYTES);
+      body = decodeText(data, contentType);
+    } else if (response.body && typeof response.body.cancel === "function") {
+      await response.body.cancel().catch(() => {});
+    }
+    return {
+      url: response.url || url,
+      contentType,
+      html: isHtml ? body : null,
+      text: isText && !isHtml ? body : null,
+    };
+  }
+
+  async function fetchResource(url, maxBytes) {
+    try {
+      const response = await request(url, "*/*");
+      if (!response.ok) return null;
+      const { data, truncated } = await readBody(response, maxBytes);
+      if (truncated) return null;
+      return { data, contentType: (response.headers.get("content-type") || "").split(";")[0].trim() };
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // HEAD first; servers that refuse or mishandle it get a GET whose body
+  // is dropped unread
+  async function checkUrl(url) {
+    const redirects = [];
+    let current = url;
+    while (redirects.length <= MAX_REDIRECTS) {
+      let response = await request(current, "*/*", { method: "HEAD", redirect: "manual" });
+      if (response.status >= 400) {
+        response = await request(current, "*/*", { redirect: "manual" });
+      }
+      if (response.body && typeof response.body.cancel === "function") {
+        await response.body.cancel().catch(() => {});
+      }
+      const location = response.headers.get("location");
+      if (response.status < 300 || response.status >= 400 || !location) {
+        return { status: response.status, url: current, redirects };
+      }
+      redirects.push({ url: current, status: response.status });
+      current = new URL(location, current).href;
+    }
+    throw new LinkFetchError(`Too many redirects from ${url}`, { code: "TOO_MANY_REDIRECTS" });
+  }
+
+  return { fetchPage, fetchResource, checkUrl };
+}
+
+// ===== HTML PARSING =====
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === "#") {
+      const code = name[1] === "x" || name[1] === "X" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+function cleanText(text, maxLength) {
+  const clean = decodeEntities(text || "").replace(/\s+/g, " ").trim();
+  return clean.length > maxLength ? `${clean.slice(0, maxLength - 1)}…` : clean;
+}
+
+/**
+ * Attributes of a start tag's source ("<meta name=x content='y'>") as a
+ * lower-cased name -> decoded value map
+ */
+function parseAttributes(tag) {
+  const attributes = {};
+  const pattern = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  const body = tag.replace(/^<[^\s>]+/, "").replace(/\/?>$/, "");
+  for (const match of body.matchAll(pattern)) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? "");
+  }
+  return attributes;
+}
+
+function startTags(html, name) {
+  return Array.from(html.matchAll(new RegExp(`<${name}\\b[^>]*>`, "gi")), match => parseAttributes(match[0]));
+}
+
+function resolveUrl(value, baseUrl) {
+  if (!value) return null;
+  try {
+    const url = new URL(value.trim(), baseUrl);
+    return url.protocol === "http:" || url.protocol === "https:" ? url.href : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function stripComments(html) {
+  return html.replace(/<!--[\s\S]*?-->/g, "");
+}
+
+function removeElements(html, tags) {
+  let result = html;
+  for (const tag of tags) {
+    result = result
+      .replace(new RegExp(`<${tag}\\b[^>]*>[\\s\\S]*?<\\/${tag}\\s*>`, "gi"), " ")
+      .replace(new RegExp(`<${tag}\\b[^>]*\\/>`, "gi"), " ");
+  }
+  return result;
+}
+
+/**
+ * Title, description, site name, favicon and Open Graph image of a page.
+ * URLs are absolute (resolved against <base> or `pageUrl`); missing
+ * values are null, except the favicon, which falls back to /favicon.ico.
+ */
+function parsePageMetadata(html, pageUrl) {
+  const head = stripComments(html);
+  const base = startTags(head, "base").map(attrs => resolveUrl(attrs.href, pageUrl)).find(Boolean) || pageUrl;
+
+  const meta = {};
+  for (const attrs of startTags(head, "meta")) {
+    const key = (attrs.property || attrs.name || "").toLowerCase();
+    if (key && attrs.content && !(key in meta)) meta[key] = attrs.content;
+  }
+  const titleMatch = /<title\b[^>]*>([\s\S]*?)<\/title\s*>/i.exec(head);
+
+  const icons = startTags(head, "link").filter(attrs => /(^|\s)(shortcut )?icon(\s|$)|apple-touch-icon/i.test(attrs.rel || ""));
+  const icon = icons.find(attrs => /(^|\s)icon(\s|$)/i.test(attrs.rel)) || icons[0];
+
+  return {
+    title: cleanText(meta["og:title"] || meta["twitter:title"] || (titleMatch && titleMatch[1]), 300) || null,
+    description: cleanText(meta["og:description"] || meta.description || meta["twitter:description"], 1000) || null,
+    siteName: cleanText(meta["og:site_name"], 100) || new URL(pageUrl).hostname.replace(/^www\./, ""),
+    image: resolveUrl(meta["og:image"] || meta["og:image:url"] || meta["twitter:image"], base),
+    favicon: resolveUrl(icon && icon.href, base) || new URL("/favicon.ico", pageUrl).href,
+  };
+}
+
+/**
+ * Readable text of a page: the largest <article> (or <main>, or the body)
+ * without navigation, scripts and forms, one block per line
+ */
+function extractReadableText(html) {
+  const cleaned = removeElements(stripComments(html), NON_CONTENT_TAGS);
+  const section = (tag) => Array.from(
+    cleaned.matchAll(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)<\\/${tag}\\s*>`, "gi")),
+    match => match[1]
+  ).sort((a, b) => b.length - a.length)[0];
+  const content = section("article") || section("main") || section("body") || cleaned;
+
+  const text = decodeEntities(content.replace(BLOCK_TAG, "\n").replace(/<[^>]*>/g, " "))
+    .split("\n")
+    .map(line => line.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n");
+  return text.length > MAX_ARTICLE_CHARS ? text.slice(0, MAX_ARTICLE_CHARS) : text;
+}
+
+// ===== SNAPSHOTS =====
+
+function escapeAttribute(value) {
+  return value.replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+}
+
+function replaceAttribute(tag, name, value) {
+  const pattern = new RegExp(`\\s${name}\\s*=\\s*("[^"]*"|'[^']*'|[^\\s>]+)`, "i");
+  const attribute = ` ${name}="${escapeAttribute(value)}"`;
+  return pattern.test(tag) ? tag.replace(pattern, attribute) : tag.replace(/\s*\/?>$/, match => `${attribute}${match}`);
+}
+
+function removeAttributes(tag, pattern) {
+  return tag.replace(new RegExp(`\\s(?:${pattern})\\s*=\\s*("[^"]*"|'[^']*'|[^\\s>]+)`, "gi"), "");
+}
+
+async function replaceAsync(text, pattern, replacer) {
+  const parts = [];
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    parts.push(text.slice(last, match.index), await replacer(match));
+    last = match.index + match[0].length;
+  }
+  parts.push(text.slice(last));
+  return parts.join("");
+}
+
+/**
+ * Self-contained copy of a page: scripts, frames and event handlers are
+ * removed, stylesheets become <style> blocks and images data: URLs (within
+ * the snapshot budget; the rest keeps absolute URLs). `fetchResource` is a
+ * fetcher's fetchResource.
+ */
+async function buildSnapshot(html, pageUrl, fetchResource) {
+  const base = startTags(html, "base").map(attrs => resolveUrl(attrs.href, pageUrl)).find(Boolean) || pageUrl;
+  let budget = MAX_SNAPSHOT_BYTES;
+  let resources = 0;
+  const inline = async (url) => {
+    if (!url || resources >= MAX_SNAPSHOT_RESOURCES) return null;
+    resources++;
+    const resource = await fetchResource(url, Math.min(MAX_SNAPSHOT_RESOURCE_BYTES, budget));
+    if (!resource) return null;
+    budget -= resource.data.length;
+    return resource;
+  };
+
+  let snapshot = removeElements(stripComments(html), ["script", "iframe", "object", "embed", "frameset"])
+    .replace(/<\/?noscript\b[^>]*>/gi, "")
+    .replace(/<base\b[^>]*>/gi, "")
+    .replace(/<meta\b[^>]*http-equiv\s*=\s*["']?(?:refresh|content-security-policy)[^>]*>/gi, "")
+    .replace(/<link\b[^>]*rel\s*=\s*["']?(?:preload|prefetch|modulepreload|manifest)[^>]*>/gi, "");
+
+  // Event handlers and javascript: URLs
+  snapshot = snapshot.replace(/<[a-z][^>]*>/gi, tag => removeAttributes(tag, "on[a-z]+")
+    .replace(/\s(href|src|action)\s*=\s*(["']?)\s*javascript:[^"'>]*\2/gi, ""));
+
+  snapshot = await replaceAsync(snapshot, /<link\b[^>]*>/gi, async (match) => {
+    const attrs = parseAttributes(match[0]);
+    if (!/(^|\s)stylesheet(\s|$)/i.test(attrs.rel || "")) return match[0];
+    const url = resolveUrl(attrs.href, base);
+    const resource = await inline(url);
+    if (!resource) return url ? replaceAttribute(match[0], "href", url) : "";
+    // Relative url(...) references point at the stylesheet's location
+    const css = resource.data.toString("utf-8").replace(/url\(\s*(["']?)([^"')]+)\1\s*\)/gi, (ref, quote, value) => {
+      if (/^data:/i.test(value)) return ref;
+      const absolute = resolveUrl(value, url);
+      return absolute ? `url("${absolute}")` : ref;
+    }).replace(/<\/style/gi, "<\\/style");
+    return `<style data-href="${escapeAttribute(url)}"${attrs.media ? ` media="${escapeAttribute(attrs.media)}"` : ""}>\n${css}\n</style>`;
+  });
+
+  snapshot = await replaceAsync(snapshot, /<img\b[^>]*>/gi, async (match) => {
+    const attrs = parseAttributes(match[0]);
+    // Lazy-loading pages keep the real source in data-src
+    const source = attrs.src && !/^data:/i.test(attrs.src) ? attrs.src : attrs["data-src"] || attrs.src;
+    if (!source || /^data:/i.test(source)) return match[0];
+    const url = resolveUrl(source, base);
+    const tag = removeAttributes(match[0], "srcset|sizes|data-src|data-srcset|loading");
+    const resource = await inline(url);
+    if (!resource || !/^image\//i.test(resource.contentType)) return url ? replaceAttribute(tag, "src", url) : tag;
+    return replaceAttribute(tag, "src", `data:${resource.contentType};base64,${resource.data.toString("base64")}`);
+  });
+
+  // Links and remaining relative references resolve against the original page
+  const header = [
+    `<!-- Saved by AltDump from ${pageUrl.replace(/--/g, "%2D%2D")} on ${new Date().toISOString()} -->`,
+    "<meta charset=\"utf-8\">",
+    `<base href="${escapeAttribute(base)}">`,
+    "<meta http-equiv=\"Content-Security-Policy\" content=\"script-src 'none'; object-src 'none'; frame-src 'none'\">",
+  ].join("\n");
+  snapshot = snapshot.replace(/<meta\b[^>]*charset[^>]*>/gi, "");
+  if (/<head\b[^>]*>/i.test(snapshot)) return snapshot.replace(/<head\b[^>]*>/i, head => `${head}\n${header}`);
+  return `<!DOCTYPE html>\n<html><head>\n${header}\n</head><body>\n${snapshot}\n</body></html>`;
+}
+
+module.exports = {
+  createLinkFetcher,
+  LinkFetchError,
+  parsePageMetadata,
+  extractReadableText,
+  buildSnapshot,
+};
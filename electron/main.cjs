@@ -1,7 +1,9 @@
-const { app, BrowserWindow, globalShortcut, ipcMain, Menu, shell } = require("electron");
+const { app, BrowserWindow, clipboard, dialog, globalShortcut, ipcMain, Menu, powerMonitor, protocol, shell } = require("electron");
 const path = require("path");
 const fs = require("fs");
 const storage = require("./storage.cjs");
+const { readClipboardChange, frontmostApp } = require("./clipboard.cjs");
+const { displayUnderCursor, captureDisplay, normalizeRegion, cropRegion } = require("./screenshot.cjs");
 const {
   addTextItem,
   addFileItem,
@@ -45,17 +47,48 @@ try {
 let uiohookEmitter = null;
 
 let mainWindow;
+let trashPurgeTimer = null;
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+let backupTimer = null;
+// How often to check whether a scheduled backup is due
+const BACKUP_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+let linkCheckTimer = null;
+// How often to look for links due for a health check
+const LINK_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+// First check once the vault is open, after startup has settled
+const LINK_CHECK_START_DELAY_MS = 60 * 1000;
+let linkCheckStartTimer = null;
+let autoLockTimer = null;
+// How often to check system idle time for auto-lock
+const AUTO_LOCK_CHECK_INTERVAL_MS = 30 * 1000;
+let clipboardTimer = null;
+let clipboardSignature = null;
+let clipboardReading = false;
+// How often the clipboard watcher looks for new copies
+const CLIPBOARD_POLL_INTERVAL_MS = 1000;
 let mainWindowVisible = false;
 let mainWindowHideTimeout;
 
 let overlayWindow;
 let overlayVisible = false;
+// Stack mode grows the overlay to fit the list of pending captures
+const OVERLAY_HEIGHT = 180;
+const STACK_OVERLAY_HEIGHT = 620;
+
+// Region capture: the full-screen selection window and, while it is open,
+// the frozen frame it shows ({ display, image, sourceApp, capturedAt })
+let captureWindow = null;
+let pendingCapture = null;
+let captureStarting = false;
+// Time for the overlay to disappear before the screen is grabbed
+const CAPTURE_HIDE_DELAY_MS = 200;
 
 // Key state tracking - managed entirely by main process
 let isDraggingInOverlay = false;
-// Trigger state for Alt + D chord
+// Trigger state for Alt + D chord (with Shift it starts a region capture)
 let altPhysicallyDown = false;
 let dPhysicallyDown = false;
+let shiftPhysicallyDown = false;
 // Overlay state machine: 'hidden' | 'pressing' | 'latched' | 'saving'
 let overlayState = 'hidden';
 let stateBeforePressing = null; // Track state before entering pressing for toggle logic
@@ -194,7 +227,7 @@ function createOverlayWindow() {
   console.log("[OVERLAY] Creating overlay window...");
   overlayWindow = new BrowserWindow({
     width: 420,
-    height: 180,
+    height: OVERLAY_HEIGHT,
     show: false,
     alwaysOnTop: true,
     center: true,
@@ -269,6 +302,272 @@ function createOverlayWindow() {
   return overlayWindow;
 }
 
+// Permanently delete items past the trash retention period
+function purgeExpiredTrash() {
+  if (storage.isVaultLocked()) return;
+  try {
+    const purged = storage.purgeExpiredTrash();
+    if (purged > 0 && mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send("items-updated");
+    }
+  } catch (err) {
+    console.error("[APP] Trash purge failed:", err && err.message);
+  }
+}
+
+function sendBackupStatus() {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send("backup-status", storage.getBackupStatus());
+  }
+}
+
+// Run a backup when the configured interval has passed
+async function runScheduledBackup() {
+  if (!storage.isBackupDue()) return;
+  try {
+    await storage.runBackup();
+  } catch (err) {
+    console.error("[APP] Scheduled backup failed:", err && err.message);
+  }
+  sendBackupStatus();
+}
+
+// Check links whose last health check is older than the configured interval
+async function runScheduledLinkCheck() {
+  if (storage.isVaultLocked() || storage.isLinkCheckRunning() || !storage.getLinkSettings().checkHealth) return;
+  try {
+    const summary = await storage.checkLinks();
+    if (summary.checked > 0 && mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send("items-updated");
+    }
+  } catch (err) {
+    console.error("[APP] Scheduled link check failed:", err && err.message);
+  }
+}
+
+// Vault files for the renderer: altdump://vault/<vault-relative path>.
+// Encrypted files are decrypted in memory; nothing is served while locked.
+protocol.registerSchemesAsPrivileged([
+  { scheme: "altdump", privileges: { standard: true, secure: true, supportFetchAPI: true, stream: true } },
+]);
+
+function handleVaultFileRequest(request) {
+  const url = new URL(request.url);
+  if (url.host !== "vault") return new Response("Not found", { status: 404 });
+  try {
+    const { data, mimeType } = storage.readStoredFile(decodeURIComponent(url.pathname.slice(1)));
+    return new Response(data, { headers: { "Content-Type": mimeType } });
+  } catch (err) {
+    if (err.name === "VaultLockedError") return new Response("Vault is locked", { status: 403 });
+    return new Response("Not found", { status: 404 });
+  }
+}
+
+// Indexing and trash purging need the vault unlocked
+function startVaultServices() {
+  storage.startBackgroundJobs((event) => {
+    if (!mainWindow || mainWindow.isDestroyed()) return;
+    mainWindow.webContents.send("item-progress", event);
+    if (event.status === "ready") {
+      mainWindow.webContents.send("items-updated");
+    }
+  });
+  storage.setNearDuplicateListener((found) => {
+    if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send("near-duplicates-found", found);
+  });
+  purgeExpiredTrash();
+  updateClipboardWatcher();
+  if (linkCheckStartTimer) clearTimeout(linkCheckStartTimer);
+  linkCheckStartTimer = setTimeout(() => {
+    linkCheckStartTimer = null;
+    runScheduledLinkCheck();
+  }, LINK_CHECK_START_DELAY_MS);
+}
+
+// Run the clipboard watcher while the inbox is enabled and the vault is
+// unlocked. What is already on the clipboard when it starts is not recorded.
+function updateClipboardWatcher() {
+  let enabled = false;
+  try {
+    enabled = !storage.isVaultLocked() && storage.getClipboardSettings().enabled;
+  } catch (err) {
+    console.error("[CLIPBOARD] Cannot read settings:", err && err.message);
+  }
+  if (enabled && !clipboardTimer) {
+    clipboardSignature = readClipboardChange(clipboard, null).signature;
+    clipboardTimer = setInterval(pollClipboard, CLIPBOARD_POLL_INTERVAL_MS);
+    console.log("[CLIPBOARD] Watcher started");
+  } else if (!enabled && clipboardTimer) {
+    clearInterval(clipboardTimer);
+    clipboardTimer = null;
+    console.log("[CLIPBOARD] Watcher stopped");
+  }
+}
+
+async function pollClipboard() {
+  if (clipboardReading || storage.isVaultLocked()) return;
+  clipboardReading = true;
+  try {
+    const change = readClipboardChange(clipboard, clipboardSignature);
+    if (!change) return;
+    clipboardSignature = change.signature;
+    if (!change.capture) return;
+    const sourceApp = await frontmostApp();
+    if (storage.isVaultLocked()) return; // locked while looking up the app
+    const entry = storage.recordClipboardEntry({ ...change.capture, sourceApp });
+    if (entry && mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send("clipboard-updated");
+    }
+  } catch (err) {
+    console.error("[CLIPBOARD] Failed to record copy:", err && err.message);
+  } finally {
+    clipboardReading = false;
+  }
+}
+
+// ===== REGION CAPTURE =====
+
+// Grab the display under the cursor, then open the selection window on it.
+// The region is saved by finish-region-capture.
+async function startRegionCapture() {
+  if (captureStarting || captureWindow) return;
+  if (storage.isVaultLocked()) {
+    dialog.showMessageBox({ type: "info", message: "Vault is locked", detail: "Unlock it in AltDump to capture screenshots." });
+    return;
+  }
+  captureStarting = true;
+  try {
+    const overlayWasVisible = overlayVisible;
+    setOverlayState('hidden', 'region capture');
+    if (overlayWasVisible) await new Promise(resolve => setTimeout(resolve, CAPTURE_HIDE_DELAY_MS));
+    const appName = await frontmostApp();
+    const display = displayUnderCursor();
+    const image = await captureDisplay(display);
+    // Our own windows are not a useful source
+    const ownApp = appName && [app.getName().toLowerCase(), "electron"].includes(appName.toLowerCase());
+    pendingCapture = { display, image, sourceApp: ownApp ? null : appName, capturedAt: new Date().toISOString() };
+    createCaptureWindow(display);
+    console.log("[CAPTURE] Selecting a region on display", display.id);
+  } catch (err) {
+    pendingCapture = null;
+    console.error("[CAPTURE] Failed to capture the screen:", err && err.message);
+    dialog.showMessageBox({ type: "error", message: "Screenshot failed", detail: err && err.message });
+  } finally {
+    captureStarting = false;
+  }
+}
+
+function createCaptureWindow(display) {
+  captureWindow = new BrowserWindow({
+    ...display.bounds,
+    show: false,
+    frame: false,
+    alwaysOnTop: true,
+    skipTaskbar: true,
+    resizable: false,
+    movable: false,
+    minimizable: false,
+    maximizable: false,
+    fullscreenable: false,
+    hasShadow: false,
+    enableLargerThanScreen: true,
+    webPreferences: {
+      preload: path.join(__dirname, "preload.cjs"),
+      nodeIntegration: false,
+      contextIsolation: true,
+    },
+  });
+  // Above the menu bar and dock
+  captureWindow.setAlwaysOnTop(true, "screen-saver");
+
+  const isDev = !app.isPackaged;
+  captureWindow.loadURL(
+    isDev
+      ? "http://localhost:5173?capture=true"
+      : `file://${path.join(__dirname, "../dist/index.html")}?capture=true`
+  );
+  captureWindow.webContents.on("will-navigate", (e) => e.preventDefault());
+  captureWindow.once("ready-to-show", () => {
+    captureWindow.show();
+    captureWindow.focus();
+  });
+  captureWindow.on("closed", () => {
+    captureWindow = null;
+    pendingCapture = null;
+  });
+}
+
+function closeCaptureWindow() {
+  pendingCapture = null;
+  if (captureWindow && !captureWindow.isDestroyed()) captureWindow.close();
+}
+
+function sendVaultLockStatus() {
+  const status = storage.getEncryptionStatus();
+  for (const win of [mainWindow, overlayWindow]) {
+    if (win && !win.isDestroyed()) win.webContents.send("vault-lock-changed", status);
+  }
+}
+
+async function autoLockVault(reason) {
+  const status = storage.getEncryptionStatus();
+  if (!status.encrypted || status.locked) return;
+  try {
+    await storage.lockVault();
+    console.log(`[APP] Vault locked (${reason})`);
+  } catch (err) {
+    // Busy (export, check...); the next check tries again
+    console.log("[APP] Vault not locked:", err && err.message);
+    return;
+  }
+  closeCaptureWindow();
+  updateClipboardWatcher();
+  sendVaultLockStatus();
+}
+
+// Lock an encrypted vault after the configured minutes of system idle time
+function checkAutoLock() {
+  const status = storage.getEncryptionStatus();
+  if (!status.encrypted || status.locked || !status.autoLockMinutes) return;
+  if (powerMonitor.getSystemIdleTime() >= status.autoLockMinutes * 60) autoLockVault("idle");
+}
+
+function lockOnSystemEvent(reason) {
+  const status = storage.getEncryptionStatus();
+  if (status.autoLockMinutes) autoLockVault(reason);
+}
+
+/**
+ * vault.db could not be opened. A damaged vault can be replaced with the
+ * newest backup; returns true if it was restored and startup can go on.
+ */
+async function recoverVault(vaultError) {
+  const latest = vaultError.name !== "VaultVersionError" && storage.getBackupStatus().backups[0];
+  if (!latest) {
+    dialog.showErrorBox("Cannot open vault", vaultError.message);
+    return false;
+  }
+  const { response } = await dialog.showMessageBox({
+    type: "error",
+    title: "Cannot open vault",
+    message: "The vault database is damaged and cannot be opened.",
+    detail:
+      `${vaultError.message}\n\nThe latest backup is from ${new Date(latest.createdAt).toLocaleString()} ` +
+      `(${latest.items} items). The damaged database is kept in the vault's backups folder.`,
+    buttons: ["Restore Backup", "Quit"],
+    defaultId: 0,
+    cancelId: 1,
+  });
+  if (response !== 0) return false;
+  try {
+    await storage.restoreBackup(latest.id);
+    return true;
+  } catch (err) {
+    dialog.showErrorBox("Restore failed", err.message);
+    return false;
+  }
+}
+
 function showMainWindow() {
   if (!mainWindow) {
     createMainWindow();
@@ -337,12 +636,17 @@ function setupMainWindowHotkey() {
 // shows/hides the overlay immediately.
 
 // IPC Handlers
-ipcMain.handle("save-text", async (event, text) => {
+ipcMain.handle("save-text", async (event, text, options) => {
   // Enter saving state to lock overlay visible until renderer finishes confirmation
   try {
     setOverlayState('saving');
   } catch (e) {}
-  const saved = await storage.addTextItem(text);
+  const saved = await storage.addTextItem(text, options || {});
+  if (saved.duplicate || saved.secretsFound) {
+    // Keep the overlay open for the "already saved" / secrets prompt
+    setOverlayState('latched', saved.duplicate ? 'duplicate found' : 'secrets found');
+    return saved;
+  }
   if (mainWindow) {
     mainWindow.webContents.send("items-updated");
   }
@@ -354,7 +658,7 @@ ipcMain.handle("save-text", async (event, text) => {
   return saved;
 });
 
-ipcMain.handle("save-file", async (event, filePath) => {
+ipcMain.handle("save-file", async (event, filePath, options) => {
   console.log("[MAIN] save-file handler called with:", filePath);
   // Validate that we received a real filesystem path
   if (!filePath || typeof filePath !== "string" || filePath.trim() === "") {
@@ -369,7 +673,12 @@ ipcMain.handle("save-file", async (event, filePath) => {
   }
   
   console.log("[MAIN] Calling storage.addFileItem with:", filePath);
-  const saved = await storage.addFileItem(filePath);
+  const saved = await storage.addFileItem(filePath, options || {});
+  if (saved.duplicate) {
+    console.log("[MAIN] File already in vault:", filePath);
+    setOverlayState('latched', 'duplicate found');
+    return { ...saved, path: filePath };
+  }
   console.log("[MAIN] File saved successfully:", saved);
   if (mainWindow) {
     mainWindow.webContents.send("items-updated");
@@ -395,11 +704,6 @@ ipcMain.handle("save-file-blob", async (event, fileMeta) => {
       throw new Error('Invalid file blob payload');
     }
 
-    // Create a temporary file path
-    const tmp = require('os').tmpdir();
-    const tmpName = `${Date.now()}-${fileMeta.name}`;
-    const tmpPath = path.join(tmp, tmpName);
-
     // Buffer may come as an ArrayBuffer-like object; ensure Buffer
     let buf;
     if (Buffer.isBuffer(fileMeta.buffer)) {
@@ -431,24 +735,26 @@ ipcMain.handle("save-file-blob", async (event, fileMeta) => {
 
     console.log('[MAIN] Buffer length:', buf.length, 'bytes');
 
-    // Write temp file
-    fs.writeFileSync(tmpPath, buf);
-    console.log('[MAIN] Wrote temp file for blob at', tmpPath);
-
-    // Use existing save-file flow by calling storage.addFileItem
+    // Saved straight from memory (pasted images have no file on disk)
     try {
       setOverlayState('saving');
     } catch (e) {}
-    const saved = await storage.addFileItem(tmpPath);
+    const saved = await storage.addFileData(fileMeta.name, buf, {
+      tags: fileMeta.tags,
+      collection: fileMeta.collection,
+      allowDuplicate: fileMeta.allowDuplicate,
+      metadata: fileMeta.notes ? { notes: fileMeta.notes } : undefined,
+    });
+    if (saved.duplicate) {
+      setOverlayState('latched', 'duplicate found');
+      return { ...saved, name: fileMeta.name };
+    }
 
     if (overlayWindow && overlayVisible) {
       console.log('[MAIN] Sending overlay-save-success event to renderer (blob)');
       overlayWindow.webContents.send('overlay-save-success');
     }
 
-    // Optionally delete the tmp file after saving to vault; storage copied file into VAULT_DIR
-    try { fs.unlinkSync(tmpPath); } catch (e) {}
-
     if (mainWindow) {
       mainWindow.webContents.send("items-updated");
     }
@@ -460,24 +766,438 @@ ipcMain.handle("save-file-blob", async (event, fileMeta) => {
   }
 });
 
+// Stack mode: the captures collected in the overlay, saved in one
+// transaction (see storage.addItemBatch). File data arrives as Uint8Arrays.
+ipcMain.handle("save-stack", async (event, entries, options) => {
+  try {
+    setOverlayState('saving');
+  } catch (e) {}
+  let result;
+  try {
+    const batch = (Array.isArray(entries) ? entries : []).map(entry => (
+      entry && entry.data ? { ...entry, data: Buffer.from(entry.data) } : entry
+    ));
+    result = await storage.addItemBatch(batch, options || {});
+  } catch (err) {
+    console.error("[MAIN] save-stack error:", err && err.message);
+    setOverlayState('latched', 'stack save failed');
+    throw err;
+  }
+  if (result.duplicate || result.secretsFound) {
+    setOverlayState('latched', result.duplicate ? 'duplicate found' : 'secrets found');
+    return result;
+  }
+  if (mainWindow) {
+    mainWindow.webContents.send("items-updated");
+  }
+  if (overlayWindow && overlayVisible) {
+    overlayWindow.webContents.send('overlay-save-success');
+  }
+  return result;
+});
+
+ipcMain.handle("set-overlay-stack-mode", async (event, active) => {
+  if (!overlayWindow) return;
+  const [width] = overlayWindow.getSize();
+  overlayWindow.setSize(width, active ? STACK_OVERLAY_HEIGHT : OVERLAY_HEIGHT);
+  overlayWindow.center();
+});
+
 ipcMain.handle("get-items", async (event) => {
   return storage.getItems();
 });
 
+// Deleting moves an item to the trash; it is purged later (see purgeExpiredTrash)
 ipcMain.handle("delete-item", async (event, id) => {
   storage.deleteItem(id);
 });
 
+ipcMain.handle("get-item", async (event, id) => {
+  return storage.getItemById(id);
+});
+
+// Show an item in the library (e.g. from the overlay's duplicate prompt)
+ipcMain.handle("open-item-in-library", async (event, id) => {
+  showMainWindow();
+  if (mainWindow) mainWindow.webContents.send("open-item", id);
+});
+
+// Vault integrity check; options.repair applies fixes, otherwise a dry run
+ipcMain.handle("check-vault", async (event, options) => {
+  const report = await storage.checkVault({
+    repair: !!(options && options.repair),
+    onProgress: (progress) => {
+      if (!event.sender.isDestroyed()) event.sender.send("vault-check-progress", progress);
+    },
+  });
+  if (!report.dryRun && mainWindow) mainWindow.webContents.send("items-updated");
+  return report;
+});
+
+// Vault export/import. Without options.filePath the user picks the
+// archive in a file dialog; null is returned if they cancel.
+const VAULT_ARCHIVE_FILTERS = [{ name: "AltDump vault archive", extensions: ["gz", "tgz"] }];
+
+function sendTransferProgress(event) {
+  return (progress) => {
+    if (!event.sender.isDestroyed()) event.sender.send("vault-transfer-progress", progress);
+  };
+}
+
+ipcMain.handle("export-vault", async (event, options = {}) => {
+  let filePath = options.filePath;
+  if (!filePath) {
+    const stamp = new Date().toISOString().slice(0, 10);
+    const result = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+      title: "Export vault",
+      defaultPath: path.join(app.getPath("documents"), `altdump-vault-${stamp}.tar.gz`),
+      filters: VAULT_ARCHIVE_FILTERS,
+    });
+    if (result.canceled || !result.filePath) return null;
+    filePath = result.filePath;
+  }
+  return storage.exportVault(filePath, { onProgress: sendTransferProgress(event) });
+});
+
+ipcMain.handle("import-vault", async (event, options = {}) => {
+  let filePath = options.filePath;
+  if (!filePath) {
+    const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+      title: "Import vault",
+      properties: ["openFile"],
+      filters: VAULT_ARCHIVE_FILTERS,
+    });
+    if (result.canceled || result.filePaths.length === 0) return null;
+    filePath = result.filePaths[0];
+  }
+  const summary = await storage.importVault(filePath, {
+    strategy: options.strategy,
+    onProgress: sendTransferProgress(event),
+  });
+  if (mainWindow) mainWindow.webContents.send("items-updated");
+  return { filePath, ...summary };
+});
+
+// Markdown export. Re-runs go to the previous folder unless
+// options.chooseFolder asks for a new one (or none was picked yet).
+ipcMain.handle("export-markdown", async (event, options = {}) => {
+  let outDir = options.outDir;
+  if (!outDir && (options.chooseFolder || !storage.getMarkdownExportSettings())) {
+    const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+      title: "Export as Markdown",
+      buttonLabel: "Export here",
+      properties: ["openDirectory", "createDirectory"],
+    });
+    if (result.canceled || result.filePaths.length === 0) return null;
+    outDir = result.filePaths[0];
+  }
+  return storage.exportMarkdown(outDir, { layout: options.layout, onProgress: sendTransferProgress(event) });
+});
+
+ipcMain.handle("get-markdown-export-settings", async () => {
+  return storage.getMarkdownExportSettings();
+});
+
+// Duplicates
+ipcMain.handle("get-duplicate-groups", async () => {
+  try {
+    return storage.listDuplicateGroups();
+  } catch (error) {
+    console.error("[MAIN] Get duplicate groups error:", error);
+    return [];
+  }
+});
+
+ipcMain.handle("merge-duplicates", async (event, keepId, otherIds) => {
+  try {
+    const item = storage.mergeDuplicates(keepId, otherIds || []);
+    if (mainWindow) mainWindow.webContents.send("items-updated");
+    return item;
+  } catch (error) {
+    console.error("[MAIN] Merge duplicates error:", error);
+    throw error;
+  }
+});
+
+ipcMain.handle("dismiss-duplicates", async (event, ids) => {
+  try {
+    storage.dismissDuplicates(ids || []);
+  } catch (error) {
+    console.error("[MAIN] Dismiss duplicates error:", error);
+    throw error;
+  }
+});
+
+ipcMain.handle("get-trash", async () => {
+  try {
+    return storage.listTrash();
+  } catch (error) {
+    console.error("[MAIN] Get trash error:", error);
+    return [];
+  }
+});
+
+ipcMain.handle("restore-item", async (event, id) => {
+  try {
+    const item = storage.restoreItem(id);
+    if (mainWindow) mainWindow.webContents.send("items-updated");
+    return item;
+  } catch (error) {
+    console.error("[MAIN] Restore item error:", error);
+    throw error;
+  }
+});
+
+ipcMain.handle("purge-item", async (event, id) => {
+  try {
+    storage.purgeItem(id);
+    if (mainWindow) mainWindow.webContents.send("items-updated");
+  } catch (error) {
+    console.error("[MAIN] Purge item error:", error);
+    throw error;
+  }
+});
+
+ipcMain.handle("empty-trash", async () => {
+  try {
+    const count = storage.emptyTrash();
+    if (mainWindow) mainWindow.webContents.send("items-updated");
+    return count;
+  } catch (error) {
+    console.error("[MAIN] Empty trash error:", error);
+    throw error;
+  }
+});
+
+// Backups
+ipcMain.handle("get-backup-status", async () => {
+  return storage.getBackupStatus();
+});
+
+ipcMain.handle("set-backup-settings", async (event, changes) => {
+  return storage.setBackupSettings(changes);
+});
+
+ipcMain.handle("choose-backup-folder", async (event) => {
+  const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+    title: "Choose backup folder",
+    properties: ["openDirectory", "createDirectory"],
+  });
+  if (result.canceled || result.filePaths.length === 0) return null;
+  return storage.setBackupSettings({ folder: result.filePaths[0] });
+});
+
+ipcMain.handle("run-backup", async (event) => {
+  try {
+    return await storage.runBackup({
+      onProgress: (progress) => {
+        if (!event.sender.isDestroyed()) event.sender.send("backup-progress", progress);
+      },
+    });
+  } finally {
+    sendBackupStatus();
+  }
+});
+
+ipcMain.handle("validate-backup", async (event, id) => {
+  return storage.validateBackup(id);
+});
+
+ipcMain.handle("restore-backup", async (event, id) => {
+  const result = await storage.restoreBackup(id);
+  updateClipboardWatcher();
+  sendVaultLockStatus();
+  if (mainWindow) mainWindow.webContents.send("items-updated");
+  return result;
+});
+
+// Encryption
+ipcMain.handle("get-encryption-status", async () => {
+  return storage.getEncryptionStatus();
+});
+
+ipcMain.handle("unlock-vault", async (event, passphrase) => {
+  const status = await storage.unlockVault(passphrase, {
+    onProgress: (progress) => {
+      if (!event.sender.isDestroyed()) event.sender.send("encryption-progress", progress);
+    },
+  });
+  startVaultServices();
+  sendVaultLockStatus();
+  if (mainWindow) mainWindow.webContents.send("items-updated");
+  return status;
+});
+
+ipcMain.handle("lock-vault", async () => {
+  const status = await storage.lockVault();
+  closeCaptureWindow();
+  updateClipboardWatcher();
+  sendVaultLockStatus();
+  return status;
+});
+
+// Encrypt the vault in place; progress goes out as "encryption-progress"
+ipcMain.handle("enable-encryption", async (event, passphrase) => {
+  try {
+    return await storage.enableEncryption(passphrase, {
+      onProgress: (progress) => {
+        if (!event.sender.isDestroyed()) event.sender.send("encryption-progress", progress);
+      },
+    });
+  } finally {
+    sendVaultLockStatus();
+    sendBackupStatus();
+  }
+});
+
+ipcMain.handle("set-auto-lock", async (event, minutes) => {
+  return storage.setAutoLockMinutes(minutes);
+});
+
+// Clipboard inbox
+ipcMain.handle("get-clipboard-settings", async () => {
+  return storage.getClipboardSettings();
+});
+
+ipcMain.handle("set-clipboard-settings", async (event, changes) => {
+  const settings = storage.setClipboardSettings(changes);
+  updateClipboardWatcher();
+  if (mainWindow) mainWindow.webContents.send("clipboard-updated");
+  return settings;
+});
+
+ipcMain.handle("get-clipboard-entries", async () => {
+  return storage.listClipboardEntries();
+});
+
+ipcMain.handle("delete-clipboard-entry", async (event, id) => {
+  storage.deleteClipboardEntry(id);
+  if (mainWindow) mainWindow.webContents.send("clipboard-updated");
+});
+
+ipcMain.handle("clear-clipboard-entries", async () => {
+  const count = storage.clearClipboardEntries();
+  if (mainWindow) mainWindow.webContents.send("clipboard-updated");
+  return count;
+});
+
+// Save an entry as a vault item; duplicate and secrets results are
+// returned for the renderer to ask about, like save-text
+ipcMain.handle("promote-clipboard-entry", async (event, id, options) => {
+  const saved = await storage.promoteClipboardEntry(id, options || {});
+  if (saved.duplicate || saved.secretsFound) return saved;
+  if (mainWindow) {
+    mainWindow.webContents.send("items-updated");
+    mainWindow.webContents.send("clipboard-updated");
+  }
+  return saved;
+});
+
+// Links
+ipcMain.handle("get-link-settings", async () => {
+  return storage.getLinkSettings();
+});
+
+ipcMain.handle("set-link-settings", async (event, changes) => {
+  return storage.setLinkSettings(changes || {});
+});
+
+// Fetch a link's page again; options.snapshot also saves a snapshot
+ipcMain.handle("refresh-link-preview", async (event, id, options) => {
+  storage.refreshLinkPreview(id, options || {});
+});
+
+ipcMain.handle("open-link-snapshot", async (event, id) => {
+  const error = await shell.openPath(storage.getLinkSnapshotPath(id));
+  if (error) throw new Error(error);
+});
+
+// Check links now: all of them (force) or only the given items
+ipcMain.handle("check-links", async (event, options) => {
+  const { ids, force } = options || {};
+  const summary = await storage.checkLinks({ ids: Array.isArray(ids) ? ids : undefined, force: Boolean(force) });
+  if (mainWindow) mainWindow.webContents.send("items-updated");
+  return summary;
+});
+
+// Only web addresses are handed to the browser
+ipcMain.handle("open-external-url", async (event, url) => {
+  if (typeof url !== "string" || !/^https?:\/\//i.test(url)) throw new Error("Not a web address");
+  await shell.openExternal(url);
+});
+
+// Region capture
+ipcMain.handle("start-region-capture", async () => {
+  await startRegionCapture();
+});
+
+ipcMain.handle("get-capture-image", async () => {
+  if (!pendingCapture) return null;
+  const { width, height } = pendingCapture.display.bounds;
+  return { dataUrl: pendingCapture.image.toDataURL(), width, height };
+});
+
+ipcMain.handle("cancel-region-capture", async () => {
+  closeCaptureWindow();
+});
+
+// Save the selected region as an image item (thumbnail, OCR and caption run
+// like for any image) and flash the overlay's confirmation
+ipcMain.handle("finish-region-capture", async (event, region) => {
+  const capture = pendingCapture;
+  if (!capture) throw new Error("No screen capture in progress");
+  closeCaptureWindow();
+  try {
+    const selected = normalizeRegion(region);
+    const png = cropRegion(capture.image, selected, capture.display);
+    const stamp = capture.capturedAt.slice(0, 19).replace("T", "-").replace(/:/g, "");
+    const saved = await storage.addFileData(`screenshot-${stamp}.png`, png, {
+      // A fresh capture is saved even if the same pixels are already in the vault
+      allowDuplicate: true,
+      metadata: {
+        source: "screenshot",
+        ...(capture.sourceApp ? { sourceApp: capture.sourceApp } : {}),
+        capture: {
+          display: capture.display.label || `Display ${capture.display.id}`,
+          region: selected,
+          scaleFactor: capture.display.scaleFactor,
+          capturedAt: capture.capturedAt,
+        },
+      },
+    });
+    console.log("[CAPTURE] Saved screenshot", saved.id);
+    setOverlayState('saving', 'screenshot saved');
+    if (overlayWindow) overlayWindow.webContents.send('overlay-save-success');
+    if (mainWindow) mainWindow.webContents.send("items-updated");
+    return saved;
+  } catch (err) {
+    console.error("[CAPTURE] Failed to save screenshot:", err && err.message);
+    dialog.showMessageBox({ type: "error", message: "Screenshot failed", detail: err && err.message });
+    throw err;
+  }
+});
+
+ipcMain.handle("get-trash-retention", async () => {
+  return storage.getTrashRetentionDays();
+});
+
+ipcMain.handle("set-trash-retention", async (event, days) => {
+  const value = storage.setTrashRetentionDays(days);
+  purgeExpiredTrash();
+  return value;
+});
+
 // Vault path for building local file URLs (thumbnails, etc.)
 ipcMain.handle("get-vault-dir", async () => {
   return VAULT_DIR;
 });
 
-// Open a stored file in the OS default application
+// Open a stored file in the OS default application. Encrypted files open
+// from a decrypted temporary copy.
 ipcMain.handle("open-item-path", async (event, filePath) => {
   if (!filePath || typeof filePath !== "string") return;
   try {
-    await shell.openPath(filePath);
+    await shell.openPath(storage.getOpenablePath(filePath));
   } catch (err) {
     console.error("[MAIN] Failed to open item path:", err && err.message);
   }
@@ -527,10 +1247,10 @@ ipcMain.handle("get-overlay-state", async () => {
 });
 
 // Smart search handler (legacy compatibility)
-ipcMain.handle("smart-search", async (event, query) => {
+ipcMain.handle("smart-search", async (event, query, options) => {
   try {
     console.log("[MAIN] Smart search query:", query);
-    const results = await storage.smartSearch(query);
+    const results = await storage.smartSearch(query, options || {});
     console.log("[MAIN] Search results:", results.results.length, "items");
     return results;
   } catch (error) {
@@ -571,6 +1291,235 @@ ipcMain.handle("save-item", async (event, itemData) => {
   }
 });
 
+// Edit title, content, category override, notes and tags of an item
+ipcMain.handle("update-item", async (event, id, changes) => {
+  try {
+    console.log("[MAIN] Update item:", id, Object.keys(changes || {}));
+    const item = storage.updateItem(id, changes || {});
+    if (mainWindow) mainWindow.webContents.send("items-updated");
+    return item;
+  } catch (error) {
+    console.error("[MAIN] Update item error:", error);
+    throw error;
+  }
+});
+
+// Version history of text items
+ipcMain.handle("get-item-versions", async (event, id) => {
+  try {
+    return storage.listItemVersions(id);
+  } catch (error) {
+    console.error("[MAIN] Get item versions error:", error);
+    return [];
+  }
+});
+
+ipcMain.handle("restore-item-version", async (event, id, versionId) => {
+  try {
+    console.log("[MAIN] Restore item version:", id, versionId);
+    const item = storage.restoreItemVersion(id, versionId);
+    if (mainWindow) mainWindow.webContents.send("items-updated");
+    return item;
+  } catch (error) {
+    console.error("[MAIN] Restore item version error:", error);
+    throw error;
+  }
+});
+
+// Tag management
+ipcMain.handle("get-tags", async () => {
+  try {
+    return storage.listTags();
+  } catch (error) {
+    console.error("[MAIN] Get tags error:", error);
+    return [];
+  }
+});
+
+ipcMain.handle("set-item-flags", async (event, id, flags) => {
+  try {
+    const item = storage.setItemFlags(id, flags || {});
+    if (mainWindow) mainWindow.webContents.send("items-updated");
+    return item;
+  } catch (error) {
+    console.error("[MAIN] Set item flags error:", error);
+    throw error;
+  }
+});
+
+ipcMain.handle("set-item-tags", async (event, id, tags) => {
+  try {
+    const item = storage.setItemTags(id, tags || []);
+    if (mainWindow) mainWindow.webContents.send("items-updated");
+    return item;
+  } catch (error) {
+    console.error("[MAIN] Set item tags error:", error);
+    throw error;
+  }
+});
+
+ipcMain.handle("add-item-tag", async (event, id, tag) => {
+  try {
+    const item = storage.addItemTag(id, tag);
+    if (mainWindow) mainWindow.webContents.send("items-updated");
+    return item;
+  } catch (error) {
+    console.error("[MAIN] Add item tag error:", error);
+    throw error;
+  }
+});
+
+ipcMain.handle("remove-item-tag", async (event, id, tag) => {
+  try {
+    const item = storage.removeItemTag(id, tag);
+    if (mainWindow) mainWindow.webContents.send("items-updated");
+    return item;
+  } catch (error) {
+    console.error("[MAIN] Remove item tag error:", error);
+    throw error;
+  }
+});
+
+ipcMain.handle("rename-tag", async (event, oldName, newName) => {
+  try {
+    const tags = storage.renameTag(oldName, newName);
+    if (mainWindow) mainWindow.webContents.send("items-updated");
+    return tags;
+  } catch (error) {
+    console.error("[MAIN] Rename tag error:", error);
+    throw error;
+  }
+});
+
+ipcMain.handle("merge-tags", async (event, sourceNames, targetName) => {
+  try {
+    const tags = storage.mergeTags(sourceNames || [], targetName);
+    if (mainWindow) mainWindow.webContents.send("items-updated");
+    return tags;
+  } catch (error) {
+    console.error("[MAIN] Merge tags error:", error);
+    throw error;
+  }
+});
+
+// Collections; changes return the updated list (see storage.listCollections)
+ipcMain.handle("get-collections", async () => {
+  try {
+    return storage.listCollections();
+  } catch (error) {
+    console.error("[MAIN] Get collections error:", error);
+    return [];
+  }
+});
+
+ipcMain.handle("create-collection", async (event, name, parentId) => {
+  try {
+    const collection = storage.createCollection(name, parentId || null);
+    if (mainWindow) mainWindow.webContents.send("items-updated");
+    return collection;
+  } catch (error) {
+    console.error("[MAIN] Create collection error:", error);
+    throw error;
+  }
+});
+
+ipcMain.handle("rename-collection", async (event, id, name) => {
+  try {
+    const collections = storage.renameCollection(id, name);
+    if (mainWindow) mainWindow.webContents.send("items-updated");
+    return collections;
+  } catch (error) {
+    console.error("[MAIN] Rename collection error:", error);
+    throw error;
+  }
+});
+
+ipcMain.handle("move-collection", async (event, id, parentId, index) => {
+  try {
+    const collections = storage.moveCollection(id, parentId || null, index);
+    if (mainWindow) mainWindow.webContents.send("items-updated");
+    return collections;
+  } catch (error) {
+    console.error("[MAIN] Move collection error:", error);
+    throw error;
+  }
+});
+
+ipcMain.handle("delete-collection", async (event, id) => {
+  try {
+    const collections = storage.deleteCollection(id);
+    if (mainWindow) mainWindow.webContents.send("items-updated");
+    return collections;
+  } catch (error) {
+    console.error("[MAIN] Delete collection error:", error);
+    throw error;
+  }
+});
+
+ipcMain.handle("add-to-collection", async (event, collectionId, itemIds) => {
+  try {
+    const collections = storage.addItemsToCollection(collectionId, itemIds || []);
+    if (mainWindow) mainWindow.webContents.send("items-updated");
+    return collections;
+  } catch (error) {
+    console.error("[MAIN] Add to collection error:", error);
+    throw error;
+  }
+});
+
+ipcMain.handle("remove-from-collection", async (event, collectionId, itemId) => {
+  try {
+    const collections = storage.removeItemFromCollection(collectionId, itemId);
+    if (mainWindow) mainWindow.webContents.send("items-updated");
+    return collections;
+  } catch (error) {
+    console.error("[MAIN] Remove from collection error:", error);
+    throw error;
+  }
+});
+
+ipcMain.handle("move-collection-item", async (event, collectionId, itemId, beforeItemId) => {
+  try {
+    const collections = storage.moveCollectionItem(collectionId, itemId, beforeItemId || null);
+    if (mainWindow) mainWindow.webContents.send("items-updated");
+    return collections;
+  } catch (error) {
+    console.error("[MAIN] Move collection item error:", error);
+    throw error;
+  }
+});
+
+// Tag suggestions for unsaved text (overlay draft); computed locally
+ipcMain.handle("suggest-tags", async (event, text, exclude) => {
+  try {
+    return await storage.suggestTagsForText(text, exclude || []);
+  } catch (error) {
+    console.error("[MAIN] Suggest tags error:", error);
+    return [];
+  }
+});
+
+// Background indexing controls
+ipcMain.handle("cancel-item-indexing", async (event, id) => {
+  try {
+    storage.cancelItemIndexing(id);
+    return { success: true };
+  } catch (error) {
+    console.error("[MAIN] Cancel indexing error:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("retry-item-indexing", async (event, id) => {
+  try {
+    storage.retryItemIndexing(id);
+    return { success: true };
+  } catch (error) {
+    console.error("[MAIN] Retry indexing error:", error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Test data handler (for development)
 ipcMain.handle("create-test-items", async () => {
   try {
@@ -631,6 +1580,11 @@ function setupUiohookTrigger() {
 };
 
 
+  const isShiftKey = (ev) => {
+    const keycode = ev.keycode ?? ev.keyCode;
+    return keycode === 42 || keycode === 54; // Left Shift + Right Shift
+  };
+
   const isDKey = (ev) => {
     if (!ev) return false;
     const keycode = ev.keycode ?? ev.keyCode;
@@ -657,6 +1611,11 @@ function setupUiohookTrigger() {
     try {
       if (!ev) return;
 
+      if (isShiftKey(ev)) {
+        shiftPhysicallyDown = true;
+        return;
+      }
+
       // Track Alt key state
       if (isAltKey(ev)) {
         if (!altPhysicallyDown) {
@@ -700,6 +1659,11 @@ function setupUiohookTrigger() {
     try {
       if (!ev) return;
 
+      if (isShiftKey(ev)) {
+        shiftPhysicallyDown = false;
+        return;
+      }
+
       let wasChordActive = isChorded();
 
       // Track Alt key release
@@ -744,6 +1708,13 @@ function setupUiohookTrigger() {
       return;
     }
 
+    // Alt + Shift + D: region screenshot instead of the overlay
+    if (shiftPhysicallyDown) {
+      console.log('[OVERLAY][FSM] Alt+Shift+D: starting region capture');
+      startRegionCapture();
+      return;
+    }
+
     // Context-aware open: if user is dragging, open directly in drop mode
     if (isDraggingInOverlay) {
       console.log('[OVERLAY][FSM] Context-aware open: user is dragging, opening in drop mode');
@@ -813,7 +1784,7 @@ function setupUiohookTrigger() {
     } else {
       console.warn('[KEYBOARD] uiohook start method not found; events may already be active');
     }
-    console.log("[KEYBOARD] uiohook started - listening for Alt + D chord");
+    console.log("[KEYBOARD] uiohook started - listening for Alt + D and Alt + Shift + D chords");
   } catch (err) {
     console.error('[KEYBOARD] Failed to start uiohook or attach listeners:', err && err.message);
   }
@@ -823,13 +1794,36 @@ function setupUiohookTrigger() {
 // All overlay show/hide decisions come solely from the low-level uiohook listener.
 
 // App event handlers
-app.whenReady().then(() => {
+app.whenReady().then(async () => {
+  const vaultError = storage.getVaultOpenError();
+  if (vaultError && !(await recoverVault(vaultError))) {
+    app.quit();
+    return;
+  }
+
+  protocol.handle("altdump", handleVaultFileRequest);
+
   console.log("[APP] Creating main window...");
   createMainWindow();
 
   console.log("[APP] Creating overlay window...");
   createOverlayWindow(); // ✅ THIS WAS MISSING
 
+  // An encrypted vault starts locked; services start once it is unlocked
+  if (!storage.isVaultLocked()) {
+    console.log("[APP] Starting background indexing...");
+    startVaultServices();
+  }
+  trashPurgeTimer = setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL_MS);
+
+  autoLockTimer = setInterval(checkAutoLock, AUTO_LOCK_CHECK_INTERVAL_MS);
+  powerMonitor.on("lock-screen", () => lockOnSystemEvent("screen locked"));
+  powerMonitor.on("suspend", () => lockOnSystemEvent("system suspended"));
+
+  runScheduledBackup();
+  backupTimer = setInterval(runScheduledBackup, BACKUP_CHECK_INTERVAL_MS);
+  linkCheckTimer = setInterval(runScheduledLinkCheck, LINK_CHECK_INTERVAL_MS);
+
   console.log("[APP] Setting up main window hotkey...");
   setupMainWindowHotkey();
 
@@ -840,6 +1834,8 @@ app.whenReady().then(() => {
 });
 
 app.on("before-quit", () => {
+  storage.stopBackgroundJobs();
+  storage.flushAnnIndex();
   console.log("[APP] Cleaning up keyboard hook...");
   if (uiohook) {
     try {
@@ -876,5 +1872,30 @@ app.on("will-quit", () => {
     clearTimeout(mainWindowHideTimeout);
     mainWindowHideTimeout = null;
   }
+  if (trashPurgeTimer) {
+    clearInterval(trashPurgeTimer);
+    trashPurgeTimer = null;
+  }
+  if (backupTimer) {
+    clearInterval(backupTimer);
+    backupTimer = null;
+  }
+  if (linkCheckTimer) {
+    clearInterval(linkCheckTimer);
+    linkCheckTimer = null;
+  }
+  if (linkCheckStartTimer) {
+    clearTimeout(linkCheckStartTimer);
+    linkCheckStartTimer = null;
+  }
+  if (autoLockTimer) {
+    clearInterval(autoLockTimer);
+    autoLockTimer = null;
+  }
+  if (clipboardTimer) {
+    clearInterval(clipboardTimer);
+    clipboardTimer = null;
+  }
+  storage.removeOpenCopies();
   globalShortcut.unregisterAll();
 });
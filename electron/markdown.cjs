@@ -0,0 +1,350 @@
+// Markdown export for Obsidian-style note folders.
+//
+// Every live item becomes a .md file with YAML front matter (id, title,
+// type, category, tags, created_at, updated_at, url). Code and CSV items
+// are wrapped in fenced blocks with a detected language; file items link
+// to a copy of the file under attachments/. Notes are grouped by category
+// (<category>/Title.md) or by date (YYYY/MM/Title.md).
+//
+// Exports are incremental. EXPORT_STATE_FILE in the output folder records
+// which file belongs to which item and the hash of what was written, so a
+// re-run
+//   - leaves files whose content would not change untouched (mtimes stay,
+//     sync tools see no churn),
+//   - never overwrites a file edited since the last export,
+//   - moves or removes its own, unedited files when an item is renamed,
+//     recategorised or deleted from the vault.
+// Attachments are only ever added, since notes outside the export may
+// link to them.
+//
+// Sensitive items (secrets kept on purpose, see secrets.cjs) are exported
+// with their secrets redacted and `sensitive: true` in the front matter.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const secrets = require("./secrets.cjs");
+
+const EXPORT_STATE_FILE = ".altdump-export.json";
+const ATTACHMENTS_DIR = "attachments";
+const MAX_FILENAME_LENGTH = 80;
+const MARKDOWN_LAYOUTS = ["category", "date"];
+
+// Checked in order, first match wins
+const CODE_LANGUAGES = [
+  ["json", /^\s*[{[][\s\S]*[}\]]\s*$/],
+  ["html", /^\s*<(!doctype|html|head|body|div|span|p|a|ul|table|script|template)\b/i],
+  ["python", /^\s*(def |class \w+(\(.*\))?:|from \S+ import |import \w+$|if __name__ ==|@\w+(\.\w+)*(\(.*\))?$)/m],
+  ["java", /\b(public|private|protected) (static )?(class|void|int|String)\b/],
+  ["typescript", /\b(interface \w+ \{|type \w+ = |: (string|number|boolean)\b|as const\b)/],
+  ["jsx", /<[A-Z]\w*[\s/>]|return \(\s*</],
+  ["javascript", /\b(const|let|var) \w+ = |=>|\bfunction\b|require\(|module\.exports|console\.log/],
+  ["sql", /^\s*(select|insert|update|delete|create|alter|with)\b[\s\S]*\b(from|into|table|set|where)\b/i],
+  ["go", /^\s*(package \w+|func \w+\(|import \()/m],
+  ["rust", /\b(fn \w+\(|let mut |impl \w+|pub fn |use \w+::)/],
+  ["cpp", /^\s*#include\s*[<"]|std::/m],
+  ["css", /^\s*[.#]?[\w-]+(\s*[,>+~]\s*[.#]?[\w-]+)*\s*\{[^}]*:[^}]*\}/],
+  ["bash", /^\s*(#!\/bin\/(ba)?sh|\$ |sudo |npm |npx |git |cd |export \w+=|echo )/m],
+  ["yaml", /^[\w-]+:( .+)?$/m],
+];
+
+function detectCodeLanguage(code) {
+  const match = CODE_LANGUAGES.find(([, pattern]) => pattern.test(code));
+  return match ? match[0] : "";
+}
+
+function hashContent(text) {
+  return crypto.createHash("sha256").update(text, "utf8").digest("hex");
+}
+
+// File names that work on every OS and in Obsidian links ([]#^| are special there)
+function sanitizeFilename(name) {
+  const cleaned = String(name || "")
+    .replace(/[\\/:*?"<>|#^[\]\u0000-\u001f]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/^\.+/, "")
+    .slice(0, MAX_FILENAME_LENGTH)
+    .trim();
+  return cleaned || "Untitled";
+}
+
+// JSON strings are valid YAML double-quoted scalars
+function yamlValue(value) {
+  if (Array.isArray(value)) return `[${value.map(yamlValue).join(", ")}]`;
+  if (typeof value === "boolean") return String(value);
+  return JSON.stringify(String(value));
+}
+
+function frontMatter(fields) {
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value !== null && value !== undefined && value !== "")
+    .map(([key, value]) => `${key}: ${yamlValue(value)}`);
+  return `---\n${lines.join("\n")}\n---\n`;
+}
+
+function fence(code, language) {
+  // The fence has to be longer than any backtick run inside the code
+  const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+  const marker = "`".repeat(Math.max(3, longest + 1));
+  return `${marker}${language}\n${code.replace(/\n$/, "")}\n${marker}\n`;
+}
+
+function linkTarget(fromFile, toFile) {
+  return encodeURI(path.relative(path.dirname(fromFile), toFile).split(path.sep).join("/"));
+}
+
+function itemUrl(item) {
+  if (item.metadata.url) return item.metadata.url;
+  if (item.category === "links" && item.content && /^https?:\/\/\S+$/i.test(item.content.trim())) {
+    return item.content.trim();
+  }
+  return null;
+}
+
+function itemFolder(item, layout) {
+  if (layout === "date") {
+    const created = new Date(item.timestamp);
+    return path.join(String(created.getFullYear()), String(created.getMonth() + 1).padStart(2, "0"));
+  }
+  return item.category;
+}
+
+// Redacted copy of a sensitive item. Titles cut from the first line of
+// the text may end inside a secret the scanner can no longer recognise, so
+// they are cut again from the redacted text.
+function redactSensitive(item) {
+  if (!item.sensitive) return item;
+  const content = item.content ? secrets.redactSecrets(item.content) : item.content;
+  let title = secrets.redactSecrets(item.title || "");
+  const firstLine = (item.content || "").trim().split("\n")[0].trim();
+  if (item.title && item.title.endsWith("...") && firstLine.startsWith(item.title.slice(0, -3))) {
+    const redactedLine = content.trim().split("\n")[0].trim();
+    title = redactedLine.length > 50 ? `${redactedLine.slice(0, 47)}...` : redactedLine;
+  }
+  const notes = item.metadata.notes && secrets.redactSecrets(item.metadata.notes);
+  return { ...item, title, content, metadata: { ...item.metadata, notes } };
+}
+
+/**
+ * Markdown for one item. `attachment` is the absolute path of the copied
+ * file for file items.
+ */
+function renderItem(item, filePath, attachment) {
+  const url = itemUrl(item);
+  const header = frontMatter({
+    id: item.id,
+    title: item.title,
+    type: item.type,
+    category: item.category,
+    // Obsidian tags can't contain spaces
+    tags: (item.tags || []).map(tag => tag.replace(/\s+/g, "-")),
+    created_at: item.timestamp,
+    updated_at: item.updatedAt,
+    url,
+    source_file: item.storagePath ? item.metadata.filename : null,
+    sensitive: item.sensitive ? true : null,
+  });
+
+  let body = "";
+  if (attachment) {
+    const target = linkTarget(filePath, attachment);
+    const label = item.metadata.filename || item.title;
+    body = item.type === "image" ? `![${label}](${target})\n` : `[${label}](${target})\n`;
+  } else if (item.storagePath) {
+    body = `*File missing from the vault: ${item.metadata.filename || item.title}*\n`;
+  } else if (item.category === "code" || item.category === "csv") {
+    const content = item.content || "";
+    body = fence(content, item.category === "csv" ? "csv" : detectCodeLanguage(content));
+  } else if (url && (!item.content || item.content.trim() === url)) {
+    body = `[${item.metadata.pageTitle || item.title}](${url})\n`;
+  } else {
+    body = `${(item.content || "").replace(/\n*$/, "")}\n`;
+  }
+
+  if (item.metadata.notes) body += `\n## Notes\n\n${item.metadata.notes.replace(/\n*$/, "")}\n`;
+  return `${header}\n${body}`;
+}
+
+function readState(outDir) {
+  try {
+    const state = JSON.parse(fs.readFileSync(path.join(outDir, EXPORT_STATE_FILE), "utf8"));
+    return { files: state.files || {}, attachments: state.attachments || {} };
+  } catch (err) {
+    return { files: {}, attachments: {} };
+  }
+}
+
+function fileHash(filePath) {
+  try {
+    return hashContent(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Write items (renderer-shaped, with tags) to outDir as Markdown.
+ * Secrets in sensitive items are replaced by [REDACTED: <type>] markers.
+ *
+ * options:
+ *   layout      "category" (default) or "date"
+ *   copyFile    (source, target) => void, copies a vault file out
+ *               (decrypting it if needed); fs.copyFileSync by default
+ *   fileSize    (source) => size of a vault file's content
+ *   onProgress  ({ phase, done, total }) => void
+ *
+ * Returns { outDir, written, unchanged, skipped, removed, attachments };
+ * `skipped` lists files left alone because they were edited after the
+ * last export.
+ */
+function exportMarkdown(items, outDir, options = {}) {
+  const {
+    layout = "category",
+    copyFile = fs.copyFileSync,
+    fileSize = (filePath) => fs.statSync(filePath).size,
+    onProgress = () => {},
+  } = options;
+  if (!MARKDOWN_LAYOUTS.includes(layout)) throw new Error(`Unknown Markdown layout: ${layout}`);
+
+  const root = path.resolve(outDir);
+  fs.mkdirSync(root, { recursive: true });
+  const previous = readState(root);
+  const state = { layout, exportedAt: new Date().toISOString(), files: {}, attachments: {} };
+  const summary = { outDir: root, written: 0, unchanged: 0, skipped: [], removed: 0, attachments: 0 };
+
+  // Our own file is safe to touch unless it was edited since it was written
+  const isEdited = (entry) => {
+    const current = fileHash(path.join(root, entry.path));
+    return current !== null && current !== entry.hash;
+  };
+
+  // Relative paths claimed in this run, lowercased for case-insensitive filesystems
+  const claimed = new Set();
+  const ownedPaths = new Set([
+    ...Object.values(previous.files).map(entry => entry.path.toLowerCase()),
+    ...Object.values(previous.attachments).map(relPath => relPath.toLowerCase()),
+  ]);
+  const claim = (relPath) => {
+    const key = relPath.toLowerCase();
+    // Files we did not write (the user's own notes) are never reused
+    if (claimed.has(key) || (!ownedPaths.has(key) && fs.existsSync(path.join(root, relPath)))) return false;
+    claimed.add(key);
+    return true;
+  };
+
+  const copyAttachment = (item) => {
+    const source = item.storagePath;
+    if (!source || !fs.existsSync(source)) return null;
+    const key = path.basename(source);
+    // Items sharing a file share the attachment
+    if (state.attachments[key]) return path.join(root, state.attachments[key]);
+    let relPath = previous.attachments[key];
+    if (!relPath || !claim(relPath)) {
+      const filename = sanitizeFilename(item.metadata.filename || key);
+      const ext = path.extname(filename);
+      relPath = path.join(ATTACHMENTS_DIR, filename);
+      if (!claim(relPath)) {
+        relPath = path.join(ATTACHMENTS_DIR, `${path.basename(filename, ext)} ${key.slice(0, 8)}${ext}`);
+        claimed.add(relPath.toLowerCase());
+      }
+    }
+    const target = path.join(root, relPath);
+    if (!fs.existsSync(target) || fs.statSync(target).size !== fileSize(source)) {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      copyFile(source, target);
+      summary.attachments++;
+    }
+    state.attachments[key] = relPath;
+    return target;
+  };
+
+  const ordered = items.map(redactSensitive).sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+
+  // Which of our files were edited is settled before anything is written:
+  // another item may take over a path below, which would make its old
+  // owner's file look edited
+  const edited = new Set(Object.keys(previous.files).filter(id => isEdited(previous.files[id])));
+  // Edited files stay where they are, whether or not their item is still here
+  edited.forEach(id => claimed.add(previous.files[id].path.toLowerCase()));
+
+  // Target paths for every item are resolved before any file moves. Items
+  // keeping their path go first, so a renamed item can't take it from them;
+  // paths that items moved away from are free for the others (swapped
+  // titles swap files)
+  const targets = new Map();
+  const wantedPath = (item) => path.join(itemFolder(item, layout), `${sanitizeFilename(item.title)}.md`);
+  ordered.forEach(item => {
+    const earlier = previous.files[item.id];
+    if (!earlier || edited.has(item.id)) return;
+    const relPath = wantedPath(item);
+    if (earlier.path.toLowerCase() !== relPath.toLowerCase()) return;
+    claimed.add(relPath.toLowerCase());
+    targets.set(item.id, relPath);
+  });
+  ordered.forEach(item => {
+    if (targets.has(item.id) || edited.has(item.id)) return;
+    let relPath = wantedPath(item);
+    if (!claim(relPath)) {
+      relPath = path.join(path.dirname(relPath), `${path.basename(relPath, ".md")} ${item.id.slice(0, 8)}.md`);
+      claimed.add(relPath.toLowerCase());
+    }
+    targets.set(item.id, relPath);
+  });
+
+  ordered.forEach((item, index) => {
+    onProgress({ phase: "markdown", done: index, total: ordered.length });
+    const earlier = previous.files[item.id];
+    if (edited.has(item.id)) {
+      // Edited outside AltDump: keep the user's version where it is
+      summary.skipped.push(earlier.path);
+      state.files[item.id] = earlier;
+      return;
+    }
+
+    const relPath = targets.get(item.id);
+    const filePath = path.join(root, relPath);
+    const attachment = item.storagePath ? copyAttachment(item) : null;
+    const markdown = renderItem(item, filePath, attachment);
+    const hash = hashContent(markdown);
+
+    // The old file goes unless another item took its path in this run (a
+    // change of case only is still ours to move)
+    if (earlier && earlier.path !== relPath) {
+      const oldKey = earlier.path.toLowerCase();
+      if (oldKey === relPath.toLowerCase() || !claimed.has(oldKey)) {
+        fs.rmSync(path.join(root, earlier.path), { force: true });
+      }
+    }
+    if (fileHash(filePath) === hash) {
+      summary.unchanged++;
+    } else {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, markdown);
+      summary.written++;
+    }
+    state.files[item.id] = { path: relPath, hash };
+  });
+
+  // Items no longer in the vault
+  for (const [id, entry] of Object.entries(previous.files)) {
+    const filePath = path.join(root, entry.path);
+    if (state.files[id] || !fs.existsSync(filePath)) continue;
+    if (edited.has(id)) {
+      summary.skipped.push(entry.path);
+    } else if (!claimed.has(entry.path.toLowerCase())) {
+      fs.rmSync(filePath, { force: true });
+      summary.removed++;
+    }
+  }
+  onProgress({ phase: "markdown", done: ordered.length, total: ordered.length });
+
+  fs.writeFileSync(path.join(root, EXPORT_STATE_FILE), JSON.stringify(state, null, 2));
+  return summary;
+}
+
+module.exports = {
+  exportMarkdown,
+  detectCodeLanguage,
+  MARKDOWN_LAYOUTS,
+};
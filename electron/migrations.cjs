@@ -0,0 +1,508 @@
+// Versioned schema migrations for vault.db.
+//
+// The schema version lives in `PRAGMA user_version`. Each migration runs in
+// its own transaction together with the version bump, so a failure leaves
+// the vault at the last good version. Before touching an existing vault the
+// db file is copied into VAULT_DIR/backups (VACUUM INTO), once per upgrade;
+// only the newest MIGRATION_BACKUPS_KEPT of those copies are kept.
+//
+// Migrations are append-only: never edit one that has shipped, add a new
+// version instead.
+
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+class VaultVersionError extends Error {
+  constructor(vaultVersion, supportedVersion) {
+    super(
+      `This vault was written by a newer version of AltDump (schema v${vaultVersion}, ` +
+      `this build supports up to v${supportedVersion}). Update AltDump to open it.`
+    );
+    this.name = "VaultVersionError";
+    this.vaultVersion = vaultVersion;
+    this.supportedVersion = supportedVersion;
+  }
+}
+
+function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+}
+
+function addColumn(db, table, column, definition) {
+  if (!hasColumn(db, table, column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+function toIsoTimestamp(value) {
+  if (value === null || value === undefined) return new Date().toISOString();
+  if (typeof value === "number") return new Date(value).toISOString();
+  return String(value);
+}
+
+/**
+ * Ordered list of migrations. `up(db, context)` receives the open database
+ * and the context passed to runMigrations (vault paths, row helpers from
+ * storage.cjs).
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "items table",
+    up(db) {
+      // Vaults created before versioning already have this table
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS items (
+          id TEXT PRIMARY KEY,
+          type TEXT NOT NULL,
+          title TEXT NOT NULL,
+          content TEXT,
+          raw_path TEXT,
+          thumbnail_path TEXT,
+          embedding BLOB,
+          mime_type TEXT,
+          hash TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          metadata TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_created_at ON items(created_at);
+        CREATE INDEX IF NOT EXISTS idx_type ON items(type);
+        CREATE INDEX IF NOT EXISTS idx_hash ON items(hash);
+      `);
+    },
+  },
+  {
+    version: 2,
+    name: "full-text index",
+    up(db) {
+      db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS items_fts USING fts5(
+          item_id UNINDEXED,
+          title,
+          content,
+          extracted_text,
+          filename,
+          tokenize = 'unicode61 remove_diacritics 2'
+        );
+      `);
+      db.prepare(`
+        INSERT INTO items_fts (item_id, title, content, extracted_text, filename)
+        SELECT id, title, COALESCE(content, ''),
+               COALESCE(json_extract(metadata, '$.extractedText'), ''),
+               COALESCE(json_extract(metadata, '$.filename'), '')
+        FROM items
+        WHERE id NOT IN (SELECT item_id FROM items_fts)
+      `).run();
+    },
+  },
+  {
+    version: 3,
+    name: "store inferred category",
+    up(db, { inferCategory }) {
+      // category: filters are evaluated in SQL, so the category has to be
+      // persisted rather than inferred on read
+      const rows = db.prepare(
+        "SELECT * FROM items WHERE json_extract(metadata, '$.category') IS NULL"
+      ).all();
+      const setCategory = db.prepare(
+        "UPDATE items SET metadata = json_set(COALESCE(metadata, '{}'), '$.category', ?) WHERE id = ?"
+      );
+      for (const row of rows) {
+        setCategory.run(inferCategory(row), row.id);
+      }
+    },
+  },
+  {
+    version: 4,
+    name: "embeddings as Float32 BLOBs",
+    up(db) {
+      const rows = db.prepare(
+        "SELECT id, embedding FROM items WHERE typeof(embedding) = 'text'"
+      ).all();
+      const update = db.prepare("UPDATE items SET embedding = ? WHERE id = ?");
+      for (const row of rows) {
+        let blob = null;
+        try {
+          const vector = Float32Array.from(JSON.parse(row.embedding));
+          blob = Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength);
+        } catch (err) {
+          console.error("[DB] Dropping unreadable embedding for item:", row.id, err.message);
+        }
+        update.run(blob, row.id);
+      }
+    },
+  },
+  {
+    version: 5,
+    name: "background indexing",
+    up(db) {
+      addColumn(db, "items", "index_status", "TEXT NOT NULL DEFAULT 'ready'");
+      addColumn(db, "items", "indexed_at", "TEXT");
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS jobs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          type TEXT NOT NULL,
+          item_id TEXT,
+          status TEXT NOT NULL DEFAULT 'queued',
+          payload TEXT,
+          attempts INTEGER NOT NULL DEFAULT 0,
+          max_attempts INTEGER NOT NULL DEFAULT 3,
+          last_error TEXT,
+          run_after TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status, run_after);
+        CREATE INDEX IF NOT EXISTS idx_jobs_item ON jobs(item_id);
+      `);
+    },
+  },
+  {
+    version: 6,
+    name: "import legacy altdump.db",
+    up(db, { legacyDbPath, inferCategory }) {
+      // Early builds wrote to userData/altdump.db with integer timestamps.
+      // Copy anything not already in the vault; the old file is left alone.
+      if (!legacyDbPath || !fs.existsSync(legacyDbPath)) return;
+
+      const legacy = new Database(legacyDbPath, { readonly: true, fileMustExist: true });
+      try {
+        const hasItems = legacy.prepare(
+          "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'items'"
+        ).get();
+        if (!hasItems) return;
+
+        const insert = db.prepare(`
+          INSERT OR IGNORE INTO items (
+            id, type, title, content, raw_path, thumbnail_path, mime_type, hash,
+            created_at, updated_at, metadata, index_status
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')
+        `);
+        const queueEnrich = db.prepare(`
+          INSERT INTO jobs (type, item_id, status, payload, run_after, created_at, updated_at)
+          VALUES ('enrich', ?, 'queued', '{}', ?, ?, ?)
+        `);
+        const now = new Date().toISOString();
+        let imported = 0;
+
+        for (const row of legacy.prepare("SELECT * FROM items").all()) {
+          const item = {
+            ...row,
+            type: row.type || "text",
+            title: row.title || "Untitled",
+            created_at: toIsoTimestamp(row.created_at),
+            updated_at: toIsoTimestamp(row.updated_at ?? row.created_at),
+          };
+          let metadata = {};
+          try {
+            metadata = JSON.parse(row.metadata || "{}");
+          } catch {
+            // Keep the item, drop unreadable metadata
+          }
+          metadata.category = metadata.category || inferCategory({ ...item, metadata: JSON.stringify(metadata) });
+
+          const result = insert.run(
+            item.id,
+            item.type,
+            item.title,
+            item.content,
+            item.raw_path,
+            item.thumbnail_path,
+            item.mime_type,
+            item.hash,
+            item.created_at,
+            item.updated_at,
+            JSON.stringify(metadata)
+          );
+          if (result.changes > 0) {
+            queueEnrich.run(item.id, now, now, now);
+            imported++;
+          }
+        }
+        if (imported > 0) {
+          console.log("[DB] Imported", imported, "items from legacy database:", legacyDbPath);
+        }
+      } finally {
+        legacy.close();
+      }
+    },
+  },
+  {
+    version: 7,
+    name: "tags",
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS tags (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          created_at TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS item_tags (
+          item_id TEXT NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+          tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+          created_at TEXT NOT NULL,
+          PRIMARY KEY (item_id, tag_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_item_tags_tag ON item_tags(tag_id);
+      `);
+
+      // Carry over tags stored in metadata.tags (test data, imports)
+      const now = new Date().toISOString();
+      db.prepare(`
+        INSERT OR IGNORE INTO tags (name, created_at)
+        SELECT DISTINCT trim(json_each.value), ?
+        FROM items, json_each(items.metadata, '$.tags')
+        WHERE json_valid(items.metadata) AND trim(json_each.value) != ''
+      `).run(now);
+      db.prepare(`
+        INSERT OR IGNORE INTO item_tags (item_id, tag_id, created_at)
+        SELECT items.id, tags.id, ?
+        FROM items, json_each(items.metadata, '$.tags')
+        JOIN tags ON tags.name = trim(json_each.value)
+        WHERE json_valid(items.metadata)
+      `).run(now);
+    },
+  },
+  {
+    version: 8,
+    name: "notes in full-text index",
+    up(db) {
+      // FTS5 tables can't gain columns; rebuild with the user's notes added
+      db.exec(`
+        DROP TABLE IF EXISTS items_fts;
+        CREATE VIRTUAL TABLE items_fts USING fts5(
+          item_id UNINDEXED,
+          title,
+          content,
+          extracted_text,
+          filename,
+          notes,
+          tokenize = 'unicode61 remove_diacritics 2'
+        );
+      `);
+      db.prepare(`
+        INSERT INTO items_fts (item_id, title, content, extracted_text, filename, notes)
+        SELECT id, title, COALESCE(content, ''),
+               COALESCE(json_extract(metadata, '$.extractedText'), ''),
+               COALESCE(json_extract(metadata, '$.filename'), ''),
+               COALESCE(json_extract(metadata, '$.notes'), '')
+        FROM items
+      `).run();
+    },
+  },
+  {
+    version: 9,
+    name: "item version history",
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS item_versions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          item_id TEXT NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+          title TEXT NOT NULL,
+          content TEXT,
+          created_at TEXT NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_item_versions_item ON item_versions(item_id, id);
+      `);
+    },
+  },
+  {
+    version: 10,
+    name: "trash and settings",
+    up(db) {
+      // Deleted items stay in the table until purged from the trash
+      addColumn(db, "items", "deleted_at", "TEXT");
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_items_deleted_at ON items(deleted_at);
+
+        CREATE TABLE IF NOT EXISTS settings (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL
+        );
+      `);
+    },
+  },
+  {
+    version: 11,
+    name: "text hashes and duplicate dismissals",
+    up(db, { hashText }) {
+      // Files were always hashed; notes and links get a hash of their text
+      // so exact duplicates can be found through idx_hash
+      const rows = db.prepare(`
+        SELECT id, COALESCE(content, json_extract(metadata, '$.url'), '') AS text
+        FROM items WHERE hash IS NULL AND type IN ('text', 'link')
+      `).all();
+      const setHash = db.prepare("UPDATE items SET hash = ? WHERE id = ?");
+      for (const row of rows) {
+        setHash.run(hashText(row.text), row.id);
+      }
+
+      // Pairs the user marked as "not duplicates"; item_id < other_id
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS duplicate_dismissals (
+          item_id TEXT NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+          other_id TEXT NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+          created_at TEXT NOT NULL,
+          PRIMARY KEY (item_id, other_id)
+        );
+      `);
+    },
+  },
+  {
+    version: 12,
+    name: "clipboard inbox",
+    up(db) {
+      // Clipboard history, kept apart from items until promoted. Text
+      // entries keep the text in `content`; images are stored as vault
+      // files under clipboard/ (image_path is vault-relative).
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS clipboard_entries (
+          id TEXT PRIMARY KEY,
+          kind TEXT NOT NULL CHECK (kind IN ('text', 'link', 'image')),
+          content TEXT,
+          image_path TEXT,
+          hash TEXT NOT NULL,
+          size INTEGER NOT NULL,
+          source_app TEXT,
+          created_at TEXT NOT NULL,
+          copied_at TEXT NOT NULL,
+          copy_count INTEGER NOT NULL DEFAULT 1
+        );
+        CREATE INDEX IF NOT EXISTS idx_clipboard_copied_at ON clipboard_entries(copied_at);
+        CREATE INDEX IF NOT EXISTS idx_clipboard_hash ON clipboard_entries(hash);
+      `);
+    },
+  },
+  {
+    version: 13,
+    name: "collections",
+    up(db) {
+      // User-made collections, nested through parent_id and ordered among
+      // their siblings; items belong to any number of them, each with its
+      // own position
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS collections (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL COLLATE NOCASE,
+          parent_id TEXT REFERENCES collections(id) ON DELETE CASCADE,
+          position INTEGER NOT NULL DEFAULT 0,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_collections_parent ON collections(parent_id, position);
+
+        CREATE TABLE IF NOT EXISTS collection_items (
+          collection_id TEXT NOT NULL REFERENCES collections(id) ON DELETE CASCADE,
+          item_id TEXT NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+          position INTEGER NOT NULL,
+          added_at TEXT NOT NULL,
+          PRIMARY KEY (collection_id, item_id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_collection_items_item ON collection_items(item_id);
+      `);
+    },
+  },
+  {
+    version: 14,
+    name: "pinned and starred items",
+    up(db) {
+      // When an item was pinned to the top of the library or starred as a
+      // favorite; NULL when it isn't
+      addColumn(db, "items", "pinned_at", "TEXT");
+      addColumn(db, "items", "starred_at", "TEXT");
+    },
+  },
+  {
+    version: 15,
+    name: "near duplicate links",
+    up(db) {
+      // Near-identical embeddings found when an item is enriched, stored
+      // once per pair (smaller id first). duplicates_checked_at is NULL
+      // until an item has been compared; existing items are compared in
+      // the background after the upgrade.
+      addColumn(db, "items", "duplicates_checked_at", "TEXT");
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS near_duplicates (
+          item_id TEXT NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+          other_id TEXT NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+          similarity REAL NOT NULL,
+          created_at TEXT NOT NULL,
+          PRIMARY KEY (item_id, other_id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_near_duplicates_other ON near_duplicates(other_id);
+      `);
+    },
+  },
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+const MIGRATION_BACKUPS_KEPT = 3;
+const MIGRATION_BACKUP_PATTERN = /^vault-v\d+-to-v\d+-(.+)\.db$/;
+
+function backupBeforeMigration(db, backupDir, fromVersion, toVersion) {
+  fs.mkdirSync(backupDir, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const target = path.join(backupDir, `vault-v${fromVersion}-to-v${toVersion}-${stamp}.db`);
+  db.prepare("VACUUM INTO ?").run(target);
+  console.log("[DB] Backed up vault before migration to:", target);
+  pruneMigrationBackups(backupDir);
+  return target;
+}
+
+// Newest first by the timestamp in the name; other files in the folder
+// (databases replaced by a restore) are left alone
+function pruneMigrationBackups(backupDir) {
+  const backups = fs.readdirSync(backupDir)
+    .map(name => ({ name, match: MIGRATION_BACKUP_PATTERN.exec(name) }))
+    .filter(entry => entry.match)
+    .sort((a, b) => b.match[1].localeCompare(a.match[1]));
+  for (const { name } of backups.slice(MIGRATION_BACKUPS_KEPT)) {
+    fs.rmSync(path.join(backupDir, name), { force: true });
+    console.log("[DB] Removed old migration backup:", name);
+  }
+}
+
+/**
+ * Bring the database up to LATEST_VERSION.
+ *
+ * context: { backupDir, legacyDbPath, inferCategory(row), hashText(text) }
+ * Throws VaultVersionError if the vault is newer than this build.
+ */
+function runMigrations(db, context) {
+  const current = db.pragma("user_version", { simple: true });
+  if (current > LATEST_VERSION) {
+    throw new VaultVersionError(current, LATEST_VERSION);
+  }
+
+  // A brand new (empty) database has nothing worth backing up
+  const isEmpty = !db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table'").get();
+  if (!isEmpty && current < LATEST_VERSION) {
+    backupBeforeMigration(db, context.backupDir, current, LATEST_VERSION);
+  }
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= current) continue;
+
+    db.transaction(() => {
+      migration.up(db, context);
+      db.pragma(`user_version = ${migration.version}`);
+    })();
+    console.log(`[DB] Migrated vault to v${migration.version} (${migration.name})`);
+  }
+
+  return db.pragma("user_version", { simple: true });
+}
+
+module.exports = {
+  runMigrations,
+  LATEST_VERSION,
+  VaultVersionError,
+};
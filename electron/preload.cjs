@@ -1,10 +1,105 @@
 const { contextBridge, ipcRenderer } = require("electron");
 
 contextBridge.exposeInMainWorld("electronAPI", {
-  saveText: (text) => ipcRenderer.invoke("save-text", text),
-  saveFile: (filePath) => ipcRenderer.invoke("save-file", filePath),
+  saveText: (text, options) => ipcRenderer.invoke("save-text", text, options),
+  saveFile: (filePath, options) => ipcRenderer.invoke("save-file", filePath, options),
   getItems: () => ipcRenderer.invoke("get-items"),
   deleteItem: (id) => ipcRenderer.invoke("delete-item", id),
+  getItem: (id) => ipcRenderer.invoke("get-item", id),
+  openItemInLibrary: (id) => ipcRenderer.invoke("open-item-in-library", id),
+  onOpenItem: (callback) => {
+    const handler = (event, id) => callback(id);
+    ipcRenderer.on("open-item", handler);
+    return () => ipcRenderer.removeListener("open-item", handler);
+  },
+  // Duplicates
+  getDuplicateGroups: () => ipcRenderer.invoke("get-duplicate-groups"),
+  mergeDuplicates: (keepId, otherIds) => ipcRenderer.invoke("merge-duplicates", keepId, otherIds),
+  dismissDuplicates: (ids) => ipcRenderer.invoke("dismiss-duplicates", ids),
+  // Vault integrity check (dry run unless options.repair)
+  checkVault: (options) => ipcRenderer.invoke("check-vault", options),
+  onVaultCheckProgress: (callback) => {
+    const handler = (event, progress) => callback(progress);
+    ipcRenderer.on("vault-check-progress", handler);
+    return () => ipcRenderer.removeListener("vault-check-progress", handler);
+  },
+  // Portable vault archives; without options.filePath a file dialog is shown
+  exportVault: (options) => ipcRenderer.invoke("export-vault", options),
+  importVault: (options) => ipcRenderer.invoke("import-vault", options),
+  exportMarkdown: (options) => ipcRenderer.invoke("export-markdown", options),
+  getMarkdownExportSettings: () => ipcRenderer.invoke("get-markdown-export-settings"),
+  onVaultTransferProgress: (callback) => {
+    const handler = (event, progress) => callback(progress);
+    ipcRenderer.on("vault-transfer-progress", handler);
+    return () => ipcRenderer.removeListener("vault-transfer-progress", handler);
+  },
+  // Backups to a user-chosen folder
+  getBackupStatus: () => ipcRenderer.invoke("get-backup-status"),
+  setBackupSettings: (changes) => ipcRenderer.invoke("set-backup-settings", changes),
+  chooseBackupFolder: () => ipcRenderer.invoke("choose-backup-folder"),
+  runBackup: () => ipcRenderer.invoke("run-backup"),
+  validateBackup: (id) => ipcRenderer.invoke("validate-backup", id),
+  restoreBackup: (id) => ipcRenderer.invoke("restore-backup", id),
+  onBackupProgress: (callback) => {
+    const handler = (event, progress) => callback(progress);
+    ipcRenderer.on("backup-progress", handler);
+    return () => ipcRenderer.removeListener("backup-progress", handler);
+  },
+  onBackupStatus: (callback) => {
+    const handler = (event, status) => callback(status);
+    ipcRenderer.on("backup-status", handler);
+    return () => ipcRenderer.removeListener("backup-status", handler);
+  },
+  // At-rest encryption and the lock screen
+  getEncryptionStatus: () => ipcRenderer.invoke("get-encryption-status"),
+  enableEncryption: (passphrase) => ipcRenderer.invoke("enable-encryption", passphrase),
+  unlockVault: (passphrase) => ipcRenderer.invoke("unlock-vault", passphrase),
+  lockVault: () => ipcRenderer.invoke("lock-vault"),
+  setAutoLockMinutes: (minutes) => ipcRenderer.invoke("set-auto-lock", minutes),
+  onEncryptionProgress: (callback) => {
+    const handler = (event, progress) => callback(progress);
+    ipcRenderer.on("encryption-progress", handler);
+    return () => ipcRenderer.removeListener("encryption-progress", handler);
+  },
+  onVaultLockChanged: (callback) => {
+    const handler = (event, status) => callback(status);
+    ipcRenderer.on("vault-lock-changed", handler);
+    return () => ipcRenderer.removeListener("vault-lock-changed", handler);
+  },
+  // Clipboard inbox (opt-in clipboard history)
+  getClipboardSettings: () => ipcRenderer.invoke("get-clipboard-settings"),
+  setClipboardSettings: (changes) => ipcRenderer.invoke("set-clipboard-settings", changes),
+  getClipboardEntries: () => ipcRenderer.invoke("get-clipboard-entries"),
+  deleteClipboardEntry: (id) => ipcRenderer.invoke("delete-clipboard-entry", id),
+  clearClipboardEntries: () => ipcRenderer.invoke("clear-clipboard-entries"),
+  promoteClipboardEntry: (id, options) => ipcRenderer.invoke("promote-clipboard-entry", id, options),
+  onClipboardUpdated: (callback) => {
+    const handler = () => callback();
+    ipcRenderer.on("clipboard-updated", handler);
+    return () => ipcRenderer.removeListener("clipboard-updated", handler);
+  },
+  // Links (page previews and snapshots)
+  getLinkSettings: () => ipcRenderer.invoke("get-link-settings"),
+  setLinkSettings: (changes) => ipcRenderer.invoke("set-link-settings", changes),
+  refreshLinkPreview: (id, options) => ipcRenderer.invoke("refresh-link-preview", id, options),
+  openLinkSnapshot: (id) => ipcRenderer.invoke("open-link-snapshot", id),
+  openExternalUrl: (url) => ipcRenderer.invoke("open-external-url", url),
+  checkLinks: (options) => ipcRenderer.invoke("check-links", options),
+  // Region screenshots (the selection window uses the capture calls)
+  startRegionCapture: () => ipcRenderer.invoke("start-region-capture"),
+  getCaptureImage: () => ipcRenderer.invoke("get-capture-image"),
+  finishRegionCapture: (region) => ipcRenderer.invoke("finish-region-capture", region),
+  cancelRegionCapture: () => ipcRenderer.invoke("cancel-region-capture"),
+  // Trash (deleted items until purged)
+  getTrash: () => ipcRenderer.invoke("get-trash"),
+  restoreItem: (id) => ipcRenderer.invoke("restore-item", id),
+  purgeItem: (id) => ipcRenderer.invoke("purge-item", id),
+  emptyTrash: () => ipcRenderer.invoke("empty-trash"),
+  getTrashRetention: () => ipcRenderer.invoke("get-trash-retention"),
+  setTrashRetention: (days) => ipcRenderer.invoke("set-trash-retention", days),
+  updateItem: (id, changes) => ipcRenderer.invoke("update-item", id, changes),
+  getItemVersions: (id) => ipcRenderer.invoke("get-item-versions", id),
+  restoreItemVersion: (id, versionId) => ipcRenderer.invoke("restore-item-version", id, versionId),
   validateFile: (filePath) => ipcRenderer.invoke("validate-file", filePath),
   detectCategory: (filePath) => ipcRenderer.invoke("detect-category", filePath),
   isURLContent: (text) => ipcRenderer.invoke("is-url-content", text),
@@ -15,7 +110,7 @@ contextBridge.exposeInMainWorld("electronAPI", {
   getOverlayState: () => ipcRenderer.invoke("get-overlay-state"),
   setOverlayMode: (mode) => ipcRenderer.invoke("set-overlay-mode", mode),
   // Smart search (legacy compatibility)
-  smartSearch: (query) => ipcRenderer.invoke("smart-search", query),
+  smartSearch: (query, options) => ipcRenderer.invoke("smart-search", query, options),
   // Semantic search (new SQLite + Ollama embeddings)
   semanticSearch: (query) => ipcRenderer.invoke("semantic-search", query),
   // Save item (unified save with embedding generation)
@@ -24,6 +119,39 @@ contextBridge.exposeInMainWorld("electronAPI", {
   getVaultDir: () => ipcRenderer.invoke("get-vault-dir"),
   // Open an item path in the OS default app
   openItemPath: (filePath) => ipcRenderer.invoke("open-item-path", filePath),
+  // Pin or star an item (flags: { pinned, starred })
+  setItemFlags: (id, flags) => ipcRenderer.invoke("set-item-flags", id, flags),
+  // Tags
+  getTags: () => ipcRenderer.invoke("get-tags"),
+  setItemTags: (id, tags) => ipcRenderer.invoke("set-item-tags", id, tags),
+  addItemTag: (id, tag) => ipcRenderer.invoke("add-item-tag", id, tag),
+  removeItemTag: (id, tag) => ipcRenderer.invoke("remove-item-tag", id, tag),
+  renameTag: (oldName, newName) => ipcRenderer.invoke("rename-tag", oldName, newName),
+  mergeTags: (sourceNames, targetName) => ipcRenderer.invoke("merge-tags", sourceNames, targetName),
+  suggestTags: (text, exclude) => ipcRenderer.invoke("suggest-tags", text, exclude),
+  // Collections
+  getCollections: () => ipcRenderer.invoke("get-collections"),
+  createCollection: (name, parentId) => ipcRenderer.invoke("create-collection", name, parentId),
+  renameCollection: (id, name) => ipcRenderer.invoke("rename-collection", id, name),
+  moveCollection: (id, parentId, index) => ipcRenderer.invoke("move-collection", id, parentId, index),
+  deleteCollection: (id) => ipcRenderer.invoke("delete-collection", id),
+  addToCollection: (collectionId, itemIds) => ipcRenderer.invoke("add-to-collection", collectionId, itemIds),
+  removeFromCollection: (collectionId, itemId) => ipcRenderer.invoke("remove-from-collection", collectionId, itemId),
+  moveCollectionItem: (collectionId, itemId, beforeItemId) => ipcRenderer.invoke("move-collection-item", collectionId, itemId, beforeItemId),
+  // Background indexing (thumbnails, text extraction, embeddings)
+  cancelItemIndexing: (id) => ipcRenderer.invoke("cancel-item-indexing", id),
+  retryItemIndexing: (id) => ipcRenderer.invoke("retry-item-indexing", id),
+  onItemProgress: (callback) => {
+    const handler = (event, progress) => callback(progress);
+    ipcRenderer.on("item-progress", handler);
+    return () => ipcRenderer.removeListener("item-progress", handler);
+  },
+  // Near duplicates found after an item was saved (main window only)
+  onNearDuplicatesFound: (callback) => {
+    const handler = (event, found) => callback(found);
+    ipcRenderer.on("near-duplicates-found", handler);
+    return () => ipcRenderer.removeListener("near-duplicates-found", handler);
+  },
   // Test data (development only)
   createTestItems: () => ipcRenderer.invoke("create-test-items"),
   // Items updated notification (main window only)
@@ -42,6 +170,9 @@ contextBridge.exposeInMainWorld("electronAPI", {
   },
   // Save file by sending file blob (ArrayBuffer) to main process; main will write temp file and save
   saveFileBlob: (fileMeta) => ipcRenderer.invoke("save-file-blob", fileMeta),
+  // Stack mode: save every pending capture at once, and size the overlay for the list
+  saveStack: (entries, options) => ipcRenderer.invoke("save-stack", entries, options),
+  setOverlayStackMode: (active) => ipcRenderer.invoke("set-overlay-stack-mode", active),
   // Helper to extract file path from File object (works with context isolation)
   getFilePathFromDrop: (fileObj) => {
     // Try to get the path property which Electron adds to File objects
@@ -196,10 +327,19 @@ contextBridge.exposeInMainWorld("api", {
     return Array.from(_lastDroppedPaths);
   },
 
+  // Same, but clears the cache like saveDroppedFiles (stack mode collects
+  // the paths and saves them later)
+  takeDroppedFilePaths: () => {
+    const paths = Array.from(_lastDroppedPaths || []);
+    _lastDroppedPaths = [];
+    return paths;
+  },
+
   // Save all dropped files (paths are taken from the last captured drop).
   // This calls the existing `save-file` IPC for each path and returns an
-  // array of results (promises resolved in sequence).
-  saveDroppedFiles: async () => {
+  // array of results (promises resolved in sequence). options.tags and
+  // options.collection are applied to every file.
+  saveDroppedFiles: async (options = {}) => {
     const paths = Array.from(_lastDroppedPaths || []);
     // Clear cache immediately to avoid double-processing
     _lastDroppedPaths = [];
@@ -223,7 +363,7 @@ contextBridge.exposeInMainWorld("api", {
       for (const p of paths) {
         try {
           console.log('[Preload] Saving file with full path:', p);
-          const r = await ipcRenderer.invoke("save-file", p);
+          const r = await ipcRenderer.invoke("save-file", p, options);
           console.log('[Preload] File saved successfully:', p, r);
           results.push(r);
         } catch (err) {
@@ -255,7 +395,9 @@ contextBridge.exposeInMainWorld("api", {
             
             const fileMeta = {
               name: filename,
-              buffer: buffer
+              buffer: buffer,
+              tags: options.tags,
+              collection: options.collection
             };
             
             console.log('[Preload] Sending fileMeta to main process:', { name: filename, bufferLength: buffer.length });
@@ -0,0 +1,385 @@
+// Structured search query parsing for the vault search bar.
+//
+// Supported syntax (combine freely, prefix any filter or word with "-" to negate):
+//   type:image | file | text | link      category:code       ext:pdf
+//   before:2026-01-01   after:2025-12    (also today, yesterday, 7d, 2w, 3m, 1y)
+//   size:>5mb  size:<=200kb               tag:work
+//   collection:"Trip 2026"  (also matches its sub-collections)
+//   is:dead      (links found dead by the link checker)
+//   is:pinned    is:starred (also is:favorite)
+//   "exact phrase"    -excludedword       -"excluded phrase"
+
+const FILTER_KEYS = {
+  type: "type",
+  is: "type",
+  category: "category",
+  cat: "category",
+  ext: "ext",
+  tag: "tag",
+  collection: "collection",
+  board: "collection",
+  before: "before",
+  after: "after",
+  size: "size",
+};
+
+const TYPE_ALIASES = {
+  image: "image", images: "image", img: "image", screenshot: "image",
+  file: "file", files: "file", doc: "file", document: "file",
+  text: "text", note: "text", snippet: "text",
+  link: "link", links: "link", url: "link", bookmark: "link",
+};
+
+// is:<state> values that filter on a link's health instead of the type
+const HEALTH_ALIASES = { dead: "dead", broken: "dead" };
+
+// is:<flag> values for pinned and starred items (see storage.setItemFlags)
+const FLAG_ALIASES = {
+  pinned: "pinned", pin: "pinned",
+  starred: "starred", star: "starred", favorite: "starred", favourite: "starred", fav: "starred",
+};
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+// [-][key:]("quoted phrase" | bare-word)
+const TOKEN_REGEX = /(-)?(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+/**
+ * Resolve a date expression to the local start-of-day it refers to.
+ * Returns null when the value is not a recognizable date.
+ */
+function parseDateValue(value, now = new Date()) {
+  const v = value.toLowerCase();
+  const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+  if (v === "today" || v === "yesterday") {
+    const d = new Date(startOfToday);
+    if (v === "yesterday") d.setDate(d.getDate() - 1);
+    d.precision = "day";
+    return d;
+  }
+
+  // Relative: 7d, 2w, 3m, 1y ago
+  const rel = v.match(/^(\d+)([dwmy])$/);
+  if (rel) {
+    const n = parseInt(rel[1], 10);
+    const d = new Date(startOfToday);
+    if (rel[2] === "d") d.setDate(d.getDate() - n);
+    if (rel[2] === "w") d.setDate(d.getDate() - n * 7);
+    if (rel[2] === "m") d.setMonth(d.getMonth() - n);
+    if (rel[2] === "y") d.setFullYear(d.getFullYear() - n);
+    d.precision = "instant";
+    return d;
+  }
+
+  // Absolute: YYYY, YYYY-MM, YYYY-MM-DD
+  const abs = v.match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/);
+  if (abs) {
+    const year = parseInt(abs[1], 10);
+    const month = abs[2] ? parseInt(abs[2], 10) - 1 : 0;
+    const day = abs[3] ? parseInt(abs[3], 10) : 1;
+    const d = new Date(year, month, day);
+    if (d.getFullYear() !== year || d.getMonth() !== month || d.getDate() !== day) return null;
+    d.precision = abs[3] ? "day" : abs[2] ? "month" : "year";
+    return d;
+  }
+
+  return null;
+}
+
+/**
+ * End (exclusive) of the period a parsed date refers to: the next day,
+ * month or year depending on how precisely it was written. Relative dates
+ * ("7d") are points in time, so "after:7d" means "in the last 7 days".
+ */
+function endOfPeriod(date) {
+  const d = new Date(date);
+  if (date.precision === "instant") return d;
+  if (date.precision === "year") d.setFullYear(d.getFullYear() + 1);
+  else if (date.precision === "month") d.setMonth(d.getMonth() + 1);
+  else d.setDate(d.getDate() + 1);
+  return d;
+}
+
+function parseSizeValue(value) {
+  const m = value.toLowerCase().match(/^(>=|<=|>|<|=)?(\d+(?:\.\d+)?)(b|kb|mb|gb)?$/);
+  if (!m) return null;
+  return {
+    op: m[1] || ">=",
+    bytes: Math.round(parseFloat(m[2]) * SIZE_UNITS[m[3] || "b"]),
+    label: `${m[2]} ${(m[3] || "b").toUpperCase()}`,
+  };
+}
+
+/**
+ * Parse a raw search string into free text plus structured filters.
+ * Unrecognized filter values are reported in `ignored` rather than thrown.
+ */
+function parseSearchIntent(query, now = new Date()) {
+  const intent = {
+    raw: query || "",
+    terms: [],
+    phrases: [],
+    excludedTerms: [],
+    excludedPhrases: [],
+    include: { types: [], categories: [], exts: [], tags: [], collections: [], health: [], flags: [] },
+    exclude: { types: [], categories: [], exts: [], tags: [], collections: [], health: [], flags: [] },
+    before: null,
+    after: null,
+    sizes: [],
+    ignored: [],
+  };
+
+  TOKEN_REGEX.lastIndex = 0;
+  let match;
+  while ((match = TOKEN_REGEX.exec(intent.raw)) !== null) {
+    const [token, negated, rawKey, quoted, bare] = match;
+    if (!token.trim()) continue;
+
+    const key = rawKey ? FILTER_KEYS[rawKey.toLowerCase()] : null;
+    const value = quoted !== undefined ? quoted.trim() : bare;
+
+    // Unknown "key:" prefixes are just words (e.g. "http://..." or "TODO:")
+    if (rawKey && !key) {
+      const word = token.replace(/^-/, "");
+      (negated ? intent.excludedTerms : intent.terms).push(word);
+      continue;
+    }
+
+    if (!key) {
+      if (!value) continue;
+      if (quoted !== undefined) {
+        (negated ? intent.excludedPhrases : intent.phrases).push(value);
+      } else {
+        (negated ? intent.excludedTerms : intent.terms).push(value);
+      }
+      continue;
+    }
+
+    if (!value) {
+      intent.ignored.push({ token, reason: "missing value" });
+      continue;
+    }
+
+    const bucket = negated ? intent.exclude : intent.include;
+    const lower = value.toLowerCase();
+
+    switch (key) {
+      case "type": {
+        const type = TYPE_ALIASES[lower];
+        if (type) bucket.types.push(type);
+        else if (HEALTH_ALIASES[lower]) bucket.health.push(HEALTH_ALIASES[lower]);
+        else if (FLAG_ALIASES[lower]) bucket.flags.push(FLAG_ALIASES[lower]);
+        else intent.ignored.push({ token, reason: "unknown type" });
+        break;
+      }
+      case "category":
+        bucket.categories.push(lower);
+        break;
+      case "ext":
+        bucket.exts.push(lower.replace(/^\./, "").replace(/[^a-z0-9]/g, ""));
+        break;
+      case "tag":
+        bucket.tags.push(lower.replace(/^#+/, ""));
+        break;
+      case "collection":
+        bucket.collections.push(value);
+        break;
+      case "before":
+      case "after": {
+        const date = parseDateValue(value, now);
+        if (!date) {
+          intent.ignored.push({ token, reason: "not a date" });
+        } else if (key === "before") {
+          intent.before = { date, label: value };
+        } else {
+          intent.after = { date: endOfPeriod(date), label: value, since: date.precision === "instant" };
+        }
+        break;
+      }
+      case "size": {
+        const size = parseSizeValue(value);
+        if (size) intent.sizes.push(size);
+        else intent.ignored.push({ token, reason: "not a size" });
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  // Free text used for semantic ranking
+  intent.text = [...intent.terms, ...intent.phrases].join(" ").trim();
+  return intent;
+}
+
+function hasFilters(intent) {
+  const { include, exclude } = intent;
+  return Boolean(
+    intent.before || intent.after || intent.sizes.length ||
+    intent.phrases.length || intent.excludedTerms.length || intent.excludedPhrases.length ||
+    Object.values(include).some(list => list.length) ||
+    Object.values(exclude).some(list => list.length)
+  );
+}
+
+/**
+ * Quote a term or phrase for an FTS5 MATCH expression
+ */
+function ftsPhrase(text) {
+  const tokens = (text || "").match(/[\p{L}\p{N}_]+/gu) || [];
+  return tokens.length ? `"${tokens.join(" ")}"` : null;
+}
+
+// vault_open() decrypts columns of encrypted vaults (registered in storage.cjs)
+const CATEGORY_SQL = "json_extract(vault_open(i.metadata), '$.category')";
+const FILENAME_SQL = "lower(COALESCE(json_extract(vault_open(i.metadata), '$.filename'), vault_open(i.title)))";
+const HEALTH_SQL = "json_extract(vault_open(i.metadata), '$.health.state')";
+const SIZE_SQL = "CAST(json_extract(vault_open(i.metadata), '$.size') AS INTEGER)";
+const FLAG_SQL = { pinned: "i.pinned_at IS NOT NULL", starred: "i.starred_at IS NOT NULL" };
+// tags.name is COLLATE NOCASE, so this match is case-insensitive
+const TAG_SQL = "EXISTS (SELECT 1 FROM item_tags it JOIN tags t ON t.id = it.tag_id WHERE it.item_id = i.id AND t.name = ?)";
+// Items in any collection with this name (COLLATE NOCASE too) or below it
+const COLLECTION_SQL = `EXISTS (SELECT 1 FROM collection_items ci WHERE ci.item_id = i.id AND ci.collection_id IN (
+  WITH RECURSIVE tree(id) AS (
+    SELECT id FROM collections WHERE name = ?
+    UNION SELECT c.id FROM collections c JOIN tree ON c.parent_id = tree.id
+  )
+  SELECT id FROM tree
+))`;
+
+/**
+ * Compile the structured part of an intent into a SQL condition over the
+ * `items` table aliased as `i`. Returns { where, params }; `where` is "1"
+ * when nothing needs filtering.
+ */
+function compileSearchFilters(intent) {
+  const clauses = [];
+  const params = [];
+
+  const anyOf = (values, sql) => {
+    clauses.push(`(${values.map(() => sql).join(" OR ")})`);
+    values.forEach(v => params.push(v));
+  };
+  const noneOf = (values, sql) => {
+    values.forEach(v => {
+      clauses.push(`NOT (${sql})`);
+      params.push(v);
+    });
+  };
+
+  const { include, exclude } = intent;
+  if (include.types.length) anyOf(include.types, "i.type = ?");
+  if (exclude.types.length) noneOf(exclude.types, "i.type = ?");
+  if (include.categories.length) anyOf(include.categories, `${CATEGORY_SQL} = ?`);
+  if (exclude.categories.length) noneOf(exclude.categories, `COALESCE(${CATEGORY_SQL}, '') = ?`);
+  if (include.exts.length) anyOf(include.exts.map(e => `%.${e}`), `${FILENAME_SQL} LIKE ?`);
+  if (exclude.exts.length) noneOf(exclude.exts.map(e => `%.${e}`), `${FILENAME_SQL} LIKE ?`);
+  if (include.tags.length) {
+    include.tags.forEach(tag => {
+      clauses.push(TAG_SQL);
+      params.push(tag);
+    });
+  }
+  if (exclude.tags.length) noneOf(exclude.tags, TAG_SQL);
+  include.collections.forEach(name => {
+    clauses.push(COLLECTION_SQL);
+    params.push(name);
+  });
+  if (exclude.collections.length) noneOf(exclude.collections, COLLECTION_SQL);
+  if (include.health.length) anyOf(include.health, `${HEALTH_SQL} = ?`);
+  if (exclude.health.length) noneOf(exclude.health, `COALESCE(${HEALTH_SQL}, '') = ?`);
+  include.flags.forEach(flag => clauses.push(FLAG_SQL[flag]));
+  exclude.flags.forEach(flag => clauses.push(`NOT ${FLAG_SQL[flag]}`));
+
+  if (intent.before) {
+    clauses.push("i.created_at < ?");
+    params.push(intent.before.date.toISOString());
+  }
+  if (intent.after) {
+    clauses.push("i.created_at >= ?");
+    params.push(intent.after.date.toISOString());
+  }
+
+  intent.sizes.forEach(size => {
+    clauses.push(`${SIZE_SQL} ${size.op} ?`);
+    params.push(size.bytes);
+  });
+
+  // Quoted phrases must appear verbatim; excluded words/phrases must not
+  intent.phrases.map(ftsPhrase).filter(Boolean).forEach(phrase => {
+    clauses.push("i.id IN (SELECT item_id FROM items_fts WHERE items_fts MATCH ?)");
+    params.push(phrase);
+  });
+  [...intent.excludedTerms, ...intent.excludedPhrases].map(ftsPhrase).filter(Boolean).forEach(phrase => {
+    clauses.push("i.id NOT IN (SELECT item_id FROM items_fts WHERE items_fts MATCH ?)");
+    params.push(phrase);
+  });
+
+  return { where: clauses.length ? clauses.join(" AND ") : "1", params };
+}
+
+const TYPE_LABELS = { image: "images", file: "files", text: "text snippets", link: "links" };
+
+function formatDate(date) {
+  return date.toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" });
+}
+
+function quoteList(values) {
+  return values.map(v => `"${v}"`).join(", ");
+}
+
+/**
+ * Human-readable explanation of how a query was interpreted, e.g.
+ * `12 results · images · created after Jan 1, 2026 · matching "invoice" · excluding "draft"`
+ */
+function describeSearchIntent(intent, resultCount) {
+  const parts = [`${resultCount} result${resultCount === 1 ? "" : "s"}`];
+  const { include, exclude } = intent;
+
+  if (include.types.length) parts.push(include.types.map(t => TYPE_LABELS[t]).join(" or "));
+  if (include.health.length) parts.push(`${include.health.join(" or ")} links`);
+  if (include.flags.length) parts.push(include.flags.join(" and "));
+  if (include.categories.length) parts.push(`in ${include.categories.join(" or ")}`);
+  if (include.exts.length) parts.push(include.exts.map(e => `.${e}`).join(" or ") + " files");
+  if (include.tags.length) parts.push(`tagged ${include.tags.map(t => `#${t}`).join(" and ")}`);
+  if (include.collections.length) parts.push(`in collection ${quoteList(include.collections)}`);
+  if (intent.after) {
+    parts.push(intent.after.since
+      ? `created since ${formatDate(intent.after.date)}`
+      : `created after ${formatDate(new Date(intent.after.date.getTime() - 1))}`);
+  }
+  if (intent.before) parts.push(`created before ${formatDate(intent.before.date)}`);
+  intent.sizes.forEach(size => {
+    const word = size.op.startsWith(">") ? "larger than" : size.op.startsWith("<") ? "smaller than" : "exactly";
+    parts.push(`${word} ${size.label}`);
+  });
+  if (intent.phrases.length) parts.push(`containing ${quoteList(intent.phrases)}`);
+  if (intent.terms.length) parts.push(`matching ${quoteList([intent.terms.join(" ")])}`);
+
+  const excluded = [
+    ...exclude.types.map(t => TYPE_LABELS[t]),
+    ...exclude.categories,
+    ...exclude.exts.map(e => `.${e} files`),
+    ...exclude.tags.map(t => `#${t}`),
+    ...exclude.collections.map(c => `collection "${c}"`),
+    ...exclude.health.map(h => `${h} links`),
+    ...exclude.flags.map(f => `${f} items`),
+    ...[...intent.excludedTerms, ...intent.excludedPhrases].map(t => `"${t}"`),
+  ];
+  if (excluded.length) parts.push(`excluding ${excluded.join(", ")}`);
+
+  if (intent.ignored.length) {
+    parts.push(`ignored ${intent.ignored.map(i => `${i.token} (${i.reason})`).join(", ")}`);
+  }
+
+  return parts.join(" · ");
+}
+
+module.exports = {
+  parseSearchIntent,
+  compileSearchFilters,
+  describeSearchIntent,
+  hasFilters,
+  ftsPhrase,
+};
@@ -0,0 +1,74 @@
+// Region screenshots (Alt+Shift+D, or Capture in the overlay). The
+// selection window and the save live in main.cjs.
+//
+// The display under the cursor is captured once with desktopCapturer before
+// the selection window opens, so the region is picked on a frozen frame and
+// neither the overlay nor the selection UI ends up in the screenshot.
+// Regions come from the selection window in DIPs relative to the display;
+// cropRegion() maps them onto the captured image, which is in physical
+// pixels.
+
+const { desktopCapturer, screen } = require("electron");
+
+/**
+ * The display the mouse cursor is on
+ */
+function displayUnderCursor() {
+  return screen.getDisplayNearestPoint(screen.getCursorScreenPoint());
+}
+
+/**
+ * Full-resolution NativeImage of `display`. Throws when the screen cannot be
+ * captured (on macOS that means Screen Recording permission is missing).
+ */
+async function captureDisplay(display) {
+  const thumbnailSize = {
+    width: Math.round(display.size.width * display.scaleFactor),
+    height: Math.round(display.size.height * display.scaleFactor),
+  };
+  const sources = await desktopCapturer.getSources({ types: ["screen"], thumbnailSize });
+  // display_id is empty on some Linux setups; sources then follow display order
+  const index = screen.getAllDisplays().findIndex(other => other.id === display.id);
+  const source = sources.find(candidate => candidate.display_id === String(display.id))
+    || (sources.every(candidate => !candidate.display_id) ? sources[index] : null);
+  if (!source || source.thumbnail.isEmpty()) {
+    throw new Error(process.platform === "darwin"
+      ? "Could not capture the screen. Allow AltDump under Privacy & Security > Screen Recording"
+      : "Could not capture the screen");
+  }
+  return source.thumbnail;
+}
+
+/**
+ * Rounded, validated copy of a region sent by the selection window
+ */
+function normalizeRegion(region) {
+  const values = ["x", "y", "width", "height"].map(key => Number(region && region[key]));
+  if (values.some(value => !Number.isFinite(value))) throw new Error("Invalid capture region");
+  const [x, y, width, height] = values.map(Math.round);
+  if (width < 1 || height < 1) throw new Error("The selected region is empty");
+  return { x, y, width, height };
+}
+
+/**
+ * PNG Buffer of `region` (DIPs relative to `display`) cut from `image`,
+ * the capture of that display
+ */
+function cropRegion(image, region, display) {
+  const size = image.getSize();
+  const scaleX = size.width / display.size.width;
+  const scaleY = size.height / display.size.height;
+  const x = Math.min(Math.max(Math.round(region.x * scaleX), 0), size.width - 1);
+  const y = Math.min(Math.max(Math.round(region.y * scaleY), 0), size.height - 1);
+  const width = Math.min(Math.round(region.width * scaleX), size.width - x);
+  const height = Math.min(Math.round(region.height * scaleY), size.height - y);
+  if (width < 1 || height < 1) throw new Error("The selected region is empty");
+  return image.crop({ x, y, width, height }).toPNG();
+}
+
+module.exports = {
+  displayUnderCursor,
+  captureDisplay,
+  normalizeRegion,
+  cropRegion,
+};
@@ -0,0 +1,133 @@
+// Secret detection for captured text.
+//
+// scanSecrets() looks for credentials before text is saved: provider key
+// formats and JWTs by pattern, PEM private key blocks, passwords in URLs,
+// `password = ...` style assignments whose value looks random, and long
+// random-looking tokens (Shannon entropy). A finding is
+//   { type, label, start, end, line, preview }
+// where start/end delimit the secret in the text and `preview` is masked,
+// so the secret itself never has to be shown.
+
+// Checked in order; a later match overlapping an earlier one is dropped.
+// `group` selects the secret inside the match, `minEntropy` (bits per
+// character) filters out values that don't look random.
+const SECRET_RULES = [
+  {
+    type: "private-key",
+    label: "Private key",
+    pattern: /-----BEGIN ((?:[A-Z0-9]+ )*)PRIVATE KEY( BLOCK)?-----[\s\S]*?(?:-----END \1PRIVATE KEY\2-----|$)/g,
+  },
+  { type: "aws-access-key", label: "AWS access key ID", pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[A-Z0-9]{16}\b/g },
+  { type: "github-token", label: "GitHub token", pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g },
+  { type: "gitlab-token", label: "GitLab token", pattern: /\bglpat-[A-Za-z0-9_-]{20,}/g },
+  { type: "slack-token", label: "Slack token", pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  { type: "slack-webhook", label: "Slack webhook URL", pattern: /https:\/\/hooks\.slack\.com\/services\/[A-Za-z0-9_/]+/g },
+  { type: "stripe-key", label: "Stripe key", pattern: /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{16,}/g },
+  { type: "google-api-key", label: "Google API key", pattern: /\bAIza[0-9A-Za-z_-]{35}/g },
+  { type: "anthropic-key", label: "Anthropic API key", pattern: /\bsk-ant-[A-Za-z0-9_-]{32,}/g },
+  { type: "openai-key", label: "OpenAI API key", pattern: /\bsk-(?:proj-|svcacct-|admin-)?[A-Za-z0-9_-]{20,}/g, minEntropy: 4 },
+  { type: "npm-token", label: "npm token", pattern: /\bnpm_[A-Za-z0-9]{36}\b/g },
+  { type: "jwt", label: "JSON Web Token", pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+  {
+    type: "url-password",
+    label: "Password in URL",
+    pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:([^\s/@]+)@/gi,
+    group: 1,
+  },
+  {
+    type: "assigned-secret",
+    label: "Password or secret",
+    pattern: /(?:password|passwd|pwd|secret|token|api[_-]?key|access[_-]?key|auth[_-]?key|client[_-]?secret)["']?\s*[:=]\s*["']?([^\s"'`,;()<>{}]{8,})(?=[\s"'`,;)<>{}]|$)/gim,
+    group: 1,
+    minEntropy: 3,
+  },
+  {
+    type: "high-entropy",
+    label: "Random-looking token",
+    pattern: /(?<![A-Za-z0-9+/_=-])[A-Za-z0-9+_-]{32,}={0,2}(?![A-Za-z0-9+/_=-])/g,
+    minEntropy: 4.5,
+    mixedCase: true,
+  },
+];
+
+// Assigned values that are references or placeholders, not secrets
+const PLACEHOLDER_VALUE = /^(?:\$|%|process\.env|os\.environ|env\.|getenv|x{4,}|\*{4,}|\.{3}|your[_-]|changeme|example|redacted|<)/i;
+
+/**
+ * Shannon entropy of a string in bits per character
+ */
+function shannonEntropy(value) {
+  const counts = new Map();
+  for (const char of value) counts.set(char, (counts.get(char) || 0) + 1);
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+function maskSecret(secret) {
+  const firstLine = secret.split("\n")[0];
+  if (firstLine.startsWith("-----BEGIN")) return firstLine;
+  return secret.length >= 12 ? `${secret.slice(0, 4)}${"•".repeat(8)}` : "•".repeat(8);
+}
+
+function looksLikeSecret(rule, secret) {
+  if (rule.minEntropy && shannonEntropy(secret) < rule.minEntropy) return false;
+  if (rule.mixedCase && !(/[a-z]/.test(secret) && /[A-Z]/.test(secret) && /[0-9]/.test(secret))) return false;
+  if (rule.type === "assigned-secret" && PLACEHOLDER_VALUE.test(secret)) return false;
+  return true;
+}
+
+/**
+ * Secrets in `text`, in order of appearance
+ */
+function scanSecrets(text) {
+  if (!text) return [];
+  const candidates = [];
+  SECRET_RULES.forEach((rule, priority) => {
+    for (const match of text.matchAll(rule.pattern)) {
+      const secret = rule.group ? match[rule.group] : match[0];
+      if (!secret || !looksLikeSecret(rule, secret)) continue;
+      // Groups end their match (apart from a delimiter), so look from the end
+      const start = match.index + (rule.group ? match[0].lastIndexOf(secret) : 0);
+      candidates.push({ rule, priority, start, end: start + secret.length, secret });
+    }
+  });
+
+  // Earlier (more specific) rules win where matches overlap
+  candidates.sort((a, b) => a.priority - b.priority || a.start - b.start);
+  const accepted = [];
+  for (const candidate of candidates) {
+    if (accepted.some(other => candidate.start < other.end && other.start < candidate.end)) continue;
+    accepted.push(candidate);
+  }
+
+  return accepted
+    .sort((a, b) => a.start - b.start)
+    .map(({ rule, start, end, secret }) => ({
+      type: rule.type,
+      label: rule.label,
+      start,
+      end,
+      line: text.slice(0, start).split("\n").length,
+      preview: maskSecret(secret),
+    }));
+}
+
+/**
+ * `text` with every finding replaced by a [REDACTED: <type>] marker
+ */
+function redactSecrets(text, findings = scanSecrets(text)) {
+  let redacted = text;
+  for (const finding of [...findings].sort((a, b) => b.start - a.start)) {
+    redacted = `${redacted.slice(0, finding.start)}[REDACTED: ${finding.type}]${redacted.slice(finding.end)}`;
+  }
+  return redacted;
+}
+
+module.exports = {
+  scanSecrets,
+  redactSecrets,
+};
@@ -1,11 +1,31 @@
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
+const crypto = require("crypto");
 const { app } = require("electron");
 const { v4: uuidv4 } = require("uuid");
 const Database = require("better-sqlite3");
+const { createJobQueue, JobDeferredError } = require("./jobs.cjs");
+const { runMigrations, LATEST_VERSION, VaultVersionError } = require("./migrations.cjs");
+const { HnswIndex } = require("./ann.cjs");
+const integrity = require("./integrity.cjs");
+const archive = require("./archive.cjs");
+const markdown = require("./markdown.cjs");
+const backup = require("./backup.cjs");
+const encryption = require("./encryption.cjs");
+const secrets = require("./secrets.cjs");
+const { isExcludedApp } = require("./clipboard.cjs");
+const { createLinkFetcher, parsePageMetadata, extractReadableText, buildSnapshot } = require("./linkPreview.cjs");
+const { runLinkChecks, linkHealth } = require("./linkCheck.cjs");
+const { parseSearchIntent, compileSearchFilters, describeSearchIntent, hasFilters, ftsPhrase } = require("./query.cjs");
 
 const VAULT_DIR = path.join(app.getPath("userData"), "vault");
 const DB_PATH = path.join(VAULT_DIR, "vault.db");
+// Database written by early builds; imported once by migration v6
+const LEGACY_DB_PATH = path.join(app.getPath("userData"), "altdump.db");
+const ANN_INDEX_PATH = path.join(VAULT_DIR, "embeddings.hnsw");
+const KEY_FILE_PATH = path.join(VAULT_DIR, encryption.KEY_FILE_NAME);
+const MAX_TAG_LENGTH = 64;
 
 // Optional video thumbnail support
 let ffmpeg = null;
@@ -31,37 +51,39 @@ function initDatabase() {
   ensureVaultDir();
   
   db = new Database(DB_PATH);
-  
-  // Create items table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS items (
-      id TEXT PRIMARY KEY,
-      type TEXT NOT NULL,
-      title TEXT NOT NULL,
-      content TEXT,
-      raw_path TEXT,
-      thumbnail_path TEXT,
-      embedding TEXT,
-      mime_type TEXT,
-      hash TEXT,
-      created_at TEXT NOT NULL,
-      updated_at TEXT NOT NULL,
-      metadata TEXT
-    );
-    
-    CREATE INDEX IF NOT EXISTS idx_created_at ON items(created_at);
-    CREATE INDEX IF NOT EXISTS idx_type ON items(type);
-    CREATE INDEX IF NOT EXISTS idx_hash ON items(hash);
-  `);
-  
-  console.log("[DB] Database initialized at:", DB_PATH);
+  db.pragma("foreign_keys = ON");
+  // Keeps the in-memory search index of encrypted vaults off the disk
+  db.pragma("temp_store = MEMORY");
+  if (fs.existsSync(KEY_FILE_PATH)) db.pragma("secure_delete = ON");
+  // Search filters read encrypted columns through this (see query.cjs)
+  db.function("vault_open", openValue);
+
+  try {
+    const version = runMigrations(db, {
+      backupDir: path.join(VAULT_DIR, "backups"),
+      legacyDbPath: LEGACY_DB_PATH,
+      inferCategory: (row) => rowToItem(row).category,
+      hashText,
+    });
+    console.log("[DB] Database initialized at:", DB_PATH, `(schema v${version})`);
+  } catch (err) {
+    db.close();
+    db = null;
+    throw err;
+  }
   return db;
 }
 
-function getDatabase() {
+/**
+ * The open vault database. Throws VaultLockedError while an encrypted
+ * vault is locked, unless options.allowLocked is set (backups copy the
+ * encrypted database as it is).
+ */
+function getDatabase({ allowLocked = false } = {}) {
   if (!db) {
-    return initDatabase();
+    initDatabase();
   }
+  if (vaultLocked && !allowLocked) throw new encryption.VaultLockedError();
   return db;
 }
 
@@ -146,6 +168,220 @@ function cosineSimilarity(embedding1, embedding2) {
   return dotProduct / denominator;
 }
 
+// ===== EMBEDDING STORAGE & ANN INDEX =====
+
+// all-MiniLM-L6-v2 output size
+const EMBEDDING_DIM = 384;
+// Below this many vectors a full scan is as fast as the graph search
+const ANN_MIN_ITEMS = 2000;
+// Rebuild once this share of graph nodes are tombstones
+const ANN_MAX_DELETED_RATIO = 0.2;
+const ANN_SAVE_DELAY_MS = 5000;
+const ANN_BUILD_BATCH = 250;
+
+/**
+ * Embeddings are stored as little-endian Float32 BLOBs, sealed like vault
+ * files in an encrypted vault (see sealEmbedding)
+ */
+function embeddingToBlob(embedding) {
+  const floats = embedding instanceof Float32Array ? embedding : Float32Array.from(embedding);
+  return Buffer.from(floats.buffer, floats.byteOffset, floats.byteLength);
+}
+
+function sealEmbedding(blob) {
+  if (!blob || !vaultKeys || encryption.isEncryptedBuffer(blob)) return blob;
+  return encryption.encryptBuffer(vaultKeys, blob);
+}
+
+// Plain Float32 BLOB of a stored embedding (legacy JSON text passes through)
+function openEmbedding(blob) {
+  if (!Buffer.isBuffer(blob) || !encryption.isEncryptedBuffer(blob)) return blob;
+  if (!vaultKeys) throw new encryption.VaultLockedError();
+  return encryption.decryptBuffer(vaultKeys, blob);
+}
+
+function blobToEmbedding(stored) {
+  if (!stored) return null;
+  // Legacy rows stored JSON text
+  if (typeof stored === "string") return Float32Array.from(JSON.parse(stored));
+  const blob = openEmbedding(stored);
+  // Copy: SQLite buffers are not guaranteed to be 4-byte aligned
+  const floats = new Float32Array(blob.length / 4);
+  Buffer.from(floats.buffer).set(blob);
+  return floats;
+}
+
+let annIndex = null;
+let annReady = false;
+let annBuilding = false;
+let annBuildToken = 0;
+let annSaveTimer = null;
+let annSaveToken = 0;
+
+/**
+ * Load the on-disk HNSW index and reconcile it with the database, or
+ * start building one in the background. Searches fall back to a full
+ * scan until the index is ready. Encrypted vaults keep the index in
+ * memory only: it is built on unlock and dropped when the vault locks.
+ */
+function loadAnnIndex() {
+  if (isVaultEncrypted()) {
+    if (!vaultLocked) rebuildAnnIndex();
+    return;
+  }
+  if (fs.existsSync(ANN_INDEX_PATH)) {
+    try {
+      const { index, meta } = HnswIndex.deserialize(fs.readFileSync(ANN_INDEX_PATH));
+      if (index.dim !== EMBEDDING_DIM) throw new Error(`unexpected dimension ${index.dim}`);
+      annIndex = index;
+      reconcileAnnIndex(meta.savedAt || "");
+      annReady = true;
+      console.log("[ANN] Loaded embedding index with", annIndex.size, "vectors");
+      if (annIndex.deletedRatio > ANN_MAX_DELETED_RATIO) rebuildAnnIndex();
+      return;
+    } catch (err) {
+      console.warn("[ANN] Discarding unreadable embedding index:", err.message);
+    }
+  }
+  rebuildAnnIndex();
+}
+
+/**
+ * Apply changes made since the index file was written (e.g. after a crash
+ * before the debounced save ran)
+ */
+function reconcileAnnIndex(savedAt) {
+  const rows = db.prepare(
+    "SELECT id, COALESCE(indexed_at, updated_at) AS indexed_at FROM items WHERE embedding IS NOT NULL AND deleted_at IS NULL"
+  ).all();
+  const live = new Set();
+  const getEmbedding = db.prepare("SELECT embedding FROM items WHERE id = ?");
+  let changed = 0;
+
+  for (const row of rows) {
+    live.add(row.id);
+    if (!annIndex.has(row.id) || row.indexed_at > savedAt) {
+      annIndex.add(row.id, blobToEmbedding(getEmbedding.get(row.id).embedding));
+      changed++;
+    }
+  }
+  for (const id of Array.from(annIndex.nodeById.keys())) {
+    if (!live.has(id)) {
+      annIndex.remove(id);
+      changed++;
+    }
+  }
+  if (changed > 0) {
+    console.log("[ANN] Reconciled", changed, "vectors with the database");
+    scheduleAnnSave();
+  }
+}
+
+/**
+ * Build a fresh index from the database in small batches so the main
+ * process stays responsive. The current index keeps serving until the
+ * new one is complete.
+ */
+function rebuildAnnIndex() {
+  const token = ++annBuildToken;
+  const ids = db.prepare("SELECT id FROM items WHERE embedding IS NOT NULL AND deleted_at IS NULL").all().map(r => r.id);
+  const getEmbedding = db.prepare("SELECT embedding FROM items WHERE id = ?");
+  const next = new HnswIndex(EMBEDDING_DIM);
+  const startedAt = new Date().toISOString();
+  let position = 0;
+  annBuilding = true;
+
+  console.log("[ANN] Building embedding index for", ids.length, "items");
+  const step = () => {
+    if (token !== annBuildToken) return; // superseded by a newer rebuild
+    const end = Math.min(position + ANN_BUILD_BATCH, ids.length);
+    for (; position < end; position++) {
+      const row = getEmbedding.get(ids[position]);
+      if (row && row.embedding) next.add(ids[position], blobToEmbedding(row.embedding));
+    }
+    if (position < ids.length) {
+      setImmediate(step);
+      return;
+    }
+    annIndex = next;
+    annBuilding = false;
+    // Catch up with saves/deletes that happened while building
+    reconcileAnnIndex(startedAt);
+    annReady = true;
+    console.log("[ANN] Embedding index ready with", annIndex.size, "vectors");
+    scheduleAnnSave();
+  };
+  step();
+}
+
+// Forget the index; a rebuild or save still running is abandoned
+function dropAnnIndex() {
+  annBuildToken++;
+  annSaveToken++;
+  if (annSaveTimer) clearTimeout(annSaveTimer);
+  annSaveTimer = null;
+  annIndex = null;
+  annReady = false;
+  annBuilding = false;
+}
+
+function updateAnnIndex(id, embedding) {
+  if (!annIndex) return;
+  if (embedding) annIndex.add(id, embedding);
+  else annIndex.remove(id);
+  if (annIndex.deletedRatio > ANN_MAX_DELETED_RATIO && annReady && !annBuilding) rebuildAnnIndex();
+  scheduleAnnSave();
+}
+
+function scheduleAnnSave() {
+  if (annSaveTimer) clearTimeout(annSaveTimer);
+  annSaveTimer = setTimeout(saveAnnIndex, ANN_SAVE_DELAY_MS);
+}
+
+/**
+ * Write the index to disk after a quiet period without blocking the main
+ * process. A newer save, a rebuild or a restore started meanwhile wins:
+ * the file this one wrote is dropped instead of replacing the index.
+ */
+async function saveAnnIndex() {
+  annSaveTimer = null;
+  if (!annIndex || !annReady || isVaultEncrypted()) return;
+  const token = ++annSaveToken;
+  const buildToken = annBuildToken;
+  const tmpPath = `${ANN_INDEX_PATH}.${token}.tmp`;
+  try {
+    await fs.promises.writeFile(tmpPath, annIndex.serialize({ savedAt: new Date().toISOString() }));
+    if (token !== annSaveToken || buildToken !== annBuildToken) {
+      await fs.promises.rm(tmpPath, { force: true });
+      return;
+    }
+    await fs.promises.rename(tmpPath, ANN_INDEX_PATH);
+  } catch (err) {
+    console.error("[ANN] Failed to save embedding index:", err.message);
+    await fs.promises.rm(tmpPath, { force: true }).catch(() => {});
+  }
+}
+
+/**
+ * Write the index to disk now and synchronously (called on quit, when an
+ * asynchronous write could be cut short)
+ */
+function flushAnnIndex() {
+  if (annSaveTimer) {
+    clearTimeout(annSaveTimer);
+    annSaveTimer = null;
+  }
+  if (!annIndex || !annReady || isVaultEncrypted()) return;
+  annSaveToken++;
+  try {
+    const tmpPath = ANN_INDEX_PATH + ".tmp";
+    fs.writeFileSync(tmpPath, annIndex.serialize({ savedAt: new Date().toISOString() }));
+    fs.renameSync(tmpPath, ANN_INDEX_PATH);
+  } catch (err) {
+    console.error("[ANN] Failed to save embedding index:", err.message);
+  }
+}
+
 // ===== STORAGE FUNCTIONS =====
 
 function ensureVaultDir() {
@@ -185,14 +421,15 @@ async function generateImageThumbnail(sourceFilePath, fileHash) {
     }
     
     // Generate a larger, sharper thumbnail so it looks crisp in cards
-    await sharp(sourceFilePath)
+    const thumbnail = await sharp(sourceFilePath)
       .resize(480, 320, {
         fit: "cover",
         position: "center",
         withoutEnlargement: true,
       })
       .webp({ quality: 80 })
-      .toFile(thumbPath);
+      .toBuffer();
+    writeVaultFile(thumbPath, thumbnail);
     
     console.log("Generated thumbnail:", thumbPath);
     return `thumbnails/${fileHash}-thumb.webp`;
@@ -213,14 +450,15 @@ async function generatePdfThumbnail(sourceFilePath, fileHash) {
     }
 
     // Higher-resolution first-page preview for clearer PDF thumbnails
-    await sharp(sourceFilePath, { density: 140 })
+    const thumbnail = await sharp(sourceFilePath, { density: 140 })
       .resize(480, 320, {
         fit: "cover",
         position: "center",
         withoutEnlargement: true,
       })
       .webp({ quality: 80 })
-      .toFile(thumbPath);
+      .toBuffer();
+    writeVaultFile(thumbPath, thumbnail);
 
     console.log("Generated PDF cover thumbnail:", thumbPath);
     return `thumbnails/${fileHash}-pdf-thumb.webp`;
@@ -230,10 +468,10 @@ async function generatePdfThumbnail(sourceFilePath, fileHash) {
   }
 }
 
-async function extractPDFMetadata(filePath) {
+async function extractPDFMetadata(source) {
   try {
     const pdfParse = require("pdf-parse");
-    const fileBuffer = fs.readFileSync(filePath);
+    const fileBuffer = Buffer.isBuffer(source) ? source : fs.readFileSync(source);
     const pdfData = await pdfParse(fileBuffer);
     
     return {
@@ -304,6 +542,9 @@ function getMimeType(filePath) {
   return mimeTypes[ext] || 'application/octet-stream';
 }
 
+// Categories an item can be assigned to (see updateItem)
+const ITEM_CATEGORIES = ["images", "documents", "videos", "links", "notes", "ideas", "code", "csv"];
+
 // File type to category mapping
 const FILE_TYPE_MAP = {
   ".png": "images", ".jpg": "images", ".jpeg": "images", ".gif": "images",
@@ -406,15 +647,18 @@ function generateTextTitle(text) {
 }
 
 /**
- * Extract metadata for a file (asynchronously)
+ * Extract metadata for a file (asynchronously). Encrypted vault files are
+ * decrypted in memory.
  */
 async function extractFileMetadata(item, sourceFilePath) {
   try {
     const category = item.category;
     const fileHash = item.hash;
     const filename = (item.metadata && item.metadata.filename) || item.title || "";
+    const decrypted = isVaultFileEncrypted(sourceFilePath) ? readVaultFile(sourceFilePath) : null;
+    const source = decrypted || sourceFilePath;
     const metadata = {
-      size: getFileSize(sourceFilePath),
+      size: decrypted ? decrypted.length : getFileSize(sourceFilePath),
       thumbnail: null,
       pageCount: null,
       author: null,
@@ -425,20 +669,20 @@ async function extractFileMetadata(item, sourceFilePath) {
 
     // Generate image thumbnails
     if (category === "images") {
-      metadata.thumbnail = await generateImageThumbnail(sourceFilePath, fileHash);
-      const ocrText = await ocrImageText(sourceFilePath);
+      metadata.thumbnail = await generateImageThumbnail(source, fileHash);
+      const ocrText = await ocrImageText(source);
       metadata.extractedText = ocrText;
       metadata.caption = generateImageCaption(filename, ocrText);
     }
 
     // Extract PDF metadata
     if (category === "documents" && filename.toLowerCase().endsWith(".pdf")) {
-      const pdfMeta = await extractPDFMetadata(sourceFilePath);
+      const pdfMeta = await extractPDFMetadata(source);
       metadata.pageCount = pdfMeta.pageCount;
       metadata.author = pdfMeta.author;
       metadata.title = pdfMeta.title;
       metadata.extractedText = pdfMeta.text || "";
-      metadata.thumbnail = await generatePdfThumbnail(sourceFilePath, fileHash);
+      metadata.thumbnail = await generatePdfThumbnail(source, fileHash);
     }
 
     // Plain text and CSV documents: read full text for search
@@ -446,7 +690,7 @@ async function extractFileMetadata(item, sourceFilePath) {
       const ext = path.extname(filename || "").toLowerCase();
       if (ext === ".txt" || ext === ".csv" || ext === ".tsv") {
         try {
-          const raw = fs.readFileSync(sourceFilePath, "utf-8");
+          const raw = decrypted ? decrypted.toString("utf-8") : fs.readFileSync(sourceFilePath, "utf-8");
           metadata.extractedText = raw;
         } catch (err) {
           console.error("Failed to read document text:", err);
@@ -458,19 +702,30 @@ async function extractFileMetadata(item, sourceFilePath) {
     if (category === "videos" && ffmpeg && ffmpegPath) {
       try {
         const thumbDir = ensureThumbnailsDir();
-        const thumbPath = path.join(thumbDir, `${fileHash}-video-thumb.jpg`);
+        const thumbName = `${fileHash}-video-thumb.jpg`;
+        const thumbPath = path.join(thumbDir, thumbName);
         if (!fs.existsSync(thumbPath)) {
-          await new Promise((resolve, reject) => {
-            ffmpeg(sourceFilePath)
-              .on("end", resolve)
-              .on("error", reject)
-              .screenshots({
-                timestamps: ["00:00:01"],
-                filename: `${fileHash}-video-thumb.jpg`,
-                folder: thumbDir,
-                size: "400x?"
-              });
-          });
+          // ffmpeg works on files: in an encrypted vault the video and the
+          // frame go through a private temp folder that is removed right after
+          const workDir = vaultKeys ? fs.mkdtempSync(path.join(os.tmpdir(), "altdump-video-")) : null;
+          try {
+            const input = decrypted ? path.join(workDir, `input${path.extname(filename)}`) : sourceFilePath;
+            if (decrypted) fs.writeFileSync(input, decrypted, { mode: 0o600 });
+            await new Promise((resolve, reject) => {
+              ffmpeg(input)
+                .on("end", resolve)
+                .on("error", reject)
+                .screenshots({
+                  timestamps: ["00:00:01"],
+                  filename: thumbName,
+                  folder: workDir || thumbDir,
+                  size: "400x?"
+                });
+            });
+            if (workDir) writeVaultFile(thumbPath, fs.readFileSync(path.join(workDir, thumbName)));
+          } finally {
+            if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+          }
           console.log("Generated video thumbnail:", thumbPath);
         }
         metadata.thumbnail = `thumbnails/${fileHash}-video-thumb.jpg`;
@@ -504,16 +759,39 @@ function buildSearchableText(item, extractedMetadata = {}) {
   if (extractedMetadata.extractedText) parts.push(extractedMetadata.extractedText);
   if (extractedMetadata.caption) parts.push(extractedMetadata.caption);
   if (item.metadata?.url) parts.push(item.metadata.url);
+  if (item.tags?.length) parts.push(item.tags.join(" "));
+  if (item.metadata?.notes) parts.push(item.metadata.notes);
   
   return parts.join(" ").trim();
 }
 
 /**
- * Save item to SQLite database with embedding
+ * Save item to SQLite database. The row is committed immediately with
+ * index_status 'pending'; thumbnails, text extraction and the embedding
+ * are produced afterwards by an 'enrich' background job (see enrichItem).
  */
 async function saveItem(itemData) {
+  const id = writeItemRow(itemData);
+  getJobQueue().enqueue("enrich", id);
+
+  console.log("[DB] Saved item:", id, itemData.type);
+  return getItemById(id);
+}
+
+/**
+ * Insert or replace the row for `itemData` and its index entries; returns
+ * its id. Synchronous, so callers can run several in one transaction
+ * (addItemBatch); queuing the enrich job is left to the caller.
+ */
+function writeItemRow(itemData) {
   const db = getDatabase();
   const now = new Date().toISOString();
+  const baseMetadata = { ...(itemData.metadata || {}) };
+  if (itemData.category) baseMetadata.category = itemData.category;
+  if (itemData.storagePath) {
+    baseMetadata.filename = baseMetadata.filename || path.basename(itemData.storagePath);
+    baseMetadata.source = baseMetadata.source || "overlay";
+  }
   
   // Prepare item data
   const item = {
@@ -522,47 +800,19 @@ async function saveItem(itemData) {
     title: itemData.title,
     content: itemData.content || null,
     raw_path: itemData.storagePath || null,
-    thumbnail_path: null,
-    embedding: null,
     mime_type: itemData.metadata?.mimeType || null,
     hash: itemData.hash || null,
     created_at: itemData.metadata?.createdAt || now,
     updated_at: now,
-    metadata: JSON.stringify(itemData.metadata || {}),
+    metadata: JSON.stringify({ ...baseMetadata, createdAt: itemData.metadata?.createdAt || now }),
   };
 
-  // Extract metadata and generate thumbnail if file
-  let extractedMetadata = {};
-  if (itemData.storagePath && fs.existsSync(itemData.storagePath)) {
-    extractedMetadata = await extractFileMetadata(itemData, itemData.storagePath);
-    item.thumbnail_path = extractedMetadata.thumbnail || null;
-    
-    // Update metadata with extracted info
-    const currentMeta = itemData.metadata || {};
-    item.metadata = JSON.stringify({
-      ...currentMeta,
-      ...extractedMetadata,
-      filename: currentMeta.filename || path.basename(itemData.storagePath),
-      createdAt: item.created_at,
-      source: currentMeta.source || "overlay",
-    });
-  }
-
-  // Generate embedding from searchable text
-  const searchableText = buildSearchableText(itemData, extractedMetadata);
-  if (searchableText) {
-    const embedding = await generateEmbedding(searchableText);
-    if (embedding) {
-      item.embedding = JSON.stringify(embedding);
-    }
-  }
-
-  // Insert or update item
+  // Insert or update item; enrichment results are cleared until the job reruns
   const stmt = db.prepare(`
     INSERT INTO items (
       id, type, title, content, raw_path, thumbnail_path, embedding,
-      mime_type, hash, created_at, updated_at, metadata
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      mime_type, hash, created_at, updated_at, metadata, index_status
+    ) VALUES (?, ?, ?, ?, ?, NULL, NULL, ?, ?, ?, ?, ?, 'pending')
     ON CONFLICT(id) DO UPDATE SET
       title = excluded.title,
       content = excluded.content,
@@ -572,292 +822,3514 @@ async function saveItem(itemData) {
       mime_type = excluded.mime_type,
       hash = excluded.hash,
       updated_at = excluded.updated_at,
-      metadata = excluded.metadata
+      metadata = excluded.metadata,
+      index_status = excluded.index_status
   `);
 
-  stmt.run(
-    item.id,
-    item.type,
-    item.title,
-    item.content,
-    item.raw_path,
-    item.thumbnail_path,
-    item.embedding,
-    item.mime_type,
-    item.hash,
-    item.created_at,
-    item.updated_at,
-    item.metadata
-  );
-
-  console.log("[DB] Saved item:", item.id, item.type);
-
-  // Return item in format compatible with existing code
-  const savedMetadata = JSON.parse(item.metadata);
-  return {
-    id: item.id,
-    type: item.type,
-    title: item.title,
-    content: item.content,
-    category: itemData.category || savedMetadata.category || "documents",
-    storagePath: item.raw_path,
-    hash: item.hash,
-    searchableText: searchableText.toLowerCase(),
-    metadata: {
-      ...savedMetadata,
-      filename: savedMetadata.filename || path.basename(item.raw_path || ""),
-      createdAt: item.created_at,
-      mimeType: item.mime_type,
-      thumbnail: item.thumbnail_path,
-    },
-    timestamp: item.created_at,
-  };
+  db.transaction(() => {
+    stmt.run(
+      item.id,
+      item.type,
+      sealValue(item.title),
+      sealValue(item.content),
+      item.raw_path,
+      item.mime_type,
+      item.hash,
+      item.created_at,
+      item.updated_at,
+      sealValue(item.metadata)
+    );
+    indexItemText(item.id, {
+      title: item.title,
+      content: item.content,
+      filename: baseMetadata.filename,
+      notes: baseMetadata.notes,
+    });
+    if (Array.isArray(itemData.tags)) {
+      replaceItemTags(item.id, itemData.tags);
+    }
+  })();
+  updateAnnIndex(item.id, null);
+  return item.id;
 }
 
-// ===== ITEM RETRIEVAL =====
-
 /**
- * Load all items from database
+ * Edit an existing item. `changes` may contain title, content (text and
+ * link items), category (null/"" returns to automatic detection), notes,
+ * sensitive and tags. The full-text index is updated immediately and a new
+ * embedding is queued.
  */
-function loadItems() {
-  const db = getDatabase();
-  const stmt = db.prepare("SELECT * FROM items ORDER BY created_at DESC");
-  const rows = stmt.all();
-  
-  return rows.map(row => {
-    const metadata = JSON.parse(row.metadata || "{}");
-    // Infer category from type and metadata if not present
-    let category = metadata.category;
-    if (!category) {
-      if (row.type === "image") category = "images";
-      else if (row.type === "link") category = "links";
-      else if (row.type === "text") {
-        // Try to infer from content
-        category = detectCategoryFromText(row.content || "");
-      } else if (row.type === "file") {
-        // Try to infer from filename
-        const filename = metadata.filename || row.title || "";
-        category = detectCategoryFromFile(filename);
-      }
-    }
-    
-    return {
-      id: row.id,
-      type: row.type,
-      title: row.title,
-      content: row.content,
-      category: category || "documents",
-      storagePath: row.raw_path,
-      searchableText: (row.title + " " + (row.content || "")).toLowerCase(),
-      metadata: {
-        ...metadata,
-        filename: metadata.filename || path.basename(row.raw_path || ""),
-        createdAt: row.created_at,
-        mimeType: row.mime_type,
-        thumbnail: row.thumbnail_path,
-      },
-      timestamp: row.created_at,
-    };
-  });
-}
-
-function getItems() {
-  return loadItems();
-}
-
-function deleteItem(id) {
+function updateItem(id, changes = {}) {
   const db = getDatabase();
-  const stmt = db.prepare("DELETE FROM items WHERE id = ?");
-  stmt.run(id);
-  console.log("[DB] Deleted item:", id);
-}
+  const row = openRow(db.prepare("SELECT * FROM items WHERE id = ?").get(id));
+  if (!row) throw new Error(`Item not found: ${id}`);
 
-// ===== SEMANTIC SEARCH =====
+  const metadata = JSON.parse(row.metadata || "{}");
+  let title = row.title;
+  let content = row.content;
 
-/**
- * Semantic search using cosine similarity
- */
-async function semanticSearch(query) {
-  const db = getDatabase();
-  
-  // Generate query embedding
-  const queryEmbedding = await generateEmbedding(query);
-  if (!queryEmbedding) {
-    console.warn("[SEARCH] Failed to generate query embedding");
-    return [];
+  if (changes.title !== undefined) {
+    title = String(changes.title).trim();
+    if (!title) throw new Error("Title cannot be empty");
   }
 
-  // Load all items with embeddings
-  const stmt = db.prepare("SELECT * FROM items WHERE embedding IS NOT NULL");
-  const rows = stmt.all();
-
-  // Compute similarities
-  const results = [];
-  for (const row of rows) {
-    try {
-      const itemEmbedding = JSON.parse(row.embedding);
-      const similarity = cosineSimilarity(queryEmbedding, itemEmbedding);
-      
-      results.push({
-        item: {
-          id: row.id,
-          type: row.type,
-          title: row.title,
-          content: row.content,
-          storagePath: row.raw_path,
-          metadata: JSON.parse(row.metadata || "{}"),
-          timestamp: row.created_at,
-        },
-        similarity,
-      });
-    } catch (err) {
-      console.error("[SEARCH] Failed to parse embedding for item:", row.id, err);
+  if (changes.content !== undefined && changes.content !== row.content) {
+    if (row.type !== "text" && row.type !== "link") {
+      throw new Error(`Content of ${row.type} items can't be edited`);
     }
+    content = String(changes.content);
+    if (!content.trim()) throw new Error("Content cannot be empty");
   }
 
-  // Sort by similarity descending and return top 5
-  results.sort((a, b) => b.similarity - a.similarity);
-  return results.slice(0, 5).map(r => r.item);
-}
-
-// ===== LEGACY COMPATIBILITY FUNCTIONS =====
-
-function createTextItem(text) {
-  const category = detectCategoryFromText(text);
-  const title = generateTextTitle(text);
-  
-  return {
-    id: uuidv4(),
-    type: "text",
-    title: title,
-    category: category,
-    content: text,
-    searchableText: text.toLowerCase(),
-    metadata: {
-      createdAt: new Date().toISOString(),
-      source: "overlay"
+  if (changes.category !== undefined) {
+    if (changes.category) {
+      if (!ITEM_CATEGORIES.includes(changes.category)) {
+        throw new Error(`Unknown category: ${changes.category}`);
+      }
+      metadata.category = changes.category;
+      metadata.categoryOverride = true;
+    } else {
+      delete metadata.categoryOverride;
+      metadata.category = null;
     }
-  };
-}
-
-function createFileItem(filePath) {
-  if (!filePath || typeof filePath !== "string" || filePath.trim() === "") {
-    throw new Error("File path is required and must be a non-empty string");
   }
-  
-  if (!fs.existsSync(filePath)) {
-    throw new Error("File does not exist: " + filePath);
+  // Re-detect automatic categories when the text they came from changed
+  if (!metadata.categoryOverride && (!metadata.category || content !== row.content)) {
+    metadata.category = inferCategory({ ...row, content }, { ...metadata, category: null });
   }
-  
-  if (isRejectedFile(filePath)) {
-    const reason = getRejectionReason(filePath);
-    throw new Error(`File rejected: ${reason}`);
+
+  if (changes.notes !== undefined) {
+    const notes = String(changes.notes || "").trim();
+    if (notes) metadata.notes = notes;
+    else delete metadata.notes;
   }
 
-  const fileName = path.basename(filePath);
-  const fileContent = fs.readFileSync(filePath);
-  const fileHash = require("crypto")
-    .createHash("sha256")
-    .update(fileContent)
-    .digest("hex");
-  
-  const category = detectCategoryFromFile(filePath);
-  const fileType = category === "images" ? "image" : "file";
-  
-  // Copy file to vault storage
-  const vaultFilePath = path.join(VAULT_DIR, `${fileHash}${path.extname(fileName)}`);
-  if (!fs.existsSync(vaultFilePath)) {
-    fs.copyFileSync(filePath, vaultFilePath);
+  // Sensitive items lose their embedding; enrichItem skips them
+  if (changes.sensitive !== undefined) {
+    if (changes.sensitive) metadata.sensitive = true;
+    else delete metadata.sensitive;
   }
 
-  return {
-    id: uuidv4(),
-    type: fileType,
-    title: fileName,
-    category: category,
-    storagePath: vaultFilePath,
-    searchableText: fileName.toLowerCase(),
-    hash: fileHash,
-    metadata: {
-      size: fileContent.length,
-      mimeType: getMimeType(filePath),
-      filename: fileName,
-      createdAt: new Date().toISOString(),
-      source: "overlay"
+  // A link pointing somewhere else loses the old page's preview
+  let linkChanged = false;
+  if (row.type === "link" && content !== row.content) {
+    const url = linkUrlFromText(content);
+    linkChanged = Boolean(url) && url !== metadata.url;
+    if (linkChanged) {
+      for (const key of ["pageTitle", "description", "siteName", "favicon", "image", "finalUrl", "contentType", "extractedText", "preview", "health"]) {
+        delete metadata[key];
+      }
+      metadata.url = url;
     }
-  };
-}
+  }
 
-function createLinkItem(url, title = null) {
-  const cleanUrl = url.trim();
-  const linkTitle = title || cleanUrl;
-  
-  return {
-    id: uuidv4(),
-    type: "link",
-    title: linkTitle,
-    category: "links",
-    searchableText: cleanUrl.toLowerCase(),
-    metadata: {
-      url: cleanUrl,
-      pageTitle: title,
-      createdAt: new Date().toISOString(),
-      source: "overlay"
+  // Only text and link content is editable, so the hash is always a text hash
+  const hash = content !== row.content ? hashText(content) : row.hash;
+
+  db.transaction(() => {
+    if (VERSIONED_TYPES.includes(row.type) && (title !== row.title || content !== row.content)) {
+      recordItemVersion(row);
     }
-  };
+    db.prepare(`
+      UPDATE items SET title = ?, content = ?, hash = ?, metadata = ?, updated_at = ?
+      WHERE id = ?
+    `).run(sealValue(title), sealValue(content), hash, sealValue(JSON.stringify(metadata)), new Date().toISOString(), id);
+    indexItemText(id, {
+      title,
+      content,
+      extractedText: metadata.extractedText,
+      filename: metadata.filename,
+      notes: metadata.notes,
+    });
+    if (Array.isArray(changes.tags)) {
+      replaceItemTags(id, changes.tags);
+    }
+    if (metadata.sensitive) {
+      db.prepare("UPDATE items SET embedding = NULL WHERE id = ?").run(id);
+    }
+  })();
+
+  if (metadata.sensitive) updateAnnIndex(id, null);
+  queueReembed(id);
+  if (linkChanged && !metadata.sensitive && getLinkSettings().fetchPreviews) queueLinkPreview(id);
+  console.log("[DB] Updated item:", id);
+  return getItemById(id);
 }
 
-async function addItem(item) {
-  return await saveItem(item);
+// ===== VERSION HISTORY =====
+
+// Item types whose title/content edits are kept as versions
+const VERSIONED_TYPES = ["text", "link"];
+// Oldest versions beyond this are dropped
+const MAX_VERSIONS_PER_ITEM = 50;
+
+/**
+ * Store the (decrypted) row's current title/content as a version.
+ * created_at is when that version became current (the row's last update).
+ */
+function recordItemVersion(row) {
+  const db = getDatabase();
+  db.prepare(`
+    INSERT INTO item_versions (item_id, title, content, created_at)
+    VALUES (?, ?, ?, ?)
+  `).run(row.id, sealValue(row.title), sealValue(row.content), row.updated_at || row.created_at);
+  trimItemVersions(row.id);
 }
 
-async function addTextItem(text) {
-  const item = createTextItem(text);
-  return await saveItem(item);
+function trimItemVersions(itemId) {
+  getDatabase().prepare(`
+    DELETE FROM item_versions
+    WHERE item_id = ? AND id NOT IN (
+      SELECT id FROM item_versions WHERE item_id = ? ORDER BY id DESC LIMIT ?
+    )
+  `).run(itemId, itemId, MAX_VERSIONS_PER_ITEM);
 }
 
-async function addFileItem(filePath) {
-  const item = createFileItem(filePath);
-  return await saveItem(item);
+/**
+ * Previous versions of an item, newest first
+ */
+function listItemVersions(itemId) {
+  return getDatabase().prepare(`
+    SELECT id, title, content, created_at AS createdAt
+    FROM item_versions WHERE item_id = ?
+    ORDER BY id DESC
+  `).all(itemId).map(version => ({
+    ...version,
+    title: openValue(version.title),
+    content: openValue(version.content),
+  }));
 }
 
-// Legacy search function for compatibility
-async function smartSearch(query) {
-  const results = await semanticSearch(query);
-  return {
-    results,
-    explanation: `Found ${results.length} results`,
-    totalItems: loadItems().length,
-    filteredCount: results.length,
-  };
+/**
+ * Make a stored version current again. The version being replaced is kept
+ * in the history, so a restore can itself be undone.
+ */
+function restoreItemVersion(itemId, versionId) {
+  const version = getDatabase().prepare(
+    "SELECT * FROM item_versions WHERE id = ? AND item_id = ?"
+  ).get(versionId, itemId);
+  if (!version) throw new Error(`Version ${versionId} not found for item ${itemId}`);
+  return updateItem(itemId, { title: openValue(version.title), content: openValue(version.content) });
 }
 
-// Test data function (stub for compatibility)
-function createTestItems() {
-  console.log("[DB] Test items creation not implemented in SQLite version");
+// ===== BACKGROUND ENRICHMENT =====
+
+let jobQueue = null;
+let jobListener = () => {};
+let jobsStarted = false;
+
+// Job event status -> item index_status
+const JOB_STATUS_TO_INDEX_STATUS = {
+  queued: "pending",
+  retrying: "pending",
+  running: "indexing",
+  progress: "indexing",
+  done: "ready",
+  // Waiting for the network; the item itself is searchable
+  deferred: "ready",
+  failed: "failed",
+  cancelled: "cancelled",
+};
+
+function getJobQueue() {
+  if (!jobQueue) {
+    jobQueue = createJobQueue(getDatabase(), {
+      handlers: { enrich: enrichItem, link: fetchLinkPreview },
+      onEvent: handleJobEvent,
+    });
+  }
+  return jobQueue;
 }
 
-// Initialize database on module load
-initDatabase();
+function handleJobEvent(event) {
+  const status = JOB_STATUS_TO_INDEX_STATUS[event.status];
+  if (event.itemId && (status === "failed" || status === "cancelled")) {
+    getDatabase().prepare("UPDATE items SET index_status = ? WHERE id = ?").run(status, event.itemId);
+  }
+  jobListener({ ...event, jobStatus: event.status, status });
+}
+
+/**
+ * Thumbnails, OCR / PDF / plain-text extraction and embedding for one item.
+ * Safe to re-run: thumbnails are cached by hash and every write replaces
+ * the previous result.
+ */
+async function enrichItem(job, ctx) {
+  const db = getDatabase();
+  const row = openRow(db.prepare("SELECT * FROM items WHERE id = ?").get(job.item_id));
+  if (!row || row.deleted_at) return; // deleted while queued
+
+  db.prepare("UPDATE items SET index_status = 'indexing' WHERE id = ?").run(row.id);
+  const metadata = JSON.parse(row.metadata || "{}");
+  let thumbnail = row.thumbnail_path;
+  let extractedMetadata = {};
+
+  // payload.reembed: only the embedding text changed (e.g. tags), keep the
+  // thumbnail and extracted text from the previous run
+  if (!ctx.payload.reembed && row.raw_path && fs.existsSync(row.raw_path)) {
+    ctx.progress("extracting");
+    extractedMetadata = await extractFileMetadata(
+      { category: metadata.category, hash: row.hash, title: row.title, metadata },
+      row.raw_path
+    );
+    thumbnail = extractedMetadata.thumbnail || null;
+    ctx.throwIfCancelled();
+  }
+
+  const mergedMetadata = { ...metadata, ...extractedMetadata };
+  const tags = getTagsForItems([row.id]).get(row.id) || [];
+  const searchableText = buildSearchableText(
+    { title: row.title, content: row.content, metadata: mergedMetadata, tags },
+    mergedMetadata
+  );
+
+  // Sensitive items (secrets kept on purpose) never get an embedding
+  let embedding = null;
+  if (searchableText && !mergedMetadata.sensitive) {
+    ctx.progress("embedding");
+    embedding = await generateEmbedding(searchableText);
+    // Usually the model failed to load; let the queue retry later
+    if (!embedding) throw new Error("Embedding generation failed");
+    ctx.throwIfCancelled();
+  }
+
+  if (embedding) {
+    mergedMetadata.suggestedTags = await suggestTagsForEmbedding(embedding, { exclude: tags });
+  } else {
+    delete mergedMetadata.suggestedTags;
+  }
+
+  // The item may have been deleted while we were working; restoreItem
+  // queues it again
+  if (!db.prepare("SELECT 1 FROM items WHERE id = ? AND deleted_at IS NULL").get(row.id)) return;
+
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE items
+      SET thumbnail_path = ?, metadata = ?, embedding = ?, index_status = 'ready', indexed_at = ?
+      WHERE id = ?
+    `).run(
+      thumbnail,
+      sealValue(JSON.stringify(mergedMetadata)),
+      embedding ? sealEmbedding(embeddingToBlob(embedding)) : null,
+      new Date().toISOString(),
+      row.id
+    );
+    indexItemText(row.id, {
+      title: row.title,
+      content: row.content,
+      extractedText: mergedMetadata.extractedText,
+      filename: mergedMetadata.filename,
+      notes: mergedMetadata.notes,
+    });
+  })();
+  updateAnnIndex(row.id, embedding ? Float32Array.from(embedding) : null);
+  if (tags.length > 0) invalidateTagCentroids();
+
+  // Reported once, when the item is first compared; later re-embeds only
+  // refresh the stored links. The same page under a different URL is not
+  // reported as a near duplicate of it.
+  const matches = linkNearDuplicates(row.id, embedding, row.hash);
+  if (!row.duplicates_checked_at && row.type !== "link" && matches.length > 0) {
+    nearDuplicateListener({
+      item: { id: row.id, title: row.title },
+      matches: matches.map(hit => ({
+        id: hit.row.id,
+        title: openValue(hit.row.title),
+        similarity: hit.similarity,
+      })),
+    });
+  }
+  console.log("[JOBS] Enriched item:", row.id);
+}
+
+/**
+ * Start processing background jobs. `listener` receives item progress
+ * events: { itemId, status, step, attempts, error }.
+ */
+function startBackgroundJobs(listener) {
+  if (listener) jobListener = listener;
+  jobsStarted = true;
+  getJobQueue().start();
+  scanNearDuplicates();
+}
+
+// Resolves when the job running at the time has finished
+function stopBackgroundJobs() {
+  jobsStarted = false;
+  return jobQueue ? jobQueue.stop() : Promise.resolve();
+}
+
+function cancelItemIndexing(itemId) {
+  return getJobQueue().cancel({ itemId });
+}
+
+/**
+ * Retry enrichment for an item; queues a fresh job if none is left to retry
+ */
+function retryItemIndexing(itemId) {
+  const queue = getJobQueue();
+  if (queue.retry(itemId) === 0 && !queue.pendingJobsForItem(itemId).some(job => job.type === "enrich")) {
+    queue.enqueue("enrich", itemId);
+  }
+  getDatabase().prepare("UPDATE items SET index_status = 'pending' WHERE id = ?").run(itemId);
+}
+
+/**
+ * Queue a new embedding for an item whose searchable text changed. Skipped
+ * when a job that has not started yet will pick up the change anyway.
+ */
+function queueReembed(itemId) {
+  const queue = getJobQueue();
+  const waiting = queue.pendingJobsForItem(itemId).some(job => job.type === "enrich" && job.status === "queued");
+  if (!waiting) queue.enqueue("enrich", itemId, { reembed: true });
+}
+
+// ===== LINK PREVIEWS =====
+// Link items get their page's title, description, site name, favicon and
+// Open Graph image from a `link` job (see linkPreview.cjs). The readable
+// article text becomes the item's extracted text, so it is searchable and
+// part of the embedding. Optionally a single-file snapshot of the page is
+// kept at VAULT_DIR/links/<item id>.html; snapshots are backed up but are
+// not part of archives. Without a network the job waits and tries again,
+// for up to a week after the link was saved.
+
+const LINKS_SETTING = "links";
+const LINKS_DIR = "links";
+const DEFAULT_LINK_SETTINGS = { fetchPreviews: true, saveSnapshots: false, checkHealth: true, checkIntervalDays: 7 };
+const LINK_OFFLINE_RETRY_MS = 5 * 60 * 1000;
+const LINK_OFFLINE_GIVE_UP_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_LINK_TEXT_CHARS = 100000;
+const MAX_LINK_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_FAVICON_BYTES = 64 * 1024;
+
+let linkFetcher = createLinkFetcher();
+
+/**
+ * Replace the fetcher used by link jobs ({ fetchPage, fetchResource }, see
+ * createLinkFetcher); tests point it at a local server or a stub
+ */
+function setLinkFetcher(fetcher) {
+  linkFetcher = fetcher || createLinkFetcher();
+}
+
+function getLinkSettings() {
+  return { ...DEFAULT_LINK_SETTINGS, ...getSetting(LINKS_SETTING, {}) };
+}
+
+/**
+ * Update link settings: fetchPreviews (fetch page details for new links),
+ * saveSnapshots (keep a copy of every fetched page), checkHealth (check
+ * links for dead pages in the background) and checkIntervalDays (how
+ * often each link is checked). Returns the settings.
+ */
+function setLinkSettings(changes = {}) {
+  const settings = getLinkSettings();
+  for (const key of ["fetchPreviews", "saveSnapshots", "checkHealth"]) {
+    if (key in changes) settings[key] = Boolean(changes[key]);
+  }
+  if ("checkIntervalDays" in changes) {
+    settings.checkIntervalDays = validateWholeNumber(changes.checkIntervalDays, 1, MAX_LINK_CHECK_INTERVAL_DAYS,
+      `Check interval must be between 1 and ${MAX_LINK_CHECK_INTERVAL_DAYS} days`);
+  }
+  setSetting(LINKS_SETTING, settings);
+  return settings;
+}
+
+/**
+ * The URL when `text` is a single http(s) or www. address, else null.
+ * www. addresses get https://.
+ */
+function linkUrlFromText(text) {
+  const trimmed = String(text || "").trim();
+  if (!/^(https?:\/\/|www\.)\S+$/i.test(trimmed)) return null;
+  try {
+    const url = new URL(/^www\./i.test(trimmed) ? `https://${trimmed}` : trimmed);
+    return url.hostname.includes(".") || url.hostname === "localhost" ? url.href : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function ensureLinksDir() {
+  const linksDir = path.join(VAULT_DIR, LINKS_DIR);
+  fs.mkdirSync(linksDir, { recursive: true });
+  return linksDir;
+}
+
+/**
+ * Queue fetching the page of a link item. options.snapshot saves a
+ * snapshot even when saveSnapshots is off. Queued fetches for the same
+ * item (e.g. waiting for the network) are replaced.
+ */
+function queueLinkPreview(itemId, options = {}) {
+  getDatabase().prepare(
+    "DELETE FROM jobs WHERE item_id = ? AND type = 'link' AND status = 'queued'"
+  ).run(itemId);
+  getJobQueue().enqueue("link", itemId, { snapshot: Boolean(options.snapshot) });
+}
+
+/**
+ * Fetch a link item's preview again now (Refresh / Save snapshot in the
+ * detail panel)
+ */
+function refreshLinkPreview(itemId, options = {}) {
+  const row = getDatabase().prepare("SELECT type FROM items WHERE id = ? AND deleted_at IS NULL").get(itemId);
+  if (!row) throw new Error(`Item not found: ${itemId}`);
+  if (row.type !== "link") throw new Error("Only links have a page preview");
+  queueLinkPreview(itemId, options);
+}
+
+/**
+ * Path of a link item's snapshot another application can open
+ */
+function getLinkSnapshotPath(itemId) {
+  const item = getItemById(itemId);
+  const snapshot = item && item.metadata && item.metadata.snapshot;
+  const filePath = snapshot && resolveVaultPath(snapshot.path);
+  if (!filePath || !fs.existsSync(filePath)) throw new Error("Snapshot not found");
+  return getOpenablePath(filePath);
+}
+
+// Merge `changes` into the current metadata of an item
+function updateItemMetadata(id, changes) {
+  const db = getDatabase();
+  const row = openRow(db.prepare("SELECT metadata FROM items WHERE id = ?").get(id));
+  if (!row) return;
+  const metadata = { ...JSON.parse(row.metadata || "{}"), ...changes };
+  db.prepare("UPDATE items SET metadata = ? WHERE id = ?").run(sealValue(JSON.stringify(metadata)), id);
+}
+
+// data: URL of a small image, for favicons
+async function fetchImageDataUrl(url, maxBytes) {
+  const resource = url ? await linkFetcher.fetchResource(url, maxBytes) : null;
+  if (!resource || !/^image\//i.test(resource.contentType)) return null;
+  return `data:${resource.contentType};base64,${resource.data.toString("base64")}`;
+}
+
+/**
+ * Job handler: fetch a link item's page and store its preview, article
+ * text, image thumbnail and (optionally) snapshot, then queue a new
+ * embedding. Pages that fail to load are recorded as failed previews
+ * rather than failed jobs; the link itself stays a valid item.
+ */
+async function fetchLinkPreview(job, ctx) {
+  const db = getDatabase();
+  const row = openRow(db.prepare("SELECT * FROM items WHERE id = ?").get(job.item_id));
+  if (!row || row.deleted_at || row.type !== "link") return;
+  const rowMetadata = JSON.parse(row.metadata || "{}");
+  // Sensitive links are never sent anywhere
+  const url = rowMetadata.sensitive ? null : rowMetadata.url || linkUrlFromText(row.content);
+  if (!url) return;
+
+  ctx.progress("fetching");
+  let page;
+  try {
+    page = await linkFetcher.fetchPage(url);
+  } catch (err) {
+    const checkedAt = new Date().toISOString();
+    if (err.offline && Date.now() - Date.parse(row.created_at) < LINK_OFFLINE_GIVE_UP_MS) {
+      updateItemMetadata(row.id, { preview: { status: "offline", error: err.message, checkedAt } });
+      throw new JobDeferredError(err.message, LINK_OFFLINE_RETRY_MS);
+    }
+    updateItemMetadata(row.id, { preview: { status: "failed", error: err.message, checkedAt } });
+    console.warn("[LINKS] Failed to fetch", url, err.message);
+    return;
+  }
+  ctx.throwIfCancelled();
+
+  const info = parsePageMetadata(page.html || "", page.url);
+  const articleText = page.html
+    ? extractReadableText(page.html)
+    : (page.text || "").trim().slice(0, MAX_LINK_TEXT_CHARS);
+
+  let thumbnail = null;
+  const image = info.image ? await linkFetcher.fetchResource(info.image, MAX_LINK_IMAGE_BYTES) : null;
+  if (image) {
+    const imageHash = crypto.createHash("sha256").update(image.data).digest("hex");
+    thumbnail = await generateImageThumbnail(image.data, imageHash);
+  }
+  const favicon = await fetchImageDataUrl(info.favicon, MAX_FAVICON_BYTES);
+  ctx.throwIfCancelled();
+
+  let snapshot = null;
+  if (page.html && (ctx.payload.snapshot || getLinkSettings().saveSnapshots)) {
+    ctx.progress("snapshot");
+    const data = Buffer.from(await buildSnapshot(page.html, page.url, linkFetcher.fetchResource), "utf8");
+    writeVaultFile(path.join(ensureLinksDir(), `${row.id}.html`), data);
+    snapshot = { path: `${LINKS_DIR}/${row.id}.html`, size: data.length, savedAt: new Date().toISOString() };
+    ctx.throwIfCancelled();
+  }
+
+  // Edits made while the page was loading win over the fetched values
+  const current = openRow(db.prepare("SELECT * FROM items WHERE id = ? AND deleted_at IS NULL").get(row.id));
+  if (!current) return;
+  const metadata = JSON.parse(current.metadata || "{}");
+  if (metadata.url && metadata.url !== url) return; // the link was changed; a new job is queued
+  Object.assign(metadata, {
+    pageTitle: info.title,
+    description: info.description,
+    siteName: info.siteName,
+    favicon,
+    image: info.image,
+    finalUrl: page.url !== url ? page.url : null,
+    contentType: page.contentType || null,
+    extractedText: [info.description, articleText].filter(Boolean).join("\n\n"),
+    preview: { status: "ready", fetchedAt: new Date().toISOString() },
+  });
+  if (snapshot) metadata.snapshot = snapshot;
+  // Links are titled with their URL until the page's title is known
+  const title = info.title && (current.title === current.content || current.title === url) ? info.title : current.title;
+
+  db.transaction(() => {
+    db.prepare("UPDATE items SET title = ?, thumbnail_path = ?, metadata = ? WHERE id = ?").run(
+      sealValue(title),
+      thumbnail || current.thumbnail_path,
+      sealValue(JSON.stringify(metadata)),
+      row.id
+    );
+    indexItemText(row.id, {
+      title,
+      content: current.content,
+      extractedText: metadata.extractedText,
+      filename: metadata.filename,
+      notes: metadata.notes,
+    });
+  })();
+  queueReembed(row.id);
+  console.log("[LINKS] Fetched preview for", row.id, snapshot ? "(with snapshot)" : "");
+}
+
+// ===== LINK HEALTH =====
+// Periodic checks that links still work (see linkCheck.cjs); each result
+// is kept as metadata.health and `is:dead` finds the dead ones. A check
+// that reaches no server at all means we are offline, not that every
+// link died, so nothing is recorded then.
+
+const MAX_LINK_CHECK_INTERVAL_DAYS = 365;
+
+let linkCheckRun = null;
+
+/**
+ * Check links for dead pages. Links checked within the last
+ * checkIntervalDays are skipped unless options.force is set; options.ids
+ * limits the check to those items (always checked). Resolves to
+ * { checked, ok, redirected, errors, dead, offline }. Only one check runs
+ * at a time.
+ */
+function checkLinks(options = {}) {
+  if (linkCheckRun) throw new Error("A link check is already running");
+  linkCheckRun = runLinkCheck(options).finally(() => {
+    linkCheckRun = null;
+  });
+  return linkCheckRun;
+}
+
+function isLinkCheckRunning() {
+  return Boolean(linkCheckRun);
+}
+
+async function runLinkCheck(options) {
+  const settings = getLinkSettings();
+  const cutoff = Date.now() - settings.checkIntervalDays * 24 * 60 * 60 * 1000;
+  const ids = options.ids ? new Set(options.ids) : null;
+  const previous = new Map();
+  const targets = [];
+  const rows = getDatabase().prepare(
+    "SELECT id, metadata FROM items WHERE type = 'link' AND deleted_at IS NULL ORDER BY created_at"
+  ).all();
+  for (const row of rows) {
+    if (ids && !ids.has(row.id)) continue;
+    const metadata = JSON.parse(openValue(row.metadata) || "{}");
+    // Sensitive links are never sent anywhere
+    if (metadata.sensitive || !metadata.url) continue;
+    const health = metadata.health || {};
+    if (!ids && !options.force && health.checkedAt && Date.parse(health.checkedAt) > cutoff) continue;
+    previous.set(row.id, health);
+    targets.push({ id: row.id, url: metadata.url });
+  }
+
+  const summary = { checked: 0, ok: 0, redirected: 0, errors: 0, dead: 0, offline: false };
+  const record = (outcome) => {
+    if (vaultLocked) return;
+    const health = linkHealth(outcome, previous.get(outcome.id));
+    updateItemMetadata(outcome.id, { health });
+    summary.checked++;
+    if (health.state === "error") summary.errors++;
+    else summary[health.state]++;
+  };
+
+  // Unreachable hosts are judged once we know whether the network is up
+  const unreachable = [];
+  let online = false;
+  await runLinkChecks(targets, url => linkFetcher.checkUrl(url), {
+    isCancelled: () => vaultLocked,
+    onResult: (outcome) => {
+      if (outcome.error && outcome.error.offline) {
+        unreachable.push(outcome);
+        return;
+      }
+      if (outcome.result) online = true;
+      record(outcome);
+    },
+  });
+  if (online) unreachable.forEach(record);
+  else summary.offline = unreachable.length > 0;
+
+  if (targets.length > 0) {
+    console.log(
+      `[LINKS] Checked ${summary.checked} of ${targets.length} links:`,
+      `${summary.ok} ok, ${summary.redirected} moved, ${summary.errors} failing, ${summary.dead} dead`,
+      summary.offline ? "(offline)" : ""
+    );
+  }
+  return summary;
+}
+
+// ===== ITEM RETRIEVAL =====
+
+/**
+ * Category of a (decrypted) row: the stored one, or inferred from its
+ * type and content
+ */
+function inferCategory(row, metadata) {
+  let category = metadata.category;
+  if (!category) {
+    if (row.type === "image") category = "images";
+    else if (row.type === "link") category = "links";
+    else if (row.type === "text") {
+      // Try to infer from content
+      category = detectCategoryFromText(row.content || "");
+    } else if (row.type === "file") {
+      // Try to infer from filename
+      const filename = metadata.filename || row.title || "";
+      category = detectCategoryFromFile(filename);
+    }
+  }
+  return category || "documents";
+}
+
+/**
+ * Convert a database row into the item shape used by the renderer
+ */
+function rowToItem(storedRow) {
+  const row = openRow(storedRow);
+  const metadata = JSON.parse(row.metadata || "{}");
+  const category = inferCategory(row, metadata);
+
+  return {
+    id: row.id,
+    type: row.type,
+    title: row.title,
+    content: row.content,
+    category,
+    storagePath: row.raw_path,
+    indexStatus: row.index_status || "ready",
+    deletedAt: row.deleted_at || null,
+    pinnedAt: row.pinned_at || null,
+    starredAt: row.starred_at || null,
+    updatedAt: row.updated_at,
+    suggestedTags: metadata.suggestedTags || [],
+    sensitive: Boolean(metadata.sensitive),
+    searchableText: (row.title + " " + (row.content || "")).toLowerCase(),
+    metadata: {
+      ...metadata,
+      filename: metadata.filename || path.basename(row.raw_path || ""),
+      createdAt: row.created_at,
+      mimeType: row.mime_type,
+      thumbnail: row.thumbnail_path,
+    },
+    timestamp: row.created_at,
+  };
+}
+
+/**
+ * Load all items from database
+ */
+function loadItems() {
+  const db = getDatabase();
+  const stmt = db.prepare("SELECT * FROM items WHERE deleted_at IS NULL ORDER BY created_at DESC");
+  return withTags(stmt.all().map(rowToItem));
+}
+
+function getItems() {
+  return loadItems();
+}
+
+function getItemById(id) {
+  const row = getDatabase().prepare("SELECT * FROM items WHERE id = ?").get(id);
+  return row ? withTags([rowToItem(row)])[0] : null;
+}
+
+/**
+ * Move an item to the trash. It disappears from the library, search and
+ * tag counts but keeps its data until restored or purged.
+ */
+function deleteItem(id) {
+  const db = getDatabase();
+  getJobQueue().cancel({ itemId: id });
+  const result = db.prepare(
+    "UPDATE items SET deleted_at = ? WHERE id = ? AND deleted_at IS NULL"
+  ).run(new Date().toISOString(), id);
+  if (result.changes === 0) return;
+  updateAnnIndex(id, null);
+  invalidateTagCentroids();
+  console.log("[DB] Moved item to trash:", id);
+}
+
+// ===== PINS & STARS =====
+
+// Flags accepted by setItemFlags and the column recording when each was set
+const ITEM_FLAG_COLUMNS = { pinned: "pinned_at", starred: "starred_at" };
+
+/**
+ * Pin or star an item: flags is { pinned, starred }, each true, false or
+ * left out. Pinned items lead the library, most recently pinned first;
+ * starred ones make up Favorites. Neither counts as an edit, so
+ * updated_at is left alone.
+ */
+function setItemFlags(id, flags = {}) {
+  const db = getDatabase();
+  const row = db.prepare("SELECT pinned_at, starred_at FROM items WHERE id = ? AND deleted_at IS NULL").get(id);
+  if (!row) throw new Error(`Item not found: ${id}`);
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    for (const [flag, column] of Object.entries(ITEM_FLAG_COLUMNS)) {
+      if (flags[flag] === undefined) continue;
+      // Already set: keep the original time so the order doesn't change
+      const value = flags[flag] ? row[column] || now : null;
+      db.prepare(`UPDATE items SET ${column} = ? WHERE id = ?`).run(value, id);
+    }
+  })();
+  console.log("[DB] Updated item flags:", id, flags);
+  return getItemById(id);
+}
+
+// ===== TRASH =====
+
+const TRASH_RETENTION_SETTING = "trashRetentionDays";
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+// Upper bound for the retention setting; 0 keeps trashed items forever
+const MAX_TRASH_RETENTION_DAYS = 3650;
+
+/**
+ * Trashed items, most recently deleted first
+ */
+function listTrash() {
+  const rows = getDatabase().prepare(
+    "SELECT * FROM items WHERE deleted_at IS NOT NULL ORDER BY deleted_at DESC"
+  ).all();
+  return withTags(rows.map(rowToItem));
+}
+
+function restoreItem(id) {
+  const db = getDatabase();
+  const row = db.prepare("SELECT * FROM items WHERE id = ? AND deleted_at IS NOT NULL").get(id);
+  if (!row) throw new Error(`Item not in trash: ${id}`);
+
+  db.prepare("UPDATE items SET deleted_at = NULL WHERE id = ?").run(id);
+  if (row.embedding) updateAnnIndex(id, blobToEmbedding(row.embedding));
+  invalidateTagCentroids();
+  // Indexing interrupted by the move to the trash starts over
+  if (row.index_status !== "ready") retryItemIndexing(id);
+  console.log("[DB] Restored item from trash:", id);
+  return getItemById(id);
+}
+
+/**
+ * Resolve a stored vault path (absolute, or relative like thumbnails/x.webp)
+ * to an absolute path, or null if it points outside the vault
+ */
+function resolveVaultPath(storedPath) {
+  if (!storedPath) return null;
+  const absolute = path.resolve(VAULT_DIR, storedPath);
+  return absolute.startsWith(VAULT_DIR + path.sep) ? absolute : null;
+}
+
+/**
+ * Delete the vault copy, thumbnail and link snapshot of a purged item.
+ * Files are content-addressed, so they are kept while any other item
+ * (trashed ones included) has the same hash or points at the same file.
+ */
+function removeItemFiles(row) {
+  const db = getDatabase();
+  fs.rmSync(path.join(VAULT_DIR, LINKS_DIR, `${row.id}.html`), { force: true });
+  if (row.hash && db.prepare("SELECT 1 FROM items WHERE hash = ?").get(row.hash)) return;
+
+  const stillReferenced = db.prepare(
+    "SELECT 1 FROM items WHERE raw_path = ? OR thumbnail_path = ?"
+  );
+  for (const stored of [row.raw_path, row.thumbnail_path]) {
+    const filePath = resolveVaultPath(stored);
+    if (!filePath || stillReferenced.get(stored, stored)) continue;
+    try {
+      fs.rmSync(filePath, { force: true });
+    } catch (err) {
+      console.warn("[DB] Failed to remove vault file:", filePath, err.message);
+    }
+  }
+}
+
+/**
+ * Permanently delete trashed items (row, tags, versions, search index
+ * entries and unreferenced vault files). Returns the number purged.
+ */
+function purgeItems(ids) {
+  const db = getDatabase();
+  const getRow = db.prepare("SELECT * FROM items WHERE id = ? AND deleted_at IS NOT NULL");
+  const rows = ids.map(id => getRow.get(id)).filter(Boolean);
+  if (rows.length === 0) return 0;
+
+  db.transaction(() => {
+    for (const row of rows) {
+      db.prepare("DELETE FROM jobs WHERE item_id = ?").run(row.id);
+      db.prepare("DELETE FROM items WHERE id = ?").run(row.id);
+      db.prepare("DELETE FROM items_fts WHERE item_id = ?").run(row.id);
+    }
+    pruneUnusedTags();
+  })();
+  rows.forEach(removeItemFiles);
+  console.log("[DB] Purged", rows.length, "items from trash");
+  return rows.length;
+}
+
+function purgeItem(id) {
+  if (purgeItems([id]) === 0) throw new Error(`Item not in trash: ${id}`);
+}
+
+function emptyTrash() {
+  const ids = getDatabase().prepare("SELECT id FROM items WHERE deleted_at IS NOT NULL").all();
+  return purgeItems(ids.map(row => row.id));
+}
+
+function getTrashRetentionDays() {
+  const value = parseInt(getSetting(TRASH_RETENTION_SETTING, DEFAULT_TRASH_RETENTION_DAYS), 10);
+  return Number.isFinite(value) ? value : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+function setTrashRetentionDays(days) {
+  const value = Number(days);
+  if (!Number.isInteger(value) || value < 0 || value > MAX_TRASH_RETENTION_DAYS) {
+    throw new Error(`Retention must be a whole number of days between 0 and ${MAX_TRASH_RETENTION_DAYS}`);
+  }
+  setSetting(TRASH_RETENTION_SETTING, value);
+  return value;
+}
+
+/**
+ * Purge items that have been in the trash longer than the retention
+ * period. Returns the number purged.
+ */
+function purgeExpiredTrash() {
+  const days = getTrashRetentionDays();
+  if (days === 0) return 0;
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const ids = getDatabase().prepare(
+    "SELECT id FROM items WHERE deleted_at IS NOT NULL AND deleted_at < ?"
+  ).all(cutoff);
+  return purgeItems(ids.map(row => row.id));
+}
+
+// ===== DUPLICATES =====
+// Exact duplicates share a hash: sha256 of the file bytes, or of the text
+// for notes and links. Near duplicates are items whose embeddings are
+// almost identical (reworded or slightly edited copies).
+
+// Cosine similarity from which two items count as near duplicates
+const NEAR_DUPLICATE_SIMILARITY = 0.92;
+const NEAR_DUPLICATE_CANDIDATES = 5;
+
+function hashText(text) {
+  const normalized = String(text || "").replace(/\r\n?/g, "\n").trim();
+  // Encrypted vaults key the hash: a plain sha256 of a short secret is easy to guess
+  if (vaultKeys) return encryption.textHash(vaultKeys, normalized);
+  return crypto.createHash("sha256").update(normalized, "utf8").digest("hex");
+}
+
+/**
+ * Live items with exactly the same content as a capture, oldest first.
+ * candidate: { text } for notes and links, { hash } for files. Near
+ * duplicates need an embedding and are found after saving (see
+ * linkNearDuplicates). Returns [{ item, match: "exact", similarity }].
+ */
+function findDuplicates({ text, hash } = {}) {
+  const exactHash = hash || (text && text.trim() ? hashText(text) : null);
+  if (!exactHash) return [];
+  const rows = getDatabase().prepare(
+    "SELECT * FROM items WHERE hash = ? AND deleted_at IS NULL ORDER BY created_at"
+  ).all(exactHash);
+  return withTags(rows.map(rowToItem)).map(item => ({ item, match: "exact", similarity: 1 }));
+}
+
+// Dismissed pairs are stored once, smaller id first
+function duplicatePairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+let nearDuplicateListener = () => {};
+let nearDuplicateScan = null;
+
+const NEAR_DUPLICATE_SCAN_BATCH = 50;
+const NEAR_DUPLICATE_SCAN_WAIT_MS = 1000;
+
+/**
+ * Receive near duplicates of newly enriched items:
+ * { item: { id, title }, matches: [{ id, title, similarity }] }
+ */
+function setNearDuplicateListener(listener) {
+  nearDuplicateListener = listener || (() => {});
+}
+
+/**
+ * Store the near duplicates of one item, replacing its previous links.
+ * Only the closest few neighbours are compared; exact copies are grouped
+ * by hash instead. Returns [{ row, similarity }].
+ */
+function linkNearDuplicates(id, embedding, hash) {
+  const db = getDatabase();
+  const matches = embedding
+    ? rankBySimilarity(embedding, NEAR_DUPLICATE_CANDIDATES + 1).filter(hit =>
+      hit.row.id !== id && hit.similarity >= NEAR_DUPLICATE_SIMILARITY && !(hash && hit.row.hash === hash)
+    )
+    : [];
+  const now = new Date().toISOString();
+  const addLink = db.prepare(
+    "INSERT OR REPLACE INTO near_duplicates (item_id, other_id, similarity, created_at) VALUES (?, ?, ?, ?)"
+  );
+  db.transaction(() => {
+    db.prepare("DELETE FROM near_duplicates WHERE item_id = ? OR other_id = ?").run(id, id);
+    for (const { row, similarity } of matches) {
+      addLink.run(id < row.id ? id : row.id, id < row.id ? row.id : id, similarity, now);
+    }
+    db.prepare("UPDATE items SET duplicates_checked_at = ? WHERE id = ?").run(now, id);
+  })();
+  return matches;
+}
+
+/**
+ * Compare items that have an embedding but were never checked for near
+ * duplicates (after upgrading, or imported from an archive), a batch at a
+ * time so the main process stays responsive. Waits for the HNSW index so
+ * large vaults are not scanned once per item.
+ */
+function scanNearDuplicates() {
+  if (!nearDuplicateScan) {
+    nearDuplicateScan = runNearDuplicateScan()
+      .catch(err => console.error("[DUPLICATES] Near-duplicate scan failed:", err))
+      .finally(() => { nearDuplicateScan = null; });
+  }
+  return nearDuplicateScan;
+}
+
+async function runNearDuplicateScan() {
+  let checked = 0;
+  while (jobsStarted) {
+    if (!annReady) {
+      await new Promise(resolve => setTimeout(resolve, NEAR_DUPLICATE_SCAN_WAIT_MS));
+      continue;
+    }
+    const rows = getDatabase().prepare(`
+      SELECT id, hash, embedding FROM items
+      WHERE embedding IS NOT NULL AND deleted_at IS NULL AND duplicates_checked_at IS NULL
+      LIMIT ?
+    `).all(NEAR_DUPLICATE_SCAN_BATCH);
+    if (rows.length === 0) break;
+    for (const row of rows) linkNearDuplicates(row.id, blobToEmbedding(row.embedding), row.hash);
+    checked += rows.length;
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  if (checked > 0) console.log("[DUPLICATES] Checked", checked, "items for near duplicates");
+}
+
+/**
+ * Groups of duplicate items for the library's Duplicates view, newest
+ * group first. Each group: { id, match: "exact" | "similar", similarity,
+ * items } with items oldest first. Pairs marked "not duplicates" are left
+ * out.
+ */
+function listDuplicateGroups() {
+  const db = getDatabase();
+  const dismissed = new Set(
+    db.prepare("SELECT item_id, other_id FROM duplicate_dismissals").all()
+      .map(row => duplicatePairKey(row.item_id, row.other_id))
+  );
+
+  // Union-find over duplicate links
+  const parent = new Map();
+  const find = (id) => {
+    if (!parent.has(id)) parent.set(id, id);
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+  const links = [];
+  const link = (a, b, similarity) => {
+    if (dismissed.has(duplicatePairKey(a, b))) return;
+    parent.set(find(a), find(b));
+    links.push({ a, similarity });
+  };
+
+  const exactGroups = db.prepare(`
+    SELECT json_group_array(id) AS ids FROM items
+    WHERE hash IS NOT NULL AND deleted_at IS NULL
+    GROUP BY hash HAVING COUNT(*) > 1
+  `).all();
+  for (const group of exactGroups) {
+    const ids = JSON.parse(group.ids);
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) link(ids[i], ids[j], 1);
+    }
+  }
+  // Stored by enrichItem / scanNearDuplicates; rows that became exact
+  // copies since are already linked above
+  const nearPairs = db.prepare(`
+    SELECT d.item_id, d.other_id, d.similarity FROM near_duplicates d
+    JOIN items a ON a.id = d.item_id AND a.deleted_at IS NULL
+    JOIN items b ON b.id = d.other_id AND b.deleted_at IS NULL
+    WHERE a.hash IS NULL OR b.hash IS NULL OR a.hash != b.hash
+  `).all();
+  for (const pair of nearPairs) link(pair.item_id, pair.other_id, pair.similarity);
+
+  const groups = new Map();
+  for (const { a, similarity } of links) {
+    const root = find(a);
+    if (!groups.has(root)) groups.set(root, { similarity: 1, ids: new Set() });
+    groups.get(root).similarity = Math.min(groups.get(root).similarity, similarity);
+  }
+  for (const id of parent.keys()) {
+    const group = groups.get(find(id));
+    if (group) group.ids.add(id);
+  }
+
+  const getRow = db.prepare("SELECT * FROM items WHERE id = ?");
+  const result = [];
+  for (const [root, group] of groups) {
+    const items = withTags(Array.from(group.ids).map(id => rowToItem(getRow.get(id))))
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    result.push({
+      id: root,
+      match: group.similarity >= 1 ? "exact" : "similar",
+      similarity: group.similarity,
+      items,
+    });
+  }
+  return result.sort((a, b) =>
+    b.items[b.items.length - 1].timestamp.localeCompare(a.items[a.items.length - 1].timestamp)
+  );
+}
+
+/**
+ * Merge duplicates into the item to keep: their tags and notes are added
+ * to it and the others move to the trash.
+ */
+function mergeDuplicates(keepId, otherIds) {
+  const db = getDatabase();
+  const keep = getItemById(keepId);
+  if (!keep || keep.deletedAt) throw new Error(`Item not found: ${keepId}`);
+  const others = otherIds
+    .filter(id => id !== keepId)
+    .map(getItemById)
+    .filter(item => item && !item.deletedAt);
+  if (others.length === 0) return keep;
+
+  const tags = [...keep.tags];
+  const notes = keep.metadata.notes ? [keep.metadata.notes] : [];
+  for (const other of others) {
+    for (const tag of other.tags) {
+      if (!tags.some(t => t.toLowerCase() === tag.toLowerCase())) tags.push(tag);
+    }
+    if (other.metadata.notes && !notes.includes(other.metadata.notes)) notes.push(other.metadata.notes);
+  }
+
+  db.transaction(() => {
+    if (tags.length !== keep.tags.length || notes.length > (keep.metadata.notes ? 1 : 0)) {
+      updateItem(keepId, { tags, notes: notes.join("\n\n") });
+    }
+    others.forEach(other => deleteItem(other.id));
+  })();
+  console.log("[DB] Merged", others.length, "duplicates into", keepId);
+  return getItemById(keepId);
+}
+
+/**
+ * Mark items as "not duplicates" of each other
+ */
+function dismissDuplicates(ids) {
+  const db = getDatabase();
+  const insert = db.prepare(
+    "INSERT OR IGNORE INTO duplicate_dismissals (item_id, other_id, created_at) VALUES (?, ?, ?)"
+  );
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        const [a, b] = ids[i] < ids[j] ? [ids[i], ids[j]] : [ids[j], ids[i]];
+        insert.run(a, b, now);
+      }
+    }
+  })();
+}
+
+// ===== VAULT INTEGRITY =====
+
+let vaultCheck = null;
+
+// Link thumbnails come from the page's image, the others from the item's file
+function regenerateThumbnail(itemId) {
+  const row = getDatabase().prepare("SELECT type FROM items WHERE id = ?").get(itemId);
+  if (row && row.type === "link") queueLinkPreview(itemId);
+  else retryItemIndexing(itemId);
+}
+
+/**
+ * Check the vault's files against the database (see integrity.cjs).
+ * options.repair applies fixes; otherwise this is a dry run. Only one
+ * check runs at a time.
+ */
+async function checkVault(options = {}) {
+  if (vaultCheck) throw new Error("A vault check is already running");
+  vaultCheck = integrity.checkVault(getDatabase(), {
+    vaultDir: VAULT_DIR,
+    dryRun: !options.repair,
+    regenerateThumbnail: regenerateThumbnail,
+    openValue,
+    hashStoredFile: hashVaultFile,
+    onProgress: options.onProgress,
+  }).then(report => {
+    console.log(
+      `[INTEGRITY] ${report.dryRun ? "Checked" : "Repaired"} vault:`,
+      `${report.orphanedFiles.length} orphaned, ${report.missingFiles.length} missing,`,
+      `${report.hashMismatches.length} mismatched, ${report.missingThumbnails.length} missing thumbnails,`,
+      `${report.staleThumbnails.length} stale thumbnails, ${report.missingSnapshots.length} missing snapshots,`,
+      `${report.staleSnapshots.length} stale snapshots, ${report.repairs.length} repairs`
+    );
+    return report;
+  }).finally(() => {
+    vaultCheck = null;
+  });
+  return vaultCheck;
+}
+
+// ===== EXPORT & IMPORT =====
+
+// How an archived item with the same id as a local one is merged:
+//   newer    the archived row wins if it was updated later (default)
+//   keep     the local row always wins
+//   replace  the archived row always wins
+const IMPORT_STRATEGIES = ["newer", "keep", "replace"];
+const IMPORT_BATCH_SIZE = 200;
+
+let vaultTransfer = null;
+
+// Exports and imports read or rewrite the whole vault; run one at a time
+function runVaultTransfer(task) {
+  if (vaultTransfer) throw new Error("A vault export or import is already running");
+  vaultTransfer = task().finally(() => {
+    vaultTransfer = null;
+  });
+  return vaultTransfer;
+}
+
+/**
+ * Export the vault to a portable .tar.gz (see archive.cjs). The archive is
+ * not encrypted, even when the vault is.
+ */
+async function exportVault(filePath, options = {}) {
+  return runVaultTransfer(async () => {
+    const result = await archive.exportVault(getDatabase(), {
+      vaultDir: VAULT_DIR,
+      outPath: filePath,
+      schemaVersion: LATEST_VERSION,
+      // Archives are portable, so encrypted rows and files are written decrypted
+      decodeRow: (table, row) => {
+        if (table === "items") return { ...openRow(row), embedding: openEmbedding(row.embedding) };
+        if (table === "item_versions") return { ...row, title: openValue(row.title), content: openValue(row.content) };
+        return row;
+      },
+      readFile: vaultKeys ? readVaultFile : null,
+      onProgress: options.onProgress,
+    });
+    console.log("[ARCHIVE] Exported", result.items, "items and", result.files, "files to:", filePath);
+    return result;
+  });
+}
+
+/**
+ * Merge a vault archive into this vault. Items are matched by id first
+ * (resolved with options.strategy, see IMPORT_STRATEGIES), then by hash:
+ * an archived item whose content is already in the vault under another id
+ * is not imported again, but its tags are added to the local copy. Tags
+ * are always merged; versions, dismissed duplicates, settings and
+ * collections (matched by id, with their items) are added where missing.
+ * Nothing local is deleted.
+ *
+ * Returns { added, updated, kept, duplicates, files, tags, versions, collections }.
+ */
+async function importVault(filePath, options = {}) {
+  const strategy = options.strategy || "newer";
+  if (!IMPORT_STRATEGIES.includes(strategy)) throw new Error(`Unknown import strategy: ${strategy}`);
+
+  return runVaultTransfer(async () => {
+    const source = await archive.openVaultArchive(filePath, {
+      supportedVersion: LATEST_VERSION,
+      onProgress: options.onProgress,
+    });
+    try {
+      const summary = await mergeVaultArchive(source, strategy, options.onProgress || (() => {}));
+      console.log(
+        "[ARCHIVE] Imported", filePath + ":",
+        `${summary.added} added, ${summary.updated} updated, ${summary.kept} kept,`,
+        `${summary.duplicates} duplicates, ${summary.files} files`
+      );
+      return summary;
+    } finally {
+      source.cleanup();
+    }
+  });
+}
+
+async function mergeVaultArchive(source, strategy, onProgress) {
+  const db = getDatabase();
+  const columns = db.prepare("PRAGMA table_info(items)").all().map(column => column.name);
+  const summary = { added: 0, updated: 0, kept: 0, duplicates: 0, files: 0, tags: 0, versions: 0, collections: 0 };
+  const idMap = new Map();   // archived item id -> local item id
+  const written = new Map(); // local id -> { embedding, deleted, needsIndexing } for rows taken from the archive
+  const getLocal = db.prepare("SELECT * FROM items WHERE id = ?");
+  const sameContent = db.prepare("SELECT id FROM items WHERE hash = ? AND type = ? AND deleted_at IS NULL");
+
+  // Copy a verified archive file into the vault unless it is already there
+  const importFile = (entryName, targetDir) => {
+    if (!entryName) return null;
+    const target = path.join(targetDir, path.basename(entryName));
+    const archived = source.filePath(entryName);
+    if (archived && !fs.existsSync(target)) {
+      fs.mkdirSync(targetDir, { recursive: true });
+      copyIntoVault(archived, target);
+      summary.files++;
+    }
+    return target;
+  };
+
+  const writeRow = (row) => {
+    let embedding = row.embedding ? Buffer.from(row.embedding, "base64") : null;
+    // Rows from old archives may hold an unusable embedding; compute a new one
+    const embeddingDropped = Boolean(embedding) && embedding.length !== EMBEDDING_DIM * 4;
+    if (embeddingDropped) embedding = null;
+    const values = {
+      ...row,
+      title: sealValue(row.title),
+      content: sealValue(row.content),
+      metadata: sealValue(row.metadata),
+      raw_path: importFile(row.raw_path, VAULT_DIR),
+      thumbnail_path: row.thumbnail_path
+        ? path.relative(VAULT_DIR, importFile(row.thumbnail_path, ensureThumbnailsDir()))
+        : null,
+      embedding: sealEmbedding(embedding),
+    };
+    const needsIndexing = row.index_status !== "ready" || embeddingDropped;
+    if (needsIndexing) values.index_status = "pending";
+    // Compared against this vault's items by scanNearDuplicates
+    values.duplicates_checked_at = null;
+
+    const names = columns.filter(column => column in values);
+    db.prepare(`
+      INSERT INTO items (${names.join(", ")}) VALUES (${names.map(() => "?").join(", ")})
+      ON CONFLICT(id) DO UPDATE SET
+        ${names.filter(name => name !== "id").map(name => `${name} = excluded.${name}`).join(", ")}
+    `).run(...names.map(name => values[name]));
+
+    const metadata = JSON.parse(row.metadata || "{}");
+    indexItemText(row.id, {
+      title: row.title,
+      content: row.content,
+      extractedText: metadata.extractedText,
+      filename: metadata.filename,
+      notes: metadata.notes,
+    });
+    written.set(row.id, { embedding, deleted: Boolean(values.deleted_at), needsIndexing });
+  };
+
+  const mergeRow = (row) => {
+    if (row.type === "text" || row.type === "link") {
+      // Text hashes are recomputed: archives from before schema v11 have
+      // none, and encrypted vaults key them
+      row.hash = hashText(row.content ?? JSON.parse(row.metadata || "{}").url);
+    }
+    const local = openRow(getLocal.get(row.id));
+    if (local) {
+      idMap.set(row.id, row.id);
+      const replace = strategy === "replace" || (strategy === "newer" && row.updated_at > local.updated_at);
+      if (!replace) {
+        summary.kept++;
+        return;
+      }
+      getJobQueue().cancel({ itemId: row.id });
+      if (VERSIONED_TYPES.includes(local.type) && (local.title !== row.title || local.content !== row.content)) {
+        recordItemVersion(local);
+      }
+      writeRow(row);
+      summary.updated++;
+      return;
+    }
+
+    // Same content under another id (ignoring rows this import just wrote)
+    const match = row.hash && sameContent.all(row.hash, row.type).find(candidate => !written.has(candidate.id));
+    if (match) {
+      idMap.set(row.id, match.id);
+      summary.duplicates++;
+      return;
+    }
+    idMap.set(row.id, row.id);
+    writeRow(row);
+    summary.added++;
+  };
+
+  const total = source.manifest.counts.items || 0;
+  let batch = [];
+  let done = 0;
+  const flushBatch = () => {
+    db.transaction(() => batch.forEach(mergeRow))();
+    done += batch.length;
+    batch = [];
+    onProgress({ phase: "items", done, total });
+  };
+  for await (const row of source.rows("items")) {
+    batch.push(row);
+    if (batch.length >= IMPORT_BATCH_SIZE) flushBatch();
+  }
+  flushBatch();
+
+  // Tags are merged into every matched item; items that gained tags
+  // without getting their row from the archive need a new embedding
+  const retagged = new Set();
+  const linkTag = db.prepare("INSERT OR IGNORE INTO item_tags (item_id, tag_id, created_at) VALUES (?, ?, ?)");
+  const tagRows = [];
+  for await (const row of source.rows("item_tags")) tagRows.push(row);
+  db.transaction(() => {
+    for (const row of tagRows) {
+      const itemId = idMap.get(row.item_id);
+      const name = normalizeTagName(row.tag);
+      if (!itemId || !name) continue;
+      if (linkTag.run(itemId, getOrCreateTagId(name), row.created_at).changes > 0) {
+        summary.tags++;
+        if (!written.has(itemId)) retagged.add(itemId);
+      }
+    }
+  })();
+
+  // History of rows taken from the archive, without repeating versions
+  // both vaults already share
+  const versionRows = [];
+  for await (const row of source.rows("item_versions")) {
+    if (written.has(row.item_id)) versionRows.push(row);
+  }
+  // Compared after decryption; encrypted values never repeat
+  const versionKey = (version) => JSON.stringify([version.created_at, version.title, version.content]);
+  const localVersions = db.prepare("SELECT title, content, created_at FROM item_versions WHERE item_id = ?");
+  const addVersion = db.prepare("INSERT INTO item_versions (item_id, title, content, created_at) VALUES (?, ?, ?, ?)");
+  db.transaction(() => {
+    const known = new Map();
+    for (const row of versionRows) {
+      if (!known.has(row.item_id)) {
+        known.set(row.item_id, new Set(localVersions.all(row.item_id).map(version => versionKey({
+          ...version, title: openValue(version.title), content: openValue(version.content),
+        }))));
+      }
+      if (known.get(row.item_id).has(versionKey(row))) continue;
+      addVersion.run(row.item_id, sealValue(row.title), sealValue(row.content), row.created_at);
+      known.get(row.item_id).add(versionKey(row));
+      summary.versions++;
+    }
+    new Set(versionRows.map(row => row.item_id)).forEach(trimItemVersions);
+  })();
+
+  const dismiss = db.prepare(
+    "INSERT OR IGNORE INTO duplicate_dismissals (item_id, other_id, created_at) VALUES (?, ?, ?)"
+  );
+  for await (const row of source.rows("duplicate_dismissals")) {
+    const a = idMap.get(row.item_id);
+    const b = idMap.get(row.other_id);
+    if (a && b && a !== b) dismiss.run(a < b ? a : b, a < b ? b : a, row.created_at);
+  }
+
+  // Local preferences win
+  const addSetting = db.prepare("INSERT OR IGNORE INTO settings (key, value) VALUES (?, ?)");
+  for await (const row of source.rows("settings")) addSetting.run(row.key, row.value);
+
+  // Collections are matched by id; parents go in before their children, and
+  // items join the end of collections that already exist here
+  const collectionRows = new Map();
+  for await (const row of source.rows("collections")) collectionRows.set(row.id, row);
+  const collectionExists = db.prepare("SELECT 1 FROM collections WHERE id = ?");
+  const addCollection = db.prepare(`
+    INSERT OR IGNORE INTO collections (id, name, parent_id, position, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  const insertCollection = (row) => {
+    collectionRows.delete(row.id);
+    if (row.parent_id && collectionRows.has(row.parent_id)) insertCollection(collectionRows.get(row.parent_id));
+    const parentId = row.parent_id && collectionExists.get(row.parent_id) ? row.parent_id : null;
+    const name = normalizeCollectionName(row.name);
+    if (!name) return;
+    if (addCollection.run(row.id, name, parentId, row.position || 0, row.created_at, row.updated_at).changes > 0) {
+      summary.collections++;
+    }
+  };
+  const collectionItems = new Map();
+  for await (const row of source.rows("collection_items")) {
+    const itemId = idMap.get(row.item_id);
+    if (!itemId) continue;
+    if (!collectionItems.has(row.collection_id)) collectionItems.set(row.collection_id, []);
+    collectionItems.get(row.collection_id).push(itemId);
+  }
+  db.transaction(() => {
+    while (collectionRows.size > 0) insertCollection(collectionRows.values().next().value);
+    for (const [collectionId, itemIds] of collectionItems) {
+      if (collectionExists.get(collectionId)) linkCollectionItems(collectionId, itemIds);
+    }
+  })();
+
+  for (const [id, state] of written) {
+    updateAnnIndex(id, state.embedding && !state.deleted ? blobToEmbedding(state.embedding) : null);
+    if (state.needsIndexing && !state.deleted) retryItemIndexing(id);
+  }
+  retagged.forEach(queueReembed);
+  pruneUnusedTags();
+  invalidateTagCentroids();
+  if (jobsStarted) scanNearDuplicates();
+  return summary;
+}
+
+// ===== MARKDOWN EXPORT =====
+
+const MARKDOWN_EXPORT_SETTING = "markdownExport";
+
+/**
+ * Last Markdown export target: { outDir, layout } or null
+ */
+function getMarkdownExportSettings() {
+  return getSetting(MARKDOWN_EXPORT_SETTING, null);
+}
+
+/**
+ * Export live items as Markdown (see markdown.cjs). outDir and
+ * options.layout default to the previous export's, so re-running only
+ * needs the call. Returns the export summary.
+ */
+function exportMarkdown(outDir, options = {}) {
+  const previous = getMarkdownExportSettings() || {};
+  const target = outDir || previous.outDir;
+  if (!target) throw new Error("No Markdown export folder chosen");
+  const layout = options.layout || previous.layout || "category";
+
+  const summary = markdown.exportMarkdown(loadItems(), target, {
+    layout,
+    copyFile: copyOutOfVault,
+    fileSize: vaultFileSize,
+    onProgress: options.onProgress,
+  });
+  setSetting(MARKDOWN_EXPORT_SETTING, { outDir: summary.outDir, layout });
+  console.log(
+    "[MARKDOWN] Exported to", summary.outDir + ":",
+    `${summary.written} written, ${summary.unchanged} unchanged, ${summary.skipped.length} edited files kept,`,
+    `${summary.removed} removed, ${summary.attachments} attachments`
+  );
+  return { ...summary, layout };
+}
+
+// ===== BACKUPS =====
+// Backup settings live in userData/backup-settings.json rather than the
+// settings table: they are needed to restore a vault.db that no longer
+// opens.
+
+const BACKUP_SETTINGS_PATH = path.join(app.getPath("userData"), "backup-settings.json");
+const DEFAULT_BACKUP_SETTINGS = { folder: null, intervalHours: 24, keep: 7 };
+const MAX_BACKUP_INTERVAL_HOURS = 24 * 30;
+const MAX_BACKUPS_KEPT = 100;
+
+let backupRun = null;
+
+function readBackupSettings() {
+  try {
+    return { ...DEFAULT_BACKUP_SETTINGS, ...JSON.parse(fs.readFileSync(BACKUP_SETTINGS_PATH, "utf8")) };
+  } catch (err) {
+    return { ...DEFAULT_BACKUP_SETTINGS };
+  }
+}
+
+function writeBackupSettings(changes) {
+  const settings = { ...readBackupSettings(), ...changes };
+  fs.writeFileSync(BACKUP_SETTINGS_PATH, JSON.stringify(settings, null, 2));
+  return settings;
+}
+
+/**
+ * Backup settings, the last success/failure and the backups in the
+ * chosen folder (newest first)
+ */
+function getBackupStatus() {
+  const settings = readBackupSettings();
+  return { ...settings, running: Boolean(backupRun), backups: backup.listBackups(settings.folder) };
+}
+
+/**
+ * Update backup settings: folder (absolute path outside the vault, or
+ * null to turn backups off), intervalHours (0 = manual only) and keep
+ * (number of backups to keep)
+ */
+function setBackupSettings(changes = {}) {
+  const validated = {};
+  if ("folder" in changes) {
+    const folder = changes.folder ? path.resolve(changes.folder) : null;
+    if (folder && (folder === VAULT_DIR || folder.startsWith(VAULT_DIR + path.sep))) {
+      throw new Error("Choose a backup folder outside the vault");
+    }
+    validated.folder = folder;
+  }
+  if ("intervalHours" in changes) {
+    const hours = Number(changes.intervalHours);
+    if (!Number.isFinite(hours) || hours < 0 || hours > MAX_BACKUP_INTERVAL_HOURS) {
+      throw new Error(`Backup interval must be between 0 and ${MAX_BACKUP_INTERVAL_HOURS} hours`);
+    }
+    validated.intervalHours = hours;
+  }
+  if ("keep" in changes) {
+    const keep = Number(changes.keep);
+    if (!Number.isInteger(keep) || keep < 1 || keep > MAX_BACKUPS_KEPT) {
+      throw new Error(`Number of backups to keep must be between 1 and ${MAX_BACKUPS_KEPT}`);
+    }
+    validated.keep = keep;
+  }
+  writeBackupSettings(validated);
+  return getBackupStatus();
+}
+
+/**
+ * Back up the vault now (see backup.cjs). The outcome is recorded as
+ * lastBackup or lastError in the backup settings.
+ */
+async function runBackup(options = {}) {
+  const settings = readBackupSettings();
+  if (!settings.folder) throw new Error("No backup folder chosen");
+  if (backupRun) throw new Error("A backup is already running");
+  if (encryptionRun) throw new Error("Wait for the vault encryption to finish");
+
+  // A locked vault is backed up as it is, encrypted, with its vault.key
+  backupRun = backup.createBackup(getDatabase({ allowLocked: true }), {
+    vaultDir: VAULT_DIR,
+    folder: settings.folder,
+    keep: settings.keep,
+    schemaVersion: LATEST_VERSION,
+    keyFile: KEY_FILE_PATH,
+    onProgress: options.onProgress,
+  }).then((result) => {
+    writeBackupSettings({
+      lastBackup: { at: result.createdAt, id: result.id, items: result.items },
+      lastError: null,
+    });
+    console.log("[BACKUP] Backed up", result.items, "items to:", result.dir, `(${result.removed} old backups removed)`);
+    return result;
+  }, (err) => {
+    writeBackupSettings({ lastError: { at: new Date().toISOString(), message: err.message } });
+    console.error("[BACKUP] Backup failed:", err.message);
+    throw err;
+  }).finally(() => {
+    backupRun = null;
+  });
+  return backupRun;
+}
+
+// True when a folder is set and the last successful backup is older than the interval
+function isBackupDue() {
+  const settings = readBackupSettings();
+  if (!settings.folder || !settings.intervalHours || backupRun || encryptionRun) return false;
+  const last = settings.lastBackup ? Date.parse(settings.lastBackup.at) : 0;
+  return Date.now() - last >= settings.intervalHours * 60 * 60 * 1000;
+}
+
+function findBackup(id) {
+  const found = backup.listBackups(readBackupSettings().folder).find(entry => entry.id === id);
+  if (!found) throw new Error(`Backup not found: ${id}`);
+  return found;
+}
+
+/**
+ * Check a backup without restoring it: { ok, errors, warnings, items, schemaVersion }
+ */
+function validateBackup(id) {
+  return backup.validateBackup(findBackup(id).dir, { supportedVersion: LATEST_VERSION });
+}
+
+/**
+ * Replace vault.db with a validated backup and copy back missing files.
+ * The database being replaced is kept in VAULT_DIR/backups; the search
+ * index is rebuilt and background jobs restart on the restored vault.
+ * A backup of an encrypted vault brings its vault.key along and leaves
+ * the vault locked.
+ */
+async function restoreBackup(id) {
+  const target = findBackup(id);
+  const check = backup.validateBackup(target.dir, { supportedVersion: LATEST_VERSION });
+  if (!check.ok) throw new Error(`Backup failed validation: ${check.errors.join("; ")}`);
+  if (backupRun || vaultTransfer || vaultCheck || encryptionRun) {
+    throw new Error("Wait for the running backup, export, import, vault check or encryption to finish");
+  }
+
+  // Close everything that holds the current database
+  const restartJobs = jobsStarted;
+  await stopBackgroundJobs();
+  jobQueue = null;
+  dropAnnIndex();
+  if (db) {
+    db.close();
+    db = null;
+  }
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const keptPath = path.join(VAULT_DIR, "backups", `vault-before-restore-${stamp}.db`);
+  const sidecars = ["", "-wal", "-shm"].filter(suffix => fs.existsSync(DB_PATH + suffix));
+  fs.mkdirSync(path.dirname(keptPath), { recursive: true });
+  sidecars.forEach(suffix => fs.renameSync(DB_PATH + suffix, keptPath + suffix));
+  // An encrypted database is useless without its key
+  const keptKeyPath = keptPath.replace(/\.db$/, ".key");
+  if (fs.existsSync(KEY_FILE_PATH)) fs.copyFileSync(KEY_FILE_PATH, keptKeyPath);
+
+  let files;
+  try {
+    files = backup.restoreBackupFiles(target.dir, { vaultDir: VAULT_DIR, dbPath: DB_PATH, keyPath: KEY_FILE_PATH });
+  } catch (err) {
+    // Put the previous database back
+    fs.rmSync(DB_PATH, { force: true });
+    sidecars.forEach(suffix => fs.renameSync(keptPath + suffix, DB_PATH + suffix));
+    if (fs.existsSync(keptKeyPath)) fs.copyFileSync(keptKeyPath, KEY_FILE_PATH);
+    throw err;
+  }
+  fs.rmSync(ANN_INDEX_PATH, { force: true });
+
+  initDatabase();
+  vaultKeys = null;
+  vaultLocked = fs.existsSync(KEY_FILE_PATH);
+  loadAnnIndex();
+  vaultOpenError = null;
+  invalidateTagCentroids();
+  if (restartJobs && !vaultLocked) startBackgroundJobs();
+  console.log("[BACKUP] Restored", target.id, `(${check.items} items, ${files} files); previous vault kept at:`, keptPath);
+  return {
+    id: target.id,
+    items: check.items,
+    files,
+    warnings: check.warnings,
+    previousVault: keptPath,
+    locked: vaultLocked,
+  };
+}
+
+// ===== ENCRYPTION =====
+// Optional at-rest encryption (see encryption.cjs). In an encrypted vault
+// the title, content and metadata of items and versions are stored
+// encrypted, as are vault files and thumbnails. The full-text index lives
+// in memory (temp.items_fts, which shadows the empty on-disk table) and is
+// rebuilt on unlock. Embeddings are sealed like vault files, and their HNSW
+// index is kept in memory as well. Tags, dates and file hashes stay readable.
+
+const AUTO_LOCK_SETTING = "autoLockMinutes";
+const DEFAULT_AUTO_LOCK_MINUTES = 15;
+const MAX_AUTO_LOCK_MINUTES = 24 * 60;
+// Decrypted copies handed to other apps ("Open in default app")
+const OPEN_COPIES_DIR = path.join(os.tmpdir(), "altdump-open");
+const ENCRYPTING_SUFFIX = ".encrypting";
+
+let vaultKeys = null;      // { id, encryptionKey, hashKey } while an encrypted vault is unlocked
+let vaultLocked = false;
+let encryptionRun = null;
+
+function isVaultEncrypted() {
+  return fs.existsSync(KEY_FILE_PATH);
+}
+
+function isVaultLocked() {
+  return vaultLocked;
+}
+
+function sealValue(value) {
+  if (value === null || value === undefined || !vaultKeys) return value;
+  return encryption.encryptText(vaultKeys, value);
+}
+
+function openValue(value) {
+  if (!encryption.isEncryptedText(value)) return value;
+  if (!vaultKeys) throw new encryption.VaultLockedError();
+  return encryption.decryptText(vaultKeys, value);
+}
+
+// Decrypted copy of an items row (rows from plain vaults pass through)
+function openRow(row) {
+  if (!row) return row;
+  return { ...row, title: openValue(row.title), content: openValue(row.content), metadata: openValue(row.metadata) };
+}
+
+function isVaultFileEncrypted(filePath) {
+  try {
+    return encryption.fileKeyId(filePath) !== null;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Content of a vault file or thumbnail, decrypted if needed
+ */
+function readVaultFile(filePath) {
+  const data = fs.readFileSync(filePath);
+  if (!encryption.isEncryptedBuffer(data)) return data;
+  if (!vaultKeys) throw new encryption.VaultLockedError();
+  return encryption.decryptBuffer(vaultKeys, data);
+}
+
+// Nothing is written to an encrypted vault without its key
+function writeVaultFile(filePath, data) {
+  if (vaultLocked) throw new encryption.VaultLockedError();
+  fs.writeFileSync(filePath, vaultKeys ? encryption.encryptBuffer(vaultKeys, data) : data);
+}
+
+function copyIntoVault(sourcePath, targetPath) {
+  if (vaultKeys || vaultLocked) writeVaultFile(targetPath, fs.readFileSync(sourcePath));
+  else fs.copyFileSync(sourcePath, targetPath);
+}
+
+function copyOutOfVault(sourcePath, targetPath) {
+  if (isVaultFileEncrypted(sourcePath)) fs.writeFileSync(targetPath, readVaultFile(sourcePath));
+  else fs.copyFileSync(sourcePath, targetPath);
+}
+
+// Size of a vault file's content
+function vaultFileSize(filePath) {
+  const size = fs.statSync(filePath).size;
+  return isVaultFileEncrypted(filePath) ? size - encryption.FILE_OVERHEAD : size;
+}
+
+// sha256 of a vault file's content, as stored in items.hash
+async function hashVaultFile(filePath) {
+  if (!isVaultFileEncrypted(filePath)) return integrity.hashFile(filePath);
+  return crypto.createHash("sha256").update(readVaultFile(filePath)).digest("hex");
+}
+
+/**
+ * A stored file for display (the altdump:// protocol, see main.cjs):
+ * { data, mimeType }. Paths outside the vault are refused.
+ */
+function readStoredFile(storedPath) {
+  const filePath = resolveVaultPath(storedPath);
+  if (!filePath) throw new Error(`Not a vault file: ${storedPath}`);
+  if (vaultLocked) throw new encryption.VaultLockedError();
+  return { data: readVaultFile(filePath), mimeType: getMimeType(filePath) };
+}
+
+/**
+ * Path another application can open: the file itself, or a decrypted
+ * copy in a private temp folder that is removed when the vault locks
+ */
+function getOpenablePath(filePath) {
+  if (!isVaultFileEncrypted(filePath)) return filePath;
+  const data = readVaultFile(filePath);
+  fs.mkdirSync(OPEN_COPIES_DIR, { recursive: true, mode: 0o700 });
+  const copyPath = path.join(OPEN_COPIES_DIR, path.basename(filePath));
+  fs.writeFileSync(copyPath, data, { mode: 0o600 });
+  return copyPath;
+}
+
+function removeOpenCopies() {
+  try {
+    fs.rmSync(OPEN_COPIES_DIR, { recursive: true, force: true });
+  } catch (err) {
+    // Usually a copy still open in another app (Windows)
+    console.warn("[ENCRYPTION] Failed to remove decrypted copies:", err.message);
+  }
+}
+
+/**
+ * Build the in-memory full-text index from the decrypted rows. Same
+ * columns as the on-disk table (migration 8).
+ */
+function createMemoryFtsIndex() {
+  db.exec(`
+    DROP TABLE IF EXISTS temp.items_fts;
+    CREATE VIRTUAL TABLE temp.items_fts USING fts5(
+      item_id UNINDEXED,
+      title,
+      content,
+      extracted_text,
+      filename,
+      notes,
+      tokenize = 'unicode61 remove_diacritics 2'
+    );
+  `);
+  db.transaction(() => {
+    for (const row of db.prepare("SELECT id, title, content, metadata FROM items").all()) {
+      const plain = openRow(row);
+      const metadata = JSON.parse(plain.metadata || "{}");
+      indexItemText(row.id, {
+        title: plain.title,
+        content: plain.content,
+        extractedText: metadata.extractedText,
+        filename: metadata.filename,
+        notes: metadata.notes,
+      });
+    }
+  })();
+}
+
+/**
+ * { encrypted, locked, encrypting, autoLockMinutes }; autoLockMinutes is
+ * null unless the vault is encrypted and unlocked
+ */
+function getEncryptionStatus() {
+  const encrypted = isVaultEncrypted();
+  return {
+    encrypted,
+    locked: vaultLocked,
+    encrypting: Boolean(encryptionRun),
+    autoLockMinutes: encrypted && !vaultLocked ? getAutoLockMinutes() : null,
+  };
+}
+
+function getAutoLockMinutes() {
+  const value = parseInt(getSetting(AUTO_LOCK_SETTING, DEFAULT_AUTO_LOCK_MINUTES), 10);
+  return Number.isFinite(value) ? value : DEFAULT_AUTO_LOCK_MINUTES;
+}
+
+// Minutes of inactivity before the vault locks itself; 0 turns auto-lock off
+function setAutoLockMinutes(minutes) {
+  const value = Number(minutes);
+  if (!Number.isInteger(value) || value < 0 || value > MAX_AUTO_LOCK_MINUTES) {
+    throw new Error(`Auto-lock must be a whole number of minutes between 0 and ${MAX_AUTO_LOCK_MINUTES}`);
+  }
+  setSetting(AUTO_LOCK_SETTING, value);
+  return getEncryptionStatus();
+}
+
+/**
+ * Encrypt the vault in place with a new key wrapped by `passphrase`.
+ * Copies the vault kept for itself (VAULT_DIR/backups) are encrypted too.
+ * A conversion that was interrupted is resumed instead (the vault must be
+ * unlocked). Returns the encryption status.
+ */
+function enableEncryption(passphrase, options = {}) {
+  const keyFile = isVaultEncrypted() ? encryption.readKeyFile(KEY_FILE_PATH) : null;
+  if (keyFile && keyFile.state === "ready") throw new Error("The vault is already encrypted");
+  if (vaultLocked) throw new encryption.VaultLockedError();
+  if (encryptionRun || backupRun || vaultTransfer || vaultCheck) {
+    throw new Error("Wait for the running backup, export, import, vault check or encryption to finish");
+  }
+
+  encryptionRun = (async () => {
+    const restartJobs = jobsStarted;
+    await stopBackgroundJobs();
+    try {
+      let current = keyFile;
+      if (!current) {
+        const created = await encryption.createVaultKey(passphrase);
+        encryption.writeKeyFile(KEY_FILE_PATH, created.keyFile);
+        vaultKeys = created.keys;
+        current = created.keyFile;
+        createMemoryFtsIndex();
+      }
+      await finishEncryption(current, options.onProgress);
+      console.log("[ENCRYPTION] Vault encrypted");
+    } finally {
+      if (restartJobs) startBackgroundJobs();
+    }
+  })().finally(() => {
+    encryptionRun = null;
+  });
+  return encryptionRun.then(getEncryptionStatus);
+}
+
+/**
+ * Encrypt whatever is still plain. Every step skips work already done, so
+ * an interrupted conversion can simply run this again.
+ */
+async function finishEncryption(keyFile, onProgress = () => {}) {
+  db.pragma("secure_delete = ON");
+  onProgress({ phase: "rows", done: 0, total: 1 });
+  // The embedding index is kept in memory from now on (see loadAnnIndex)
+  annSaveToken++;
+  fs.rmSync(ANN_INDEX_PATH, { force: true });
+  encryptVaultRows();
+  // Rewrite the file so no plain text is left in free pages
+  db.exec("VACUUM");
+  onProgress({ phase: "rows", done: 1, total: 1 });
+  await encryptVaultFiles(onProgress);
+  encryption.writeKeyFile(KEY_FILE_PATH, { ...keyFile, state: "ready" });
+}
+
+function encryptVaultRows() {
+  const seal = (value) => (value === null || encryption.isEncryptedText(value) ? value : sealValue(value));
+  const updateItemRow = db.prepare("UPDATE items SET title = ?, content = ?, metadata = ?, embedding = ?, hash = ? WHERE id = ?");
+  const updateVersion = db.prepare("UPDATE item_versions SET title = ?, content = ? WHERE id = ?");
+  const updateClipboardEntry = db.prepare("UPDATE clipboard_entries SET content = ?, source_app = ?, hash = ? WHERE id = ?");
+  db.transaction(() => {
+    for (const row of db.prepare("SELECT id, type, title, content, metadata, embedding, hash FROM items").all()) {
+      const plain = openRow(row);
+      const hash = row.hash && (row.type === "text" || row.type === "link")
+        ? hashText(plain.content ?? JSON.parse(plain.metadata || "{}").url)
+        : row.hash;
+      updateItemRow.run(seal(row.title), seal(row.content), seal(row.metadata), sealEmbedding(row.embedding), hash, row.id);
+    }
+    for (const version of db.prepare("SELECT id, title, content FROM item_versions").all()) {
+      updateVersion.run(seal(version.title), seal(version.content), version.id);
+    }
+    for (const entry of db.prepare("SELECT id, kind, content, source_app, hash FROM clipboard_entries").all()) {
+      const hash = entry.kind === "image" ? entry.hash : hashText(openValue(entry.content));
+      updateClipboardEntry.run(seal(entry.content), seal(entry.source_app), hash, entry.id);
+    }
+    // Deleted rows stay in FTS5 segments until they are merged
+    db.exec("DELETE FROM main.items_fts");
+    db.exec("INSERT INTO main.items_fts(items_fts) VALUES ('optimize')");
+  })();
+}
+
+// Every file in the vault except the database, index and key, including
+// thumbnails and quarantined files
+function listVaultFiles(dir = VAULT_DIR) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (dir === VAULT_DIR && (entry.name === "backups" || integrity.RESERVED_VAULT_FILES.some(p => p.test(entry.name)))) continue;
+    if (entry.isDirectory()) files.push(...listVaultFiles(fullPath));
+    else if (entry.name.endsWith(ENCRYPTING_SUFFIX)) fs.rmSync(fullPath, { force: true }); // left by a crash
+    else if (entry.isFile()) files.push(fullPath);
+  }
+  return files;
+}
+
+// Database copies kept by migrations and restores. Their .key files hold
+// wrapped keys and stay as they are.
+function listVaultBackupCopies() {
+  const dir = path.join(VAULT_DIR, "backups");
+  if (!fs.existsSync(dir)) return [];
+  return listVaultFiles(dir).filter(filePath => !filePath.endsWith(".key"));
+}
+
+async function encryptVaultFiles(onProgress) {
+  const files = [...listVaultFiles(), ...listVaultBackupCopies()];
+  for (let i = 0; i < files.length; i++) {
+    onProgress({ phase: "files", done: i, total: files.length });
+    const filePath = files[i];
+    if (isVaultFileEncrypted(filePath)) continue;
+    fs.writeFileSync(filePath + ENCRYPTING_SUFFIX, encryption.encryptBuffer(vaultKeys, fs.readFileSync(filePath)));
+    fs.renameSync(filePath + ENCRYPTING_SUFFIX, filePath);
+    // Stay responsive on large vaults
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  onProgress({ phase: "files", done: files.length, total: files.length });
+}
+
+/**
+ * Unlock an encrypted vault; throws "Wrong passphrase" on a mismatch.
+ * Background jobs are left to the caller to restart.
+ */
+async function unlockVault(passphrase, options = {}) {
+  if (!vaultLocked) return getEncryptionStatus();
+  const keyFile = encryption.readKeyFile(KEY_FILE_PATH);
+  const keys = await encryption.unlockVaultKey(keyFile, passphrase);
+  if (!vaultLocked) return getEncryptionStatus(); // unlocked meanwhile
+
+  vaultKeys = keys;
+  vaultLocked = false;
+  createMemoryFtsIndex();
+  loadAnnIndex();
+  if (keyFile.state !== "ready") {
+    // The vault was closed while being encrypted; finish the job
+    encryptionRun = finishEncryption(keyFile, options.onProgress).finally(() => {
+      encryptionRun = null;
+    });
+    await encryptionRun;
+  }
+  console.log("[ENCRYPTION] Vault unlocked");
+  return getEncryptionStatus();
+}
+
+/**
+ * Forget the key: background jobs stop, the in-memory search and embedding
+ * indexes and decrypted copies are dropped. No-op for plain or locked vaults.
+ */
+async function lockVault() {
+  if (!vaultKeys) return getEncryptionStatus();
+  if (encryptionRun || vaultTransfer || vaultCheck) {
+    throw new Error("Wait for the running encryption, export, import or vault check to finish");
+  }
+  await stopBackgroundJobs();
+  vaultLocked = true;
+  vaultKeys = null;
+  db.exec("DROP TABLE IF EXISTS temp.items_fts");
+  dropAnnIndex();
+  removeOpenCopies();
+  console.log("[ENCRYPTION] Vault locked");
+  return getEncryptionStatus();
+}
+
+// ===== CLIPBOARD INBOX =====
+// What the clipboard watcher (main.cjs) records, kept apart from items
+// until an entry is promoted. Entries copied again within the dedupe
+// window are bumped instead of repeated; the oldest beyond the history
+// length are dropped. Images live in VAULT_DIR/clipboard/ and are not
+// part of backups or archives.
+
+const CLIPBOARD_SETTING = "clipboard";
+const CLIPBOARD_DIR = "clipboard";
+const DEFAULT_CLIPBOARD_SETTINGS = {
+  enabled: false,
+  historyLength: 200,
+  dedupeSeconds: 60,
+  maxTextLength: 100000,
+  maxImageMB: 10,
+  captureImages: true,
+  skipSecrets: true,
+  excludedApps: ["1Password", "Bitwarden", "KeePass", "LastPass", "Dashlane", "Enpass", "Keychain Access"],
+};
+const MAX_CLIPBOARD_HISTORY = 5000;
+const MAX_CLIPBOARD_DEDUPE_SECONDS = 24 * 60 * 60;
+const MAX_CLIPBOARD_TEXT_LENGTH = 1000000;
+const MAX_CLIPBOARD_IMAGE_MB = 100;
+const MAX_EXCLUDED_APPS = 100;
+
+function getClipboardSettings() {
+  return { ...DEFAULT_CLIPBOARD_SETTINGS, ...getSetting(CLIPBOARD_SETTING, {}) };
+}
+
+function validateWholeNumber(value, min, max, message) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) throw new Error(message);
+  return number;
+}
+
+/**
+ * Update clipboard inbox settings: enabled, historyLength (entries kept),
+ * dedupeSeconds, maxTextLength (characters), maxImageMB, captureImages,
+ * skipSecrets (ignore text with secrets, see secrets.cjs) and excludedApps
+ * (application names whose copies are ignored). Returns the settings; a
+ * shorter history takes effect immediately.
+ */
+function setClipboardSettings(changes = {}) {
+  const validated = {};
+  for (const key of ["enabled", "captureImages", "skipSecrets"]) {
+    if (key in changes) validated[key] = Boolean(changes[key]);
+  }
+  if ("historyLength" in changes) {
+    validated.historyLength = validateWholeNumber(changes.historyLength, 1, MAX_CLIPBOARD_HISTORY,
+      `History length must be between 1 and ${MAX_CLIPBOARD_HISTORY} entries`);
+  }
+  if ("dedupeSeconds" in changes) {
+    validated.dedupeSeconds = validateWholeNumber(changes.dedupeSeconds, 0, MAX_CLIPBOARD_DEDUPE_SECONDS,
+      `Dedupe window must be between 0 and ${MAX_CLIPBOARD_DEDUPE_SECONDS} seconds`);
+  }
+  if ("maxTextLength" in changes) {
+    validated.maxTextLength = validateWholeNumber(changes.maxTextLength, 1, MAX_CLIPBOARD_TEXT_LENGTH,
+      `Maximum text length must be between 1 and ${MAX_CLIPBOARD_TEXT_LENGTH} characters`);
+  }
+  if ("maxImageMB" in changes) {
+    validated.maxImageMB = validateWholeNumber(changes.maxImageMB, 1, MAX_CLIPBOARD_IMAGE_MB,
+      `Maximum image size must be between 1 and ${MAX_CLIPBOARD_IMAGE_MB} MB`);
+  }
+  if ("excludedApps" in changes) {
+    if (!Array.isArray(changes.excludedApps)) throw new Error("Excluded apps must be a list of names");
+    const names = changes.excludedApps.map(name => String(name || "").trim()).filter(Boolean);
+    if (names.length > MAX_EXCLUDED_APPS) throw new Error(`At most ${MAX_EXCLUDED_APPS} apps can be excluded`);
+    validated.excludedApps = [...new Set(names)];
+  }
+  const settings = { ...getClipboardSettings(), ...validated };
+  setSetting(CLIPBOARD_SETTING, settings);
+  trimClipboardHistory(settings.historyLength);
+  return settings;
+}
+
+function rowToClipboardEntry(row) {
+  return {
+    id: row.id,
+    kind: row.kind,
+    text: openValue(row.content),
+    imagePath: row.image_path,
+    size: row.size,
+    sourceApp: openValue(row.source_app),
+    createdAt: row.created_at,
+    copiedAt: row.copied_at,
+    copies: row.copy_count,
+  };
+}
+
+function getClipboardEntry(id) {
+  const row = getDatabase().prepare("SELECT * FROM clipboard_entries WHERE id = ?").get(id);
+  return row ? rowToClipboardEntry(row) : null;
+}
+
+// Remove clipboard images no remaining entry uses
+function removeClipboardImages(imagePaths) {
+  const stillReferenced = getDatabase().prepare("SELECT 1 FROM clipboard_entries WHERE image_path = ?");
+  for (const stored of new Set(imagePaths.filter(Boolean))) {
+    const filePath = resolveVaultPath(stored);
+    if (!filePath || stillReferenced.get(stored)) continue;
+    try {
+      fs.rmSync(filePath, { force: true });
+    } catch (err) {
+      console.warn("[CLIPBOARD] Failed to remove image:", filePath, err.message);
+    }
+  }
+}
+
+function deleteClipboardRows(rows) {
+  if (rows.length === 0) return 0;
+  const db = getDatabase();
+  const remove = db.prepare("DELETE FROM clipboard_entries WHERE id = ?");
+  db.transaction(() => rows.forEach(row => remove.run(row.id)))();
+  removeClipboardImages(rows.map(row => row.image_path));
+  return rows.length;
+}
+
+function trimClipboardHistory(historyLength) {
+  const expired = getDatabase().prepare(
+    "SELECT id, image_path FROM clipboard_entries ORDER BY copied_at DESC LIMIT -1 OFFSET ?"
+  ).all(historyLength);
+  return deleteClipboardRows(expired);
+}
+
+/**
+ * Record something copied to the clipboard. capture is { kind: "text",
+ * text } or { kind: "image", image: <PNG Buffer> }, plus sourceApp (may
+ * be null). Returns the new or bumped entry, or null if the settings rule
+ * the capture out (inbox off, excluded app, too large, secrets).
+ */
+function recordClipboardEntry(capture) {
+  const settings = getClipboardSettings();
+  if (!settings.enabled) return null;
+  const skip = (reason) => {
+    console.log("[CLIPBOARD] Skipped copy:", reason);
+    return null;
+  };
+  if (isExcludedApp(capture.sourceApp, settings.excludedApps)) return skip(`copied in ${capture.sourceApp}`);
+
+  let kind;
+  let content = null;
+  let image = null;
+  let hash;
+  let size;
+  if (capture.kind === "image") {
+    if (!settings.captureImages) return skip("images are not captured");
+    image = capture.image;
+    size = image.length;
+    if (size > settings.maxImageMB * 1024 * 1024) return skip(`image larger than ${settings.maxImageMB} MB`);
+    kind = "image";
+    hash = crypto.createHash("sha256").update(image).digest("hex");
+  } else {
+    content = String(capture.text || "");
+    if (!content.trim()) return null;
+    if (content.length > settings.maxTextLength) return skip(`text longer than ${settings.maxTextLength} characters`);
+    if (settings.skipSecrets && secrets.scanSecrets(content).length > 0) return skip("text contains secrets");
+    kind = isURLContent(content) ? "link" : "text";
+    hash = hashText(content);
+    size = Buffer.byteLength(content, "utf8");
+  }
+
+  const db = getDatabase();
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - settings.dedupeSeconds * 1000).toISOString();
+  const recent = db.prepare(
+    "SELECT id FROM clipboard_entries WHERE hash = ? AND copied_at >= ? ORDER BY copied_at DESC LIMIT 1"
+  ).get(hash, windowStart);
+  if (recent) {
+    db.prepare("UPDATE clipboard_entries SET copied_at = ?, copy_count = copy_count + 1 WHERE id = ?")
+      .run(now.toISOString(), recent.id);
+    return getClipboardEntry(recent.id);
+  }
+
+  let imagePath = null;
+  if (image) {
+    imagePath = `${CLIPBOARD_DIR}/${hash}.png`;
+    const filePath = path.join(VAULT_DIR, CLIPBOARD_DIR, `${hash}.png`);
+    if (!fs.existsSync(filePath)) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      writeVaultFile(filePath, image);
+    }
+  }
+  const id = uuidv4();
+  db.prepare(`
+    INSERT INTO clipboard_entries (id, kind, content, image_path, hash, size, source_app, created_at, copied_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, kind, sealValue(content), imagePath, hash, size, sealValue(capture.sourceApp || null),
+    now.toISOString(), now.toISOString());
+  trimClipboardHistory(settings.historyLength);
+  console.log("[CLIPBOARD] Recorded", kind, "entry:", id);
+  return getClipboardEntry(id);
+}
+
+/**
+ * Clipboard entries, most recently copied first. Image entries whose file
+ * is gone (e.g. after restoring a backup) are dropped.
+ */
+function listClipboardEntries() {
+  const rows = getDatabase().prepare("SELECT * FROM clipboard_entries ORDER BY copied_at DESC").all();
+  const stale = rows.filter(row => row.kind === "image" && !fs.existsSync(resolveVaultPath(row.image_path) || ""));
+  deleteClipboardRows(stale);
+  return rows.filter(row => !stale.includes(row)).map(rowToClipboardEntry);
+}
+
+function deleteClipboardEntry(id) {
+  const row = getDatabase().prepare("SELECT id, image_path FROM clipboard_entries WHERE id = ?").get(id);
+  if (!row) throw new Error(`Clipboard entry not found: ${id}`);
+  deleteClipboardRows([row]);
+}
+
+// Empty the inbox; returns the number of entries removed
+function clearClipboardEntries() {
+  return deleteClipboardRows(getDatabase().prepare("SELECT id, image_path FROM clipboard_entries").all());
+}
+
+/**
+ * Save a clipboard entry as a permanent vault item and remove it from the
+ * inbox. Text goes through addTextItem and images are saved like dropped
+ * files, so options (tags, allowDuplicate, secrets) and the
+ * { duplicate } / { secretsFound } results are the same; the entry stays
+ * in the inbox until it is actually saved.
+ */
+async function promoteClipboardEntry(id, options = {}) {
+  const row = getDatabase().prepare("SELECT * FROM clipboard_entries WHERE id = ?").get(id);
+  if (!row) throw new Error(`Clipboard entry not found: ${id}`);
+  const entry = rowToClipboardEntry(row);
+  const metadata = { source: "clipboard", ...(entry.sourceApp ? { sourceApp: entry.sourceApp } : {}) };
+
+  let saved;
+  if (entry.kind === "image") {
+    const filePath = resolveVaultPath(entry.imagePath);
+    if (!filePath || !fs.existsSync(filePath)) throw new Error("The clipboard image is no longer in the vault");
+    const fileName = `clipboard-${entry.createdAt.slice(0, 19).replace(/[:T]/g, "-")}.png`;
+    saved = await addFileData(fileName, readVaultFile(filePath), { ...options, metadata });
+  } else {
+    saved = await addTextItem(entry.text, { ...options, metadata });
+  }
+  if (saved.duplicate || saved.secretsFound) return saved;
+  deleteClipboardRows([row]);
+  console.log("[CLIPBOARD] Promoted entry", id, "to item", saved.id);
+  return saved;
+}
+
+// ===== SETTINGS =====
+
+function getSetting(key, defaultValue = null) {
+  const row = getDatabase().prepare("SELECT value FROM settings WHERE key = ?").get(key);
+  return row ? JSON.parse(row.value) : defaultValue;
+}
+
+function setSetting(key, value) {
+  getDatabase().prepare(`
+    INSERT INTO settings (key, value) VALUES (?, ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value
+  `).run(key, JSON.stringify(value));
+}
+
+// ===== TAGS =====
+
+/**
+ * Clean up a user-entered tag: drop leading '#', collapse whitespace.
+ * Returns null for empty names.
+ */
+function normalizeTagName(name) {
+  const cleaned = String(name || "").replace(/^#+/, "").replace(/\s+/g, " ").trim().slice(0, MAX_TAG_LENGTH);
+  return cleaned || null;
+}
+
+function getOrCreateTagId(name) {
+  const db = getDatabase();
+  const existing = db.prepare("SELECT id FROM tags WHERE name = ?").get(name);
+  if (existing) return existing.id;
+  return db.prepare("INSERT INTO tags (name, created_at) VALUES (?, ?)")
+    .run(name, new Date().toISOString()).lastInsertRowid;
+}
+
+/**
+ * Map of item id -> sorted tag names for the given items
+ */
+function getTagsForItems(ids) {
+  const byItem = new Map();
+  if (ids.length === 0) return byItem;
+  const rows = getDatabase().prepare(`
+    SELECT it.item_id, t.name
+    FROM item_tags it JOIN tags t ON t.id = it.tag_id
+    WHERE it.item_id IN (SELECT value FROM json_each(?))
+    ORDER BY t.name COLLATE NOCASE
+  `).all(JSON.stringify(ids));
+  for (const row of rows) {
+    if (!byItem.has(row.item_id)) byItem.set(row.item_id, []);
+    byItem.get(row.item_id).push(row.name);
+  }
+  return byItem;
+}
+
+// Also attaches the collections each item is in (see getCollectionsForItems)
+function withTags(items) {
+  const ids = items.map(item => item.id);
+  const byItem = getTagsForItems(ids);
+  const collectionsByItem = getCollectionsForItems(ids);
+  for (const item of items) {
+    item.tags = byItem.get(item.id) || [];
+    item.collections = collectionsByItem.get(item.id) || [];
+  }
+  return items;
+}
+
+// Tags without items are removed so the sidebar only lists tags in use
+function pruneUnusedTags() {
+  getDatabase().prepare(
+    "DELETE FROM tags WHERE id NOT IN (SELECT DISTINCT tag_id FROM item_tags)"
+  ).run();
+}
+
+// Replace an item's tags without queueing a re-embed (callers decide)
+function replaceItemTags(itemId, names) {
+  const db = getDatabase();
+  const now = new Date().toISOString();
+  db.prepare("DELETE FROM item_tags WHERE item_id = ?").run(itemId);
+  const link = db.prepare("INSERT OR IGNORE INTO item_tags (item_id, tag_id, created_at) VALUES (?, ?, ?)");
+  for (const name of names.map(normalizeTagName).filter(Boolean)) {
+    link.run(itemId, getOrCreateTagId(name), now);
+  }
+  pruneUnusedTags();
+  invalidateTagCentroids();
+}
+
+/**
+ * All tags in use with their item counts, alphabetically
+ */
+function listTags() {
+  return getDatabase().prepare(`
+    SELECT t.id, t.name, COUNT(it.item_id) AS count
+    FROM tags t
+    JOIN item_tags it ON it.tag_id = t.id
+    JOIN items i ON i.id = it.item_id AND i.deleted_at IS NULL
+    GROUP BY t.id
+    ORDER BY t.name COLLATE NOCASE
+  `).all();
+}
+
+function setItemTags(itemId, names) {
+  const db = getDatabase();
+  if (!db.prepare("SELECT 1 FROM items WHERE id = ?").get(itemId)) {
+    throw new Error(`Item not found: ${itemId}`);
+  }
+  db.transaction(() => replaceItemTags(itemId, names))();
+  queueReembed(itemId);
+  return getItemById(itemId);
+}
+
+function addItemTag(itemId, name) {
+  const item = getItemById(itemId);
+  if (!item) throw new Error(`Item not found: ${itemId}`);
+  const tag = normalizeTagName(name);
+  if (!tag || item.tags.some(t => t.toLowerCase() === tag.toLowerCase())) return item;
+  return setItemTags(itemId, [...item.tags, tag]);
+}
+
+function removeItemTag(itemId, name) {
+  const item = getItemById(itemId);
+  if (!item) throw new Error(`Item not found: ${itemId}`);
+  const tag = normalizeTagName(name);
+  const remaining = item.tags.filter(t => t.toLowerCase() !== (tag || "").toLowerCase());
+  if (remaining.length === item.tags.length) return item;
+  return setItemTags(itemId, remaining);
+}
+
+/**
+ * Merge the source tags into `targetName` (created if needed): every item
+ * tagged with a source gets the target instead, and the sources are removed.
+ */
+function mergeTags(sourceNames, targetName) {
+  const db = getDatabase();
+  const target = normalizeTagName(targetName);
+  if (!target) throw new Error("Tag name cannot be empty");
+
+  const sources = sourceNames
+    .map(normalizeTagName)
+    .filter(name => name && name.toLowerCase() !== target.toLowerCase());
+  const sourceIds = sources
+    .map(name => db.prepare("SELECT id FROM tags WHERE name = ?").get(name))
+    .filter(Boolean)
+    .map(row => row.id);
+  if (sourceIds.length === 0) return listTags();
+
+  const affected = db.prepare(
+    "SELECT DISTINCT item_id FROM item_tags WHERE tag_id IN (SELECT value FROM json_each(?))"
+  ).all(JSON.stringify(sourceIds)).map(row => row.item_id);
+
+  db.transaction(() => {
+    const targetId = getOrCreateTagId(target);
+    db.prepare(`
+      INSERT OR IGNORE INTO item_tags (item_id, tag_id, created_at)
+      SELECT item_id, ?, created_at FROM item_tags
+      WHERE tag_id IN (SELECT value FROM json_each(?))
+    `).run(targetId, JSON.stringify(sourceIds));
+    db.prepare("DELETE FROM item_tags WHERE tag_id IN (SELECT value FROM json_each(?))")
+      .run(JSON.stringify(sourceIds));
+    pruneUnusedTags();
+  })();
+  invalidateTagCentroids();
+
+  affected.forEach(queueReembed);
+  console.log("[DB] Merged tags", sources, "into", target, `(${affected.length} items)`);
+  return listTags();
+}
+
+/**
+ * Rename a tag. Renaming onto an existing tag merges the two; a change of
+ * case only is a plain rename.
+ */
+function renameTag(oldName, newName) {
+  const db = getDatabase();
+  const from = normalizeTagName(oldName);
+  const to = normalizeTagName(newName);
+  if (!from || !to) throw new Error("Tag name cannot be empty");
+
+  const tag = db.prepare("SELECT id FROM tags WHERE name = ?").get(from);
+  if (!tag) throw new Error(`Tag not found: ${from}`);
+
+  if (from.toLowerCase() !== to.toLowerCase()) {
+    return mergeTags([from], to);
+  }
+
+  db.prepare("UPDATE tags SET name = ? WHERE id = ?").run(to, tag.id);
+  invalidateTagCentroids();
+  db.prepare("SELECT item_id FROM item_tags WHERE tag_id = ?").all(tag.id)
+    .forEach(row => queueReembed(row.item_id));
+  return listTags();
+}
+
+// ===== TAG SUGGESTIONS =====
+// Suggestions compare an item's embedding with the centroid of each tag's
+// items and with the embedding of the tag name itself. Everything runs on
+// the local model; nothing leaves the machine.
+
+const TAG_SUGGESTION_LIMIT = 5;
+const TAG_SUGGESTION_MIN_SCORE = 0.4;
+// Share of the score taken from the centroid when a tag has tagged items
+const TAG_CENTROID_WEIGHT = 0.75;
+
+let tagCentroids = null;              // Map tag name -> { centroid, count }
+const tagNameEmbeddings = new Map();  // lowercased name -> embedding
+
+function invalidateTagCentroids() {
+  tagCentroids = null;
+}
+
+function getTagCentroids() {
+  if (tagCentroids) return tagCentroids;
+  const rows = getDatabase().prepare(`
+    SELECT t.name, i.embedding
+    FROM item_tags it
+    JOIN tags t ON t.id = it.tag_id
+    JOIN items i ON i.id = it.item_id
+    WHERE i.embedding IS NOT NULL AND i.deleted_at IS NULL
+  `).all();
+
+  tagCentroids = new Map();
+  for (const row of rows) {
+    const embedding = blobToEmbedding(row.embedding);
+    if (!embedding || embedding.length !== EMBEDDING_DIM) continue;
+    if (!tagCentroids.has(row.name)) {
+      tagCentroids.set(row.name, { centroid: new Float32Array(EMBEDDING_DIM), count: 0 });
+    }
+    const entry = tagCentroids.get(row.name);
+    for (let i = 0; i < EMBEDDING_DIM; i++) entry.centroid[i] += embedding[i];
+    entry.count++;
+  }
+  return tagCentroids;
+}
+
+async function getTagNameEmbedding(name) {
+  const key = name.toLowerCase();
+  if (!tagNameEmbeddings.has(key)) {
+    const embedding = await generateEmbedding(name);
+    if (!embedding) return null;
+    tagNameEmbeddings.set(key, embedding);
+  }
+  return tagNameEmbeddings.get(key);
+}
+
+/**
+ * Rank existing tags for an embedding. Returns up to `limit` tag names,
+ * best first, leaving out anything in `exclude`.
+ */
+async function suggestTagsForEmbedding(embedding, { exclude = [], limit = TAG_SUGGESTION_LIMIT } = {}) {
+  const excluded = new Set(exclude.map(name => name.toLowerCase()));
+  const centroids = getTagCentroids();
+  const scored = [];
+
+  for (const tag of listTags()) {
+    if (excluded.has(tag.name.toLowerCase())) continue;
+    const nameEmbedding = await getTagNameEmbedding(tag.name);
+    const nameScore = nameEmbedding ? cosineSimilarity(embedding, nameEmbedding) : 0;
+    const entry = centroids.get(tag.name);
+    const score = entry
+      ? TAG_CENTROID_WEIGHT * cosineSimilarity(embedding, entry.centroid) + (1 - TAG_CENTROID_WEIGHT) * nameScore
+      : nameScore;
+    if (score >= TAG_SUGGESTION_MIN_SCORE) scored.push({ name: tag.name, score });
+  }
+
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(s => s.name);
+}
+
+/**
+ * Tag suggestions for text that has not been saved yet (the overlay draft)
+ */
+async function suggestTagsForText(text, exclude = []) {
+  if (!text || !text.trim() || listTags().length === 0) return [];
+  const embedding = await generateEmbedding(text);
+  if (!embedding) return [];
+  return suggestTagsForEmbedding(embedding, { exclude });
+}
+
+// ===== COLLECTIONS =====
+// User-made collections of items. An item can be in any number of them,
+// with a position in each; collections nest through parent_id and are
+// ordered among their siblings. Names are not encrypted, like tag names.
+
+const MAX_COLLECTION_NAME_LENGTH = 100;
+
+function normalizeCollectionName(name) {
+  const cleaned = String(name || "").replace(/\s+/g, " ").trim().slice(0, MAX_COLLECTION_NAME_LENGTH);
+  return cleaned || null;
+}
+
+// Siblings can't share a name in any case: `collection:` filters match
+// names case-insensitively (see query.cjs)
+function assertCollectionNameFree(name, parentId, exceptId = null) {
+  const taken = getDatabase().prepare(
+    "SELECT name FROM collections WHERE parent_id IS ? AND name = ? COLLATE NOCASE AND id IS NOT ?"
+  ).get(parentId || null, name, exceptId);
+  if (taken) throw new Error(`A collection named "${taken.name}" already exists there`);
+}
+
+function getCollectionRow(id) {
+  const row = getDatabase().prepare("SELECT * FROM collections WHERE id = ?").get(id);
+  if (!row) throw new Error(`Collection not found: ${id}`);
+  return row;
+}
+
+/**
+ * Every collection with its number of live items, as a flat list in tree
+ * order (each collection followed by its children):
+ * [{ id, name, parentId, position, depth, count, createdAt }]
+ */
+function listCollections() {
+  const rows = getDatabase().prepare(`
+    SELECT c.id, c.name, c.parent_id AS parentId, c.position, c.created_at AS createdAt,
+           COUNT(i.id) AS count
+    FROM collections c
+    LEFT JOIN collection_items ci ON ci.collection_id = c.id
+    LEFT JOIN items i ON i.id = ci.item_id AND i.deleted_at IS NULL
+    GROUP BY c.id
+    ORDER BY c.position, c.name COLLATE NOCASE
+  `).all();
+  const children = new Map();
+  for (const row of rows) {
+    if (!children.has(row.parentId)) children.set(row.parentId, []);
+    children.get(row.parentId).push(row);
+  }
+  const ordered = [];
+  const visit = (parentId, depth) => {
+    for (const row of children.get(parentId) || []) {
+      ordered.push({ ...row, depth });
+      visit(row.id, depth + 1);
+    }
+  };
+  visit(null, 0);
+  return ordered;
+}
+
+/**
+ * Map of item id -> [{ id, position }], the collections each item is in
+ */
+function getCollectionsForItems(ids) {
+  const byItem = new Map();
+  if (ids.length === 0) return byItem;
+  const rows = getDatabase().prepare(`
+    SELECT item_id, collection_id, position FROM collection_items
+    WHERE item_id IN (SELECT value FROM json_each(?))
+  `).all(JSON.stringify(ids));
+  for (const row of rows) {
+    if (!byItem.has(row.item_id)) byItem.set(row.item_id, []);
+    byItem.get(row.item_id).push({ id: row.collection_id, position: row.position });
+  }
+  return byItem;
+}
+
+function nextCollectionPosition(parentId) {
+  const row = getDatabase().prepare(
+    "SELECT MAX(position) AS position FROM collections WHERE parent_id IS ?"
+  ).get(parentId || null);
+  return row.position === null ? 0 : row.position + 1;
+}
+
+/**
+ * Create a collection at the end of `parentId`'s sub-collections (null:
+ * top level); returns it as listed by listCollections
+ */
+function createCollection(name, parentId = null) {
+  const cleaned = normalizeCollectionName(name);
+  if (!cleaned) throw new Error("Collection name cannot be empty");
+  if (parentId) getCollectionRow(parentId);
+  assertCollectionNameFree(cleaned, parentId);
+  const id = uuidv4();
+  const now = new Date().toISOString();
+  getDatabase().prepare(`
+    INSERT INTO collections (id, name, parent_id, position, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(id, cleaned, parentId || null, nextCollectionPosition(parentId), now, now);
+  console.log("[DB] Created collection:", id, cleaned);
+  return listCollections().find(collection => collection.id === id);
+}
+
+function renameCollection(id, name) {
+  const cleaned = normalizeCollectionName(name);
+  if (!cleaned) throw new Error("Collection name cannot be empty");
+  const row = getCollectionRow(id);
+  assertCollectionNameFree(cleaned, row.parent_id, id);
+  getDatabase().prepare("UPDATE collections SET name = ?, updated_at = ? WHERE id = ?")
+    .run(cleaned, new Date().toISOString(), id);
+  return listCollections();
+}
+
+/**
+ * Move a collection under `parentId` (null: top level), to `index` among
+ * its new siblings (default: last). A collection can't move into itself
+ * or one of its own sub-collections, or next to one with the same name.
+ */
+function moveCollection(id, parentId = null, index = null) {
+  const db = getDatabase();
+  const row = getCollectionRow(id);
+  if (parentId) {
+    getCollectionRow(parentId);
+    const parentOf = db.prepare("SELECT parent_id FROM collections WHERE id = ?");
+    for (let current = parentId; current; current = parentOf.get(current).parent_id) {
+      if (current === id) throw new Error("A collection can't be moved into itself");
+    }
+  }
+  assertCollectionNameFree(row.name, parentId, id);
+
+  const siblings = db.prepare(
+    "SELECT id FROM collections WHERE parent_id IS ? AND id != ? ORDER BY position, name COLLATE NOCASE"
+  ).all(parentId || null, id).map(row => row.id);
+  const at = Number.isInteger(index) ? Math.max(0, Math.min(index, siblings.length)) : siblings.length;
+  siblings.splice(at, 0, id);
+
+  db.transaction(() => {
+    db.prepare("UPDATE collections SET parent_id = ?, updated_at = ? WHERE id = ?")
+      .run(parentId || null, new Date().toISOString(), id);
+    const setPosition = db.prepare("UPDATE collections SET position = ? WHERE id = ?");
+    siblings.forEach((siblingId, position) => setPosition.run(position, siblingId));
+  })();
+  return listCollections();
+}
+
+/**
+ * Delete a collection. Its items stay in the vault and its
+ * sub-collections move up to its parent.
+ */
+function deleteCollection(id) {
+  const db = getDatabase();
+  const row = getCollectionRow(id);
+  db.transaction(() => {
+    const children = db.prepare("SELECT id FROM collections WHERE parent_id = ? ORDER BY position").all(id);
+    let position = nextCollectionPosition(row.parent_id);
+    const reparent = db.prepare("UPDATE collections SET parent_id = ?, position = ? WHERE id = ?");
+    for (const child of children) reparent.run(row.parent_id, position++, child.id);
+    db.prepare("DELETE FROM collections WHERE id = ?").run(id);
+  })();
+  console.log("[DB] Deleted collection:", id, row.name);
+  return listCollections();
+}
+
+// Append items to a collection in the given order; items already in it
+// keep their place. Runs inside the caller's transaction.
+function linkCollectionItems(collectionId, itemIds) {
+  const db = getDatabase();
+  const last = db.prepare("SELECT MAX(position) AS position FROM collection_items WHERE collection_id = ?").get(collectionId);
+  let position = last.position === null ? 0 : last.position + 1;
+  const now = new Date().toISOString();
+  const link = db.prepare(
+    "INSERT OR IGNORE INTO collection_items (collection_id, item_id, position, added_at) VALUES (?, ?, ?, ?)"
+  );
+  for (const itemId of itemIds) {
+    if (link.run(collectionId, itemId, position, now).changes > 0) position++;
+  }
+}
+
+function addItemsToCollection(collectionId, itemIds) {
+  const db = getDatabase();
+  getCollectionRow(collectionId);
+  const exists = db.prepare("SELECT 1 FROM items WHERE id = ?");
+  const ids = (Array.isArray(itemIds) ? itemIds : [itemIds]).filter(id => exists.get(id));
+  db.transaction(() => linkCollectionItems(collectionId, ids))();
+  return listCollections();
+}
+
+function removeItemFromCollection(collectionId, itemId) {
+  getDatabase().prepare("DELETE FROM collection_items WHERE collection_id = ? AND item_id = ?")
+    .run(collectionId, itemId);
+  return listCollections();
+}
+
+/**
+ * Reorder a collection: move `itemId` in front of `beforeItemId`, or to
+ * the end when that is null
+ */
+function moveCollectionItem(collectionId, itemId, beforeItemId = null) {
+  const db = getDatabase();
+  const ids = db.prepare(
+    "SELECT item_id FROM collection_items WHERE collection_id = ? ORDER BY position, added_at"
+  ).all(collectionId).map(row => row.item_id);
+  if (!ids.includes(itemId)) throw new Error("Item is not in this collection");
+  ids.splice(ids.indexOf(itemId), 1);
+  const before = beforeItemId ? ids.indexOf(beforeItemId) : -1;
+  ids.splice(before >= 0 ? before : ids.length, 0, itemId);
+
+  const setPosition = db.prepare("UPDATE collection_items SET position = ? WHERE collection_id = ? AND item_id = ?");
+  db.transaction(() => ids.forEach((id, position) => setPosition.run(position, collectionId, id)))();
+  return listCollections();
+}
+
+// ===== FULL-TEXT INDEX =====
+
+// Sentinels wrapped around matched terms by snippet(); split into
+// { text, highlight } segments before leaving the main process
+const SNIPPET_MARK_START = "\u0002";
+const SNIPPET_MARK_END = "\u0003";
+const SNIPPET_TOKENS = 16;
+
+/**
+ * Replace the full-text index entry for an item
+ */
+function indexItemText(id, fields) {
+  const db = getDatabase();
+  db.prepare("DELETE FROM items_fts WHERE item_id = ?").run(id);
+  db.prepare(`
+    INSERT INTO items_fts (item_id, title, content, extracted_text, filename, notes)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(
+    id,
+    fields.title || "",
+    fields.content || "",
+    fields.extractedText || "",
+    fields.filename || "",
+    fields.notes || ""
+  );
+}
+
+/**
+ * Turn free text into a safe FTS5 MATCH expression.
+ * Every token is quoted (so punctuation in error strings or identifiers
+ * can't break the query syntax) and the last token is prefix-matched so
+ * results update while the user is still typing. Quoted phrases from the
+ * structured query are matched as whole phrases.
+ */
+function buildFtsQuery(query, phrases = []) {
+  const tokens = (query || "").match(/[\p{L}\p{N}_]+/gu) || [];
+  const parts = tokens.map((tok, i) => `"${tok}"${i === tokens.length - 1 ? "*" : ""}`);
+  phrases.map(ftsPhrase).filter(Boolean).forEach(p => parts.push(p));
+  return parts.length > 0 ? parts.join(" ") : null;
+}
+
+/**
+ * Split a snippet() string into highlighted / plain segments
+ */
+function parseSnippet(raw) {
+  const segments = [];
+  const parts = (raw || "").split(SNIPPET_MARK_START);
+  parts.forEach((part, i) => {
+    if (i === 0) {
+      if (part) segments.push({ text: part, highlight: false });
+      return;
+    }
+    const [marked, rest] = part.split(SNIPPET_MARK_END);
+    if (marked) segments.push({ text: marked, highlight: true });
+    if (rest) segments.push({ text: rest, highlight: false });
+  });
+  return segments;
+}
+
+/**
+ * Plain (unhighlighted) snippet for items that only matched semantically
+ */
+function fallbackSnippet(item) {
+  const source = item.content || item.metadata?.extractedText || item.metadata?.caption || "";
+  const words = source.trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return [];
+  const text = words.slice(0, SNIPPET_TOKENS).join(" ") + (words.length > SNIPPET_TOKENS ? "…" : "");
+  return [{ text, highlight: false }];
+}
+
+/**
+ * Keyword search using the FTS5 index, ranked by BM25
+ * (title and filename weighted above body text)
+ */
+function keywordSearch(query, limit = 50, options = {}) {
+  const db = getDatabase();
+  const match = buildFtsQuery(query, options.phrases);
+  if (!match) return [];
+  const filter = options.filter || { where: "1", params: [] };
+
+  try {
+    return db.prepare(`
+      SELECT items_fts.item_id AS item_id,
+             bm25(items_fts, 0.0, 10.0, 1.0, 1.0, 5.0, 2.0) AS rank,
+             snippet(items_fts, -1, ?, ?, '…', ?) AS snippet
+      FROM items_fts
+      JOIN items i ON i.id = items_fts.item_id
+      WHERE items_fts MATCH ? AND i.deleted_at IS NULL AND (${filter.where})
+      ORDER BY rank
+      LIMIT ?
+    `).all(SNIPPET_MARK_START, SNIPPET_MARK_END, SNIPPET_TOKENS, match, ...filter.params, limit);
+  } catch (err) {
+    console.error("[SEARCH] Keyword search failed:", err.message);
+    return [];
+  }
+}
+
+// ===== SEMANTIC SEARCH =====
+
+// Candidates below this cosine similarity are treated as non-matches
+const MIN_SEMANTIC_SIMILARITY = 0.2;
+
+/**
+ * Exact similarity ranking over every stored embedding matching the filter
+ */
+function fullScanSimilarity(queryEmbedding, limit, filter) {
+  const db = getDatabase();
+  const rows = db.prepare(
+    `SELECT i.id, i.embedding FROM items i WHERE i.embedding IS NOT NULL AND i.deleted_at IS NULL AND (${filter.where})`
+  ).all(...filter.params);
+
+  const scored = [];
+  for (const row of rows) {
+    try {
+      const similarity = cosineSimilarity(queryEmbedding, blobToEmbedding(row.embedding));
+      if (similarity >= MIN_SEMANTIC_SIMILARITY) scored.push({ id: row.id, similarity });
+    } catch (err) {
+      console.error("[SEARCH] Failed to read embedding for item:", row.id, err);
+    }
+  }
+  scored.sort((a, b) => b.similarity - a.similarity);
+  return scored.slice(0, limit);
+}
+
+/**
+ * Rank stored embeddings against a query embedding, optionally restricted
+ * to rows matching a compiled search filter. Uses the HNSW index for large
+ * vaults; narrow filters that leave too few ANN hits fall back to an exact
+ * scan of the filtered rows.
+ */
+function rankBySimilarity(queryEmbedding, limit, filter = { where: "1", params: [] }) {
+  const db = getDatabase();
+  const query = Float32Array.from(queryEmbedding);
+  let hits;
+
+  if (annReady && annIndex && annIndex.size >= ANN_MIN_ITEMS) {
+    const filtered = filter.where !== "1";
+    const k = filtered ? limit * 10 : limit;
+    hits = annIndex.search(query, k, Math.max(annIndex.efSearch, k))
+      .filter(h => h.similarity >= MIN_SEMANTIC_SIMILARITY);
+
+    if (filtered && hits.length > 0) {
+      const allowed = new Set(
+        db.prepare(
+          `SELECT i.id FROM items i WHERE i.id IN (${hits.map(() => "?").join(",")}) AND (${filter.where})`
+        ).all(...hits.map(h => h.id), ...filter.params).map(r => r.id)
+      );
+      hits = hits.filter(h => allowed.has(h.id));
+    }
+    if (filtered && hits.length < limit) {
+      hits = fullScanSimilarity(query, limit, filter);
+    }
+    hits = hits.slice(0, limit);
+  } else {
+    hits = fullScanSimilarity(query, limit, filter);
+  }
+
+  const getRow = db.prepare("SELECT * FROM items WHERE id = ?");
+  return hits
+    .map(h => ({ row: getRow.get(h.id), similarity: h.similarity }))
+    .filter(h => h.row);
+}
+
+/**
+ * Semantic search using cosine similarity
+ */
+async function semanticSearch(query, options = {}) {
+  const limit = options.limit || DEFAULT_SEARCH_LIMIT;
+
+  // Generate query embedding
+  const queryEmbedding = await generateEmbedding(query);
+  if (!queryEmbedding) {
+    console.warn("[SEARCH] Failed to generate query embedding");
+    return [];
+  }
+
+  return withTags(rankBySimilarity(queryEmbedding, limit).map(r => rowToItem(r.row)));
+}
+
+// ===== HYBRID SEARCH =====
+
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 200;
+// Reciprocal rank fusion constant; 60 is the value from the original RRF paper
+const RRF_K = 60;
+
+/**
+ * Hybrid search: fuse BM25 keyword ranking with embedding similarity
+ * using reciprocal rank fusion. Each result carries its fused score,
+ * which rankers matched it, and highlighted snippet segments.
+ *
+ * options.filter ({ where, params } from compileSearchFilters) restricts
+ * both rankers; options.phrases are matched as exact keyword phrases and
+ * options.semanticQuery overrides the text that is embedded.
+ */
+async function hybridSearch(query, options = {}) {
+  const db = getDatabase();
+  const limit = Math.min(Math.max(1, options.limit || DEFAULT_SEARCH_LIMIT), MAX_SEARCH_LIMIT);
+  // Pull a deeper candidate list from each ranker than we return
+  const candidates = limit * 3;
+
+  const keywordHits = keywordSearch(query, candidates, options);
+  const queryEmbedding = await generateEmbedding(options.semanticQuery || query);
+  const semanticHits = queryEmbedding ? rankBySimilarity(queryEmbedding, candidates, options.filter) : [];
+
+  const fused = new Map();
+  const entryFor = (id) => {
+    if (!fused.has(id)) {
+      fused.set(id, { id, score: 0, row: null, snippet: null, matchedBy: [] });
+    }
+    return fused.get(id);
+  };
+
+  keywordHits.forEach((hit, rank) => {
+    const entry = entryFor(hit.item_id);
+    entry.score += 1 / (RRF_K + rank + 1);
+    entry.snippet = parseSnippet(hit.snippet);
+    entry.matchedBy.push("keyword");
+  });
+
+  semanticHits.forEach((hit, rank) => {
+    const entry = entryFor(hit.row.id);
+    entry.score += 1 / (RRF_K + rank + 1);
+    entry.row = hit.row;
+    entry.similarity = hit.similarity;
+    entry.matchedBy.push("semantic");
+  });
+
+  const ranked = Array.from(fused.values())
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+  // Keyword-only hits still need their rows loaded
+  const getRow = db.prepare("SELECT * FROM items WHERE id = ?");
+  const results = [];
+  for (const entry of ranked) {
+    const row = entry.row || getRow.get(entry.id);
+    if (!row) continue;
+    const item = rowToItem(row);
+    item.score = entry.score;
+    item.matchedBy = entry.matchedBy;
+    item.snippet = entry.snippet && entry.snippet.length > 0 ? entry.snippet : fallbackSnippet(item);
+    results.push(item);
+  }
+  return withTags(results);
+}
+
+// ===== LEGACY COMPATIBILITY FUNCTIONS =====
+
+function createTextItem(text) {
+  const category = detectCategoryFromText(text);
+  const title = generateTextTitle(text);
+  
+  return {
+    id: uuidv4(),
+    type: "text",
+    title: title,
+    category: category,
+    content: text,
+    searchableText: text.toLowerCase(),
+    hash: hashText(text),
+    metadata: {
+      createdAt: new Date().toISOString(),
+      source: "overlay"
+    }
+  };
+}
+
+function createFileItem(filePath) {
+  if (!filePath || typeof filePath !== "string" || filePath.trim() === "") {
+    throw new Error("File path is required and must be a non-empty string");
+  }
+  
+  if (!fs.existsSync(filePath)) {
+    throw new Error("File does not exist: " + filePath);
+  }
+  
+  if (isRejectedFile(filePath)) {
+    const reason = getRejectionReason(filePath);
+    throw new Error(`File rejected: ${reason}`);
+  }
+
+  return createStoredFileItem(path.basename(filePath), fs.readFileSync(filePath));
+}
+
+/**
+ * File item for content already in memory (e.g. a clipboard image). The
+ * content is kept on the item as fileContent and only copied into the
+ * vault by writeItemFile, once nothing stops the item from being saved
+ * (see saveFileItem and addItemBatch).
+ */
+function createStoredFileItem(fileName, fileContent) {
+  const fileHash = crypto
+    .createHash("sha256")
+    .update(fileContent)
+    .digest("hex");
+  
+  const category = detectCategoryFromFile(fileName);
+  const fileType = category === "images" ? "image" : "file";
+  
+  const vaultFilePath = path.join(VAULT_DIR, `${fileHash}${path.extname(fileName)}`);
+
+  return {
+    id: uuidv4(),
+    type: fileType,
+    title: fileName,
+    category: category,
+    storagePath: vaultFilePath,
+    searchableText: fileName.toLowerCase(),
+    hash: fileHash,
+    fileContent,
+    metadata: {
+      size: fileContent.length,
+      mimeType: getMimeType(fileName),
+      filename: fileName,
+      createdAt: new Date().toISOString(),
+      source: "overlay"
+    }
+  };
+}
+
+/**
+ * Copy a file item's content to its vault path (encrypted in an encrypted
+ * vault). Files are shared by hash, so nothing is written when the path
+ * exists; returns true if this call created the file.
+ */
+function writeItemFile(item) {
+  if (fs.existsSync(item.storagePath)) return false;
+  writeVaultFile(item.storagePath, item.fileContent);
+  return true;
+}
+
+function createLinkItem(url, title = null) {
+  const cleanUrl = url.trim();
+  const linkTitle = title || cleanUrl;
+  
+  return {
+    id: uuidv4(),
+    type: "link",
+    title: linkTitle,
+    category: "links",
+    content: cleanUrl,
+    searchableText: cleanUrl.toLowerCase(),
+    hash: hashText(cleanUrl),
+    metadata: {
+      url: linkUrlFromText(cleanUrl) || cleanUrl,
+      pageTitle: title,
+      createdAt: new Date().toISOString(),
+      source: "overlay"
+    }
+  };
+}
+
+async function addItem(item) {
+  return await saveItem(item);
+}
+
+// What addTextItem may do with secrets found in captured text
+const SECRET_ACTIONS = ["redact", "sensitive"];
+
+/**
+ * Save captured text. Text containing secrets (see secrets.cjs) is only
+ * saved once options.secrets says what to do with them: "redact" replaces
+ * them with markers, "sensitive" keeps them and marks the item sensitive.
+ * Until then { secretsFound: true, findings } is returned.
+ * options.metadata is merged into the item's metadata (e.g. its source).
+ * A lone URL is saved as a link item and its page preview is queued.
+ *
+ * Unless options.allowDuplicate is set, nothing is saved when the vault
+ * already has the same text; { duplicate: true, matches } is returned
+ * instead (see findDuplicates). Near duplicates are reported once the
+ * item has been enriched.
+ */
+async function addTextItem(text, options = {}) {
+  const prepared = prepareTextItem(text, options);
+  if (prepared.secretsFound) return prepared;
+  const { item, isLink } = prepared;
+  if (options.collection) getCollectionRow(options.collection);
+
+  if (!options.allowDuplicate) {
+    const matches = findDuplicates({ text: item.content });
+    if (matches.length > 0) return { duplicate: true, matches };
+  }
+  const saved = await saveItem({ ...item, tags: options.tags });
+  if (isLink && getLinkSettings().fetchPreviews) queueLinkPreview(saved.id);
+  return addToCollection(saved, options.collection);
+}
+
+/**
+ * The item addTextItem would save for `text`: { item, isLink, sensitive },
+ * or { secretsFound: true, findings } while options.secrets is unset
+ */
+function prepareTextItem(text, options = {}) {
+  const findings = secrets.scanSecrets(text);
+  if (findings.length > 0 && !SECRET_ACTIONS.includes(options.secrets)) {
+    return { secretsFound: true, findings };
+  }
+  const redact = findings.length > 0 && options.secrets === "redact";
+  const sensitive = findings.length > 0 && options.secrets === "sensitive";
+  const isLink = findings.length === 0 && linkUrlFromText(text) !== null;
+  const content = redact ? secrets.redactSecrets(text, findings) : text;
+  const item = isLink ? createLinkItem(content) : createTextItem(content);
+  if (options.metadata) Object.assign(item.metadata, options.metadata);
+  if (sensitive) item.metadata.sensitive = true;
+  return { item, isLink, sensitive };
+}
+
+/**
+ * Save a file. Like addTextItem, returns { duplicate: true, matches }
+ * instead of saving when an item with the same file hash exists, unless
+ * options.allowDuplicate is set. options.metadata is merged into the
+ * item's metadata (e.g. notes).
+ */
+async function addFileItem(filePath, options = {}) {
+  return await saveFileItem(createFileItem(filePath), options);
+}
+
+/**
+ * Save file content that only exists in memory (pasted images, drops
+ * without a path) under `fileName`. Same checks, options and results as
+ * addFileItem.
+ */
+async function addFileData(fileName, data, options = {}) {
+  return await saveFileItem(createDataItem(fileName, data), options);
+}
+
+function createDataItem(fileName, data) {
+  const name = path.basename(String(fileName || ""));
+  if (!name) throw new Error("File name is required");
+  if (isRejectedFile(name)) throw new Error(`File rejected: ${getRejectionReason(name)}`);
+  return createStoredFileItem(name, data);
+}
+
+async function saveFileItem(item, options) {
+  if (options.metadata) Object.assign(item.metadata, options.metadata);
+  if (options.collection) getCollectionRow(options.collection);
+  if (!options.allowDuplicate) {
+    const matches = findDuplicates({ hash: item.hash });
+    if (matches.length > 0) return { duplicate: true, matches };
+  }
+  const written = writeItemFile(item);
+  let saved;
+  try {
+    saved = await saveItem({ ...item, tags: options.tags });
+  } catch (err) {
+    if (written) fs.rmSync(item.storagePath, { force: true });
+    throw err;
+  }
+  return addToCollection(saved, options.collection);
+}
+
+// options.collection of the add* functions: the id of a collection the
+// new item is appended to
+function addToCollection(saved, collectionId) {
+  if (!collectionId) return saved;
+  addItemsToCollection(collectionId, [saved.id]);
+  return getItemById(saved.id);
+}
+
+/**
+ * Save a stack of captures from the overlay in one transaction, so either
+ * all of them are saved or none is. Entries are { text }, { filePath } or
+ * { fileName, data }, each with optional notes, and are saved in order
+ * (their creation times are a millisecond apart). options.tags and
+ * options.metadata apply to every item; with options.collection they are
+ * appended to that collection in the same order and transaction.
+ *
+ * Secrets and duplicates are checked for the whole stack first, with the
+ * options addTextItem takes: { secretsFound: true, findings } (each finding
+ * with the index of its `entry`) or { duplicate: true, matches, entries,
+ * repeats } (indexes of the duplicated entries; `repeats` lists entries
+ * identical to an earlier one in the stack as { entry, of }) is returned
+ * instead of saving. Returns { items }.
+ */
+async function addItemBatch(entries, options = {}) {
+  if (!Array.isArray(entries) || entries.length === 0) throw new Error("Nothing to save");
+  if (options.collection) getCollectionRow(options.collection);
+
+  // Secrets first: nothing is copied into the vault while a decision is pending
+  const findings = [];
+  entries.forEach((entry, index) => {
+    if (typeof entry?.text !== "string") return;
+    if (!entry.text.trim()) throw new Error(`Item ${index + 1} is empty`);
+    if (SECRET_ACTIONS.includes(options.secrets)) return;
+    findings.push(...secrets.scanSecrets(entry.text).map(finding => ({ ...finding, entry: index })));
+  });
+  if (findings.length > 0) return { secretsFound: true, findings };
+
+  const prepared = entries.map((entry, index) => {
+    try {
+      let capture;
+      if (typeof entry?.text === "string") {
+        capture = prepareTextItem(entry.text, options);
+      } else if (entry?.filePath) {
+        capture = { item: createFileItem(entry.filePath) };
+      } else if (entry?.fileName) {
+        capture = { item: createDataItem(entry.fileName, entry.data) };
+      } else {
+        throw new Error("Nothing to save");
+      }
+      // prepareTextItem already merged options.metadata into text items
+      if (capture.item.storagePath && options.metadata) Object.assign(capture.item.metadata, options.metadata);
+      const notes = String(entry.notes || "").trim();
+      if (notes) capture.item.metadata.notes = notes;
+      return { ...capture, index };
+    } catch (err) {
+      throw new Error(`Item ${index + 1}: ${err.message}`);
+    }
+  });
+
+  if (!options.allowDuplicate) {
+    const matches = [];
+    const duplicateEntries = [];
+    const repeats = [];
+    const firstWithHash = new Map();
+    for (const capture of prepared) {
+      const found = findDuplicates(
+        capture.item.storagePath ? { hash: capture.item.hash } : { text: capture.item.content }
+      );
+      const earlier = firstWithHash.get(capture.item.hash);
+      if (earlier === undefined) firstWithHash.set(capture.item.hash, capture.index);
+      else repeats.push({ entry: capture.index, of: earlier });
+      if (found.length === 0 && earlier === undefined) continue;
+      duplicateEntries.push(capture.index);
+      for (const match of found) {
+        if (!matches.some(other => other.item.id === match.item.id)) matches.push(match);
+      }
+    }
+    if (duplicateEntries.length > 0) return { duplicate: true, matches, entries: duplicateEntries, repeats };
+  }
+
+  // Blobs go in only once nothing stops the save; ones this call created
+  // are removed again if the transaction fails
+  const writtenFiles = [];
+  const startedAt = Date.now();
+  const db = getDatabase();
+  try {
+    for (const { item } of prepared) {
+      if (item.fileContent && writeItemFile(item)) writtenFiles.push(item.storagePath);
+    }
+    db.transaction(() => {
+      prepared.forEach(({ item }, position) => {
+        item.metadata.createdAt = new Date(startedAt + position).toISOString();
+        writeItemRow({ ...item, tags: options.tags });
+      });
+      if (options.collection) linkCollectionItems(options.collection, prepared.map(({ item }) => item.id));
+    })();
+  } catch (err) {
+    writtenFiles.forEach(filePath => fs.rmSync(filePath, { force: true }));
+    throw err;
+  }
+
+  const linkPreviews = getLinkSettings().fetchPreviews;
+  for (const { item, isLink } of prepared) {
+    getJobQueue().enqueue("enrich", item.id);
+    if (isLink && linkPreviews) queueLinkPreview(item.id);
+  }
+  console.log("[DB] Saved batch of", prepared.length, "items");
+  return { items: prepared.map(({ item }) => getItemById(item.id)) };
+}
+
+/**
+ * Search entry point used by the library search bar. The query is parsed
+ * for structured filters (see query.cjs); any remaining free text is ranked
+ * with hybridSearch, otherwise matching items are listed newest first.
+ * options.limit caps the number of results (default 20, max 200).
+ */
+async function smartSearch(query, options = {}) {
+  const db = getDatabase();
+  const limit = Math.min(Math.max(1, options.limit || DEFAULT_SEARCH_LIMIT), MAX_SEARCH_LIMIT);
+  const intent = parseSearchIntent(query);
+  const filter = compileSearchFilters(intent);
+
+  let results = [];
+  if (intent.terms.length > 0 || intent.phrases.length > 0) {
+    // Phrases are already enforced by the filter; pass them so BM25 ranks
+    // and highlights them too
+    results = await hybridSearch(intent.terms.join(" "), {
+      limit,
+      filter,
+      phrases: intent.phrases,
+      semanticQuery: intent.text,
+    });
+  } else if (hasFilters(intent)) {
+    const rows = db.prepare(
+      `SELECT * FROM items i WHERE i.deleted_at IS NULL AND ${filter.where} ORDER BY i.created_at DESC LIMIT ?`
+    ).all(...filter.params, limit);
+    results = withTags(rows.map(rowToItem));
+  }
+
+  const totalItems = db.prepare("SELECT COUNT(*) AS count FROM items WHERE deleted_at IS NULL").get().count;
+  return {
+    results,
+    explanation: describeSearchIntent(intent, results.length),
+    intent,
+    totalItems,
+    filteredCount: results.length,
+  };
+}
+
+// Test data function (stub for compatibility)
+function createTestItems() {
+  console.log("[DB] Test items creation not implemented in SQLite version");
+}
+
+// Initialize database on module load
+// A vault from a newer AltDump or a damaged one is left untouched; main.cjs
+// reports it and offers to restore a backup. Encrypted vaults start locked.
+let vaultOpenError = null;
+try {
+  initDatabase();
+  vaultLocked = isVaultEncrypted();
+  loadAnnIndex();
+} catch (err) {
+  // A damaged vault.db can still be restored from a backup (see main.cjs)
+  if (!(err instanceof VaultVersionError) && !["SQLITE_CORRUPT", "SQLITE_NOTADB"].includes(err.code)) throw err;
+  console.error("[DB]", err.message);
+  vaultOpenError = err;
+}
+
+function getVaultOpenError() {
+  return vaultOpenError;
+}
 
 module.exports = {
   // Database
   initDatabase,
   getDatabase,
+  getVaultOpenError,
   // Core functions
   saveItem,
+  updateItem,
+  listItemVersions,
+  restoreItemVersion,
   loadItems,
   getItems,
+  getItemById,
   deleteItem,
+  setItemFlags,
+  // Trash
+  listTrash,
+  restoreItem,
+  purgeItem,
+  emptyTrash,
+  purgeExpiredTrash,
+  getTrashRetentionDays,
+  setTrashRetentionDays,
+  // Vault integrity
+  checkVault,
+  // Export & import
+  exportVault,
+  importVault,
+  exportMarkdown,
+  getMarkdownExportSettings,
+  // Encryption
+  getEncryptionStatus,
+  isVaultLocked,
+  enableEncryption,
+  unlockVault,
+  lockVault,
+  setAutoLockMinutes,
+  readStoredFile,
+  getOpenablePath,
+  removeOpenCopies,
+  // Clipboard inbox
+  getClipboardSettings,
+  setClipboardSettings,
+  recordClipboardEntry,
+  listClipboardEntries,
+  deleteClipboardEntry,
+  clearClipboardEntries,
+  promoteClipboardEntry,
+  // Links
+  getLinkSettings,
+  setLinkSettings,
+  setLinkFetcher,
+  refreshLinkPreview,
+  getLinkSnapshotPath,
+  checkLinks,
+  isLinkCheckRunning,
+  // Backups
+  getBackupStatus,
+  setBackupSettings,
+  runBackup,
+  isBackupDue,
+  validateBackup,
+  restoreBackup,
+  // Duplicates
+  findDuplicates,
+  setNearDuplicateListener,
+  listDuplicateGroups,
+  mergeDuplicates,
+  dismissDuplicates,
+  // Tags
+  listTags,
+  setItemTags,
+  addItemTag,
+  removeItemTag,
+  renameTag,
+  mergeTags,
+  suggestTagsForText,
+  // Collections
+  listCollections,
+  createCollection,
+  renameCollection,
+  moveCollection,
+  deleteCollection,
+  addItemsToCollection,
+  removeItemFromCollection,
+  moveCollectionItem,
   semanticSearch,
+  keywordSearch,
+  hybridSearch,
+  flushAnnIndex,
+  // Background enrichment
+  startBackgroundJobs,
+  stopBackgroundJobs,
+  cancelItemIndexing,
+  retryItemIndexing,
   // Legacy compatibility
   addTextItem,
   addFileItem,
+  addFileData,
+  addItemBatch,
   createTextItem,
   createFileItem,
   createLinkItem,
   addItem,
   smartSearch,
+  parseSearchIntent,
   // Validation
   isRejectedFile,
   getRejectionReason,
@@ -868,6 +4340,7 @@ module.exports = {
   createTestItems,
   // Constants
   VAULT_DIR,
+  ITEM_CATEGORIES,
   FILE_TYPE_MAP,
   REJECTED_TYPES,
 };
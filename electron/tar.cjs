@@ -0,0 +1,189 @@
+// Minimal streaming reader/writer for gzipped ustar archives, enough for
+// vault export and import (regular files only, no links or permissions).
+//
+// Entries are streamed, so blobs of any size pass through without being
+// held in memory.
+
+const fs = require("fs");
+const crypto = require("crypto");
+const path = require("path");
+const zlib = require("zlib");
+const { pipeline } = require("stream/promises");
+
+const BLOCK_SIZE = 512;
+const NAME_LENGTH = 100;
+const PREFIX_LENGTH = 155;
+// Largest size an 11-digit octal field can hold
+const MAX_ENTRY_SIZE = 0o77777777777;
+
+function writeString(header, value, offset, length) {
+  header.write(value, offset, Math.min(Buffer.byteLength(value), length), "utf8");
+}
+
+function writeOctal(header, value, offset, length) {
+  writeString(header, value.toString(8).padStart(length - 1, "0"), offset, length - 1);
+}
+
+function readString(header, offset, length) {
+  const end = header.indexOf(0, offset);
+  return header.toString("utf8", offset, end === -1 || end > offset + length ? offset + length : end);
+}
+
+function readOctal(header, offset, length) {
+  const value = readString(header, offset, length).trim();
+  return value ? parseInt(value, 8) : 0;
+}
+
+function checksum(header) {
+  let sum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    // The checksum field itself counts as spaces
+    sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  }
+  return sum;
+}
+
+function splitName(name) {
+  if (Buffer.byteLength(name) <= NAME_LENGTH) return { prefix: "", name };
+  const slash = name.lastIndexOf("/", PREFIX_LENGTH);
+  if (slash > 0 && Buffer.byteLength(name.slice(slash + 1)) <= NAME_LENGTH) {
+    return { prefix: name.slice(0, slash), name: name.slice(slash + 1) };
+  }
+  throw new Error(`Archive entry name is too long: ${name}`);
+}
+
+function createHeader(name, size, mtime) {
+  if (size > MAX_ENTRY_SIZE) throw new Error(`Archive entry is too large: ${name}`);
+  const parts = splitName(name);
+  const header = Buffer.alloc(BLOCK_SIZE);
+  writeString(header, parts.name, 0, NAME_LENGTH);
+  writeOctal(header, 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+  header[156] = "0".charCodeAt(0);
+  writeString(header, "ustar\0", 257, 6);
+  writeString(header, "00", 263, 2);
+  writeString(header, parts.prefix, 345, PREFIX_LENGTH);
+  writeOctal(header, checksum(header), 148, 7);
+  header[155] = 0x20;
+  return header;
+}
+
+function padding(size) {
+  return (BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE;
+}
+
+/**
+ * Write a .tar.gz archive. `entries` is an (async) iterable of
+ *   { name, data }  in-memory content (Buffer or string)
+ *   { name, file }  a file on disk, streamed
+ * onEntry(entry, { size, sha256 }) is called after each entry is written.
+ */
+async function writeTarGz(outPath, entries, { onEntry = () => {} } = {}) {
+  async function* blocks() {
+    for await (const entry of entries) {
+      const hash = crypto.createHash("sha256");
+      let size;
+      if (entry.file) {
+        const stat = fs.statSync(entry.file);
+        size = stat.size;
+        yield createHeader(entry.name, size, stat.mtime);
+        let written = 0;
+        for await (const chunk of fs.createReadStream(entry.file)) {
+          written += chunk.length;
+          hash.update(chunk);
+          yield chunk;
+        }
+        if (written !== size) throw new Error(`File changed while archiving: ${entry.file}`);
+      } else {
+        const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, "utf8");
+        size = data.length;
+        hash.update(data);
+        yield createHeader(entry.name, size, new Date());
+        yield data;
+      }
+      if (padding(size) > 0) yield Buffer.alloc(padding(size));
+      onEntry(entry, { size, sha256: hash.digest("hex") });
+    }
+    // End of archive: two empty blocks
+    yield Buffer.alloc(BLOCK_SIZE * 2);
+  }
+
+  await pipeline(blocks, zlib.createGzip(), fs.createWriteStream(outPath));
+}
+
+/**
+ * Extract the regular files of a .tar.gz archive into destDir. Entries
+ * that would land outside destDir are rejected. Returns the entry names.
+ */
+async function extractTarGz(archivePath, destDir) {
+  const root = path.resolve(destDir);
+  const names = [];
+  let buffer = Buffer.alloc(0);
+  let entry = null; // { fd, remaining, padding }
+  let ended = false;
+
+  const openEntry = (header) => {
+    if (checksum(header) !== readOctal(header, 148, 8)) {
+      throw new Error("Archive is corrupted (bad header checksum)");
+    }
+    const size = readOctal(header, 124, 12);
+    const type = String.fromCharCode(header[156] || 0x30);
+    const prefix = header.toString("utf8", 257, 262) === "ustar" ? readString(header, 345, PREFIX_LENGTH) : "";
+    const name = (prefix ? `${prefix}/` : "") + readString(header, 0, NAME_LENGTH);
+
+    let fd = null;
+    if (type === "0") {
+      const target = path.resolve(root, name);
+      if (!target.startsWith(root + path.sep)) throw new Error(`Unsafe path in archive: ${name}`);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fd = fs.openSync(target, "w");
+      names.push(name);
+    }
+    // Anything else (directories, links, pax headers) is skipped
+    entry = { fd, remaining: size, padding: padding(size) };
+  };
+
+  const closeEntry = () => {
+    if (entry && entry.fd !== null) fs.closeSync(entry.fd);
+    entry = null;
+  };
+
+  try {
+    await pipeline(fs.createReadStream(archivePath), zlib.createGunzip(), async (source) => {
+      for await (const chunk of source) {
+        buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+        while (!ended) {
+          if (entry && entry.remaining > 0) {
+            if (buffer.length === 0) break;
+            const part = buffer.subarray(0, Math.min(entry.remaining, buffer.length));
+            if (entry.fd !== null) fs.writeSync(entry.fd, part);
+            entry.remaining -= part.length;
+            buffer = buffer.subarray(part.length);
+          } else if (entry) {
+            if (buffer.length < entry.padding) break;
+            buffer = buffer.subarray(entry.padding);
+            closeEntry();
+          } else {
+            if (buffer.length < BLOCK_SIZE) break;
+            const header = buffer.subarray(0, BLOCK_SIZE);
+            buffer = buffer.subarray(BLOCK_SIZE);
+            if (header.every(byte => byte === 0)) ended = true;
+            else openEntry(header);
+          }
+        }
+      }
+    });
+  } finally {
+    closeEntry();
+  }
+  if (!ended) throw new Error("Archive is truncated");
+  return names;
+}
+
+module.exports = {
+  writeTarGz,
+  extractTarGz,
+};
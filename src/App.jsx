@@ -1,6 +1,8 @@
 import React, { useState, useEffect, useRef } from "react";
 import "./styles.css";
 import "./App.css";
+import { diffLines } from "./diff.js";
+import { hasRichFormatting, htmlToMarkdown, sanitizeHtml } from "./richText.js";
 
 /* ===== SVG Icons (inline to avoid external deps) ===== */
 const SearchIcon = () => (
@@ -30,6 +32,9 @@ const PlayIcon = () => (
   </svg>
 );
 
+/* Maximum results requested from the hybrid search */
+const SEARCH_RESULT_LIMIT = 50;
+
 /* Category icon map */
 const CATEGORY_ICONS = {
   all: (
@@ -90,10 +95,299 @@ const CATEGORY_ICONS = {
   ),
 };
 
+/* Max tag chips shown on a library card before collapsing to "+N" */
+const CARD_TAG_LIMIT = 3;
+
+/* Suggested tags can be accepted with Ctrl+1..Ctrl+N */
+const TAG_SUGGESTION_KEYS = 5;
+
+// Overlay collection picker value that creates a collection on save
+const NEW_COLLECTION = "__new__";
+
+/* Error message from a failed ipcRenderer.invoke without Electron's prefix */
+const ipcErrorMessage = (error, fallback) =>
+  (error && error.message ? error.message : fallback).replace(/^Error invoking remote method '[^']+': ([A-Za-z]*Error: )?/, "");
+
+/* Editable fields of the detail panel */
+const draftFromItem = (item) => ({
+  title: item.title || "",
+  content: item.content || "",
+  category: item.metadata?.categoryOverride ? item.category : "",
+  notes: item.metadata?.notes || "",
+  sensitive: Boolean(item.sensitive),
+});
+
+/* Findings listed in the overlay's secrets prompt; the rest are counted */
+const SECRET_PROMPT_LIMIT = 4;
+
+/* Trash retention choices in days (0 = keep until emptied by hand) */
+const TRASH_RETENTION_OPTIONS = [7, 30, 90, 365, 0];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/* "today", "yesterday", "3 days ago", ... for capture prompts */
+const formatTimeAgo = (timestamp) => {
+  const days = Math.floor((Date.now() - new Date(timestamp).getTime()) / DAY_MS);
+  if (days <= 0) return "today";
+  if (days === 1) return "yesterday";
+  if (days < 30) return `${days} days ago`;
+  if (days < 365) return `${Math.floor(days / 30)} month${days < 60 ? "" : "s"} ago`;
+  return `${Math.floor(days / 365)} year${days < 730 ? "" : "s"} ago`;
+};
+
+/* Backups: [hours, label] (0 = only when asked) and how many to keep */
+const BACKUP_INTERVAL_OPTIONS = [[0, "Manual only"], [1, "Every hour"], [6, "Every 6 hours"], [24, "Daily"], [168, "Weekly"]];
+const BACKUP_KEEP_OPTIONS = [3, 7, 14, 30];
+
+const formatBackupAge = (timestamp) => {
+  const minutes = Math.floor((Date.now() - new Date(timestamp).getTime()) / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+  return formatTimeAgo(timestamp);
+};
+
+/* Auto-lock for encrypted vaults: [minutes of inactivity, label] */
+const AUTO_LOCK_OPTIONS = [[0, "Never"], [1, "After 1 minute"], [5, "After 5 minutes"], [15, "After 15 minutes"], [60, "After 1 hour"]];
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/* Vault files load through the altdump:// protocol, which decrypts them for
+   encrypted vaults (see main.cjs); paths outside the vault stay file URLs */
+const vaultFileUrl = (storedPath, vaultDir) => {
+  const normalized = storedPath.replace(/\\/g, "/");
+  const root = `${vaultDir.replace(/\\/g, "/").replace(/\/$/, "")}/`;
+  if (vaultDir && normalized.startsWith(root)) {
+    return `altdump://vault/${normalized.slice(root.length).split("/").map(encodeURIComponent).join("/")}`;
+  }
+  if (!/^([a-zA-Z]:)?\//.test(normalized)) {
+    return `altdump://vault/${normalized.split("/").map(encodeURIComponent).join("/")}`;
+  }
+  return `file:///${encodeURI(normalized)}`;
+};
+
+const LockIcon = () => (
+  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+    <rect width="18" height="11" x="3" y="11" rx="2" ry="2" /><path d="M7 11V7a5 5 0 0 1 10 0v4" />
+  </svg>
+);
+
+const BackupIcon = () => (
+  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+    <ellipse cx="12" cy="5" rx="9" ry="3" /><path d="M3 5v14c0 1.66 4 3 9 3s9-1.34 9-3V5" /><path d="M3 12c0 1.66 4 3 9 3s9-1.34 9-3" />
+  </svg>
+);
+
+const DuplicatesIcon = () => (
+  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+    <rect width="14" height="14" x="8" y="8" rx="2" ry="2" />
+    <path d="M4 16c-1.1 0-2-.9-2-2V4c0-1.1.9-2 2-2h10c1.1 0 2 .9 2 2" />
+  </svg>
+);
+
+const VaultCheckIcon = () => (
+  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+    <path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z" /><path d="m9 12 2 2 4-4" />
+  </svg>
+);
+
+/* Vault check report sections: [report key, label, what repair does] */
+const VAULT_CHECK_SECTIONS = [
+  ["missingFiles", "Missing files", "re-linked when a vault copy with the same hash exists"],
+  ["hashMismatches", "Changed files", "reported only; the stored file no longer matches its hash"],
+  ["missingThumbnails", "Missing thumbnails", "regenerated in the background"],
+  ["orphanedFiles", "Orphaned files", "moved to the quarantine folder"],
+  ["staleThumbnails", "Stale thumbnails", "moved to the quarantine folder"],
+  ["missingSnapshots", "Missing snapshots", "reported only; save the page again from the link"],
+  ["staleSnapshots", "Stale snapshots", "moved to the quarantine folder"],
+];
+const VAULT_CHECK_LIST_LIMIT = 50;
+
+const TransferIcon = () => (
+  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+    <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" /><polyline points="7 10 12 5 17 10" /><line x1="12" y1="5" x2="12" y2="15" />
+  </svg>
+);
+
+const MARKDOWN_LAYOUT_OPTIONS = [
+  ["category", "Folder per category"],
+  ["date", "Folder per month"],
+];
+
+/* How an imported item with the same id as a local one is merged */
+const IMPORT_STRATEGY_OPTIONS = [
+  ["newer", "Keep whichever was edited last"],
+  ["keep", "Keep my version"],
+  ["replace", "Use the archive's version"],
+];
+
+const ClipboardIcon = () => (
+  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+    <rect width="8" height="4" x="8" y="2" rx="1" ry="1" />
+    <path d="M16 4h2a2 2 0 0 1 2 2v14a2 2 0 0 1-2 2H6a2 2 0 0 1-2-2V6a2 2 0 0 1 2-2h2" />
+  </svg>
+);
+
+/* Clipboard inbox settings: entries kept, [seconds, label] for merging
+   repeated copies, and size limits */
+const CLIPBOARD_HISTORY_OPTIONS = [50, 200, 500, 1000];
+const CLIPBOARD_DEDUPE_OPTIONS = [[0, "Never"], [10, "Within 10 seconds"], [60, "Within a minute"], [600, "Within 10 minutes"], [3600, "Within an hour"]];
+const CLIPBOARD_TEXT_LIMIT_OPTIONS = [[1000, "1,000 characters"], [10000, "10,000 characters"], [100000, "100,000 characters"], [1000000, "1,000,000 characters"]];
+const CLIPBOARD_IMAGE_LIMIT_OPTIONS = [1, 5, 10, 25, 50];
+/* Characters of a text entry shown in the inbox list */
+const CLIPBOARD_PREVIEW_LENGTH = 400;
+
+/* Link health checks: [days, label] between checks, and how states read */
+const LINK_CHECK_INTERVAL_OPTIONS = [[1, "Daily"], [7, "Weekly"], [30, "Monthly"]];
+const LINK_HEALTH_LABELS = { ok: "Working", redirected: "Moved permanently", error: "Not responding", dead: "Dead link" };
+
+// Image types the overlay accepts on paste, with the extension they are saved under
+const PASTED_IMAGE_EXTENSIONS = {
+  "image/png": "png", "image/jpeg": "jpg", "image/gif": "gif", "image/webp": "webp", "image/bmp": "bmp",
+};
+
+const pastedImageName = (type) => {
+  const stamp = new Date().toISOString().slice(0, 19).replace("T", "-").replace(/:/g, "");
+  return `pasted-image-${stamp}.${PASTED_IMAGE_EXTENSIONS[type]}`;
+};
+
+const TrashIcon = () => (
+  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+    <path d="M3 6h18" /><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6" />
+    <path d="M8 6V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2" />
+  </svg>
+);
+
+const FolderIcon = () => (
+  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+    <path d="M4 20h16a2 2 0 0 0 2-2V8a2 2 0 0 0-2-2h-7.93a2 2 0 0 1-1.66-.9l-.82-1.2A2 2 0 0 0 7.93 3H4a2 2 0 0 0-2 2v13c0 1.1.9 2 2 2Z" />
+  </svg>
+);
+
+const StarIcon = ({ filled = false }) => (
+  <svg width="16" height="16" viewBox="0 0 24 24" fill={filled ? "currentColor" : "none"} stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+    <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2" />
+  </svg>
+);
+
+const PinIcon = ({ filled = false }) => (
+  <svg width="16" height="16" viewBox="0 0 24 24" fill={filled ? "currentColor" : "none"} stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+    <line x1="12" x2="12" y1="17" y2="22" />
+    <path d="M5 17h14v-1.76a2 2 0 0 0-1.11-1.79l-1.78-.9A2 2 0 0 1 15 10.76V6h1a2 2 0 0 0 0-4H8a2 2 0 0 0 0 4h1v4.76a2 2 0 0 1-1.11 1.79l-1.78.9A2 2 0 0 0 5 15.24Z" />
+  </svg>
+);
+
+/* Drag data types for library cards and sidebar collections */
+const ITEM_DRAG_TYPE = "application/x-altdump-item";
+const COLLECTION_DRAG_TYPE = "application/x-altdump-collection";
+
+/* Returns the suggestion index for a Ctrl+digit accept shortcut, or -1 */
+const getSuggestionShortcut = (e) => {
+  if (!e.ctrlKey || e.altKey || e.metaKey) return -1;
+  const n = parseInt(e.key, 10);
+  return n >= 1 && n <= TAG_SUGGESTION_KEYS ? n - 1 : -1;
+};
+
+/*
+ * Chip-style tag editor: Enter or comma adds, Backspace on empty removes the
+ * last tag. `suggested` tags (computed from embeddings) are listed below;
+ * Tab on an empty input accepts the first one.
+ */
+function TagInput({ tags, onChange, suggestions = [], suggested = [], placeholder = "Add tags...", disabled = false }) {
+  const [draft, setDraft] = useState("");
+  const listId = React.useId();
+  const pending = suggested
+    .filter((s) => !tags.some((t) => t.toLowerCase() === s.toLowerCase()))
+    .slice(0, TAG_SUGGESTION_KEYS);
+
+  const addTag = (raw) => {
+    const name = raw.replace(/^#+/, "").replace(/\s+/g, " ").trim();
+    setDraft("");
+    if (!name || tags.some((t) => t.toLowerCase() === name.toLowerCase())) return;
+    onChange([...tags, name]);
+  };
+
+  const handleKeyDown = (e) => {
+    if ((e.key === "Enter" && !e.ctrlKey) || e.key === ",") {
+      if (draft.trim()) {
+        e.preventDefault();
+        addTag(draft);
+      } else if (e.key === ",") {
+        e.preventDefault();
+      }
+    } else if (e.key === "Backspace" && !draft && tags.length > 0) {
+      onChange(tags.slice(0, -1));
+    } else if (e.key === "Tab" && !e.shiftKey && !draft && pending.length > 0) {
+      e.preventDefault();
+      addTag(pending[0]);
+    }
+  };
+
+  return (
+    <div className={`tag-input ${disabled ? "disabled" : ""}`}>
+      {tags.map((tag) => (
+        <span key={tag} className="tag-chip">
+          #{tag}
+          {!disabled && (
+            <button
+              type="button"
+              className="tag-chip-remove"
+              onClick={() => onChange(tags.filter((t) => t !== tag))}
+              aria-label={`Remove tag ${tag}`}
+            >
+              {'x'}
+            </button>
+          )}
+        </span>
+      ))}
+      <input
+        type="text"
+        value={draft}
+        list={listId}
+        placeholder={tags.length === 0 ? placeholder : ""}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={() => draft.trim() && addTag(draft)}
+        disabled={disabled}
+        aria-label="Tags"
+      />
+      <datalist id={listId}>
+        {suggestions
+          .filter((s) => !tags.some((t) => t.toLowerCase() === s.toLowerCase()))
+          .map((s) => <option key={s} value={s} />)}
+      </datalist>
+      {!disabled && pending.length > 0 && (
+        <div className="tag-suggestions">
+          <span className="tag-suggestions-label">Suggested</span>
+          {pending.map((tag, i) => (
+            <button
+              key={tag}
+              type="button"
+              className="tag-chip suggested"
+              onClick={() => addTag(tag)}
+              title={`Add #${tag} (Ctrl+${i + 1}${i === 0 ? " or Tab" : ""})`}
+            >
+              #{tag}
+              <kbd>{i + 1}</kbd>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
 function App() {
   // Core overlay states: 'neutral' | 'text' | 'drop' | 'saving' | 'confirmation' | 'error'
   const [overlayPhase, setOverlayPhase] = useState("neutral");
   const [text, setText] = useState("");
+  // Pasted into the overlay: an image ({ file, url }) saved instead of the
+  // text, and rich text ({ markdown, html }) previewed while it is in the text
+  const [pastedImage, setPastedImage] = useState(null);
+  const [pastedHtml, setPastedHtml] = useState(null);
+  // Stack mode: captures collected in the overlay and saved together
+  // ({ id, kind: "text" | "file", text, file, path, name, notes, preview })
+  const [stackMode, setStackMode] = useState(false);
+  const [stack, setStack] = useState([]);
+  const [editingStackId, setEditingStackId] = useState(null);
   const [isDragging, setIsDragging] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
   const [validationMessage, setValidationMessage] = useState("");
@@ -110,7 +404,72 @@ function App() {
   const [dragDepth, setDragDepth] = useState(0);
   const [vaultDir, setVaultDir] = useState("");
   const [selectedItem, setSelectedItem] = useState(null);
+  const [indexProgress, setIndexProgress] = useState({});
+  const [tags, setTags] = useState([]);
+  const [activeTag, setActiveTag] = useState(null);
+  // Collections as listed by listCollections (flat, in tree order); the
+  // library shows one of them when activeCollection holds its id
+  const [collections, setCollections] = useState([]);
+  const [activeCollection, setActiveCollection] = useState(null);
+  const [collectionDraft, setCollectionDraft] = useState(null);
+  const [collectionDropTarget, setCollectionDropTarget] = useState(null);
+  const [overlayCollection, setOverlayCollection] = useState("");
+  const [newCollectionName, setNewCollectionName] = useState("");
+  // Library side views: null (items), "trash" or "duplicates"
+  const [vaultView, setVaultView] = useState(null);
+  const [duplicateGroups, setDuplicateGroups] = useState([]);
+  const [duplicateKeep, setDuplicateKeep] = useState({});
+  const [duplicatePrompt, setDuplicatePrompt] = useState(null);
+  const [secretsPrompt, setSecretsPrompt] = useState(null);
+  const [vaultReport, setVaultReport] = useState(null);
+  const [vaultCheckRunning, setVaultCheckRunning] = useState(false);
+  const [vaultCheckProgress, setVaultCheckProgress] = useState(null);
+  const [vaultCheckError, setVaultCheckError] = useState("");
+  const [transferRunning, setTransferRunning] = useState(null);
+  const [transferProgress, setTransferProgress] = useState(null);
+  const [transferResult, setTransferResult] = useState(null);
+  const [transferError, setTransferError] = useState("");
+  const [importStrategy, setImportStrategy] = useState("newer");
+  const [markdownExport, setMarkdownExport] = useState(null);
+  const [markdownLayout, setMarkdownLayout] = useState("category");
+  const [backupStatus, setBackupStatus] = useState(null);
+  const [backupProgress, setBackupProgress] = useState(null);
+  const [backupBusy, setBackupBusy] = useState(false);
+  const [backupError, setBackupError] = useState("");
+  const [backupMessage, setBackupMessage] = useState("");
+  const [encryptionStatus, setEncryptionStatus] = useState(null);
+  const [encryptionProgress, setEncryptionProgress] = useState(null);
+  const [encryptionBusy, setEncryptionBusy] = useState(false);
+  const [encryptionError, setEncryptionError] = useState("");
+  const [passphraseDraft, setPassphraseDraft] = useState({ passphrase: "", confirm: "" });
+  const [unlockPassphrase, setUnlockPassphrase] = useState("");
+  const [clipboardEntries, setClipboardEntries] = useState([]);
+  const [clipboardSettings, setClipboardSettings] = useState(null);
+  const [clipboardSelectedId, setClipboardSelectedId] = useState(null);
+  const [clipboardPrompt, setClipboardPrompt] = useState(null);
+  const [clipboardError, setClipboardError] = useState("");
+  const [excludedAppsDraft, setExcludedAppsDraft] = useState("");
+  const [linkSettings, setLinkSettings] = useState(null);
+  const [linkSettingsError, setLinkSettingsError] = useState("");
+  const [linkCheck, setLinkCheck] = useState({ running: false, message: "" });
+  const [nearDuplicateNotice, setNearDuplicateNotice] = useState(null);
+  const [trashItems, setTrashItems] = useState([]);
+  const [trashRetention, setTrashRetention] = useState(30);
+  const [overlayTags, setOverlayTags] = useState([]);
+  const [overlaySuggestions, setOverlaySuggestions] = useState([]);
+  const [renamingTag, setRenamingTag] = useState(null);
+  const [renameDraft, setRenameDraft] = useState("");
+  const [editDraft, setEditDraft] = useState(null);
+  const [editError, setEditError] = useState("");
+  const [isSavingEdit, setIsSavingEdit] = useState(false);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [versions, setVersions] = useState([]);
+  const [selectedVersionId, setSelectedVersionId] = useState(null);
   const textareaRef = useRef(null);
+  const stackIdRef = useRef(0);
+  // Enter and the blur that follows must not both commit a tag rename
+  const renameDoneRef = useRef(false);
+  const collectionDraftDoneRef = useRef(false);
 
   // State transition helpers
   const enterTextMode = () => {
@@ -139,12 +498,34 @@ function App() {
     setShowSuccessFeedback(true);
     setIsSaving(false);
     setText("");
+    setPastedImage(null);
+    setPastedHtml(null);
     setDetectedCategory("");
+    setOverlayTags([]);
+    setOverlaySuggestions([]);
+    setOverlayCollection("");
+    setNewCollectionName("");
     if (window.electronAPI && window.electronAPI.setOverlayMode) {
       window.electronAPI.setOverlayMode("confirmation");
     }
   };
 
+  // The capture is already in the vault; ask before saving it again
+  const enterDuplicateMode = (prompt) => {
+    setOverlayPhase("duplicate");
+    setDuplicatePrompt(prompt);
+    setValidationMessage("");
+    setIsSaving(false);
+  };
+
+  // The text holds what look like secrets; ask how to save it
+  const enterSecretsMode = (prompt) => {
+    setOverlayPhase("secrets");
+    setSecretsPrompt(prompt);
+    setValidationMessage("");
+    setIsSaving(false);
+  };
+
   const enterErrorMode = (message) => {
     setOverlayPhase("error");
     setValidationMessage(message);
@@ -157,6 +538,12 @@ function App() {
   const resetToNeutral = () => {
     setOverlayPhase("neutral");
     setText("");
+    setPastedImage(null);
+    setPastedHtml(null);
+    setOverlayTags([]);
+    setOverlaySuggestions([]);
+    setOverlayCollection("");
+    setNewCollectionName("");
     setDetectedCategory("");
     setValidationMessage("");
     setIsSaving(false);
@@ -193,10 +580,68 @@ function App() {
     }
   };
 
+  // The preview URL lives as long as the pasted image
+  useEffect(() => {
+    if (!pastedImage) return undefined;
+    return () => URL.revokeObjectURL(pastedImage.url);
+  }, [pastedImage]);
+
+  const insertAtCursor = (value) => {
+    const textarea = textareaRef.current;
+    const start = textarea ? textarea.selectionStart : text.length;
+    const end = textarea ? textarea.selectionEnd : text.length;
+    setText(text.slice(0, start) + value + text.slice(end));
+    requestAnimationFrame(() => textarea?.setSelectionRange(start + value.length, start + value.length));
+  };
+
+  // Images (screenshots, images copied in a browser) are attached and saved
+  // like dropped files; HTML with formatting is inserted as Markdown. Returns
+  // false for plain text, which is pasted as usual.
+  const pasteRichContent = ({ image, html, plain }) => {
+    if (image && !plain.trim()) {
+      const file = new File([image], pastedImageName(image.type), { type: image.type });
+      setPastedImage({ file, url: URL.createObjectURL(file) });
+      enterTextMode();
+      setDetectedCategory("images");
+      setValidationMessage("Pasted image - text you type is saved as its note");
+      return true;
+    }
+    if (html && hasRichFormatting(html)) {
+      const markdown = htmlToMarkdown(html);
+      if (!markdown) return false;
+      insertAtCursor(markdown);
+      setPastedHtml({ markdown, html: sanitizeHtml(html) });
+      enterTextMode();
+      return true;
+    }
+    return false;
+  };
+
+  const handleOverlayPaste = (e) => {
+    const data = e.clipboardData;
+    if (!data) return;
+    const imageItem = Array.from(data.items || []).find((item) => item.kind === "file" && PASTED_IMAGE_EXTENSIONS[item.type]);
+    const image = imageItem ? imageItem.getAsFile() : null;
+    if (pasteRichContent({ image, html: data.getData("text/html"), plain: data.getData("text/plain") })) {
+      e.preventDefault();
+    }
+  };
+
   const handlePasteClick = async () => {
     if (overlayPhase === "saving" || overlayPhase === "confirmation") return;
     try {
-      const clipboard = await navigator.clipboard.readText();
+      const contents = { image: null, html: "", plain: "" };
+      for (const item of navigator.clipboard.read ? await navigator.clipboard.read() : []) {
+        const imageType = item.types.find((type) => PASTED_IMAGE_EXTENSIONS[type]);
+        if (imageType && !contents.image) contents.image = await item.getType(imageType);
+        if (item.types.includes("text/html") && !contents.html) contents.html = await (await item.getType("text/html")).text();
+        if (item.types.includes("text/plain") && !contents.plain) contents.plain = await (await item.getType("text/plain")).text();
+      }
+      if (pasteRichContent(contents)) {
+        textareaRef.current?.focus();
+        return;
+      }
+      const clipboard = contents.plain || await navigator.clipboard.readText();
       setText(clipboard);
       enterTextMode();
       const isURL = await window.electronAPI.isURLContent(clipboard);
@@ -214,8 +659,48 @@ function App() {
     }
   };
 
+  const loadTags = React.useCallback(async () => {
+    try {
+      const allTags = await window.electronAPI.getTags();
+      setTags(allTags || []);
+    } catch (error) {
+      console.error("Failed to load tags:", error);
+    }
+  }, []);
+
+  const loadCollections = React.useCallback(async () => {
+    try {
+      const all = await window.electronAPI.getCollections();
+      setCollections(all || []);
+    } catch (error) {
+      console.error("Failed to load collections:", error);
+    }
+  }, []);
+
+  const loadTrash = React.useCallback(async () => {
+    try {
+      const trashed = await window.electronAPI.getTrash();
+      setTrashItems(trashed || []);
+    } catch (error) {
+      console.error("Failed to load trash:", error);
+    }
+  }, []);
+
+  const loadClipboard = React.useCallback(async () => {
+    try {
+      const entries = await window.electronAPI.getClipboardEntries();
+      setClipboardEntries(entries || []);
+    } catch (error) {
+      console.error("Failed to load clipboard entries:", error);
+    }
+  }, []);
+
   const loadItems = React.useCallback(async () => {
     try {
+      loadTags();
+      loadCollections();
+      loadTrash();
+      loadClipboard();
       const allItems = await window.electronAPI.getItems();
       setItems(allItems);
       if (allItems.length === 0) {
@@ -226,8 +711,24 @@ function App() {
     } catch (error) {
       console.error("Failed to load items:", error);
     }
+  }, [loadTags, loadCollections, loadTrash, loadClipboard]);
+
+  // Encryption status, in the overlay too (saving needs an unlocked vault)
+  useEffect(() => {
+    if (!window.electronAPI.getEncryptionStatus) {
+      setEncryptionStatus({ encrypted: false, locked: false });
+      return;
+    }
+    window.electronAPI.getEncryptionStatus().then(setEncryptionStatus).catch((error) => {
+      console.error("Failed to load encryption status:", error);
+    });
+    const unsubscribe = window.electronAPI.onVaultLockChanged(setEncryptionStatus);
+    return () => { if (unsubscribe) unsubscribe(); };
   }, []);
 
+  const encryptionKnown = encryptionStatus !== null;
+  const vaultLocked = Boolean(encryptionStatus && encryptionStatus.locked);
+
   useEffect(() => {
     if (!isOverlay) {
       const loadVaultDir = async () => {
@@ -239,18 +740,120 @@ function App() {
         }
       };
       loadVaultDir();
-      loadItems();
     }
-  }, [isOverlay, loadItems]);
+  }, [isOverlay]);
+
+  // Items load once the vault is readable, and again after each unlock
+  useEffect(() => {
+    if (!isOverlay && encryptionKnown && !vaultLocked) loadItems();
+  }, [isOverlay, encryptionKnown, vaultLocked, loadItems]);
+
+  // Nothing decrypted stays on screen while the vault is locked
+  useEffect(() => {
+    if (isOverlay || !vaultLocked) return;
+    setItems([]);
+    setSearchQuery("");
+    setSearchResults([]);
+    setSelectedItem(null);
+    setEditDraft(null);
+    setVersions([]);
+    setTags([]);
+    setCollections([]);
+    setActiveCollection(null);
+    setTrashItems([]);
+    setClipboardEntries([]);
+    setClipboardPrompt(null);
+    setDuplicateGroups([]);
+    setNearDuplicateNotice(null);
+    setVaultReport(null);
+    setVaultView(null);
+  }, [isOverlay, vaultLocked]);
 
   useEffect(() => {
-    if (!isOverlay && window.electronAPI.onItemsUpdated) {
+    if (!isOverlay && !vaultLocked && window.electronAPI.onItemsUpdated) {
       const unsubscribe = window.electronAPI.onItemsUpdated(() => {
         loadItems();
       });
       return () => { if (unsubscribe) unsubscribe(); };
     }
-  }, [isOverlay, loadItems]);
+  }, [isOverlay, vaultLocked, loadItems]);
+
+  // New copies recorded by the clipboard watcher
+  useEffect(() => {
+    if (isOverlay || vaultLocked || !window.electronAPI.onClipboardUpdated) return;
+    const unsubscribe = window.electronAPI.onClipboardUpdated(loadClipboard);
+    return () => { if (unsubscribe) unsubscribe(); };
+  }, [isOverlay, vaultLocked, loadClipboard]);
+
+  // Existing tags for the overlay's tag suggestions
+  useEffect(() => {
+    if (isOverlay && overlayPhase === "text") {
+      loadTags();
+      loadCollections();
+    }
+  }, [isOverlay, overlayPhase, loadTags, loadCollections]);
+
+  // Tag suggestions for the overlay draft (debounced; computed in the main process)
+  useEffect(() => {
+    const draft = text.trim();
+    if (!isOverlay || overlayPhase !== "text" || draft.length < 3 || !window.electronAPI.suggestTags) {
+      setOverlaySuggestions([]);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const suggested = await window.electronAPI.suggestTags(draft, overlayTags);
+        if (!cancelled) setOverlaySuggestions(suggested || []);
+      } catch (error) {
+        console.error("Tag suggestion failed:", error);
+      }
+    }, 400);
+    return () => { cancelled = true; clearTimeout(timer); };
+  }, [isOverlay, overlayPhase, text, overlayTags]);
+
+  // Keep the open detail panel in sync with reloaded items (tags, suggestions)
+  useEffect(() => {
+    setSelectedItem((current) => (current ? items.find((i) => i.id === current.id) || current : current));
+  }, [items]);
+
+  // Drop the tag filter once its tag no longer exists (renamed, merged, emptied)
+  useEffect(() => {
+    if (activeTag && !tags.some((t) => t.name.toLowerCase() === activeTag.toLowerCase())) {
+      setActiveTag(null);
+    }
+  }, [tags, activeTag]);
+
+  // Likewise for a deleted collection
+  useEffect(() => {
+    if (activeCollection && !collections.some((c) => c.id === activeCollection)) setActiveCollection(null);
+  }, [collections, activeCollection]);
+
+  // Near duplicates are only known once a new item has its embedding
+  useEffect(() => {
+    if (isOverlay || vaultLocked || !window.electronAPI.onNearDuplicatesFound) return;
+    const unsubscribe = window.electronAPI.onNearDuplicatesFound(setNearDuplicateNotice);
+    return () => { if (unsubscribe) unsubscribe(); };
+  }, [isOverlay, vaultLocked]);
+
+  // Background indexing progress (thumbnails, text extraction, embeddings)
+  useEffect(() => {
+    if (!isOverlay && window.electronAPI.onItemProgress) {
+      const unsubscribe = window.electronAPI.onItemProgress((progress) => {
+        if (!progress.itemId) return;
+        setIndexProgress(prev => {
+          const next = { ...prev };
+          if (progress.status === "ready") {
+            delete next[progress.itemId];
+          } else {
+            next[progress.itemId] = progress;
+          }
+          return next;
+        });
+      });
+      return () => { if (unsubscribe) unsubscribe(); };
+    }
+  }, [isOverlay]);
 
   // Smart search
   useEffect(() => {
@@ -259,7 +862,7 @@ function App() {
       const performSearch = async () => {
         try {
           setIsSearching(true);
-          const results = await window.electronAPI.smartSearch(q);
+          const results = await window.electronAPI.smartSearch(q, { limit: SEARCH_RESULT_LIMIT });
           setSearchResults(results.results);
           setSearchExplanation(results.explanation);
         } catch (error) {
@@ -348,8 +951,20 @@ function App() {
       if (window.electronAPI && window.electronAPI.setOverlayDragState) {
         window.electronAPI.setOverlayDragState(false);
       }
+      if (vaultLocked) {
+        enterErrorMode("Vault is locked. Unlock it in AltDump first");
+        return;
+      }
+      if (stackMode) {
+        addDropToStack(e);
+        return;
+      }
       enterSavingMode();
+      const tagsForDrop = overlayTags;
+      // Files already in the vault, kept for "Save anyway"
+      const pendingDuplicates = [];
       try {
+        const collection = await resolveOverlayCollection();
         if (!window.api || !window.api.saveDroppedFiles) {
           throw new Error("Drop saving is not available (window.api.saveDroppedFiles missing)");
         }
@@ -357,7 +972,7 @@ function App() {
         const hasFullPaths = Array.isArray(extracted) ? extracted.some((p) => p && (p.includes("/") || p.includes("\\"))) : false;
         let results;
         if (hasFullPaths) {
-          results = await window.api.saveDroppedFiles();
+          results = await window.api.saveDroppedFiles({ tags: overlayTags, collection });
         } else {
           if (!window.electronAPI?.saveFileBlob) throw new Error("saveFileBlob is not available");
           const files = e.dataTransfer && e.dataTransfer.files ? Array.from(e.dataTransfer.files) : [];
@@ -367,7 +982,8 @@ function App() {
             try {
               const arrayBuffer = await file.arrayBuffer();
               const uint8 = new Uint8Array(arrayBuffer);
-              const r = await window.electronAPI.saveFileBlob({ name: file.name, buffer: uint8 });
+              const r = await window.electronAPI.saveFileBlob({ name: file.name, buffer: uint8, tags: overlayTags, collection });
+              if (r && r.duplicate) pendingDuplicates.push({ file });
               results.push(r);
             } catch (err) {
               results.push({ error: err && err.message ? err.message : "Unknown error", path: file.name });
@@ -376,15 +992,30 @@ function App() {
         }
         if (!results || results.length === 0) throw new Error("No files were saved");
         const failedFiles = results.filter((r) => r.error);
-        const successfulFiles = results.filter((r) => !r.error);
-        if (failedFiles.length > 0) {
+        const duplicateFiles = results.filter((r) => r.duplicate);
+        const successfulFiles = results.filter((r) => !r.error && !r.duplicate);
+        if (duplicateFiles.length > 0) {
+          duplicateFiles.filter((r) => r.path).forEach((r) => pendingDuplicates.push({ path: r.path }));
+          const matches = [];
+          for (const match of duplicateFiles.flatMap((r) => r.matches)) {
+            if (!matches.some((m) => m.item.id === match.item.id)) matches.push(match);
+          }
+          enterDuplicateMode({
+            matches,
+            files: pendingDuplicates,
+            tags: tagsForDrop,
+            collection,
+            savedCount: successfulFiles.length,
+            failedCount: failedFiles.length,
+          });
+        } else if (failedFiles.length > 0) {
           if (successfulFiles.length === 0) throw new Error("All files failed to save");
           enterConfirmationMode(`Saved ${successfulFiles.length} file(s), ${failedFiles.length} failed`);
         } else {
           enterConfirmationMode();
         }
       } catch (err) {
-        enterErrorMode(err && err.message ? err.message : "Failed to save file");
+        enterErrorMode(ipcErrorMessage(err, "Failed to save file"));
       }
     } catch (err) {
       enterErrorMode("Drop operation failed");
@@ -395,118 +1026,1212 @@ function App() {
   useEffect(() => {
     const handleKeyDown = (e) => {
       if (isOverlay && overlayPhase === "text" && e.key === "Enter" && e.ctrlKey) {
-        handleSaveText();
+        if (stackMode && e.shiftKey) handleSaveStack();
+        else handleSaveText();
+      }
+      const index = getSuggestionShortcut(e);
+      if (isOverlay && overlayPhase === "text" && index >= 0) {
+        const pending = overlaySuggestions.filter((s) => !overlayTags.some((t) => t.toLowerCase() === s.toLowerCase()));
+        if (pending[index]) {
+          e.preventDefault();
+          setOverlayTags([...overlayTags, pending[index]]);
+        }
       }
     };
     document.addEventListener("keydown", handleKeyDown);
     return () => document.removeEventListener("keydown", handleKeyDown);
-  }, [text, overlayPhase, isOverlay]);
+  }, [text, pastedImage, overlayTags, overlaySuggestions, overlayPhase, isOverlay, vaultLocked, stackMode, stack, overlayCollection, newCollectionName]);
+
+  // The pending list needs a taller overlay window
+  useEffect(() => {
+    if (isOverlay && window.electronAPI.setOverlayStackMode) window.electronAPI.setOverlayStackMode(stackMode);
+  }, [isOverlay, stackMode]);
+
+
+  // A pasted image goes through the dropped-file pipeline (thumbnail, OCR,
+  // caption); the text typed with it becomes its note
+  // Id of the collection picked in the overlay, creating it first when the
+  // picker is on "New collection…"; undefined when none is picked
+  const resolveOverlayCollection = async () => {
+    if (overlayCollection === NEW_COLLECTION) {
+      const created = await window.electronAPI.createCollection(newCollectionName);
+      setOverlayCollection(created.id);
+      setNewCollectionName("");
+      loadCollections();
+      return created.id;
+    }
+    return overlayCollection || undefined;
+  };
+
+  const handleSavePastedImage = async () => {
+    if (vaultLocked) {
+      enterErrorMode("Vault is locked. Unlock it in AltDump first");
+      return;
+    }
+    const { file } = pastedImage;
+    const notes = text.trim() || undefined;
+    try {
+      enterSavingMode();
+      const buffer = new Uint8Array(await file.arrayBuffer());
+      const collection = await resolveOverlayCollection();
+      const result = await window.electronAPI.saveFileBlob({ name: file.name, buffer, tags: overlayTags, notes, collection });
+      if (result && result.duplicate) {
+        enterDuplicateMode({ matches: result.matches, files: [{ file }], tags: overlayTags, notes, collection });
+      }
+    } catch (error) {
+      console.error("Failed to save pasted image:", error);
+      enterErrorMode(ipcErrorMessage(error, "Failed to save image"));
+    }
+  };
 
   const handleSaveText = async () => {
-    if (text.trim()) {
+    if (stackMode) {
+      addCaptureToStack();
+    } else if (pastedImage) {
+      await handleSavePastedImage();
+    } else if (text.trim()) {
+      if (vaultLocked) {
+        enterErrorMode("Vault is locked. Unlock it in AltDump first");
+        return;
+      }
       try {
         enterSavingMode();
-        await window.electronAPI.saveText(text);
+        const collection = await resolveOverlayCollection();
+        const result = await window.electronAPI.saveText(text, { tags: overlayTags, collection });
+        if (result && result.secretsFound) {
+          enterSecretsMode({ findings: result.findings, text, tags: overlayTags, collection });
+        } else if (result && result.duplicate) {
+          enterDuplicateMode({ matches: result.matches, text, tags: overlayTags, collection });
+        }
       } catch (error) {
         console.error("Failed to save text:", error);
-        enterErrorMode("Failed to save");
+        enterErrorMode(ipcErrorMessage(error, "Failed to save"));
       }
     }
   };
 
-  const handleDeleteItem = async (itemId) => {
-    try {
-      await window.electronAPI.deleteItem(itemId);
-      setItems(items.filter((i) => i.id !== itemId));
-    } catch (error) {
-      console.error("Failed to delete item:", error);
+  // ----- Stack mode -----
+
+  const toStackEntry = (entry) => ({ ...entry, id: ++stackIdRef.current });
+
+  // What is in the capture box right now, as a stack entry (or null)
+  const currentStackEntry = () => {
+    if (pastedImage) {
+      const { file, url } = pastedImage;
+      return { kind: "file", file, name: file.name, notes: text.trim(), preview: url };
     }
+    return text.trim() ? { kind: "text", text } : null;
   };
 
-  // Utility helpers
-  const formatFileSize = (bytes) => {
-    if (!bytes) return "0 B";
-    const units = ["B", "KB", "MB", "GB"];
-    let size = bytes;
-    let unitIndex = 0;
-    while (size >= 1024 && unitIndex < units.length - 1) { size /= 1024; unitIndex++; }
-    return `${size.toFixed(1)} ${units[unitIndex]}`;
+  const addCaptureToStack = () => {
+    const entry = currentStackEntry();
+    if (!entry) return;
+    setStack([...stack, toStackEntry(entry)]);
+    setText("");
+    setPastedImage(null);
+    setPastedHtml(null);
+    setDetectedCategory("");
+    setValidationMessage("");
+    textareaRef.current?.focus();
   };
 
-  const getDisplayFileName = (raw) => {
-    if (!raw) return "";
-    const m = raw.match(/^(\d{5,})-(.+)$/);
-    return m ? m[2] : raw;
+  // Drops are collected instead of saved; files with a path are read when
+  // the stack is saved
+  const addDropToStack = (e) => {
+    const dropped = window.api?.takeDroppedFilePaths ? window.api.takeDroppedFilePaths() : [];
+    const paths = dropped.filter((p) => p && (p.includes("/") || p.includes("\\")));
+    const files = e.dataTransfer && e.dataTransfer.files ? Array.from(e.dataTransfer.files) : [];
+    const entries = paths.length > 0
+      ? paths.map((p) => ({ kind: "file", path: p, name: p.split(/[\\/]/).pop() }))
+      : files.map((file) => ({ kind: "file", file, name: file.name }));
+    if (entries.length === 0) {
+      enterErrorMode("No files available to read from drop event");
+      return;
+    }
+    setStack([...stack, ...entries.map(toStackEntry)]);
+    setOverlayPhase("text");
   };
 
-  const getItemPreview = (item) => {
-    if (item.type === "text") return item.content || "";
-    if (item.type === "link") return item.title || item.metadata?.url || "";
-    const base = item.title || item.metadata?.filename || "";
-    return getDisplayFileName(base);
+  const updateStackEntry = (id, changes) => {
+    setStack(stack.map((entry) => (entry.id === id ? { ...entry, ...changes } : entry)));
   };
 
-  const getItemPreviewSnippet = (item) => {
-    if (item.type === "text") {
-      const raw = item.content || "";
-      if (!raw) return "";
-      return raw.length > 140 ? raw.slice(0, 137) + "..." : raw;
-    }
-    if (item.type === "link") return item.metadata?.url || "";
-    return "";
+  const moveStackEntry = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= stack.length) return;
+    const next = [...stack];
+    [next[index], next[target]] = [next[target], next[index]];
+    setStack(next);
   };
 
-  const getFileUrl = (item) => {
-    const storagePath = item.storagePath || item.path;
-    if (!storagePath) return null;
-    const normalized = storagePath.replace(/\\/g, "/");
-    return `file:///${encodeURI(normalized)}`;
+  const removeStackEntry = (id) => {
+    setStack(stack.filter((entry) => entry.id !== id));
+    if (editingStackId === id) setEditingStackId(null);
   };
 
-  const getThumbnailUrl = (item) => {
-    const rel = item.metadata?.thumbnail;
-    if (vaultDir && rel) {
-      const normalizedVault = vaultDir.replace(/\\/g, "/");
-      const normalizedRel = rel.replace(/\\/g, "/");
-      return `file:///${encodeURI(`${normalizedVault}/${normalizedRel}`)}`;
-    }
-    return getFileUrl(item);
+  // Text emptied while editing drops out of the stack
+  const finishStackEdit = (entry) => {
+    setEditingStackId(null);
+    if (entry.kind === "text" && !entry.text.trim()) removeStackEntry(entry.id);
   };
 
-  const getCategoryLabel = (category) => {
-    const labels = {
-      ideas: "Ideas", links: "Links", code: "Code", notes: "Notes",
-      images: "Images", documents: "Documents", videos: "Videos", csv: "Data",
-    };
-    return labels[category] || category;
+  const clearStack = () => {
+    setStack([]);
+    setEditingStackId(null);
   };
 
-  const getFilteredItems = () => {
-    if (activeCategory === "all") return items;
-    return items.filter((item) => {
-      switch (activeCategory) {
-        case "images": return item.type === "image" || item.category === "images";
-        case "documents": return item.category === "documents";
-        case "videos": return item.category === "videos";
-        case "links": return item.type === "link" || item.category === "links";
-        case "notes": return item.category === "notes";
-        case "ideas": return item.category === "ideas";
-        case "code": return item.category === "code";
-        case "csv": return item.category === "csv";
-        case "text": return item.type === "text";
-        default: return item.category === activeCategory;
-      }
-    });
+  const toggleStackMode = () => {
+    if (stackMode && stack.length > 0) return;
+    setStackMode(!stackMode);
+    setEditingStackId(null);
+    textareaRef.current?.focus();
   };
 
-  const getCategoryList = () => [
-    "all", "images", "documents", "videos", "links", "notes", "ideas", "code", "csv", "text",
-  ];
-
-  const getCategoryCount = (cat) => {
-    if (cat === "all") return items.length;
+  // Everything in the stack, plus what is still in the capture box, goes to
+  // the main process as one batch (see addItemBatch); options carry the
+  // answers to the secrets and duplicate prompts
+  const handleSaveStack = async (options = {}) => {
+    const current = currentStackEntry();
+    const pending = current ? [...stack, current] : stack;
+    if (pending.length === 0 || overlayPhase === "saving") return;
+    if (vaultLocked) {
+      enterErrorMode("Vault is locked. Unlock it in AltDump first");
+      return;
+    }
+    try {
+      enterSavingMode();
+      const entries = [];
+      for (const entry of pending) {
+        if (entry.kind === "text") {
+          entries.push({ text: entry.text });
+        } else if (entry.path) {
+          entries.push({ filePath: entry.path, notes: entry.notes });
+        } else {
+          const data = new Uint8Array(await entry.file.arrayBuffer());
+          entries.push({ fileName: entry.name, data, notes: entry.notes });
+        }
+      }
+      const collection = await resolveOverlayCollection();
+      const result = await window.electronAPI.saveStack(entries, { tags: overlayTags, collection, ...options });
+      if (result && result.secretsFound) {
+        const findings = result.findings.map((finding) => ({ ...finding, label: `Item ${finding.entry + 1}: ${finding.label}` }));
+        enterSecretsMode({ stack: true, findings });
+      } else if (result && result.duplicate) {
+        enterDuplicateMode({
+          stack: true,
+          matches: result.matches,
+          entries: result.entries,
+          repeats: result.repeats,
+          secrets: options.secrets,
+        });
+      } else {
+        const count = result.items.length;
+        clearStack();
+        setStackMode(false);
+        enterConfirmationMode(`Saved ${count} item${count === 1 ? "" : "s"}`);
+      }
+    } catch (error) {
+      console.error("Failed to save stack:", error);
+      enterErrorMode(ipcErrorMessage(error, "Failed to save"));
+    }
+  };
+
+  // action: "redact" or "sensitive" (see addTextItem)
+  const handleSaveWithSecrets = async (action) => {
+    const prompt = secretsPrompt;
+    if (!prompt) return;
+    if (prompt.stack) {
+      setSecretsPrompt(null);
+      await handleSaveStack({ secrets: action });
+      return;
+    }
+    enterSavingMode();
+    try {
+      const result = await window.electronAPI.saveText(prompt.text, {
+        tags: prompt.tags, collection: prompt.collection, secrets: action,
+      });
+      setSecretsPrompt(null);
+      if (result && result.duplicate) {
+        enterDuplicateMode({
+          matches: result.matches, text: prompt.text, tags: prompt.tags, collection: prompt.collection, secrets: action,
+        });
+      }
+    } catch (error) {
+      console.error("Failed to save text:", error);
+      enterErrorMode("Failed to save");
+    }
+  };
+
+  const handleSaveDuplicateAnyway = async () => {
+    const prompt = duplicatePrompt;
+    if (!prompt) return;
+    if (prompt.stack) {
+      setDuplicatePrompt(null);
+      await handleSaveStack({ secrets: prompt.secrets, allowDuplicate: true });
+      return;
+    }
+    enterSavingMode();
+    try {
+      if (prompt.files) {
+        for (const pending of prompt.files) {
+          if (pending.path) {
+            await window.electronAPI.saveFile(pending.path, { tags: prompt.tags, collection: prompt.collection, allowDuplicate: true });
+          } else {
+            const buffer = new Uint8Array(await pending.file.arrayBuffer());
+            await window.electronAPI.saveFileBlob({
+              name: pending.file.name, buffer, tags: prompt.tags, notes: prompt.notes, collection: prompt.collection,
+              allowDuplicate: true,
+            });
+          }
+        }
+      } else {
+        await window.electronAPI.saveText(prompt.text, {
+          tags: prompt.tags, collection: prompt.collection, secrets: prompt.secrets, allowDuplicate: true,
+        });
+      }
+      setDuplicatePrompt(null);
+    } catch (error) {
+      console.error("Failed to save duplicate:", error);
+      enterErrorMode("Failed to save");
+    }
+  };
+
+  const handleOpenDuplicate = (item) => {
+    setDuplicatePrompt(null);
+    window.electronAPI.openItemInLibrary(item.id);
+    handleCancel();
+  };
+
+  const describeDuplicatePrompt = (prompt) => {
+    const first = prompt.matches[0];
+    if (prompt.stack) {
+      // Repeats are entries identical to an earlier one in the same stack
+      if (prompt.entries.length === 1) {
+        const repeat = prompt.repeats.find((r) => r.entry === prompt.entries[0]);
+        return repeat
+          ? `Item ${repeat.entry + 1} is the same as item ${repeat.of + 1}`
+          : `Item ${prompt.entries[0] + 1} was already saved ${formatTimeAgo(first.item.timestamp)}`;
+      }
+      if (!first) return `${prompt.entries.length} of these items repeat earlier ones in the stack`;
+      return prompt.repeats.length > 0
+        ? `${prompt.entries.length} of these items are already in your vault or earlier in the stack`
+        : `${prompt.entries.length} of these items are already in your vault`;
+    }
+    if (prompt.files) {
+      const count = prompt.files.length;
+      const saved = prompt.savedCount ? ` (${prompt.savedCount} other${prompt.savedCount === 1 ? "" : "s"} saved)` : "";
+      return count === 1
+        ? `Already saved ${formatTimeAgo(first.item.timestamp)}${saved}`
+        : `${count} files are already in your vault${saved}`;
+    }
+    return `Already saved ${formatTimeAgo(first.item.timestamp)}`;
+  };
+
+  // Deleting moves the item to the trash; it can be restored from there
+  const handleDeleteItem = async (itemId) => {
+    try {
+      await window.electronAPI.deleteItem(itemId);
+      setItems(items.filter((i) => i.id !== itemId));
+      loadTrash();
+      loadTags();
+    } catch (error) {
+      console.error("Failed to delete item:", error);
+    }
+  };
+
+  const loadDuplicates = React.useCallback(async () => {
+    try {
+      const groups = await window.electronAPI.getDuplicateGroups();
+      setDuplicateGroups(groups || []);
+    } catch (error) {
+      console.error("Failed to load duplicates:", error);
+    }
+  }, []);
+
+  const openDuplicates = () => {
+    setVaultView("duplicates");
+    setActiveTag(null);
+    setSearchQuery("");
+  };
+
+  // Merge a group into the chosen item (the oldest by default); the rest go to the trash
+  const handleMergeDuplicates = async (group) => {
+    const keepId = duplicateKeep[group.id] || group.items[0].id;
+    const others = group.items.filter((i) => i.id !== keepId).map((i) => i.id);
+    try {
+      await window.electronAPI.mergeDuplicates(keepId, others);
+      setDuplicateGroups((prev) => prev.filter((g) => g.id !== group.id));
+    } catch (error) {
+      console.error("Failed to merge duplicates:", error);
+    }
+  };
+
+  const handleDismissDuplicates = async (group) => {
+    try {
+      await window.electronAPI.dismissDuplicates(group.items.map((i) => i.id));
+      setDuplicateGroups((prev) => prev.filter((g) => g.id !== group.id));
+    } catch (error) {
+      console.error("Failed to dismiss duplicates:", error);
+    }
+  };
+
+  const openVaultCheck = () => {
+    setVaultView("integrity");
+    setActiveTag(null);
+    setSearchQuery("");
+  };
+
+  // Dry run by default; repair moves files to quarantine instead of deleting them
+  const runVaultCheck = async (repair = false) => {
+    if (repair && !window.confirm("Repair the vault? Orphaned files and stale thumbnails will be moved to the quarantine folder.")) return;
+    setVaultCheckRunning(true);
+    setVaultCheckError("");
+    setVaultCheckProgress(null);
+    const unsubscribe = window.electronAPI.onVaultCheckProgress(setVaultCheckProgress);
+    try {
+      setVaultReport(await window.electronAPI.checkVault({ repair }));
+    } catch (error) {
+      console.error("Vault check failed:", error);
+      setVaultCheckError(ipcErrorMessage(error, "Vault check failed"));
+    } finally {
+      if (unsubscribe) unsubscribe();
+      setVaultCheckRunning(false);
+    }
+  };
+
+  const openTransfer = async () => {
+    setVaultView("transfer");
+    setActiveTag(null);
+    setSearchQuery("");
+    try {
+      const settings = await window.electronAPI.getMarkdownExportSettings();
+      setMarkdownExport(settings);
+      if (settings) setMarkdownLayout(settings.layout);
+    } catch (error) {
+      console.error("Failed to load Markdown export settings:", error);
+    }
+  };
+
+  // kind: "export" | "import" | "markdown"; the main process asks for the
+  // archive path or export folder
+  const runVaultTransfer = async (kind, options = {}) => {
+    setTransferRunning(kind);
+    setTransferError("");
+    setTransferProgress(null);
+    const unsubscribe = window.electronAPI.onVaultTransferProgress(setTransferProgress);
+    try {
+      let result;
+      if (kind === "export") result = await window.electronAPI.exportVault();
+      else if (kind === "import") result = await window.electronAPI.importVault({ strategy: importStrategy });
+      else result = await window.electronAPI.exportMarkdown({ layout: markdownLayout, ...options });
+      if (result) setTransferResult({ kind, ...result });
+      if (result && kind === "markdown") setMarkdownExport({ outDir: result.outDir, layout: result.layout });
+    } catch (error) {
+      console.error(`Vault ${kind} failed:`, error);
+      setTransferError(ipcErrorMessage(error, `Vault ${kind} failed`));
+    } finally {
+      if (unsubscribe) unsubscribe();
+      setTransferRunning(null);
+    }
+  };
+
+  const openBackups = async () => {
+    setVaultView("backups");
+    setActiveTag(null);
+    setSearchQuery("");
+    setBackupError("");
+    try {
+      setBackupStatus(await window.electronAPI.getBackupStatus());
+    } catch (error) {
+      console.error("Failed to load backup status:", error);
+    }
+  };
+
+  // Wraps a backup action: one at a time, errors shown in the Backups view
+  const withBackupAction = async (action) => {
+    setBackupBusy(true);
+    setBackupError("");
+    setBackupMessage("");
+    try {
+      await action();
+    } catch (error) {
+      console.error("Backup action failed:", error);
+      setBackupError(ipcErrorMessage(error, "Backup action failed"));
+    } finally {
+      setBackupBusy(false);
+    }
+  };
+
+  const handleChooseBackupFolder = () => withBackupAction(async () => {
+    const status = await window.electronAPI.chooseBackupFolder();
+    if (status) setBackupStatus(status);
+  });
+
+  const handleBackupSettingChange = (changes) => withBackupAction(async () => {
+    setBackupStatus(await window.electronAPI.setBackupSettings(changes));
+  });
+
+  const handleRunBackup = () => withBackupAction(async () => {
+    setBackupProgress(null);
+    const unsubscribe = window.electronAPI.onBackupProgress(setBackupProgress);
+    try {
+      await window.electronAPI.runBackup();
+    } finally {
+      if (unsubscribe) unsubscribe();
+      setBackupStatus(await window.electronAPI.getBackupStatus());
+    }
+  });
+
+  // Validate first, then ask before swapping the vault
+  const handleRestoreBackup = (backup) => withBackupAction(async () => {
+    const check = await window.electronAPI.validateBackup(backup.id);
+    if (!check.ok) {
+      setBackupError(`This backup can't be restored: ${check.errors.join("; ")}`);
+      return;
+    }
+    const warnings = check.warnings.length > 0 ? `\n\nWarning: ${check.warnings.join("; ")}.` : "";
+    const when = new Date(backup.createdAt).toLocaleString();
+    if (!window.confirm(`Restore the backup from ${when} (${check.items} items)? The current vault is replaced; a copy of it is kept in the vault's backups folder.${warnings}`)) return;
+    const result = await window.electronAPI.restoreBackup(backup.id);
+    setBackupMessage(`Restored the backup from ${when}. The previous vault was kept at ${result.previousVault}`);
+  });
+
+  const openEncryption = () => {
+    setVaultView("encryption");
+    setActiveTag(null);
+    setSearchQuery("");
+    setEncryptionError("");
+    setPassphraseDraft({ passphrase: "", confirm: "" });
+  };
+
+  // Wraps an encryption action: one at a time, with progress for long conversions
+  const withEncryptionAction = async (action) => {
+    setEncryptionBusy(true);
+    setEncryptionError("");
+    setEncryptionProgress(null);
+    const unsubscribe = window.electronAPI.onEncryptionProgress(setEncryptionProgress);
+    try {
+      await action();
+    } catch (error) {
+      console.error("Encryption action failed:", error);
+      setEncryptionError(ipcErrorMessage(error, "Encryption action failed"));
+    } finally {
+      if (unsubscribe) unsubscribe();
+      setEncryptionBusy(false);
+      setEncryptionProgress(null);
+    }
+  };
+
+  const handleUnlock = (e) => {
+    e.preventDefault();
+    withEncryptionAction(async () => {
+      setEncryptionStatus(await window.electronAPI.unlockVault(unlockPassphrase));
+      setUnlockPassphrase("");
+    });
+  };
+
+  const handleEnableEncryption = (e) => {
+    e.preventDefault();
+    const { passphrase, confirm } = passphraseDraft;
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      setEncryptionError(`The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+      return;
+    }
+    if (passphrase !== confirm) {
+      setEncryptionError("The passphrases don't match");
+      return;
+    }
+    if (!window.confirm("Encrypt the vault? The passphrase can't be recovered: if you forget it, the vault and its backups can't be opened again.")) return;
+    withEncryptionAction(async () => {
+      setEncryptionStatus(await window.electronAPI.enableEncryption(passphrase));
+      setPassphraseDraft({ passphrase: "", confirm: "" });
+    });
+  };
+
+  const handleAutoLockChange = (minutes) => withEncryptionAction(async () => {
+    setEncryptionStatus(await window.electronAPI.setAutoLockMinutes(minutes));
+  });
+
+  const handleLockNow = () => withEncryptionAction(async () => {
+    setEncryptionStatus(await window.electronAPI.lockVault());
+  });
+
+  const openClipboard = async () => {
+    setVaultView("clipboard");
+    setActiveTag(null);
+    setSearchQuery("");
+    setClipboardError("");
+    setClipboardPrompt(null);
+    loadClipboard();
+    try {
+      const settings = await window.electronAPI.getClipboardSettings();
+      setClipboardSettings(settings);
+      setExcludedAppsDraft(settings.excludedApps.join(", "));
+    } catch (error) {
+      console.error("Failed to load clipboard settings:", error);
+    }
+  };
+
+  const handleClipboardSettingChange = async (changes) => {
+    setClipboardError("");
+    try {
+      const settings = await window.electronAPI.setClipboardSettings(changes);
+      setClipboardSettings(settings);
+      setExcludedAppsDraft(settings.excludedApps.join(", "));
+    } catch (error) {
+      console.error("Failed to save clipboard settings:", error);
+      setClipboardError(ipcErrorMessage(error, "Failed to save clipboard settings"));
+    }
+  };
+
+  const commitExcludedApps = () => {
+    const names = excludedAppsDraft.split(",").map((name) => name.trim()).filter(Boolean);
+    if (clipboardSettings && names.join(",") !== clipboardSettings.excludedApps.join(",")) {
+      handleClipboardSettingChange({ excludedApps: names });
+    }
+  };
+
+  // Duplicates and secrets are asked about first, as in the overlay
+  const handlePromoteClipboardEntry = async (entry, options = {}) => {
+    setClipboardError("");
+    try {
+      const result = await window.electronAPI.promoteClipboardEntry(entry.id, options);
+      if (result && (result.duplicate || result.secretsFound)) {
+        setClipboardPrompt({ entry, options, ...result });
+        return;
+      }
+      setClipboardPrompt(null);
+    } catch (error) {
+      console.error("Failed to save clipboard entry:", error);
+      setClipboardError(ipcErrorMessage(error, "Failed to save clipboard entry"));
+    }
+  };
+
+  const handleDeleteClipboardEntry = async (entry) => {
+    try {
+      await window.electronAPI.deleteClipboardEntry(entry.id);
+      setClipboardEntries((prev) => prev.filter((e) => e.id !== entry.id));
+      if (clipboardPrompt && clipboardPrompt.entry.id === entry.id) setClipboardPrompt(null);
+    } catch (error) {
+      console.error("Failed to remove clipboard entry:", error);
+    }
+  };
+
+  const handleLinkSettingChange = async (changes) => {
+    setLinkSettingsError("");
+    try {
+      setLinkSettings(await window.electronAPI.setLinkSettings(changes));
+    } catch (error) {
+      console.error("Failed to save link settings:", error);
+      setLinkSettingsError(ipcErrorMessage(error, "Failed to save link settings"));
+    }
+  };
+
+  const handleCheckAllLinks = async () => {
+    setLinkSettingsError("");
+    setLinkCheck({ running: true, message: "" });
+    try {
+      const summary = await window.electronAPI.checkLinks({ force: true });
+      setLinkCheck({
+        running: false,
+        message: summary.offline
+          ? "Could not reach any site; check your connection"
+          : `Checked ${summary.checked} link${summary.checked === 1 ? "" : "s"} · ${summary.dead} dead`,
+      });
+    } catch (error) {
+      console.error("Failed to check links:", error);
+      setLinkCheck({ running: false, message: "" });
+      setLinkSettingsError(ipcErrorMessage(error, "Failed to check links"));
+    }
+  };
+
+  // Open / refresh actions in a link's detail panel report into its status line
+  const runLinkAction = async (action, fallback) => {
+    setEditError("");
+    try {
+      await action();
+    } catch (error) {
+      console.error(`${fallback}:`, error);
+      setEditError(ipcErrorMessage(error, fallback));
+    }
+  };
+
+  const handleClearClipboard = async () => {
+    const count = clipboardEntries.length;
+    if (!window.confirm(`Remove ${count} clipboard entr${count === 1 ? "y" : "ies"}? Items already saved to the vault are kept.`)) return;
+    try {
+      await window.electronAPI.clearClipboardEntries();
+      setClipboardEntries([]);
+      setClipboardPrompt(null);
+    } catch (error) {
+      console.error("Failed to clear clipboard entries:", error);
+    }
+  };
+
+  const openTrash = async () => {
+    setVaultView("trash");
+    setActiveTag(null);
+    setSearchQuery("");
+    loadTrash();
+    try {
+      setTrashRetention(await window.electronAPI.getTrashRetention());
+    } catch (error) {
+      console.error("Failed to load trash retention:", error);
+    }
+  };
+
+  const handleRestoreItem = async (itemId) => {
+    try {
+      await window.electronAPI.restoreItem(itemId);
+      setTrashItems((prev) => prev.filter((i) => i.id !== itemId));
+    } catch (error) {
+      console.error("Failed to restore item:", error);
+    }
+  };
+
+  const handlePurgeItem = async (item) => {
+    if (!window.confirm(`Permanently delete "${item.title}"? This cannot be undone.`)) return;
+    try {
+      await window.electronAPI.purgeItem(item.id);
+      setTrashItems((prev) => prev.filter((i) => i.id !== item.id));
+    } catch (error) {
+      console.error("Failed to delete item permanently:", error);
+    }
+  };
+
+  const handleEmptyTrash = async () => {
+    const count = trashItems.length;
+    if (!window.confirm(`Permanently delete ${count} item${count === 1 ? "" : "s"} in the trash? This cannot be undone.`)) return;
+    try {
+      await window.electronAPI.emptyTrash();
+      setTrashItems([]);
+    } catch (error) {
+      console.error("Failed to empty trash:", error);
+    }
+  };
+
+  const handleTrashRetentionChange = async (days) => {
+    try {
+      setTrashRetention(await window.electronAPI.setTrashRetention(days));
+    } catch (error) {
+      console.error("Failed to save trash retention:", error);
+    }
+  };
+
+  // Version history (text and link items)
+  const loadVersions = React.useCallback(async (itemId) => {
+    try {
+      setVersions((await window.electronAPI.getItemVersions(itemId)) || []);
+    } catch (error) {
+      console.error("Failed to load versions:", error);
+    }
+  }, []);
+
+  const toggleHistory = () => {
+    if (!historyOpen && selectedItem) loadVersions(selectedItem.id);
+    setHistoryOpen(!historyOpen);
+    setSelectedVersionId(null);
+  };
+
+  const handleRestoreVersion = async (version) => {
+    if (isEditDirty(selectedItem, editDraft) && !window.confirm("Discard unsaved changes and restore this version?")) return;
+    try {
+      const updated = await window.electronAPI.restoreItemVersion(selectedItem.id, version.id);
+      setSelectedItem(updated);
+      setEditDraft(draftFromItem(updated));
+      setItems((prev) => prev.map((i) => (i.id === updated.id ? updated : i)));
+      setSelectedVersionId(null);
+      loadVersions(updated.id);
+    } catch (error) {
+      console.error("Failed to restore version:", error);
+      setEditError("Failed to restore version");
+    }
+  };
+
+  const renderHistory = () => {
+    const selectedVersion = versions.find((v) => v.id === selectedVersionId);
+    return (
+      <div className="detail-history">
+        <div className="detail-field-label">History</div>
+        {versions.length === 0 ? (
+          <div className="detail-history-empty">No earlier versions yet. Saving an edit keeps the previous text here.</div>
+        ) : (
+          <div className="detail-history-list">
+            {versions.map((version) => (
+              <button
+                key={version.id}
+                className={`detail-history-entry ${version.id === selectedVersionId ? "active" : ""}`}
+                onClick={() => setSelectedVersionId(version.id === selectedVersionId ? null : version.id)}
+              >
+                <span className="detail-history-date">{new Date(version.createdAt).toLocaleString()}</span>
+                <span className="detail-history-title">{version.title}</span>
+              </button>
+            ))}
+          </div>
+        )}
+        {selectedVersion && (
+          <div className="detail-history-diff">
+            <div className="diff-caption">Changes from this version to the current one</div>
+            {selectedVersion.title !== selectedItem.title && (
+              <div className="diff-title">
+                Title: <del>{selectedVersion.title}</del> → <ins>{selectedItem.title}</ins>
+              </div>
+            )}
+            <pre className="diff-view">
+              {diffLines(selectedVersion.content, selectedItem.content).map((line, i) => (
+                <div key={i} className={`diff-line diff-${line.type}`}>
+                  {line.type === "added" ? "+ " : line.type === "removed" ? "- " : "  "}{line.text}
+                </div>
+              ))}
+            </pre>
+            <button className="detail-open-btn" onClick={() => handleRestoreVersion(selectedVersion)}>
+              Restore this version
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const isEditDirty = (item, draft) => {
+    if (!item || !draft) return false;
+    const original = draftFromItem(item);
+    return Object.keys(original).some((key) => original[key] !== draft[key]);
+  };
+
+  const openItem = React.useCallback((item) => {
+    setSelectedItem(item);
+    setEditDraft(draftFromItem(item));
+    setEditError("");
+    setHistoryOpen(false);
+    setVersions([]);
+    setSelectedVersionId(null);
+  }, []);
+
+  // Link preview settings are shown above the Links category
+  useEffect(() => {
+    if (isOverlay || activeCategory !== "links" || linkSettings || !window.electronAPI.getLinkSettings) return;
+    window.electronAPI.getLinkSettings().then(setLinkSettings).catch((error) => {
+      console.error("Failed to load link settings:", error);
+    });
+  }, [isOverlay, activeCategory, linkSettings]);
+
+  // Duplicate groups change with every save, edit and delete
+  useEffect(() => {
+    if (vaultView === "duplicates") loadDuplicates();
+  }, [items, vaultView, loadDuplicates]);
+
+  // Backup status for the sidebar; scheduled backups push updates
+  useEffect(() => {
+    if (isOverlay || !window.electronAPI.getBackupStatus) return;
+    window.electronAPI.getBackupStatus().then(setBackupStatus).catch((error) => {
+      console.error("Failed to load backup status:", error);
+    });
+    const unsubscribe = window.electronAPI.onBackupStatus(setBackupStatus);
+    return () => { if (unsubscribe) unsubscribe(); };
+  }, [isOverlay]);
+
+  // "Open" from the overlay's duplicate prompt
+  useEffect(() => {
+    if (!isOverlay && window.electronAPI.onOpenItem) {
+      const unsubscribe = window.electronAPI.onOpenItem(async (id) => {
+        try {
+          const item = await window.electronAPI.getItem(id);
+          if (item) openItem(item);
+        } catch (error) {
+          console.error("Failed to open item:", error);
+        }
+      });
+      return () => { if (unsubscribe) unsubscribe(); };
+    }
+  }, [isOverlay, openItem]);
+
+  const closeItem = () => {
+    if (isEditDirty(selectedItem, editDraft) && !window.confirm("Discard unsaved changes?")) return;
+    setSelectedItem(null);
+    setEditDraft(null);
+    setEditError("");
+  };
+
+  const handleSaveEdit = React.useCallback(async () => {
+    if (!selectedItem || !editDraft || isSavingEdit) return;
+    const changes = {
+      title: editDraft.title,
+      category: editDraft.category || null,
+      notes: editDraft.notes,
+      sensitive: editDraft.sensitive,
+    };
+    if (selectedItem.type === "text" || selectedItem.type === "link") changes.content = editDraft.content;
+    try {
+      setIsSavingEdit(true);
+      const updated = await window.electronAPI.updateItem(selectedItem.id, changes);
+      setSelectedItem(updated);
+      setEditDraft(draftFromItem(updated));
+      setItems((prev) => prev.map((i) => (i.id === updated.id ? updated : i)));
+      setEditError("");
+      if (historyOpen) loadVersions(updated.id);
+    } catch (error) {
+      // ipcRenderer.invoke prefixes the main-process message
+      setEditError(ipcErrorMessage(error, "Failed to save"));
+    } finally {
+      setIsSavingEdit(false);
+    }
+  }, [selectedItem, editDraft, isSavingEdit, historyOpen, loadVersions]);
+
+  const handleSetItemTags = React.useCallback(async (item, nextTags) => {
+    try {
+      const updated = await window.electronAPI.setItemTags(item.id, nextTags);
+      if (!updated) return;
+      setSelectedItem((current) => (current && current.id === updated.id ? updated : current));
+      setItems((prev) => prev.map((i) => (i.id === updated.id ? updated : i)));
+      loadTags();
+    } catch (error) {
+      console.error("Failed to update tags:", error);
+    }
+  }, [loadTags]);
+
+  const handleSetItemFlags = React.useCallback(async (item, flags) => {
+    try {
+      const updated = await window.electronAPI.setItemFlags(item.id, flags);
+      if (!updated) return;
+      setSelectedItem((current) => (current && current.id === updated.id ? updated : current));
+      setItems((prev) => prev.map((i) => (i.id === updated.id ? updated : i)));
+    } catch (error) {
+      console.error("Failed to update item:", error);
+    }
+  }, []);
+
+  // Detail panel shortcuts: Ctrl+S saves edits, Ctrl+P pins, Ctrl+D stars,
+  // Ctrl+1..5 accepts a suggested tag
+  useEffect(() => {
+    if (isOverlay || !selectedItem) return;
+    const handleKeyDown = (e) => {
+      const key = e.ctrlKey && !e.shiftKey && !e.altKey ? e.key.toLowerCase() : null;
+      if (key === "s") {
+        e.preventDefault();
+        handleSaveEdit();
+        return;
+      }
+      if (key === "p" || key === "d") {
+        e.preventDefault();
+        handleSetItemFlags(selectedItem, key === "p" ? { pinned: !selectedItem.pinnedAt } : { starred: !selectedItem.starredAt });
+        return;
+      }
+      const index = getSuggestionShortcut(e);
+      if (index < 0) return;
+      const current = selectedItem.tags || [];
+      const pending = (selectedItem.suggestedTags || [])
+        .filter((s) => !current.some((t) => t.toLowerCase() === s.toLowerCase()));
+      if (pending[index]) {
+        e.preventDefault();
+        handleSetItemTags(selectedItem, [...current, pending[index]]);
+      }
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [isOverlay, selectedItem, handleSetItemTags, handleSetItemFlags, handleSaveEdit]);
+
+  // Clipboard inbox: arrows select an entry, Enter saves it to the vault,
+  // Delete removes it (re-attached each render to see the current list)
+  useEffect(() => {
+    if (isOverlay || vaultView !== "clipboard" || selectedItem || clipboardPrompt) return;
+    const handleKeyDown = (e) => {
+      if (e.ctrlKey || e.altKey || e.metaKey || ["INPUT", "TEXTAREA", "SELECT"].includes(e.target.tagName)) return;
+      if (clipboardEntries.length === 0) return;
+      const index = clipboardEntries.findIndex((entry) => entry.id === clipboardSelectedId);
+      const selected = clipboardEntries[index];
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        const next = e.key === "ArrowDown"
+          ? Math.min(index + 1, clipboardEntries.length - 1)
+          : Math.max(index - 1, 0);
+        setClipboardSelectedId(clipboardEntries[next].id);
+        document.getElementById(`clipboard-entry-${clipboardEntries[next].id}`)?.scrollIntoView({ block: "nearest" });
+      } else if (e.key === "Enter" && selected) {
+        e.preventDefault();
+        handlePromoteClipboardEntry(selected);
+      } else if ((e.key === "Delete" || e.key === "Backspace") && selected) {
+        e.preventDefault();
+        const neighbour = clipboardEntries[index + 1] || clipboardEntries[index - 1];
+        setClipboardSelectedId(neighbour ? neighbour.id : null);
+        handleDeleteClipboardEntry(selected);
+      }
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  });
+
+  const selectTag = (name) => {
+    setVaultView(null);
+    setActiveTag(name);
+    setActiveCollection(null);
+    setActiveCategory("all");
+    setSearchQuery("");
+  };
+
+  const selectCategory = (cat) => {
+    setVaultView(null);
+    setActiveCategory(cat);
+    setActiveTag(null);
+    setActiveCollection(null);
+  };
+
+  const selectCollection = (id) => {
+    setVaultView(null);
+    setActiveCollection(id);
+    setActiveTag(null);
+    setActiveCategory("all");
+    setSearchQuery("");
+  };
+
+  // Renaming onto an existing tag merges the two (after confirmation)
+  const startTagRename = (name) => {
+    renameDoneRef.current = false;
+    setRenamingTag(name);
+    setRenameDraft(name);
+  };
+
+  const cancelTagRename = () => {
+    renameDoneRef.current = true;
+    setRenamingTag(null);
+  };
+
+  const commitTagRename = async () => {
+    if (renameDoneRef.current) return;
+    renameDoneRef.current = true;
+    const from = renamingTag;
+    const to = renameDraft.replace(/^#+/, "").replace(/\s+/g, " ").trim();
+    setRenamingTag(null);
+    if (!from || !to || to === from) return;
+    const existing = tags.find((t) => t.name.toLowerCase() === to.toLowerCase() && t.name !== from);
+    if (existing && existing.name.toLowerCase() !== from.toLowerCase()) {
+      if (!window.confirm(`Merge #${from} into #${existing.name}?`)) return;
+    }
+    try {
+      const updatedTags = await window.electronAPI.renameTag(from, to);
+      setTags(updatedTags || []);
+      if (activeTag && activeTag.toLowerCase() === from.toLowerCase()) setActiveTag(existing ? existing.name : to);
+    } catch (error) {
+      console.error("Failed to rename tag:", error);
+    }
+  };
+
+  // ----- Collections -----
+
+  // collectionDraft is the sidebar's name input: { id } renames that
+  // collection, { parentId } creates one under it (null for the top level);
+  // a rejected name reopens it with the reason as `error`
+  const startCollectionDraft = (draft) => {
+    collectionDraftDoneRef.current = false;
+    setCollectionDraft({ name: "", ...draft });
+  };
+
+  const cancelCollectionDraft = () => {
+    collectionDraftDoneRef.current = true;
+    setCollectionDraft(null);
+  };
+
+  const commitCollectionDraft = async () => {
+    if (collectionDraftDoneRef.current || !collectionDraft) return;
+    collectionDraftDoneRef.current = true;
+    const draft = collectionDraft;
+    setCollectionDraft(null);
+    const name = draft.name.trim();
+    // Leaving a rejected name unchanged gives up on it
+    if (!name || draft.error) return;
+    try {
+      if (draft.id) {
+        setCollections(await window.electronAPI.renameCollection(draft.id, name));
+      } else {
+        await window.electronAPI.createCollection(name, draft.parentId);
+        await loadCollections();
+      }
+    } catch (error) {
+      console.error("Failed to save collection:", error);
+      collectionDraftDoneRef.current = false;
+      setCollectionDraft({ ...draft, error: ipcErrorMessage(error, "Failed to save collection") });
+    }
+  };
+
+  const handleDeleteCollection = async (collection) => {
+    const nested = collections.some((c) => c.parentId === collection.id);
+    const detail = nested ? " Its sub-collections move up a level." : "";
+    if (!window.confirm(`Delete the collection "${collection.name}"? Its items stay in the vault.${detail}`)) return;
+    try {
+      setCollections(await window.electronAPI.deleteCollection(collection.id));
+    } catch (error) {
+      console.error("Failed to delete collection:", error);
+    }
+  };
+
+  const handleRemoveFromCollection = async (collectionId, itemId) => {
+    try {
+      setCollections(await window.electronAPI.removeFromCollection(collectionId, itemId));
+    } catch (error) {
+      console.error("Failed to remove from collection:", error);
+    }
+  };
+
+  const handleAddToCollection = async (collectionId, itemIds) => {
+    try {
+      setCollections(await window.electronAPI.addToCollection(collectionId, itemIds));
+    } catch (error) {
+      console.error("Failed to add to collection:", error);
+    }
+  };
+
+  // Drag and drop: cards onto a sidebar collection add them to it, cards onto
+  // cards reorder the open collection, collections onto collections nest them
+  // (onto the section label moves them back to the top level)
+
+  const handleCollectionDragOver = (e, targetId) => {
+    const types = Array.from(e.dataTransfer.types);
+    const isItem = types.includes(ITEM_DRAG_TYPE);
+    if (!types.includes(COLLECTION_DRAG_TYPE) && !(isItem && targetId)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = isItem ? "copy" : "move";
+    setCollectionDropTarget(targetId);
+  };
+
+  const handleCollectionDrop = async (e, targetId) => {
+    e.preventDefault();
+    setCollectionDropTarget(null);
+    const itemId = e.dataTransfer.getData(ITEM_DRAG_TYPE);
+    const collectionId = e.dataTransfer.getData(COLLECTION_DRAG_TYPE);
+    if (itemId && targetId) {
+      await handleAddToCollection(targetId, [itemId]);
+    } else if (collectionId && collectionId !== targetId) {
+      try {
+        setCollections(await window.electronAPI.moveCollection(collectionId, targetId));
+      } catch (error) {
+        console.error("Failed to move collection:", error);
+      }
+    }
+  };
+
+  const handleCardDragStart = (e, item) => {
+    e.dataTransfer.setData(ITEM_DRAG_TYPE, item.id);
+    e.dataTransfer.effectAllowed = "copyMove";
+  };
+
+  const handleCardDragOver = (e) => {
+    if (!activeCollection || searchQuery.trim() || !Array.from(e.dataTransfer.types).includes(ITEM_DRAG_TYPE)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "move";
+  };
+
+  // Dropping a card on another one in a collection puts it in front of it
+  const handleCardDrop = async (e, target) => {
+    const itemId = e.dataTransfer.getData(ITEM_DRAG_TYPE);
+    if (!activeCollection || !itemId || itemId === target.id) return;
+    e.preventDefault();
+    try {
+      await window.electronAPI.moveCollectionItem(activeCollection, itemId, target.id);
+    } catch (error) {
+      console.error("Failed to reorder collection:", error);
+    }
+  };
+
+  // Utility helpers
+  const formatFileSize = (bytes) => {
+    if (!bytes) return "0 B";
+    const units = ["B", "KB", "MB", "GB"];
+    let size = bytes;
+    let unitIndex = 0;
+    while (size >= 1024 && unitIndex < units.length - 1) { size /= 1024; unitIndex++; }
+    return `${size.toFixed(1)} ${units[unitIndex]}`;
+  };
+
+  const getDisplayFileName = (raw) => {
+    if (!raw) return "";
+    const m = raw.match(/^(\d{5,})-(.+)$/);
+    return m ? m[2] : raw;
+  };
+
+  const getItemPreview = (item) => {
+    if (item.type === "text") return item.content || "";
+    if (item.type === "link") return item.title || item.metadata?.url || "";
+    const base = item.title || item.metadata?.filename || "";
+    return getDisplayFileName(base);
+  };
+
+  const getLinkHost = (item) => {
+    try {
+      return new URL(item.metadata?.url || item.content || "").hostname.replace(/^www\./, "");
+    } catch {
+      return "Link";
+    }
+  };
+
+  const getItemPreviewSnippet = (item) => {
+    if (item.type === "text") {
+      const raw = item.content || "";
+      if (!raw) return "";
+      return raw.length > 140 ? raw.slice(0, 137) + "..." : raw;
+    }
+    if (item.type === "link") return item.metadata?.url || "";
+    return "";
+  };
+
+  const getFileUrl = (item) => {
+    const storagePath = item.storagePath || item.path;
+    if (!storagePath) return null;
+    return vaultFileUrl(storagePath, vaultDir);
+  };
+
+  const getThumbnailUrl = (item) => {
+    const rel = item.metadata?.thumbnail;
+    if (rel) return vaultFileUrl(rel, vaultDir);
+    return getFileUrl(item);
+  };
+
+  const getCategoryLabel = (category) => {
+    const labels = {
+      ideas: "Ideas", links: "Links", code: "Code", notes: "Notes",
+      images: "Images", documents: "Documents", videos: "Videos", csv: "Data",
+      favorites: "Favorites",
+    };
+    return labels[category] || category;
+  };
+
+  const getFilteredItems = () => {
+    if (activeCollection) {
+      const positionIn = (item) => (item.collections || []).find((c) => c.id === activeCollection)?.position;
+      return items
+        .filter((item) => positionIn(item) !== undefined)
+        .sort((a, b) => positionIn(a) - positionIn(b));
+    }
+    if (activeTag) {
+      const tag = activeTag.toLowerCase();
+      return items.filter((item) => (item.tags || []).some((t) => t.toLowerCase() === tag));
+    }
+    if (activeCategory === "all") return items;
+    return items.filter((item) => {
+      switch (activeCategory) {
+        case "favorites": return Boolean(item.starredAt);
+        case "images": return item.type === "image" || item.category === "images";
+        case "documents": return item.category === "documents";
+        case "videos": return item.category === "videos";
+        case "links": return item.type === "link" || item.category === "links";
+        case "notes": return item.category === "notes";
+        case "ideas": return item.category === "ideas";
+        case "code": return item.category === "code";
+        case "csv": return item.category === "csv";
+        case "text": return item.type === "text";
+        default: return item.category === activeCategory;
+      }
+    });
+  };
+
+  const getCategoryList = () => [
+    "all", "images", "documents", "videos", "links", "notes", "ideas", "code", "csv", "text",
+  ];
+
+  const getCategoryCount = (cat) => {
+    if (cat === "all") return items.length;
     return items.filter((item) => {
       switch (cat) {
+        case "favorites": return Boolean(item.starredAt);
         case "images": return item.type === "image" || item.category === "images";
         case "documents": return item.category === "documents";
         case "videos": return item.category === "videos";
@@ -521,8 +2246,14 @@ function App() {
     }).length;
   };
 
+  // The document listener must not run the same shortcut again
   const handleOverlayKeyDown = (e) => {
-    if (e.key === "Enter" && e.ctrlKey) { e.preventDefault(); handleSaveText(); }
+    if (e.key === "Enter" && e.ctrlKey) {
+      e.preventDefault();
+      e.stopPropagation();
+      if (stackMode && e.shiftKey) handleSaveStack();
+      else handleSaveText();
+    }
   };
 
   const handleCancel = () => {
@@ -530,6 +2261,16 @@ function App() {
     if (window.electronAPI && window.electronAPI.hideOverlay) window.electronAPI.hideOverlay();
   };
 
+  // Search match snippet with highlighted terms (segments come from the main process)
+  const renderSearchSnippet = (item) => {
+    if (!searchQuery.trim() || !item.snippet || item.snippet.length === 0) return null;
+    return (
+      <div className="item-card-snippet search-snippet">
+        {item.snippet.map((seg, i) => (seg.highlight ? <mark key={i}>{seg.text}</mark> : <span key={i}>{seg.text}</span>))}
+      </div>
+    );
+  };
+
   // Render preview block for cards
   const renderItemPreview = (item) => {
     const baseClass = "item-card-preview";
@@ -551,13 +2292,8 @@ function App() {
 
     // Videos
     if (item.category === "videos") {
-      let src = null;
       const rel = item.metadata?.thumbnail;
-      if (vaultDir && rel) {
-        const nv = vaultDir.replace(/\\/g, "/");
-        const nr = rel.replace(/\\/g, "/");
-        src = `file:///${encodeURI(`${nv}/${nr}`)}`;
-      }
+      const src = rel ? vaultFileUrl(rel, vaultDir) : null;
       return (
         <div className={`${baseClass} image`} style={{ position: "relative" }}>
           {src ? <img src={src} alt={item.title || "Video"} /> : <span style={{ color: "var(--text-tertiary)", fontSize: 32 }}>{'>'}</span>}
@@ -568,16 +2304,31 @@ function App() {
       );
     }
 
+    // Links: the page's image, else its favicon and site
+    if (item.type === "link") {
+      if (item.metadata?.thumbnail) {
+        return (
+          <div className={`${baseClass} image`}>
+            <img src={vaultFileUrl(item.metadata.thumbnail, vaultDir)} alt={item.title || "Link"} />
+          </div>
+        );
+      }
+      return (
+        <div className={`${baseClass} link`}>
+          {item.metadata?.favicon && <img className="link-favicon" src={item.metadata.favicon} alt="" />}
+          <span className="link-site">{item.metadata?.siteName || getLinkHost(item)}</span>
+        </div>
+      );
+    }
+
     // Documents & data files
     const filename = (item.metadata?.filename || "").toLowerCase();
     const isPdf = (item.metadata?.mimeType || "").includes("pdf") || filename.endsWith(".pdf");
     const isCsv = item.category === "csv" || filename.endsWith(".csv") || filename.endsWith(".tsv");
     const isDoc = filename.endsWith(".doc") || filename.endsWith(".docx");
 
-    if (isPdf && item.metadata?.thumbnail && vaultDir) {
-      const nv = vaultDir.replace(/\\/g, "/");
-      const nr = item.metadata.thumbnail.replace(/\\/g, "/");
-      const src = `file:///${encodeURI(`${nv}/${nr}`)}`;
+    if (isPdf && item.metadata?.thumbnail) {
+      const src = vaultFileUrl(item.metadata.thumbnail, vaultDir);
       return (
         <div className={`${baseClass} image`}>
           <img src={src} alt={item.title || "PDF"} />
@@ -635,6 +2386,110 @@ function App() {
     return groups;
   };
 
+  // Pending captures in stack mode, saved in this order
+  const renderStack = () => {
+    const busy = overlayPhase === "saving";
+    return (
+      <div className="overlay-stack">
+        <div className="overlay-stack-header">
+          <span>{stack.length === 0 ? "Stack is empty - add text, pastes or drops" : `${stack.length} pending`}</span>
+          {stack.length > 0 && (
+            <button className="overlay-stack-clear" onClick={clearStack} disabled={busy}>Clear</button>
+          )}
+        </div>
+        {stack.length > 0 && (
+          <div className="overlay-stack-list">
+            {stack.map((entry, index) => (
+              <div key={entry.id} className="overlay-stack-entry">
+                <span className="stack-entry-index">{index + 1}</span>
+                {entry.preview && <img className="stack-entry-preview" src={entry.preview} alt="" />}
+                <div className="stack-entry-body">
+                  {editingStackId === entry.id ? (
+                    entry.kind === "text" ? (
+                      <textarea
+                        className="stack-entry-edit"
+                        value={entry.text}
+                        onChange={(e) => updateStackEntry(entry.id, { text: e.target.value })}
+                        onBlur={() => finishStackEdit(entry)}
+                        autoFocus
+                      />
+                    ) : (
+                      <input
+                        className="stack-entry-edit"
+                        value={entry.notes || ""}
+                        placeholder="Note for this file..."
+                        onChange={(e) => updateStackEntry(entry.id, { notes: e.target.value })}
+                        onBlur={() => finishStackEdit(entry)}
+                        onKeyDown={(e) => { if (e.key === "Enter") finishStackEdit(entry); }}
+                        autoFocus
+                      />
+                    )
+                  ) : (
+                    <>
+                      <span className="stack-entry-label">{entry.kind === "text" ? entry.text.trim() : entry.name}</span>
+                      {entry.kind === "file" && entry.notes && <span className="stack-entry-notes">{entry.notes}</span>}
+                    </>
+                  )}
+                </div>
+                <div className="stack-entry-actions">
+                  <button onClick={() => moveStackEntry(index, -1)} disabled={busy || index === 0} title="Move up">↑</button>
+                  <button onClick={() => moveStackEntry(index, 1)} disabled={busy || index === stack.length - 1} title="Move down">↓</button>
+                  <button
+                    onClick={() => setEditingStackId(entry.id)}
+                    disabled={busy}
+                    title={entry.kind === "text" ? "Edit" : "Edit note"}
+                  >
+                    ✎
+                  </button>
+                  <button onClick={() => removeStackEntry(entry.id)} disabled={busy} title="Remove">×</button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Collection the capture (or the whole stack) is filed into
+  const renderCollectionPicker = () => {
+    const disabled = overlayPhase === "saving" || overlayPhase === "confirmation";
+    if (overlayCollection === NEW_COLLECTION) {
+      return (
+        <div className="overlay-collection-picker">
+          <input
+            className="overlay-collection-input"
+            value={newCollectionName}
+            placeholder="New collection name..."
+            onChange={(e) => setNewCollectionName(e.target.value)}
+            onKeyDown={(e) => { if (e.key === "Escape") setOverlayCollection(""); }}
+            disabled={disabled}
+            autoFocus
+          />
+          <button onClick={() => setOverlayCollection("")} disabled={disabled} title="Cancel">×</button>
+        </div>
+      );
+    }
+    return (
+      <div className="overlay-collection-picker">
+        <select
+          value={overlayCollection}
+          onChange={(e) => setOverlayCollection(e.target.value)}
+          disabled={disabled}
+          title="Add to a collection"
+        >
+          <option value="">No collection</option>
+          {collections.map((collection) => (
+            <option key={collection.id} value={collection.id}>
+              {"\u00a0\u00a0".repeat(collection.depth)}{collection.name}
+            </option>
+          ))}
+          <option value={NEW_COLLECTION}>New collection…</option>
+        </select>
+      </div>
+    );
+  };
+
   // ========== OVERLAY VIEW ==========
   if (isOverlay) {
     return (
@@ -649,17 +2504,29 @@ function App() {
           {/* Text Mode */}
           <div className={`overlay-text-mode ${overlayPhase === "drop" ? "mode-transitioning-out" : ""}`}>
             <div className="overlay-header">
+              {renderCollectionPicker()}
               <div className="overlay-title">Dump anything</div>
-              <div className="overlay-hint">Alt + D to dump anything</div>
+              <div className="overlay-hint">
+                {stackMode ? "Ctrl+Enter adds to the stack · Ctrl+Shift+Enter saves all" : "Alt + D to dump anything"}
+              </div>
+              <button
+                className={`overlay-stack-toggle ${stackMode ? "active" : ""}`}
+                onClick={toggleStackMode}
+                disabled={overlayPhase === "saving" || (stackMode && stack.length > 0)}
+                title={stackMode && stack.length > 0 ? "Save or clear the stack first" : "Collect several captures and save them together"}
+              >
+                Stack
+              </button>
             </div>
             <div className="text-input-container">
               <textarea
                 ref={textareaRef}
                 className="overlay-textarea"
-                placeholder="Type or paste anything to dump..."
+                placeholder={pastedImage ? "Add a note to the image..." : "Type or paste anything to dump..."}
                 value={text}
                 onChange={handleTextChange}
                 onKeyDown={handleOverlayKeyDown}
+                onPaste={handleOverlayPaste}
                 disabled={overlayPhase === "saving" || overlayPhase === "confirmation"}
               />
               {detectedCategory && (
@@ -668,14 +2535,82 @@ function App() {
                 </div>
               )}
             </div>
+            {pastedImage && (
+              <div className="overlay-paste-preview">
+                <img className="paste-preview-image" src={pastedImage.url} alt={pastedImage.file.name} />
+                <button
+                  className="paste-preview-remove"
+                  onClick={() => setPastedImage(null)}
+                  disabled={overlayPhase === "saving"}
+                  title="Remove image"
+                >
+                  ×
+                </button>
+              </div>
+            )}
+            {pastedHtml && text.includes(pastedHtml.markdown) && (
+              <div className="overlay-paste-preview rich">
+                <div className="paste-preview-label">Rich text · saved as Markdown</div>
+                {/* sanitizeHtml keeps a fixed set of tags and safe links only */}
+                <div className="paste-preview-html" dangerouslySetInnerHTML={{ __html: pastedHtml.html }} />
+              </div>
+            )}
+            {stackMode && renderStack()}
+            <TagInput
+              tags={overlayTags}
+              onChange={setOverlayTags}
+              suggestions={tags.map((t) => t.name)}
+              suggested={overlaySuggestions}
+              placeholder={stackMode ? "Tags for every item in the stack..." : "Add tags (Enter or comma)..."}
+              disabled={overlayPhase === "saving" || overlayPhase === "confirmation"}
+            />
             <div className="overlay-actions">
               <button
-                className="overlay-btn save-btn"
-                onClick={handleSaveText}
-                disabled={overlayPhase === "saving" || !text.trim()}
+                className="overlay-btn cancel-btn"
+                onClick={handlePasteClick}
+                disabled={overlayPhase === "saving" || overlayPhase === "confirmation"}
+                title="Paste text, an image or rich text from the clipboard"
               >
-                {overlayPhase === "saving" ? "Saving..." : "Save"}
+                Paste
               </button>
+              {stackMode ? (
+                <>
+                  <button
+                    className="overlay-btn cancel-btn"
+                    onClick={addCaptureToStack}
+                    disabled={overlayPhase === "saving" || (!text.trim() && !pastedImage)}
+                    title="Add to the stack (Ctrl+Enter)"
+                  >
+                    Add
+                  </button>
+                  <button
+                    className="overlay-btn save-btn"
+                    onClick={() => handleSaveStack()}
+                    disabled={overlayPhase === "saving" || (stack.length === 0 && !text.trim() && !pastedImage)}
+                    title="Save everything in the stack (Ctrl+Shift+Enter)"
+                  >
+                    {overlayPhase === "saving" ? "Saving..." : "Save all"}
+                  </button>
+                </>
+              ) : (
+                <>
+                  <button
+                    className="overlay-btn cancel-btn"
+                    onClick={() => window.electronAPI.startRegionCapture()}
+                    disabled={overlayPhase === "saving" || overlayPhase === "confirmation"}
+                    title="Capture a screen region (Alt+Shift+D)"
+                  >
+                    Capture
+                  </button>
+                  <button
+                    className="overlay-btn save-btn"
+                    onClick={() => handleSaveText()}
+                    disabled={overlayPhase === "saving" || (!text.trim() && !pastedImage)}
+                  >
+                    {overlayPhase === "saving" ? "Saving..." : "Save"}
+                  </button>
+                </>
+              )}
               <button
                 className="overlay-btn cancel-btn"
                 onClick={handleCancel}
@@ -693,7 +2628,7 @@ function App() {
                 <DownloadIcon />
               </div>
               <div className="drop-title">Drop items here</div>
-              <div className="drop-hint">Release to save to your vault</div>
+              <div className="drop-hint">{stackMode ? "Release to add to the stack" : "Release to save to your vault"}</div>
             </div>
           </div>
 
@@ -705,6 +2640,72 @@ function App() {
             </div>
           )}
 
+          {/* Already in the vault */}
+          {overlayPhase === "duplicate" && duplicatePrompt && (
+            <div className="overlay-duplicate">
+              <div className="duplicate-message">{describeDuplicatePrompt(duplicatePrompt)}</div>
+              <div className="duplicate-matches">
+                {duplicatePrompt.matches.slice(0, 3).map((match) => (
+                  <button
+                    key={match.item.id}
+                    className="duplicate-match"
+                    onClick={() => handleOpenDuplicate(match.item)}
+                    title="Open in library"
+                  >
+                    <span className="duplicate-match-title">{match.item.title}</span>
+                    <span className="duplicate-match-meta">
+                      identical · {formatTimeAgo(match.item.timestamp)}
+                    </span>
+                  </button>
+                ))}
+              </div>
+              <div className="overlay-actions">
+                {duplicatePrompt.matches.length > 0 && (
+                  <button className="overlay-btn cancel-btn" onClick={() => handleOpenDuplicate(duplicatePrompt.matches[0].item)}>
+                    Open
+                  </button>
+                )}
+                <button className="overlay-btn save-btn" onClick={handleSaveDuplicateAnyway}>
+                  Save anyway
+                </button>
+                <button className="overlay-btn cancel-btn" onClick={handleCancel}>
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Secrets in the text */}
+          {overlayPhase === "secrets" && secretsPrompt && (
+            <div className="overlay-duplicate">
+              <div className="duplicate-message">
+                {secretsPrompt.findings.length === 1 ? "This looks like it contains a secret" : `This looks like it contains ${secretsPrompt.findings.length} secrets`}
+              </div>
+              <div className="duplicate-matches">
+                {secretsPrompt.findings.slice(0, SECRET_PROMPT_LIMIT).map((finding) => (
+                  <div key={`${finding.entry || 0}-${finding.start}`} className="duplicate-match secret-finding">
+                    <span className="duplicate-match-title">{finding.label}</span>
+                    <span className="duplicate-match-meta">line {finding.line} · <code>{finding.preview}</code></span>
+                  </div>
+                ))}
+                {secretsPrompt.findings.length > SECRET_PROMPT_LIMIT && (
+                  <div className="duplicate-match-meta">+{secretsPrompt.findings.length - SECRET_PROMPT_LIMIT} more</div>
+                )}
+              </div>
+              <div className="overlay-actions">
+                <button className="overlay-btn save-btn" onClick={() => handleSaveWithSecrets("redact")}>
+                  Redact &amp; save
+                </button>
+                <button className="overlay-btn cancel-btn" onClick={() => handleSaveWithSecrets("sensitive")}>
+                  Save as sensitive
+                </button>
+                <button className="overlay-btn cancel-btn" onClick={handleCancel}>
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+
           {/* Error */}
           {overlayPhase === "error" && (
             <div className="overlay-error">
@@ -719,16 +2720,306 @@ function App() {
         </div>
       </div>
     );
-  }
+  }
+
+  // ========== LIBRARY VIEW ==========
+  const filteredItems = searchQuery.trim() ? searchResults : getFilteredItems();
+  const categories = getCategoryList();
+  // Pinned items lead the library (most recently pinned first), except in
+  // search results and collections, which have an order of their own
+  const pinnedItems = searchQuery.trim() || activeCollection
+    ? []
+    : filteredItems.filter((item) => item.pinnedAt).sort((a, b) => b.pinnedAt.localeCompare(a.pinnedAt));
+  const unpinnedItems = pinnedItems.length > 0 ? filteredItems.filter((item) => !item.pinnedAt) : filteredItems;
+  const dateGroups = activeCategory === "all" && !activeTag && !activeCollection && !searchQuery.trim()
+    ? groupItemsByDate(unpinnedItems)
+    : null;
+  const openCollection = collections.find((c) => c.id === activeCollection);
+
+  const INDEX_STEP_LABELS = {
+    extracting: "extracting text…",
+    embedding: "embedding…",
+    fetching: "fetching page…",
+    snapshot: "saving snapshot…",
+  };
+
+  const renderIndexStatus = (item) => {
+    const progress = indexProgress[item.id];
+    const status = progress ? progress.status : item.indexStatus;
+    if (!status || status === "ready") return null;
+
+    if (status === "failed" || status === "cancelled") {
+      return (
+        <span className={`meta-index-status index-${status}`} title={progress?.error || ""}>
+          {status === "failed" ? "indexing failed" : "indexing cancelled"}
+          <button
+            className="index-action-btn"
+            onClick={(e) => { e.stopPropagation(); window.electronAPI.retryItemIndexing(item.id); }}
+          >
+            Retry
+          </button>
+        </span>
+      );
+    }
+
+    return (
+      <span className="meta-index-status index-pending">
+        {(progress?.step && INDEX_STEP_LABELS[progress.step]) || "indexing…"}
+        <button
+          className="index-action-btn"
+          onClick={(e) => { e.stopPropagation(); window.electronAPI.cancelItemIndexing(item.id); }}
+          title="Cancel indexing"
+          aria-label="Cancel indexing"
+        >
+          {'x'}
+        </button>
+      </span>
+    );
+  };
+
+  const renderLinkDetails = (item) => {
+    const meta = item.metadata || {};
+    const preview = meta.preview;
+    const health = meta.health;
+    return (
+      <div className="detail-link">
+        <div className="detail-link-site">
+          {meta.favicon && <img className="link-favicon" src={meta.favicon} alt="" />}
+          <span>{meta.siteName || getLinkHost(item)}</span>
+        </div>
+        {meta.description && <div className="detail-link-description">{meta.description}</div>}
+        {preview && preview.status === "offline" && (
+          <div className="detail-file-meta">Offline · the page will be fetched when the network is back</div>
+        )}
+        {preview && preview.status === "failed" && (
+          <div className="detail-file-meta" title={preview.error}>Preview unavailable · {preview.error}</div>
+        )}
+        {meta.finalUrl && <div className="detail-file-meta">Redirects to {meta.finalUrl}</div>}
+        {health && (
+          <div className={`detail-file-meta link-health-${health.state}`} title={health.error || ""}>
+            {LINK_HEALTH_LABELS[health.state]}
+            {health.httpStatus ? ` · HTTP ${health.httpStatus}` : health.error ? ` · ${health.error}` : ""}
+            {" · checked "}{new Date(health.checkedAt).toLocaleString()}
+            {health.state === "redirected" && health.finalUrl ? ` · now at ${health.finalUrl}` : ""}
+          </div>
+        )}
+        {health && health.state === "dead" && (
+          <div className="detail-link-dead">
+            {meta.snapshot
+              ? "This page seems to be gone. The snapshot saved in the vault still has it."
+              : "This page seems to be gone, and no snapshot of it was saved."}
+          </div>
+        )}
+        {meta.snapshot && (
+          <div className="detail-file-meta">
+            Snapshot saved {new Date(meta.snapshot.savedAt).toLocaleString()} · {formatFileSize(meta.snapshot.size)}
+          </div>
+        )}
+        <div className="detail-link-actions">
+          <button
+            className="detail-open-btn"
+            onClick={() => runLinkAction(() => window.electronAPI.openExternalUrl(meta.url), "Failed to open link")}
+          >
+            Open link
+          </button>
+          {meta.snapshot && (
+            <button
+              className="detail-open-btn"
+              onClick={() => runLinkAction(() => window.electronAPI.openLinkSnapshot(item.id), "Failed to open snapshot")}
+            >
+              Open snapshot
+            </button>
+          )}
+          {!item.sensitive && (
+            <>
+              <button
+                className="detail-open-btn"
+                onClick={() => runLinkAction(() => window.electronAPI.refreshLinkPreview(item.id, { snapshot: true }), "Failed to save snapshot")}
+              >
+                {meta.snapshot ? "Update snapshot" : "Save snapshot"}
+              </button>
+              <button
+                className="detail-open-btn"
+                onClick={() => runLinkAction(() => window.electronAPI.refreshLinkPreview(item.id), "Failed to refresh preview")}
+              >
+                Refresh preview
+              </button>
+              <button
+                className="detail-open-btn"
+                onClick={() => runLinkAction(async () => {
+                  const summary = await window.electronAPI.checkLinks({ ids: [item.id] });
+                  if (summary.offline) throw new Error("Could not reach the site; check your connection");
+                }, "Failed to check link")}
+              >
+                Check link
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  const deadLinkCount = items.filter((item) => item.metadata?.health?.state === "dead").length;
+
+  const renderLinkSettings = () => (
+    <div className="trash-toolbar link-settings">
+      <label className="trash-retention">
+        <input
+          type="checkbox"
+          checked={Boolean(linkSettings && linkSettings.fetchPreviews)}
+          onChange={(e) => handleLinkSettingChange({ fetchPreviews: e.target.checked })}
+          disabled={!linkSettings}
+        />
+        Fetch page previews
+      </label>
+      <label className="trash-retention">
+        <input
+          type="checkbox"
+          checked={Boolean(linkSettings && linkSettings.saveSnapshots)}
+          onChange={(e) => handleLinkSettingChange({ saveSnapshots: e.target.checked })}
+          disabled={!linkSettings || !linkSettings.fetchPreviews}
+        />
+        Save a snapshot of every page
+      </label>
+      <label className="trash-retention">
+        <input
+          type="checkbox"
+          checked={Boolean(linkSettings && linkSettings.checkHealth)}
+          onChange={(e) => handleLinkSettingChange({ checkHealth: e.target.checked })}
+          disabled={!linkSettings}
+        />
+        Check for dead links
+      </label>
+      {linkSettings && linkSettings.checkHealth && (
+        <label className="trash-retention">
+          <select
+            value={linkSettings.checkIntervalDays}
+            onChange={(e) => handleLinkSettingChange({ checkIntervalDays: Number(e.target.value) })}
+            aria-label="How often links are checked"
+          >
+            {LINK_CHECK_INTERVAL_OPTIONS.map(([days, label]) => (
+              <option key={days} value={days}>{label}</option>
+            ))}
+          </select>
+        </label>
+      )}
+      <span className="trash-summary">{linkCheck.running ? "Checking links…" : linkCheck.message}</span>
+      {deadLinkCount > 0 && (
+        <button className="trash-restore-btn" onClick={() => setSearchQuery("is:dead")}>
+          Show {deadLinkCount} dead
+        </button>
+      )}
+      <button className="trash-restore-btn" onClick={handleCheckAllLinks} disabled={linkCheck.running}>
+        Check now
+      </button>
+    </div>
+  );
+
+  const renderNearDuplicateNotice = () => {
+    const { item, matches } = nearDuplicateNotice;
+    return (
+      <div className="near-duplicate-notice">
+        <span>
+          “{item.title}” looks like {matches.length === 1 ? `“${matches[0].title}”` : `${matches.length} items`} already in your vault
+        </span>
+        <button
+          className="trash-restore-btn"
+          onClick={() => { setNearDuplicateNotice(null); openDuplicates(); }}
+        >
+          Review
+        </button>
+        <button className="near-duplicate-dismiss" onClick={() => setNearDuplicateNotice(null)} aria-label="Dismiss">
+          ×
+        </button>
+      </div>
+    );
+  };
+
+  const renderPinnedGroup = () => (
+    <div className="date-group pinned-group">
+      <div className="date-group-header">Pinned</div>
+      <div className="date-group-items">
+        {pinnedItems.map(renderCard)}
+      </div>
+    </div>
+  );
+
+  // Collections an item is in, and a picker for adding it to another
+  const renderItemCollections = (item) => {
+    const memberOf = new Set((item.collections || []).map((c) => c.id));
+    const current = collections.filter((c) => memberOf.has(c.id));
+    const others = collections.filter((c) => !memberOf.has(c.id));
+    if (collections.length === 0) return null;
+    return (
+      <div className="detail-collections">
+        {current.map((collection) => (
+          <span key={collection.id} className="tag-chip collection-chip">
+            <span onClick={() => selectCollection(collection.id)} title="Show this collection">{collection.name}</span>
+            <button
+              className="tag-chip-remove"
+              onClick={() => handleRemoveFromCollection(collection.id, item.id)}
+              aria-label={`Remove from ${collection.name}`}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+        {others.length > 0 && (
+          <select
+            className="detail-collection-select"
+            value=""
+            onChange={(e) => e.target.value && handleAddToCollection(e.target.value, [item.id])}
+            aria-label="Add to collection"
+          >
+            <option value="">Add to collection…</option>
+            {others.map((collection) => (
+              <option key={collection.id} value={collection.id}>
+                {"\u00a0\u00a0".repeat(collection.depth)}{collection.name}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+    );
+  };
 
-  // ========== LIBRARY VIEW ==========
-  const filteredItems = searchQuery.trim() ? searchResults : getFilteredItems();
-  const categories = getCategoryList();
-  const dateGroups = activeCategory === "all" && !searchQuery.trim() ? groupItemsByDate(filteredItems) : null;
+  // Name input for a new or renamed collection in the sidebar
+  const renderCollectionDraft = (depth) => (
+    <>
+      <input
+        className="sidebar-tag-rename sidebar-collection-draft"
+        style={{ "--collection-depth": depth }}
+        value={collectionDraft.name}
+        placeholder="Collection name"
+        autoFocus
+        onChange={(e) => setCollectionDraft({ ...collectionDraft, name: e.target.value, error: null })}
+        onBlur={commitCollectionDraft}
+        onKeyDown={(e) => {
+          if (e.key === "Enter") commitCollectionDraft();
+          if (e.key === "Escape") cancelCollectionDraft();
+        }}
+        aria-label={collectionDraft.id ? "Rename collection" : "New collection name"}
+        aria-invalid={Boolean(collectionDraft.error)}
+      />
+      {collectionDraft.error && (
+        <div className="sidebar-collection-error" style={{ "--collection-depth": depth }}>
+          {collectionDraft.error}
+        </div>
+      )}
+    </>
+  );
 
   const renderCard = (item) => (
-    <div key={item.id} className="library-item-card">
-      <div className="item-card-content" onClick={() => setSelectedItem(item)}>
+    <div
+      key={item.id}
+      className={`library-item-card ${item.sensitive ? "sensitive" : ""}`}
+      draggable
+      onDragStart={(e) => handleCardDragStart(e, item)}
+      onDragOver={handleCardDragOver}
+      onDrop={(e) => handleCardDrop(e, item)}
+    >
+      <div className="item-card-content" onClick={() => openItem(item)}>
         {renderItemPreview(item)}
 
         {/* Card body */}
@@ -746,16 +3037,44 @@ function App() {
             {item.type === "link" && item.metadata?.url && (
               <div className="item-link-url">{item.metadata.url}</div>
             )}
+            {item.type === "link" && item.metadata?.description && (
+              <div className="item-card-snippet">{item.metadata.description}</div>
+            )}
             {getItemPreviewSnippet(item) && item.type !== "link" && (
               <div className="item-card-snippet">{getItemPreviewSnippet(item)}</div>
             )}
           </div>
         )}
 
+        {renderSearchSnippet(item)}
+
+        {item.tags && item.tags.length > 0 && (
+          <div className="item-card-tags">
+            {item.tags.slice(0, CARD_TAG_LIMIT).map((tag) => (
+              <button
+                key={tag}
+                className="tag-chip"
+                onClick={(e) => { e.stopPropagation(); selectTag(tag); }}
+                title={`Show items tagged #${tag}`}
+              >
+                #{tag}
+              </button>
+            ))}
+            {item.tags.length > CARD_TAG_LIMIT && (
+              <span className="tag-chip more">+{item.tags.length - CARD_TAG_LIMIT}</span>
+            )}
+          </div>
+        )}
+
         <div className="item-card-meta">
           <span className="meta-badge">
             {item.type === "image" ? "Image" : item.type === "link" ? "Link" : item.type === "file" ? "File" : "Text"}
           </span>
+          {item.sensitive && <span className="meta-badge sensitive-badge" title="Contains secrets; not used for semantic search">Sensitive</span>}
+          {item.metadata?.health?.state === "dead" && (
+            <span className="meta-badge dead-link-badge" title={`Last checked ${new Date(item.metadata.health.checkedAt).toLocaleString()}`}>Dead link</span>
+          )}
+          {renderIndexStatus(item)}
           <span className="meta-time">
             {new Date(item.metadata?.createdAt || item.timestamp).toLocaleDateString("en-US", {
               month: "short", day: "numeric",
@@ -763,11 +3082,19 @@ function App() {
           </span>
         </div>
 
+        <button
+          className={`item-card-star-btn ${item.starredAt ? "active" : ""}`}
+          onClick={(e) => { e.stopPropagation(); handleSetItemFlags(item, { starred: !item.starredAt }); }}
+          title={item.starredAt ? "Remove from Favorites" : "Add to Favorites"}
+          aria-label={item.starredAt ? "Remove from favorites" : "Add to favorites"}
+        >
+          <StarIcon filled={Boolean(item.starredAt)} />
+        </button>
         <button
           className="item-card-delete-btn"
           onClick={(e) => { e.stopPropagation(); handleDeleteItem(item.id); }}
-          title="Delete"
-          aria-label="Delete item"
+          title="Move to Trash"
+          aria-label="Move item to trash"
         >
           {'x'}
         </button>
@@ -775,6 +3102,645 @@ function App() {
     </div>
   );
 
+  const describeTrashExpiry = (item) => {
+    if (!trashRetention) return "";
+    const daysLeft = Math.ceil((new Date(item.deletedAt).getTime() + trashRetention * DAY_MS - Date.now()) / DAY_MS);
+    return daysLeft <= 1 ? " · deleted permanently within a day" : ` · deleted permanently in ${daysLeft} days`;
+  };
+
+  const renderTrashCard = (item) => (
+    <div key={item.id} className={`library-item-card trash-card ${item.sensitive ? "sensitive" : ""}`}>
+      <div className="item-card-content">
+        {renderItemPreview(item)}
+        <div className="item-card-body">
+          <div className="item-card-title">{getItemPreview(item).split("\n")[0]}</div>
+          <div className="trash-card-deleted">
+            Deleted {new Date(item.deletedAt).toLocaleDateString("en-US", { month: "short", day: "numeric" })}
+            {describeTrashExpiry(item)}
+          </div>
+        </div>
+        <div className="trash-card-actions">
+          <button className="trash-restore-btn" onClick={() => handleRestoreItem(item.id)}>
+            Restore
+          </button>
+          <button className="trash-purge-btn" onClick={() => handlePurgeItem(item)}>
+            Delete forever
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+
+  const renderDuplicates = () => (
+    <div className="duplicates-view">
+      {duplicateGroups.length === 0 ? (
+        <div className="empty-state">
+          <div className="empty-state-icon"><DuplicatesIcon /></div>
+          <div className="empty-state-title">No duplicates</div>
+          <div className="empty-state-hint">Identical and near-identical items show up here</div>
+        </div>
+      ) : duplicateGroups.map((group) => {
+        const keepId = duplicateKeep[group.id] || group.items[0].id;
+        return (
+          <div key={group.id} className="duplicate-group">
+            <div className="duplicate-group-header">
+              <span className="duplicate-group-kind">
+                {group.match === "exact" ? "Identical" : `Similar (${Math.round(group.similarity * 100)}%)`}
+                {" · "}{group.items.length} items
+              </span>
+              <button className="duplicate-dismiss-btn" onClick={() => handleDismissDuplicates(group)}>
+                Not duplicates
+              </button>
+              <button className="duplicate-merge-btn" onClick={() => handleMergeDuplicates(group)}>
+                Merge
+              </button>
+            </div>
+            {group.items.map((item) => (
+              <label key={item.id} className={`duplicate-item ${item.id === keepId ? "keep" : ""}`}>
+                <input
+                  type="radio"
+                  name={`keep-${group.id}`}
+                  checked={item.id === keepId}
+                  onChange={() => setDuplicateKeep({ ...duplicateKeep, [group.id]: item.id })}
+                />
+                <span className="duplicate-item-title">{getItemPreview(item).split("\n")[0]}</span>
+                {(item.tags || []).slice(0, CARD_TAG_LIMIT).map((tag) => (
+                  <span key={tag} className="tag-chip">#{tag}</span>
+                ))}
+                <span className="duplicate-item-date">
+                  {new Date(item.timestamp).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" })}
+                </span>
+                <button className="duplicate-open-btn" onClick={(e) => { e.preventDefault(); openItem(item); }}>
+                  Open
+                </button>
+              </label>
+            ))}
+            <div className="duplicate-group-hint">
+              Merging keeps the selected item, adds the others&apos; tags and notes to it and moves them to the trash.
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+
+  const describeVaultEntry = (entry) => {
+    const name = entry.title || entry.path.split(/[\\/]/).pop();
+    if (entry.relinkedTo) return `${name} (re-linked)`;
+    if (entry.size !== undefined) return `${name} · ${formatFileSize(entry.size)}`;
+    return name;
+  };
+
+  const renderVaultCheck = () => {
+    const issueCount = vaultReport
+      ? VAULT_CHECK_SECTIONS.reduce((sum, [key]) => sum + vaultReport[key].length, 0)
+      : 0;
+    return (
+      <div className="vault-check-view">
+        <div className="trash-toolbar">
+          <span className="trash-summary">
+            {vaultCheckRunning
+              ? `Checking vault…${vaultCheckProgress ? ` ${vaultCheckProgress.done}/${vaultCheckProgress.total} files` : ""}`
+              : vaultReport
+                ? `${vaultReport.dryRun ? "Checked" : "Repaired"} ${vaultReport.checkedItems} items and ${vaultReport.checkedFiles} files · ${issueCount} issue${issueCount === 1 ? "" : "s"} found`
+                : "Compare the files in your vault folder with the library"}
+          </span>
+          <button className="trash-restore-btn" onClick={() => runVaultCheck(false)} disabled={vaultCheckRunning}>
+            {vaultReport ? "Check again" : "Check vault"}
+          </button>
+          <button
+            className="trash-empty-btn"
+            onClick={() => runVaultCheck(true)}
+            disabled={vaultCheckRunning || !vaultReport || !vaultReport.dryRun || issueCount === 0}
+          >
+            Repair
+          </button>
+        </div>
+        {vaultCheckError && <div className="vault-check-error">{vaultCheckError}</div>}
+        {vaultReport && !vaultReport.dryRun && (
+          <div className="vault-check-repairs">
+            {vaultReport.repairs.length} repair{vaultReport.repairs.length === 1 ? "" : "s"} applied
+            {vaultReport.quarantineDir && <> · quarantined files are in <code>{vaultReport.quarantineDir}</code></>}
+          </div>
+        )}
+        {vaultReport && VAULT_CHECK_SECTIONS.map(([key, label, repairNote]) => vaultReport[key].length > 0 && (
+          <div key={key} className="vault-check-section">
+            <div className="vault-check-section-header">
+              <span>{label} ({vaultReport[key].length})</span>
+              <span className="vault-check-note">{repairNote}</span>
+            </div>
+            <ul className="vault-check-list">
+              {vaultReport[key].slice(0, VAULT_CHECK_LIST_LIMIT).map((entry) => (
+                <li key={entry.itemId || entry.path} title={entry.path}>{describeVaultEntry(entry)}</li>
+              ))}
+              {vaultReport[key].length > VAULT_CHECK_LIST_LIMIT && (
+                <li className="vault-check-more">and {vaultReport[key].length - VAULT_CHECK_LIST_LIMIT} more</li>
+              )}
+            </ul>
+          </div>
+        ))}
+        {vaultReport && issueCount === 0 && (
+          <div className="empty-state">
+            <div className="empty-state-icon"><VaultCheckIcon /></div>
+            <div className="empty-state-title">Everything checks out</div>
+            <div className="empty-state-hint">Every item has its file and every file belongs to an item</div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const describeTransferResult = (result) => {
+    if (result.kind === "export") {
+      const missing = result.missingFiles.length > 0 ? ` · ${result.missingFiles.length} missing file${result.missingFiles.length === 1 ? "" : "s"} skipped` : "";
+      return `Exported ${result.items} items and ${result.files} files (${formatFileSize(result.size)})${missing}`;
+    }
+    if (result.kind === "markdown") {
+      const kept = result.skipped.length > 0 ? ` · ${result.skipped.length} edited note${result.skipped.length === 1 ? "" : "s"} left as they were` : "";
+      return `Wrote ${result.written} notes · ${result.unchanged} unchanged · ${result.removed} removed · ${result.attachments} attachments copied${kept}`;
+    }
+    return `Imported ${result.added} new and ${result.updated} updated items · kept ${result.kept} local versions · ` +
+      `${result.duplicates} already in the vault · ${result.files} files, ${result.tags} tags, ${result.collections} collections, ${result.versions} versions added`;
+  };
+
+  const renderTransfer = () => (
+    <div className="transfer-view">
+      {transferError && <div className="vault-check-error">{transferError}</div>}
+      {transferResult && (
+        <div className="vault-check-repairs">
+          {describeTransferResult(transferResult)} · <code>{transferResult.filePath || transferResult.outDir}</code>
+        </div>
+      )}
+      <div className="vault-check-section">
+        <div className="vault-check-section-header">
+          <span>Export</span>
+          <span className="vault-check-note">every item (trash included), its files, thumbnails, tags and history</span>
+        </div>
+        <div className="transfer-actions">
+          <button className="trash-restore-btn" onClick={() => runVaultTransfer("export")} disabled={!!transferRunning}>
+            Export vault…
+          </button>
+          {transferRunning === "export" && transferProgress && (
+            <span className="transfer-progress">{transferProgress.phase} {transferProgress.done}/{transferProgress.total}</span>
+          )}
+        </div>
+      </div>
+      <div className="vault-check-section">
+        <div className="vault-check-section-header">
+          <span>Import</span>
+          <span className="vault-check-note">merges an archive into this vault; nothing here is deleted</span>
+        </div>
+        <div className="transfer-actions">
+          <label className="trash-retention">
+            Same item in both:
+            <select value={importStrategy} onChange={(e) => setImportStrategy(e.target.value)} disabled={!!transferRunning}>
+              {IMPORT_STRATEGY_OPTIONS.map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <button className="trash-restore-btn" onClick={() => runVaultTransfer("import")} disabled={!!transferRunning}>
+            Import archive…
+          </button>
+          {transferRunning === "import" && transferProgress && (
+            <span className="transfer-progress">{transferProgress.phase} {transferProgress.done}/{transferProgress.total}</span>
+          )}
+        </div>
+      </div>
+      <div className="vault-check-section">
+        <div className="vault-check-section-header">
+          <span>Markdown</span>
+          <span className="vault-check-note">notes with front matter for Obsidian and other Markdown folders; re-runs only rewrite what changed; secrets in sensitive items are redacted</span>
+        </div>
+        <div className="transfer-actions">
+          <label className="trash-retention">
+            Layout:
+            <select value={markdownLayout} onChange={(e) => setMarkdownLayout(e.target.value)} disabled={!!transferRunning}>
+              {MARKDOWN_LAYOUT_OPTIONS.map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <button className="trash-restore-btn" onClick={() => runVaultTransfer("markdown")} disabled={!!transferRunning}>
+            {markdownExport ? "Export again" : "Export to folder…"}
+          </button>
+          {markdownExport && (
+            <button className="trash-restore-btn" onClick={() => runVaultTransfer("markdown", { chooseFolder: true })} disabled={!!transferRunning}>
+              Change folder…
+            </button>
+          )}
+        </div>
+        {markdownExport && <div className="transfer-folder"><code>{markdownExport.outDir}</code></div>}
+      </div>
+    </div>
+  );
+
+  const describeBackupStatus = () => {
+    if (!backupStatus || !backupStatus.folder) return "Backups off";
+    if (backupStatus.running || backupBusy) return "Backing up…";
+    const { lastBackup, lastError } = backupStatus;
+    if (lastError && (!lastBackup || lastError.at > lastBackup.at)) return `Backup failed ${formatBackupAge(lastError.at)}`;
+    return lastBackup ? `Last backup ${formatBackupAge(lastBackup.at)}` : "No backup yet";
+  };
+
+  const renderBackups = () => {
+    const status = backupStatus || { backups: [] };
+    return (
+      <div className="backups-view">
+        <div className="trash-toolbar">
+          <span className="trash-summary">
+            {status.folder ? <>Backing up to <code>{status.folder}</code></> : "Choose a folder to turn on backups"}
+          </span>
+          <button className="trash-restore-btn" onClick={handleChooseBackupFolder} disabled={backupBusy}>
+            {status.folder ? "Change folder…" : "Choose folder…"}
+          </button>
+        </div>
+        <div className="trash-toolbar">
+          <label className="trash-retention">
+            Schedule:
+            <select
+              value={status.intervalHours}
+              onChange={(e) => handleBackupSettingChange({ intervalHours: Number(e.target.value) })}
+              disabled={backupBusy || !status.folder}
+            >
+              {BACKUP_INTERVAL_OPTIONS.map(([hours, label]) => (
+                <option key={hours} value={hours}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="trash-retention">
+            Keep:
+            <select
+              value={status.keep}
+              onChange={(e) => handleBackupSettingChange({ keep: Number(e.target.value) })}
+              disabled={backupBusy || !status.folder}
+            >
+              {BACKUP_KEEP_OPTIONS.map((keep) => (
+                <option key={keep} value={keep}>{keep} backups</option>
+              ))}
+            </select>
+          </label>
+          <span className="trash-summary">
+            {backupBusy && backupProgress ? `${backupProgress.phase} ${backupProgress.done}/${backupProgress.total}` : describeBackupStatus()}
+          </span>
+          <button className="trash-restore-btn" onClick={handleRunBackup} disabled={backupBusy || !status.folder}>
+            Back up now
+          </button>
+        </div>
+        {backupError && <div className="vault-check-error">{backupError}</div>}
+        {status.lastError && !backupError && describeBackupStatus().startsWith("Backup failed") && (
+          <div className="vault-check-error">{status.lastError.message}</div>
+        )}
+        {backupMessage && <div className="vault-check-repairs">{backupMessage}</div>}
+        {status.backups.length > 0 && (
+          <div className="vault-check-section">
+            <div className="vault-check-section-header">
+              <span>Backups ({status.backups.length})</span>
+              <span className="vault-check-note">newest first</span>
+            </div>
+            {status.backups.map((backup) => (
+              <div key={backup.id} className="backup-row">
+                <span className="backup-row-date">{new Date(backup.createdAt).toLocaleString()}</span>
+                <span className="backup-row-meta">
+                  {backup.items} items · {backup.files} files{backup.encrypted ? " · encrypted" : ""}
+                </span>
+                <button className="trash-purge-btn" onClick={() => handleRestoreBackup(backup)} disabled={backupBusy}>
+                  Restore…
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const describeEncryptionProgress = () => {
+    if (!encryptionProgress) return null;
+    const { phase, done, total } = encryptionProgress;
+    return `Encrypting ${phase} ${done}/${total}`;
+  };
+
+  const renderEncryption = () => {
+    const status = encryptionStatus || {};
+    if (!status.encrypted) {
+      return (
+        <div className="encryption-view">
+          <div className="trash-toolbar">
+            <span className="trash-summary">The vault is not encrypted</span>
+          </div>
+          <form className="encryption-form" onSubmit={handleEnableEncryption}>
+            <p className="encryption-note">
+              Items, notes, version history, stored files and the embeddings used for semantic search are
+              encrypted with a key protected by your passphrase. Search keeps working while the vault is
+              unlocked. Tags and dates are not encrypted.
+            </p>
+            <ul className="encryption-warnings">
+              <li>The passphrase can't be recovered or reset.</li>
+              <li>Safety copies in the vault's own backups folder (from upgrades and restores) are encrypted too. Backups already in your backup folder stay unencrypted.</li>
+              <li>Vault archives and Markdown exports are still written unencrypted.</li>
+            </ul>
+            <input
+              type="password"
+              className="encryption-input"
+              placeholder="Passphrase"
+              value={passphraseDraft.passphrase}
+              onChange={(e) => setPassphraseDraft({ ...passphraseDraft, passphrase: e.target.value })}
+              disabled={encryptionBusy}
+            />
+            <input
+              type="password"
+              className="encryption-input"
+              placeholder="Repeat passphrase"
+              value={passphraseDraft.confirm}
+              onChange={(e) => setPassphraseDraft({ ...passphraseDraft, confirm: e.target.value })}
+              disabled={encryptionBusy}
+            />
+            <div className="trash-toolbar">
+              <span className="trash-summary">{encryptionBusy ? describeEncryptionProgress() || "Encrypting…" : ""}</span>
+              <button className="trash-restore-btn" type="submit" disabled={encryptionBusy || !passphraseDraft.passphrase}>
+                Encrypt vault
+              </button>
+            </div>
+          </form>
+          {encryptionError && <div className="vault-check-error">{encryptionError}</div>}
+        </div>
+      );
+    }
+    return (
+      <div className="encryption-view">
+        <div className="trash-toolbar">
+          <span className="trash-summary">The vault is encrypted</span>
+          <label className="trash-retention">
+            Lock automatically:
+            <select
+              value={status.autoLockMinutes ?? 0}
+              onChange={(e) => handleAutoLockChange(Number(e.target.value))}
+              disabled={encryptionBusy}
+            >
+              {AUTO_LOCK_OPTIONS.map(([minutes, label]) => (
+                <option key={minutes} value={minutes}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <button className="trash-purge-btn" onClick={handleLockNow} disabled={encryptionBusy}>
+            Lock now
+          </button>
+        </div>
+        <p className="encryption-note">
+          The vault also locks when the screen locks or the computer sleeps, unless automatic locking is off.
+          Vault archives and Markdown exports are written unencrypted.
+        </p>
+        {encryptionError && <div className="vault-check-error">{encryptionError}</div>}
+      </div>
+    );
+  };
+
+  const renderClipboardPrompt = () => {
+    const prompt = clipboardPrompt;
+    if (prompt.secretsFound) {
+      return (
+        <div className="clipboard-prompt">
+          <span className="clipboard-prompt-text">
+            This entry contains {prompt.findings.length === 1 ? "a secret" : `${prompt.findings.length} secrets`}:{" "}
+            {prompt.findings.slice(0, SECRET_PROMPT_LIMIT).map((f) => `${f.label} (line ${f.line})`).join(", ")}
+            {prompt.findings.length > SECRET_PROMPT_LIMIT ? ` and ${prompt.findings.length - SECRET_PROMPT_LIMIT} more` : ""}
+          </span>
+          <button className="trash-restore-btn" onClick={() => handlePromoteClipboardEntry(prompt.entry, { ...prompt.options, secrets: "redact" })}>
+            Redact &amp; save
+          </button>
+          <button className="trash-restore-btn" onClick={() => handlePromoteClipboardEntry(prompt.entry, { ...prompt.options, secrets: "sensitive" })}>
+            Save as sensitive
+          </button>
+          <button className="trash-purge-btn" onClick={() => setClipboardPrompt(null)}>Cancel</button>
+        </div>
+      );
+    }
+    return (
+      <div className="clipboard-prompt">
+        <span className="clipboard-prompt-text">{describeDuplicatePrompt(prompt)}</span>
+        <button className="trash-restore-btn" onClick={() => openItem(prompt.matches[0].item)}>Open</button>
+        <button className="trash-restore-btn" onClick={() => handlePromoteClipboardEntry(prompt.entry, { ...prompt.options, allowDuplicate: true })}>
+          Save anyway
+        </button>
+        <button className="trash-purge-btn" onClick={() => setClipboardPrompt(null)}>Cancel</button>
+      </div>
+    );
+  };
+
+  const renderClipboardEntry = (entry) => (
+    <div
+      key={entry.id}
+      id={`clipboard-entry-${entry.id}`}
+      className={`clipboard-entry ${entry.id === clipboardSelectedId ? "selected" : ""}`}
+      onClick={() => setClipboardSelectedId(entry.id)}
+      onDoubleClick={() => handlePromoteClipboardEntry(entry)}
+    >
+      {entry.kind === "image" ? (
+        <img className="clipboard-entry-image" src={vaultFileUrl(entry.imagePath, vaultDir)} alt="Copied image" />
+      ) : (
+        <div className={`clipboard-entry-text ${entry.kind === "link" ? "link" : ""}`}>
+          {entry.text.length > CLIPBOARD_PREVIEW_LENGTH ? `${entry.text.slice(0, CLIPBOARD_PREVIEW_LENGTH)}…` : entry.text}
+        </div>
+      )}
+      <div className="clipboard-entry-footer">
+        <span className="clipboard-entry-meta">
+          {entry.kind === "image" ? "Image" : entry.kind === "link" ? "Link" : "Text"} · {formatFileSize(entry.size)}
+          {entry.sourceApp ? ` · ${entry.sourceApp}` : ""} · {formatBackupAge(entry.copiedAt)}
+          {entry.copies > 1 ? ` · copied ${entry.copies} times` : ""}
+        </span>
+        <button className="trash-restore-btn" onClick={(e) => { e.stopPropagation(); handlePromoteClipboardEntry(entry); }}>
+          Save to vault
+        </button>
+        <button className="trash-purge-btn" onClick={(e) => { e.stopPropagation(); handleDeleteClipboardEntry(entry); }}>
+          Remove
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderClipboard = () => {
+    const settings = clipboardSettings;
+    return (
+      <div className="clipboard-view">
+        <div className="trash-toolbar">
+          <label className="trash-retention">
+            <input
+              type="checkbox"
+              checked={Boolean(settings && settings.enabled)}
+              onChange={(e) => handleClipboardSettingChange({ enabled: e.target.checked })}
+              disabled={!settings}
+            />
+            Record what I copy
+          </label>
+          <span className="trash-summary">
+            {clipboardEntries.length} entr{clipboardEntries.length === 1 ? "y" : "ies"}
+          </span>
+          <button className="trash-empty-btn" onClick={handleClearClipboard} disabled={clipboardEntries.length === 0}>
+            Clear
+          </button>
+        </div>
+        {settings && (
+          <div className="trash-toolbar clipboard-settings">
+            <label className="trash-retention">
+              Keep:
+              <select
+                value={settings.historyLength}
+                onChange={(e) => handleClipboardSettingChange({ historyLength: Number(e.target.value) })}
+              >
+                {CLIPBOARD_HISTORY_OPTIONS.map((count) => (
+                  <option key={count} value={count}>{count} entries</option>
+                ))}
+              </select>
+            </label>
+            <label className="trash-retention">
+              Merge repeats:
+              <select
+                value={settings.dedupeSeconds}
+                onChange={(e) => handleClipboardSettingChange({ dedupeSeconds: Number(e.target.value) })}
+              >
+                {CLIPBOARD_DEDUPE_OPTIONS.map(([seconds, label]) => (
+                  <option key={seconds} value={seconds}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="trash-retention">
+              Text up to:
+              <select
+                value={settings.maxTextLength}
+                onChange={(e) => handleClipboardSettingChange({ maxTextLength: Number(e.target.value) })}
+              >
+                {CLIPBOARD_TEXT_LIMIT_OPTIONS.map(([length, label]) => (
+                  <option key={length} value={length}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="trash-retention">
+              <input
+                type="checkbox"
+                checked={settings.captureImages}
+                onChange={(e) => handleClipboardSettingChange({ captureImages: e.target.checked })}
+              />
+              Images up to
+              <select
+                value={settings.maxImageMB}
+                onChange={(e) => handleClipboardSettingChange({ maxImageMB: Number(e.target.value) })}
+                disabled={!settings.captureImages}
+              >
+                {CLIPBOARD_IMAGE_LIMIT_OPTIONS.map((mb) => (
+                  <option key={mb} value={mb}>{mb} MB</option>
+                ))}
+              </select>
+            </label>
+            <label className="trash-retention">
+              <input
+                type="checkbox"
+                checked={settings.skipSecrets}
+                onChange={(e) => handleClipboardSettingChange({ skipSecrets: e.target.checked })}
+              />
+              Skip text with secrets
+            </label>
+            <label className="trash-retention clipboard-excluded-apps">
+              Ignore copies from:
+              <input
+                type="text"
+                className="encryption-input"
+                value={excludedAppsDraft}
+                placeholder="App names, comma-separated"
+                onChange={(e) => setExcludedAppsDraft(e.target.value)}
+                onBlur={commitExcludedApps}
+                onKeyDown={(e) => { if (e.key === "Enter") commitExcludedApps(); }}
+              />
+            </label>
+          </div>
+        )}
+        <p className="encryption-note">
+          Copies stay in this inbox until you save them to the vault (Enter or double-click) or they drop out of the
+          history. Password managers&apos; concealed copies are never recorded.
+        </p>
+        {clipboardError && <div className="vault-check-error">{clipboardError}</div>}
+        {clipboardPrompt && renderClipboardPrompt()}
+        {clipboardEntries.length === 0 ? (
+          <div className="empty-state">
+            <div className="empty-state-icon"><ClipboardIcon /></div>
+            <div className="empty-state-title">The clipboard inbox is empty</div>
+            <div className="empty-state-hint">
+              {settings && settings.enabled ? "Text, links and images you copy will appear here" : "Turn on recording to collect what you copy"}
+            </div>
+          </div>
+        ) : (
+          <div className="clipboard-entries">
+            {clipboardEntries.map(renderClipboardEntry)}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const trashRetentionOptions = TRASH_RETENTION_OPTIONS.includes(trashRetention)
+    ? TRASH_RETENTION_OPTIONS
+    : [...TRASH_RETENTION_OPTIONS, trashRetention];
+
+  const renderTrash = () => (
+    <div className="trash-view">
+      <div className="trash-toolbar">
+        <span className="trash-summary">
+          {trashItems.length} item{trashItems.length === 1 ? "" : "s"} in the trash
+        </span>
+        <label className="trash-retention">
+          Delete permanently after
+          <select
+            value={trashRetention}
+            onChange={(e) => handleTrashRetentionChange(Number(e.target.value))}
+          >
+            {trashRetentionOptions.map((days) => (
+              <option key={days} value={days}>{days === 0 ? "Never" : `${days} days`}</option>
+            ))}
+          </select>
+        </label>
+        <button className="trash-empty-btn" onClick={handleEmptyTrash} disabled={trashItems.length === 0}>
+          Empty trash
+        </button>
+      </div>
+      {trashItems.length === 0 ? (
+        <div className="empty-state">
+          <div className="empty-state-icon"><TrashIcon /></div>
+          <div className="empty-state-title">The trash is empty</div>
+          <div className="empty-state-hint">Deleted items stay here until they are restored or purged</div>
+        </div>
+      ) : (
+        <div className="regular-items">
+          {trashItems.map(renderTrashCard)}
+        </div>
+      )}
+    </div>
+  );
+
+  if (vaultLocked) {
+    return (
+      <div className="app-container lock-screen">
+        <form className="lock-screen-card" onSubmit={handleUnlock}>
+          <div className="lock-screen-icon"><LockIcon /></div>
+          <div className="sidebar-brand">AltDump</div>
+          <div className="lock-screen-hint">The vault is locked. Enter your passphrase to unlock it.</div>
+          <input
+            type="password"
+            className="encryption-input"
+            placeholder="Passphrase"
+            value={unlockPassphrase}
+            onChange={(e) => setUnlockPassphrase(e.target.value)}
+            disabled={encryptionBusy}
+            autoFocus
+          />
+          <button className="trash-restore-btn" type="submit" disabled={encryptionBusy || !unlockPassphrase}>
+            {encryptionBusy ? describeEncryptionProgress() || "Unlocking…" : "Unlock"}
+          </button>
+          {encryptionError && <div className="vault-check-error">{encryptionError}</div>}
+        </form>
+      </div>
+    );
+  }
+
   return (
     <div className="app-container library-view">
       {/* Sidebar */}
@@ -787,14 +3753,175 @@ function App() {
         {categories.map((cat) => (
           <button
             key={cat}
-            className={`sidebar-item ${activeCategory === cat ? "active" : ""}`}
-            onClick={() => setActiveCategory(cat)}
+            className={`sidebar-item ${activeCategory === cat && !activeTag && !activeCollection && vaultView === null ? "active" : ""}`}
+            onClick={() => selectCategory(cat)}
           >
             <span className="sidebar-icon">{CATEGORY_ICONS[cat] || null}</span>
             <span>{cat === "all" ? "All Items" : getCategoryLabel(cat)}</span>
             <span className="sidebar-count">{getCategoryCount(cat) || ""}</span>
           </button>
         ))}
+        <button
+          className={`sidebar-item ${activeCategory === "favorites" && !activeTag && !activeCollection && vaultView === null ? "active" : ""}`}
+          onClick={() => selectCategory("favorites")}
+        >
+          <span className="sidebar-icon"><StarIcon /></span>
+          <span>Favorites</span>
+          <span className="sidebar-count">{getCategoryCount("favorites") || ""}</span>
+        </button>
+        {tags.length > 0 && (
+          <>
+            <div className="sidebar-section-label">Tags</div>
+            {tags.map((tag) => (
+              renamingTag === tag.name ? (
+                <input
+                  key={tag.id}
+                  className="sidebar-tag-rename"
+                  value={renameDraft}
+                  autoFocus
+                  onChange={(e) => setRenameDraft(e.target.value)}
+                  onBlur={commitTagRename}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") commitTagRename();
+                    if (e.key === "Escape") cancelTagRename();
+                  }}
+                  aria-label={`Rename tag ${tag.name}`}
+                />
+              ) : (
+                <button
+                  key={tag.id}
+                  className={`sidebar-item sidebar-tag ${activeTag === tag.name && vaultView === null ? "active" : ""}`}
+                  onClick={() => selectTag(tag.name)}
+                  onDoubleClick={() => startTagRename(tag.name)}
+                  title="Double-click to rename; renaming to an existing tag merges them"
+                >
+                  <span className="sidebar-icon">#</span>
+                  <span className="sidebar-tag-name">{tag.name}</span>
+                  <span className="sidebar-count">{tag.count}</span>
+                </button>
+              )
+            ))}
+          </>
+        )}
+        <div
+          className={`sidebar-section-label sidebar-collections-label ${collectionDropTarget === "" ? "drop-target" : ""}`}
+          onDragOver={(e) => handleCollectionDragOver(e, "")}
+          onDragLeave={() => setCollectionDropTarget(null)}
+          onDrop={(e) => handleCollectionDrop(e, null)}
+        >
+          <span>Collections</span>
+          <button
+            className="sidebar-collection-add"
+            onClick={() => startCollectionDraft({ parentId: null })}
+            title="New collection"
+            aria-label="New collection"
+          >
+            +
+          </button>
+        </div>
+        {collectionDraft && !collectionDraft.id && collectionDraft.parentId === null && renderCollectionDraft(0)}
+        {collections.map((collection) => (
+          <React.Fragment key={collection.id}>
+            {collectionDraft && collectionDraft.id === collection.id ? (
+              renderCollectionDraft(collection.depth)
+            ) : (
+              <div
+                className={`sidebar-collection ${collectionDropTarget === collection.id ? "drop-target" : ""}`}
+                style={{ "--collection-depth": collection.depth }}
+                draggable
+                onDragStart={(e) => e.dataTransfer.setData(COLLECTION_DRAG_TYPE, collection.id)}
+                onDragOver={(e) => handleCollectionDragOver(e, collection.id)}
+                onDragLeave={() => setCollectionDropTarget(null)}
+                onDrop={(e) => handleCollectionDrop(e, collection.id)}
+              >
+                <button
+                  className={`sidebar-item ${activeCollection === collection.id && vaultView === null ? "active" : ""}`}
+                  onClick={() => selectCollection(collection.id)}
+                  onDoubleClick={() => startCollectionDraft({ id: collection.id, name: collection.name })}
+                  title="Double-click to rename; drag onto another collection to nest it"
+                >
+                  <span className="sidebar-icon"><FolderIcon /></span>
+                  <span className="sidebar-tag-name">{collection.name}</span>
+                  <span className="sidebar-count">{collection.count || ""}</span>
+                </button>
+                <div className="sidebar-collection-actions">
+                  <button
+                    onClick={() => startCollectionDraft({ parentId: collection.id })}
+                    title="New sub-collection"
+                    aria-label={`New collection in ${collection.name}`}
+                  >
+                    +
+                  </button>
+                  <button
+                    onClick={() => handleDeleteCollection(collection)}
+                    title="Delete collection"
+                    aria-label={`Delete collection ${collection.name}`}
+                  >
+                    ×
+                  </button>
+                </div>
+              </div>
+            )}
+            {collectionDraft && !collectionDraft.id && collectionDraft.parentId === collection.id &&
+              renderCollectionDraft(collection.depth + 1)}
+          </React.Fragment>
+        ))}
+        <div className="sidebar-section-label">Vault</div>
+        <button
+          className={`sidebar-item ${vaultView === "clipboard" ? "active" : ""}`}
+          onClick={openClipboard}
+        >
+          <span className="sidebar-icon"><ClipboardIcon /></span>
+          <span>Clipboard</span>
+          <span className="sidebar-count">{clipboardEntries.length || ""}</span>
+        </button>
+        <button
+          className={`sidebar-item ${vaultView === "duplicates" ? "active" : ""}`}
+          onClick={openDuplicates}
+        >
+          <span className="sidebar-icon"><DuplicatesIcon /></span>
+          <span>Duplicates</span>
+          <span className="sidebar-count">{duplicateGroups.length || ""}</span>
+        </button>
+        <button
+          className={`sidebar-item ${vaultView === "integrity" ? "active" : ""}`}
+          onClick={openVaultCheck}
+        >
+          <span className="sidebar-icon"><VaultCheckIcon /></span>
+          <span>Check vault</span>
+        </button>
+        <button
+          className={`sidebar-item ${vaultView === "transfer" ? "active" : ""}`}
+          onClick={openTransfer}
+        >
+          <span className="sidebar-icon"><TransferIcon /></span>
+          <span>Export &amp; import</span>
+        </button>
+        <button
+          className={`sidebar-item ${vaultView === "trash" ? "active" : ""}`}
+          onClick={openTrash}
+        >
+          <span className="sidebar-icon"><TrashIcon /></span>
+          <span>Trash</span>
+          <span className="sidebar-count">{trashItems.length || ""}</span>
+        </button>
+        <button
+          className={`sidebar-item ${vaultView === "backups" ? "active" : ""}`}
+          onClick={openBackups}
+        >
+          <span className="sidebar-icon"><BackupIcon /></span>
+          <span>Backups</span>
+        </button>
+        <button
+          className={`sidebar-item ${vaultView === "encryption" ? "active" : ""}`}
+          onClick={openEncryption}
+        >
+          <span className="sidebar-icon"><LockIcon /></span>
+          <span>Encryption</span>
+        </button>
+        <button className="sidebar-backup-status" onClick={openBackups}>
+          {describeBackupStatus()}
+        </button>
       </nav>
 
       {/* Main Content */}
@@ -805,9 +3932,9 @@ function App() {
             <span className="search-bar-icon"><SearchIcon /></span>
             <input
               type="text"
-              placeholder="Search your vault..."
+              placeholder='Search your vault... (try type:image, before:2026-01-01, "exact phrase")'
               value={searchQuery}
-              onChange={(e) => setSearchQuery(e.target.value)}
+              onChange={(e) => { setSearchQuery(e.target.value); setVaultView(null); }}
               aria-label="Search vault"
             />
           </div>
@@ -821,7 +3948,10 @@ function App() {
 
         {/* Content Area */}
         <div className="content-area">
-          {items.length === 0 ? (
+          {nearDuplicateNotice && vaultView !== "duplicates" && renderNearDuplicateNotice()}
+          {vaultView === null && activeCategory === "links" && !activeTag && !searchQuery.trim() && renderLinkSettings()}
+          {vaultView === null && linkSettingsError && <div className="vault-check-error">{linkSettingsError}</div>}
+          {vaultView === "trash" ? renderTrash() : vaultView === "duplicates" ? renderDuplicates() : vaultView === "integrity" ? renderVaultCheck() : vaultView === "transfer" ? renderTransfer() : vaultView === "backups" ? renderBackups() : vaultView === "encryption" ? renderEncryption() : vaultView === "clipboard" ? renderClipboard() : items.length === 0 ? (
             <div className="empty-state">
               <div className="empty-state-icon">
                 <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5">
@@ -839,14 +3969,27 @@ function App() {
                 <SearchIcon />
               </div>
               <div className="empty-state-title">
-                {searchQuery.trim() ? "No results found" : "No items in this category"}
+                {searchQuery.trim()
+                  ? "No results found"
+                  : activeTag
+                    ? `No items tagged #${activeTag}`
+                    : openCollection
+                      ? `"${openCollection.name}" is empty`
+                      : activeCategory === "favorites" ? "No favorites yet" : "No items in this category"}
               </div>
               <div className="empty-state-hint">
-                {searchQuery.trim() ? "Try different keywords or check spelling" : "Items will appear here when you add them"}
+                {searchQuery.trim()
+                  ? "Try different keywords or check spelling"
+                  : openCollection
+                    ? "Drag items onto the collection in the sidebar"
+                    : activeCategory === "favorites"
+                      ? "Star an item on its card, or with Ctrl+D in its detail view"
+                      : "Items will appear here when you add them"}
               </div>
             </div>
           ) : dateGroups ? (
             <div className="date-grouped-items">
+              {pinnedItems.length > 0 && renderPinnedGroup()}
               {dateGroups.map((group) => (
                 <div key={group.label} className="date-group">
                   <div className="date-group-header">{group.label}</div>
@@ -856,6 +3999,13 @@ function App() {
                 </div>
               ))}
             </div>
+          ) : pinnedItems.length > 0 ? (
+            <div className="date-grouped-items">
+              {renderPinnedGroup()}
+              <div className="regular-items">
+                {unpinnedItems.map(renderCard)}
+              </div>
+            </div>
           ) : (
             <div className="regular-items">
               {filteredItems.map(renderCard)}
@@ -865,23 +4015,64 @@ function App() {
       </div>
 
       {/* Detail Overlay */}
-      {selectedItem && (
-        <div className="detail-overlay" onClick={() => setSelectedItem(null)} role="dialog" aria-modal="true">
+      {selectedItem && editDraft && (
+        <div className="detail-overlay" onClick={closeItem} role="dialog" aria-modal="true">
           <div className="detail-panel" onClick={(e) => e.stopPropagation()}>
             <div className="detail-header">
-              <div className="detail-title">{getItemPreview(selectedItem).split("\n")[0]}</div>
-              <button className="detail-close-btn" onClick={() => setSelectedItem(null)} aria-label="Close detail view">
+              <input
+                className="detail-title-input"
+                value={editDraft.title}
+                onChange={(e) => setEditDraft({ ...editDraft, title: e.target.value })}
+                aria-label="Title"
+              />
+              <button
+                className={`detail-flag-btn ${selectedItem.pinnedAt ? "active" : ""}`}
+                onClick={() => handleSetItemFlags(selectedItem, { pinned: !selectedItem.pinnedAt })}
+                title={selectedItem.pinnedAt ? "Unpin (Ctrl+P)" : "Pin to the top of the library (Ctrl+P)"}
+                aria-pressed={Boolean(selectedItem.pinnedAt)}
+              >
+                <PinIcon filled={Boolean(selectedItem.pinnedAt)} />
+              </button>
+              <button
+                className={`detail-flag-btn ${selectedItem.starredAt ? "active" : ""}`}
+                onClick={() => handleSetItemFlags(selectedItem, { starred: !selectedItem.starredAt })}
+                title={selectedItem.starredAt ? "Remove from Favorites (Ctrl+D)" : "Add to Favorites (Ctrl+D)"}
+                aria-pressed={Boolean(selectedItem.starredAt)}
+              >
+                <StarIcon filled={Boolean(selectedItem.starredAt)} />
+              </button>
+              <button className="detail-close-btn" onClick={closeItem} aria-label="Close detail view">
                 {'x'}
               </button>
             </div>
             <div className="detail-body">
+              <TagInput
+                tags={selectedItem.tags || []}
+                onChange={(nextTags) => handleSetItemTags(selectedItem, nextTags)}
+                suggestions={tags.map((t) => t.name)}
+                suggested={selectedItem.suggestedTags || []}
+              />
+              {renderItemCollections(selectedItem)}
               {selectedItem.type === "image" && getFileUrl(selectedItem) && (
                 <div className="detail-image-wrapper">
                   <img src={getFileUrl(selectedItem)} alt={selectedItem.metadata?.filename || selectedItem.title || ""} />
                 </div>
               )}
-              {selectedItem.type === "text" && (
-                <pre className="detail-text">{selectedItem.content || ""}</pre>
+              {selectedItem.metadata?.capture && (
+                <div className="detail-file-meta">
+                  Screenshot{selectedItem.metadata.sourceApp ? ` of ${selectedItem.metadata.sourceApp}` : ""}
+                  {" · "}{selectedItem.metadata.capture.display}
+                  {" · "}{new Date(selectedItem.metadata.capture.capturedAt).toLocaleString()}
+                </div>
+              )}
+              {selectedItem.type === "link" && renderLinkDetails(selectedItem)}
+              {(selectedItem.type === "text" || selectedItem.type === "link") && (
+                <textarea
+                  className="detail-text detail-content-input"
+                  value={editDraft.content}
+                  onChange={(e) => setEditDraft({ ...editDraft, content: e.target.value })}
+                  aria-label="Content"
+                />
               )}
               {selectedItem.type === "file" && (
                 <div className="detail-file">
@@ -902,6 +4093,55 @@ function App() {
                   </button>
                 </div>
               )}
+              <label className="detail-field">
+                <span className="detail-field-label">Category</span>
+                <select
+                  value={editDraft.category}
+                  onChange={(e) => setEditDraft({ ...editDraft, category: e.target.value })}
+                >
+                  <option value="">
+                    Automatic{!selectedItem.metadata?.categoryOverride ? ` (${getCategoryLabel(selectedItem.category)})` : ""}
+                  </option>
+                  {getCategoryList().filter((cat) => cat !== "all" && cat !== "text").map((cat) => (
+                    <option key={cat} value={cat}>{getCategoryLabel(cat)}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="detail-field">
+                <span className="detail-field-label">Notes</span>
+                <textarea
+                  className="detail-notes-input"
+                  value={editDraft.notes}
+                  placeholder="Add your own notes (searchable)..."
+                  onChange={(e) => setEditDraft({ ...editDraft, notes: e.target.value })}
+                />
+              </label>
+              <label className="detail-field detail-checkbox">
+                <input
+                  type="checkbox"
+                  checked={editDraft.sensitive}
+                  onChange={(e) => setEditDraft({ ...editDraft, sensitive: e.target.checked })}
+                />
+                <span>Sensitive: blurred in the library and left out of semantic search</span>
+              </label>
+              {historyOpen && renderHistory()}
+            </div>
+            <div className="detail-footer">
+              {(selectedItem.type === "text" || selectedItem.type === "link") && (
+                <button className="detail-history-btn" onClick={toggleHistory}>
+                  {historyOpen ? "Hide history" : "History"}
+                </button>
+              )}
+              <span className={`detail-edit-status ${editError ? "error" : ""}`}>
+                {editError || (isEditDirty(selectedItem, editDraft) ? "Unsaved changes · Ctrl+S to save" : "")}
+              </span>
+              <button
+                className="detail-save-btn"
+                onClick={handleSaveEdit}
+                disabled={isSavingEdit || !isEditDirty(selectedItem, editDraft)}
+              >
+                {isSavingEdit ? "Saving..." : "Save"}
+              </button>
             </div>
           </div>
         </div>
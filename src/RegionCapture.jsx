@@ -0,0 +1,96 @@
+// Region selector shown full-screen by the capture window (?capture=true).
+//
+// The display was captured before this window opened, so the user drags a
+// rectangle on a frozen frame. The region goes to the main process in CSS
+// pixels of this window, which match the display's DIPs. Esc or a right
+// click cancels.
+
+import React, { useEffect, useState } from "react";
+import "./styles.css";
+
+// Smaller drags are treated as stray clicks
+const MIN_REGION_SIZE = 4;
+
+function RegionCapture() {
+  const [image, setImage] = useState(null);
+  const [start, setStart] = useState(null);
+  const [region, setRegion] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    window.electronAPI.getCaptureImage().then((capture) => {
+      if (capture) setImage(capture);
+      else window.electronAPI.cancelRegionCapture();
+    });
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") window.electronAPI.cancelRegionCapture();
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+  const handleMouseDown = (e) => {
+    if (e.button !== 0 || saving) return;
+    setStart({ x: e.clientX, y: e.clientY });
+    setRegion({ x: e.clientX, y: e.clientY, width: 0, height: 0 });
+  };
+
+  const handleMouseMove = (e) => {
+    if (!start) return;
+    setRegion({
+      x: Math.min(start.x, e.clientX),
+      y: Math.min(start.y, e.clientY),
+      width: Math.abs(e.clientX - start.x),
+      height: Math.abs(e.clientY - start.y),
+    });
+  };
+
+  const handleMouseUp = async () => {
+    if (!start) return;
+    setStart(null);
+    if (!region || region.width < MIN_REGION_SIZE || region.height < MIN_REGION_SIZE) {
+      setRegion(null);
+      return;
+    }
+    setSaving(true);
+    try {
+      // The main process closes this window
+      await window.electronAPI.finishRegionCapture(region);
+    } catch (error) {
+      console.error("Failed to save screenshot:", error);
+    }
+  };
+
+  const handleContextMenu = (e) => {
+    e.preventDefault();
+    window.electronAPI.cancelRegionCapture();
+  };
+
+  if (!image) return <div className="region-capture" />;
+
+  return (
+    <div
+      className={`region-capture ${saving ? "saving" : ""}`}
+      style={{ backgroundImage: `url(${image.dataUrl})` }}
+      onMouseDown={handleMouseDown}
+      onMouseMove={handleMouseMove}
+      onMouseUp={handleMouseUp}
+      onContextMenu={handleContextMenu}
+    >
+      {region && region.width > 0 && region.height > 0 ? (
+        <div
+          className="region-capture-selection"
+          style={{ left: region.x, top: region.y, width: region.width, height: region.height }}
+        >
+          <span className="region-capture-size">{region.width} × {region.height}</span>
+        </div>
+      ) : (
+        <div className="region-capture-dim">
+          <div className="region-capture-hint">Drag to capture a region · Esc to cancel</div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RegionCapture;
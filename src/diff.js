@@ -0,0 +1,53 @@
+// Line-based diff used by the version history view.
+//
+// Classic LCS table; snippets and notes are small, so the O(n*m) table is
+// fine. Inputs larger than MAX_DIFF_CELLS fall back to "everything
+// removed, everything added" instead of allocating a huge table.
+
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Diff two texts line by line.
+ * Returns [{ type: "same" | "removed" | "added", text }] describing how to
+ * get from `before` to `after`.
+ */
+export function diffLines(before, after) {
+  const a = (before || "").split("\n");
+  const b = (after || "").split("\n");
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.map((text) => ({ type: "removed", text })),
+      ...b.map((text) => ({ type: "added", text })),
+    ];
+  }
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const width = b.length + 1;
+  const lcs = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: "same", text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      result.push({ type: "removed", text: a[i++] });
+    } else {
+      result.push({ type: "added", text: b[j++] });
+    }
+  }
+  while (i < a.length) result.push({ type: "removed", text: a[i++] });
+  while (j < b.length) result.push({ type: "added", text: b[j++] });
+  return result;
+}
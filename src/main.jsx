@@ -2,9 +2,13 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import RegionCapture from './RegionCapture.jsx'
+
+// The screenshot selection window loads the same page with ?capture=true
+const isCapture = new URLSearchParams(window.location.search).get('capture') === 'true'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {isCapture ? <RegionCapture /> : <App />}
   </StrictMode>,
 )
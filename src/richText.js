@@ -0,0 +1,184 @@
+// Rich text (HTML) pasted into the overlay.
+//
+// htmlToMarkdown() turns the pasted markup into Markdown, so headings,
+// emphasis, links, lists, quotes, code and tables survive in a text item.
+// sanitizeHtml() rebuilds a safe subset of the markup for the inline
+// preview: only whitelisted elements, no attributes except http(s)/mailto
+// link targets, so nothing in it can run script or load anything.
+
+const SAFE_URL = /^(https?:|mailto:)/i;
+
+// Dropped together with their content
+const SKIPPED_TAGS = new Set([
+  "SCRIPT", "STYLE", "HEAD", "TITLE", "META", "LINK", "NOSCRIPT", "TEMPLATE", "IFRAME", "OBJECT", "EMBED", "SVG", "CANVAS",
+]);
+
+const BLOCK_TAGS = new Set([
+  "P", "DIV", "SECTION", "ARTICLE", "HEADER", "FOOTER", "MAIN", "ASIDE", "NAV", "FIGURE", "FIGCAPTION", "ADDRESS", "DL", "DT", "DD",
+]);
+
+// Elements that make pasted HTML worth more than its plain text
+const FORMATTING_SELECTOR = "a[href], b, strong, i, em, h1, h2, h3, h4, h5, h6, ul, ol, table, blockquote, pre, code, img";
+
+const PREVIEW_TAGS = new Set([
+  "P", "DIV", "SPAN", "BR", "HR", "B", "STRONG", "I", "EM", "U", "S", "DEL", "SUB", "SUP", "MARK", "CODE", "PRE",
+  "BLOCKQUOTE", "UL", "OL", "LI", "H1", "H2", "H3", "H4", "H5", "H6", "TABLE", "THEAD", "TBODY", "TR", "TH", "TD", "A",
+]);
+
+// Stand in for spaces and tabs that must survive whitespace cleanup
+// (indentation of nested lists and code blocks)
+const KEPT_SPACE = "\u0001";
+const KEPT_TAB = "\u0002";
+
+function parseHtml(html) {
+  return new DOMParser().parseFromString(html || "", "text/html");
+}
+
+/**
+ * Whether the HTML has formatting plain text would lose (links, emphasis,
+ * headings, lists, tables, code); styled spans alone don't count
+ */
+export function hasRichFormatting(html) {
+  return Boolean(parseHtml(html).body.querySelector(FORMATTING_SELECTOR));
+}
+
+function convertChildren(node, context) {
+  return Array.from(node.childNodes).map((child) => convertNode(child, context)).join("");
+}
+
+function wrapInline(marker, content) {
+  const trimmed = content.trim();
+  if (!trimmed) return content;
+  // Keep surrounding spaces outside the markers ("a **b** c", not "a** b **c")
+  const lead = content.match(/^\s*/)[0] ? " " : "";
+  const trail = content.match(/\s*$/)[0] ? " " : "";
+  return `${lead}${marker}${trimmed}${marker}${trail}`;
+}
+
+function convertList(node, context) {
+  const depth = context.listDepth || 0;
+  const indent = KEPT_SPACE.repeat(depth * 2);
+  let number = parseInt(node.getAttribute("start"), 10) || 1;
+  const items = Array.from(node.children).filter((child) => child.tagName === "LI").map((li) => {
+    const marker = node.tagName === "OL" ? `${number++}. ` : "- ";
+    const content = convertChildren(li, { ...context, listDepth: depth + 1 }).trim().replace(/\n{2,}/g, "\n");
+    return `${indent}${marker}${content}`;
+  });
+  return `\n\n${items.join("\n")}\n\n`;
+}
+
+function convertTable(node, context) {
+  const rows = Array.from(node.querySelectorAll("tr")).map((tr) =>
+    Array.from(tr.children)
+      .filter((cell) => cell.tagName === "TD" || cell.tagName === "TH")
+      .map((cell) => convertChildren(cell, context).replace(/\s+/g, " ").replace(/\|/g, "\\|").trim())
+  ).filter((cells) => cells.length > 0);
+  if (rows.length === 0) return "";
+  const width = Math.max(...rows.map((cells) => cells.length));
+  const line = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] || "").join(" | ")} |`;
+  const lines = [line(rows[0]), line(Array(width).fill("---")), ...rows.slice(1).map(line)];
+  return `\n\n${lines.join("\n")}\n\n`;
+}
+
+function convertNode(node, context) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    if (context.pre) return node.textContent.replace(/ /g, KEPT_SPACE).replace(/\t/g, KEPT_TAB);
+    return node.textContent.replace(/\s+/g, " ");
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE || SKIPPED_TAGS.has(node.tagName)) return "";
+
+  const tag = node.tagName;
+  if (/^H[1-6]$/.test(tag)) {
+    const content = convertChildren(node, context).replace(/\s+/g, " ").trim();
+    return content ? `\n\n${"#".repeat(Number(tag[1]))} ${content}\n\n` : "";
+  }
+  switch (tag) {
+    case "BR":
+      return "\n";
+    case "HR":
+      return "\n\n---\n\n";
+    case "B":
+    case "STRONG":
+      return wrapInline("**", convertChildren(node, context));
+    case "I":
+    case "EM":
+      return wrapInline("*", convertChildren(node, context));
+    case "S":
+    case "DEL":
+      return wrapInline("~~", convertChildren(node, context));
+    case "CODE":
+      return context.pre ? convertChildren(node, context) : wrapInline("`", node.textContent.replace(/\s+/g, " "));
+    case "PRE": {
+      const code = convertChildren(node, { ...context, pre: true }).replace(/\n+$/, "");
+      return `\n\n\`\`\`\n${code}\n\`\`\`\n\n`;
+    }
+    case "A": {
+      const content = convertChildren(node, context).trim();
+      const href = node.getAttribute("href") || "";
+      if (!SAFE_URL.test(href)) return content;
+      return content && content !== href ? `[${content}](${href})` : href;
+    }
+    case "IMG": {
+      const src = node.getAttribute("src") || "";
+      const alt = (node.getAttribute("alt") || "").trim();
+      return SAFE_URL.test(src) ? `![${alt}](${src})` : alt;
+    }
+    case "UL":
+    case "OL":
+      return convertList(node, context);
+    case "TABLE":
+      return convertTable(node, context);
+    case "BLOCKQUOTE": {
+      const content = convertChildren(node, context).trim().replace(/\n{3,}/g, "\n\n");
+      return `\n\n${content.split("\n").map((line) => `> ${line}`.trimEnd()).join("\n")}\n\n`;
+    }
+    default: {
+      const content = convertChildren(node, context);
+      return BLOCK_TAGS.has(tag) ? `\n\n${content}\n\n` : content;
+    }
+  }
+}
+
+/**
+ * Markdown for pasted HTML ("" when it has no text)
+ */
+export function htmlToMarkdown(html) {
+  const markdown = convertNode(parseHtml(html).body, {});
+  return markdown
+    .split("\n")
+    .map((line) => line.replace(/^[ \t]+|[ \t]+$/g, ""))
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .replace(new RegExp(KEPT_SPACE, "g"), " ")
+    .replace(new RegExp(KEPT_TAB, "g"), "\t")
+    .trim();
+}
+
+function copySafe(source, target, doc) {
+  for (const child of Array.from(source.childNodes)) {
+    if (child.nodeType === Node.TEXT_NODE) {
+      target.appendChild(doc.createTextNode(child.textContent));
+    } else if (child.nodeType === Node.ELEMENT_NODE && !SKIPPED_TAGS.has(child.tagName)) {
+      if (!PREVIEW_TAGS.has(child.tagName)) {
+        // Unknown wrappers (font, section, ...) keep their content
+        copySafe(child, target, doc);
+        continue;
+      }
+      const element = doc.createElement(child.tagName.toLowerCase());
+      const href = child.tagName === "A" ? child.getAttribute("href") || "" : "";
+      if (SAFE_URL.test(href)) element.setAttribute("href", href);
+      copySafe(child, element, doc);
+      target.appendChild(element);
+    }
+  }
+}
+
+/**
+ * Safe HTML string for previewing pasted HTML (see the header comment)
+ */
+export function sanitizeHtml(html) {
+  const doc = document.implementation.createHTMLDocument("");
+  const container = doc.createElement("div");
+  copySafe(parseHtml(html).body, container, doc);
+  return container.innerHTML;
+}
@@ -0,0 +1,187 @@
+// Link previews (electron/linkPreview.cjs) against a local HTTP server, and
+// the `link` job in storage.cjs through setLinkFetcher.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const Module = require("module");
+const {
+  createLinkFetcher,
+  LinkFetchError,
+  parsePageMetadata,
+  extractReadableText,
+  buildSnapshot,
+} = require("../electron/linkPreview.cjs");
+
+const PIXEL = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==",
+  "base64"
+);
+
+const ARTICLE = `<!DOCTYPE html>
+<html><head>
+<meta charset="utf-8">
+<title>Fallback title</title>
+<meta property="og:title" content="Tide tables &amp; moon phases">
+<meta name="description" content="How the moon moves the sea">
+<meta property="og:site_name" content="Coast Notes">
+<meta property="og:image" content="/images/cover.png">
+<link rel="icon" href="/icons/favicon.png">
+<link rel="stylesheet" href="/style.css">
+<script>window.tracking = true;</script>
+</head><body>
+<nav>Home | About | Contact</nav>
+<article>
+<h1>Tides</h1>
+<p>The moon pulls the oceans twice a day.</p>
+<p>Spring tides follow the <b>full moon</b>.</p>
+<img src="/images/cover.png" alt="cover" onclick="steal()">
+</article>
+<footer>© Coast Notes</footer>
+</body></html>`;
+
+const ROUTES = {
+  "/article": { type: "text/html; charset=utf-8", body: ARTICLE },
+  "/style.css": { type: "text/css", body: "body { background: url(images/cover.png); }" },
+  "/images/cover.png": { type: "image/png", body: PIXEL },
+  "/icons/favicon.png": { type: "image/png", body: PIXEL },
+};
+
+async function startServer(t) {
+  const server = http.createServer((req, res) => {
+    const route = ROUTES[req.url];
+    if (!route) {
+      res.writeHead(404, { "Content-Type": "text/plain" });
+      res.end("not found");
+      return;
+    }
+    res.writeHead(200, { "Content-Type": route.type });
+    res.end(route.body);
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+// A fetch that fails the way undici does when DNS is unavailable
+const offlineFetch = async () => {
+  throw new TypeError("fetch failed", { cause: { code: "ENOTFOUND" } });
+};
+
+async function waitFor(check, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error("Timed out waiting");
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+test("page metadata and readable text from a served page", async (t) => {
+  const origin = await startServer(t);
+  const page = await createLinkFetcher().fetchPage(`${origin}/article`);
+  assert.equal(page.url, `${origin}/article`);
+  assert.match(page.contentType, /text\/html/);
+
+  assert.deepEqual(parsePageMetadata(page.html, page.url), {
+    title: "Tide tables & moon phases",
+    description: "How the moon moves the sea",
+    siteName: "Coast Notes",
+    image: `${origin}/images/cover.png`,
+    favicon: `${origin}/icons/favicon.png`,
+  });
+
+  const text = extractReadableText(page.html);
+  assert.equal(text, "Tides\nThe moon pulls the oceans twice a day.\nSpring tides follow the full moon .");
+});
+
+test("snapshots drop scripts and inline stylesheets and images", async (t) => {
+  const origin = await startServer(t);
+  const fetcher = createLinkFetcher();
+  const page = await fetcher.fetchPage(`${origin}/article`);
+  const snapshot = await buildSnapshot(page.html, page.url, fetcher.fetchResource);
+
+  assert.doesNotMatch(snapshot, /<script|window\.tracking|onclick/i);
+  assert.match(snapshot, /<style data-href="[^"]*\/style\.css">/);
+  assert.match(snapshot, new RegExp(`url\\("${origin}/images/cover\\.png"\\)`));
+  assert.match(snapshot, new RegExp(`<img src="data:image/png;base64,${PIXEL.toString("base64")}"`));
+  assert.match(snapshot, new RegExp(`<base href="${origin}/article">`));
+  assert.match(snapshot, /Content-Security-Policy/);
+});
+
+test("unreachable hosts are reported as offline", async (t) => {
+  const origin = await startServer(t);
+  const offline = createLinkFetcher({ fetch: offlineFetch });
+  await assert.rejects(offline.fetchPage(`${origin}/article`), (err) => {
+    assert.ok(err instanceof LinkFetchError);
+    assert.equal(err.offline, true);
+    assert.equal(err.code, "ENOTFOUND");
+    return true;
+  });
+  assert.equal(await offline.fetchResource(`${origin}/images/cover.png`, 1024), null);
+
+  await assert.rejects(createLinkFetcher().fetchPage(`${origin}/missing`), (err) => {
+    assert.equal(err.offline, false);
+    assert.equal(err.status, 404);
+    return true;
+  });
+});
+
+test("the link job waits while offline and fills in the preview once the page loads", async (t) => {
+  const origin = await startServer(t);
+  const userData = fs.mkdtempSync(path.join(os.tmpdir(), "altdump-links-"));
+  // storage.cjs only needs app.getPath from Electron
+  const load = Module._load;
+  Module._load = function (request, ...rest) {
+    if (request === "electron") return { app: { getPath: () => userData } };
+    return load.call(this, request, ...rest);
+  };
+  const storage = require("../electron/storage.cjs");
+  t.after(async () => {
+    await storage.stopBackgroundJobs();
+    storage.flushAnnIndex();
+    Module._load = load;
+    fs.rmSync(userData, { recursive: true, force: true });
+  });
+
+  storage.setLinkSettings({ fetchPreviews: false, checkHealth: false });
+  const item = await storage.addTextItem(`${origin}/article`);
+  assert.equal(item.type, "link");
+  // There is no embedding model here, so no enrich job may run: the one
+  // queued by the save is cancelled, and the queue stops as soon as the
+  // preview is in, before it picks up the re-embed the preview queues
+  storage.cancelItemIndexing(item.id);
+
+  const events = [];
+  storage.setLinkFetcher(createLinkFetcher({ fetch: offlineFetch }));
+  storage.refreshLinkPreview(item.id);
+  storage.startBackgroundJobs((event) => {
+    events.push(event);
+    if (event.type === "link" && event.jobStatus === "done") storage.stopBackgroundJobs();
+  });
+  await waitFor(() => events.some(event => event.jobStatus === "deferred"));
+
+  let saved = storage.getItemById(item.id);
+  assert.equal(saved.metadata.preview.status, "offline");
+  assert.equal(saved.title, item.title);
+
+  storage.setLinkFetcher(createLinkFetcher());
+  storage.refreshLinkPreview(item.id, { snapshot: true });
+  await waitFor(() => events.some(event => event.type === "link" && event.jobStatus === "done"));
+  await storage.stopBackgroundJobs();
+  await new Promise(resolve => setTimeout(resolve, 50));
+  const enrichEvents = events.filter(event => event.type === "enrich").map(event => event.jobStatus);
+  assert.deepEqual(enrichEvents, ["queued"]);
+
+  saved = storage.getItemById(item.id);
+  assert.equal(saved.metadata.preview.status, "ready");
+  assert.equal(saved.title, "Tide tables & moon phases");
+  assert.equal(saved.metadata.siteName, "Coast Notes");
+  assert.match(saved.metadata.favicon, /^data:image\/png;base64,/);
+  assert.match(saved.metadata.extractedText, /^How the moon moves the sea\n\nTides\n/);
+  const snapshot = fs.readFileSync(storage.getLinkSnapshotPath(item.id), "utf8");
+  assert.doesNotMatch(snapshot, /<script/i);
+  assert.match(snapshot, /data:image\/png;base64,/);
+});
@@ -0,0 +1,65 @@
+// Schema migrations (electron/migrations.cjs): backups taken before upgrades.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { runMigrations, LATEST_VERSION } = require("../electron/migrations.cjs");
+
+const context = (dir) => ({
+  backupDir: path.join(dir, "backups"),
+  legacyDbPath: path.join(dir, "missing.db"),
+  inferCategory: () => "notes",
+  hashText: (text) => text,
+});
+
+function openVault(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "altdump-migrations-"));
+  const db = new Database(path.join(dir, "vault.db"));
+  t.after(() => {
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return { dir, db };
+}
+
+const backups = (dir) => (fs.existsSync(path.join(dir, "backups")) ? fs.readdirSync(path.join(dir, "backups")).sort() : []);
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test("a new vault is created without a backup", (t) => {
+  const { dir, db } = openVault(t);
+  assert.equal(runMigrations(db, context(dir)), LATEST_VERSION);
+  assert.deepEqual(backups(dir), []);
+});
+
+test("an upgrade takes one backup however many steps it runs", (t) => {
+  const { dir, db } = openVault(t);
+  runMigrations(db, context(dir));
+  db.pragma(`user_version = ${LATEST_VERSION - 2}`);
+
+  runMigrations(db, context(dir));
+  assert.deepEqual(
+    backups(dir).map(name => name.replace(/-\d{4}-.*$/, "")),
+    [`vault-v${LATEST_VERSION - 2}-to-v${LATEST_VERSION}`]
+  );
+  runMigrations(db, context(dir));
+  assert.equal(backups(dir).length, 1);
+});
+
+test("only the newest migration backups are kept", async (t) => {
+  const { dir, db } = openVault(t);
+  runMigrations(db, context(dir));
+  fs.mkdirSync(path.join(dir, "backups"));
+  fs.writeFileSync(path.join(dir, "backups", "vault-before-restore-x.db"), "");
+
+  const taken = [];
+  for (let i = 0; i < 5; i++) {
+    db.pragma(`user_version = ${LATEST_VERSION - 1}`);
+    runMigrations(db, context(dir));
+    taken.push(backups(dir).filter(name => !taken.includes(name) && name.startsWith("vault-v"))[0]);
+    await wait(5);
+  }
+  assert.deepEqual(backups(dir), [...taken.slice(-3), "vault-before-restore-x.db"].sort());
+});